@@ -0,0 +1,18 @@
+/**
+ * 001-categories-same-slug.js
+ * Migración de prueba que falla a mitad: el segundo documento repite el slug
+ */
+
+module.exports = {
+  collection: 'categories',
+  version: 1,
+  description: 'Da a todas las categorías el mismo slug',
+
+  up(category) {
+    return { ...category, slug: 'repetido' };
+  },
+
+  down(category) {
+    return category;
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * 001-notes-split-author.js
+ * Migración de prueba: separa author en firstName y lastName
+ */
+
+module.exports = {
+  collection: 'notes',
+  version: 1,
+  description: 'Separa author en firstName y lastName',
+
+  up(note) {
+    if (note.author === undefined) return note;
+    const { author, ...rest } = note;
+    const [firstName, ...others] = author.split(' ');
+    return { ...rest, firstName, lastName: others.join(' ') };
+  },
+
+  down(note) {
+    if (note.firstName === undefined) return note;
+    const { firstName, lastName, ...rest } = note;
+    return { ...rest, author: [firstName, lastName].filter(Boolean).join(' ') };
+  }
+};
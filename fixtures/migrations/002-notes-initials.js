@@ -0,0 +1,23 @@
+/**
+ * 002-notes-initials.js
+ * Migración de prueba: calcula las iniciales a partir de los campos de la 001
+ */
+
+module.exports = {
+  collection: 'notes',
+  version: 2,
+  description: 'Añade initials',
+
+  up(note) {
+    const initials = [note.firstName, note.lastName]
+      .filter(Boolean)
+      .map(name => name[0].toUpperCase())
+      .join('');
+    return { ...note, initials };
+  },
+
+  down(note) {
+    const { initials, ...rest } = note;
+    return rest;
+  }
+};
@@ -10,19 +10,31 @@ const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 const { join } = require('path');
 const errorHandler = require('./middlewares/errorHandler');
-const { initializeWithDefaults } = require('./utils/jsonStore');
+const requestContext = require('./middlewares/requestContextMiddleware');
+const storage = require('./utils/storage');
+const { migrateUp } = require('./utils/migrationRunner');
+const { MIGRATE_ON_BOOT } = require('./config/storageConfig');
 const apiRoutes = require('./routes/apiRoutes');
+const synonymService = require('./services/synonymService');
 
 // Crear aplicación Express
 const app = express();
 
-// Inicializar almacenamiento JSON
+// Inicializar almacenamiento
 (async () => {
   try {
-    await initializeWithDefaults();
-    console.log('Almacenamiento JSON inicializado correctamente');
+    await storage.initialize();
+    console.log(`Almacenamiento inicializado correctamente (driver: ${storage.driver})`);
+
+    const synonymGroups = await synonymService.load();
+    console.log(`Sinónimos cargados: ${synonymGroups} grupos`);
+
+    if (MIGRATE_ON_BOOT) {
+      const applied = await migrateUp();
+      console.log(`Migraciones aplicadas: ${applied.length}`);
+    }
   } catch (error) {
-    console.error('Error al inicializar almacenamiento JSON:', error);
+    console.error('Error al inicializar almacenamiento:', error);
   }
 })();
 
@@ -57,6 +69,9 @@ app.get('/', (req, res) => {
   });
 });
 
+// Contexto de la petición (autor de los cambios en el diario)
+app.use(requestContext);
+
 // Rutas API
 app.use('/api', apiRoutes);
 
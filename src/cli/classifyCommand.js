@@ -0,0 +1,55 @@
+/**
+ * classifyCommand.js
+ * Comando de CLI para probar y evaluar el clasificador de categorías
+ */
+
+const categoryClassifier = require('../services/categoryClassifier');
+
+const formatPercent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+module.exports = {
+  description: 'Sugiere categorías para un texto o mide el acierto del clasificador',
+  usage: [
+    'classify <texto> [--limit <n>] [--json]',
+    'classify --evaluate [--json]'
+  ],
+
+  async run({ positional, options }) {
+    if (options.evaluate) {
+      const result = await categoryClassifier.evaluateClassifier();
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return 0;
+      }
+      console.log(
+        `Entrenado con ${result.trained} documentos, evaluado con ${result.tested} ofertas: ` +
+        `acierto ${formatPercent(result.top1)} (entre las 3 primeras ${formatPercent(result.top3)}), ` +
+        `${result.unclassified} sin clasificar`
+      );
+      return 0;
+    }
+
+    const text = positional.join(' ');
+    if (!text) {
+      console.error('Uso: classify <texto>');
+      return 1;
+    }
+
+    const categories = await categoryClassifier.classifyText(text, {
+      limit: options.limit ? parseInt(options.limit, 10) : undefined
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(categories, null, 2));
+      return 0;
+    }
+    if (categories.length === 0) {
+      console.log('Ninguna palabra del texto es conocida por el clasificador');
+      return 1;
+    }
+    for (const category of categories) {
+      console.log(`${formatPercent(category.confidence).padStart(6)}  ${category.slug}`);
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * exportCollectionCommand.js
+ * Comando de CLI para exportar una colección a CSV o NDJSON
+ */
+
+const fs = require('fs').promises;
+const collectionTransfer = require('../services/collectionTransfer');
+const { FORMATS, formatFromFileName } = require('../utils/tabularFormat');
+
+module.exports = {
+  description: 'Exporta una colección a CSV o NDJSON',
+  usage: [
+    'export-collection <colección> [--format csv|ndjson] [--fields <a,b.c>] [--out <archivo>]'
+  ],
+
+  async run({ positional, options }) {
+    const [collection] = positional;
+    if (!collection) {
+      console.error('Uso: export-collection <colección>');
+      return 1;
+    }
+
+    const out = typeof options.out === 'string' ? options.out : null;
+    const format = typeof options.format === 'string'
+      ? options.format
+      : formatFromFileName(out) || FORMATS.CSV;
+
+    const { content, count } = await collectionTransfer.exportCollection(collection, {
+      format,
+      fields: typeof options.fields === 'string' ? options.fields.split(',').map(field => field.trim()) : undefined
+    });
+
+    if (!out) {
+      process.stdout.write(content);
+      return 0;
+    }
+
+    await fs.writeFile(out, content, 'utf8');
+    console.log(`${count} documentos de ${collection} exportados a ${out}`);
+    return 0;
+  }
+};
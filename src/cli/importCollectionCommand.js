@@ -0,0 +1,60 @@
+/**
+ * importCollectionCommand.js
+ * Comando de CLI para importar filas CSV o NDJSON en una colección
+ */
+
+const fs = require('fs').promises;
+const collectionTransfer = require('../services/collectionTransfer');
+const { formatFromFileName } = require('../utils/tabularFormat');
+
+module.exports = {
+  description: 'Importa un archivo CSV o NDJSON en una colección, validando cada fila con su modelo',
+  usage: [
+    'import-collection <colección> <archivo> [--format csv|ndjson] [--dry-run] [--skip-invalid] [--verbose] [--json]'
+  ],
+
+  async run({ positional, options }) {
+    const [collection, file] = positional;
+    if (!collection || !file) {
+      console.error('Uso: import-collection <colección> <archivo>');
+      return 1;
+    }
+
+    const format = typeof options.format === 'string' ? options.format : formatFromFileName(file);
+    if (!format) {
+      console.error('No se reconoce el formato del archivo: indica --format csv o --format ndjson');
+      return 1;
+    }
+
+    const report = await collectionTransfer.importCollection(collection, await fs.readFile(file, 'utf8'), {
+      format,
+      dryRun: !!options.dryRun,
+      skipInvalid: !!options.skipInvalid
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return report.totals.invalid > 0 ? 1 : 0;
+    }
+
+    const prefix = report.dryRun ? '[dry-run] ' : '';
+    for (const row of report.rows) {
+      if (row.action === 'error') {
+        console.log(`${prefix}línea ${row.line}: ${row.errors.join('; ')}`);
+      } else if (options.verbose) {
+        console.log(`${prefix}línea ${row.line}: ${row.action} ${row.id}`);
+      }
+    }
+
+    const { totals } = report;
+    console.log(
+      `${prefix}${totals.rows} filas: ${totals.inserted} nuevas, ${totals.updated} actualizadas, ` +
+      `${totals.unchanged} sin cambios, ${totals.invalid} con errores`
+    );
+    if (!report.dryRun && !report.applied && totals.invalid > 0) {
+      console.log('No se ha escrito nada: corrige las filas con errores o usa --skip-invalid');
+    }
+
+    return totals.invalid > 0 ? 1 : 0;
+  }
+};
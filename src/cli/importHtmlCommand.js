@@ -0,0 +1,76 @@
+/**
+ * importHtmlCommand.js
+ * Comando de CLI para importar ofertas desde páginas de freelancer.ec guardadas
+ */
+
+const htmlListingSource = require('../services/htmlListingSource');
+const listingImporter = require('../services/listingImporter');
+
+module.exports = {
+  description: 'Importa las ofertas de páginas HTML de freelancer.ec guardadas en una carpeta',
+  usage: [
+    'import-html <carpeta> [--extracted-at <fecha>] [--write-json] [--dry-run] [--json]'
+  ],
+
+  async run({ positional, options }) {
+    const [directory] = positional;
+    if (!directory) {
+      console.error('Uso: import-html <carpeta>');
+      return 1;
+    }
+
+    let extractedAt;
+    if (typeof options.extractedAt === 'string') {
+      extractedAt = new Date(options.extractedAt);
+      if (Number.isNaN(extractedAt.getTime())) {
+        console.error(`Fecha inválida: ${options.extractedAt}`);
+        return 1;
+      }
+    }
+
+    const { files, rowsByCategory } = await htmlListingSource.loadHtmlDirectory(directory, { extractedAt });
+    const dryRun = !!options.dryRun;
+
+    const written = options.writeJson && !dryRun
+      ? await htmlListingSource.writeScrapeFiles(rowsByCategory)
+      : [];
+
+    const result = rowsByCategory.size > 0
+      ? await listingImporter.importListings({
+        categories: Array.from(rowsByCategory.keys()),
+        dryRun,
+        loadRows: async (slug) => rowsByCategory.get(slug) || null
+      })
+      : null;
+
+    if (options.json) {
+      console.log(JSON.stringify({ files, written, import: result }, null, 2));
+      return files.some(file => file.error) ? 1 : 0;
+    }
+
+    const prefix = dryRun ? '[dry-run] ' : '';
+    for (const file of files) {
+      const detail = file.error
+      ? `ERROR: ${file.error}`
+      : `${file.rows} ofertas (${file.category}${file.classified ? ', deducida por el clasificador' : ''})`;
+      console.log(`${prefix}${file.file}: ${detail}`);
+    }
+    for (const target of written) {
+      console.log(`Escrito ${target}`);
+    }
+
+    if (!result) {
+      console.log('No hay ofertas que importar');
+      return 1;
+    }
+
+    const { totals, diff } = result;
+    console.log(
+      `${prefix}Cambios: ${totals.inserted} nuevas, ${diff.changed.length} modificadas, ` +
+      `${totals.removed} desaparecidas, ${totals.unchanged} sin cambios, ${totals.skipped} filas descartadas`
+    );
+    if (result.id) console.log(`Informe guardado en listingImports: ${result.id}`);
+
+    return files.some(file => file.error) ? 1 : 0;
+  }
+};
@@ -0,0 +1,94 @@
+/**
+ * importListingsCommand.js
+ * Comando de CLI para importar las ofertas scrapeadas a la colección listings
+ */
+
+const listingImporter = require('../services/listingImporter');
+
+/**
+ * Imprime el diff de una importación
+ * @param {Object} diff - { added, changed, removed }
+ * @param {string} prefix - Prefijo de cada línea
+ */
+const printDiff = (diff, prefix) => {
+  for (const listing of diff.added) {
+    console.log(`${prefix}+ ${listing.title} (${listing.sourceUrl})`);
+  }
+  for (const listing of diff.removed) {
+    console.log(`${prefix}- ${listing.title} (${listing.sourceUrl})`);
+  }
+  for (const listing of diff.changed) {
+    let detail = listing.fields.join(', ');
+    if (listing.budget) {
+      const before = listing.budget.before ? listing.budget.before.raw : 'sin presupuesto';
+      const after = listing.budget.after ? listing.budget.after.raw : 'sin presupuesto';
+      detail += `; presupuesto: ${before} → ${after}`;
+    }
+    console.log(`${prefix}~ ${listing.title}: ${detail}`);
+  }
+};
+
+module.exports = {
+  description: 'Importa las ofertas scrapeadas de data/<categoría>.json',
+  usage: [
+    'import-listings [--category <slug,slug>] [--dry-run] [--verbose] [--json]',
+    'import-listings --history [--limit <n>] [--json]'
+  ],
+
+  async run({ options }) {
+    if (options.history) {
+      const imports = await listingImporter.getImportHistory({
+        limit: options.limit ? parseInt(options.limit, 10) : undefined
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(imports, null, 2));
+        return 0;
+      }
+      if (imports.length === 0) {
+        console.log('No hay importaciones registradas');
+      }
+      for (const entry of imports) {
+        const { totals } = entry;
+        console.log(
+          `${entry.id}  ${entry.startedAt}  ${totals.inserted} nuevas, ${entry.diff.changed.length} modificadas, ` +
+          `${totals.removed} desaparecidas`
+        );
+      }
+      return 0;
+    }
+
+    const result = await listingImporter.importListings({
+      categories: typeof options.category === 'string' ? options.category.split(',') : undefined,
+      dryRun: !!options.dryRun
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return 0;
+    }
+
+    const prefix = result.dryRun ? '[dry-run] ' : '';
+    for (const report of result.categories) {
+      console.log(`${prefix}${report.category}: ${report.valid}/${report.rows} filas válidas`);
+      if (!options.verbose) continue;
+      for (const skipped of report.skipped) {
+        const row = skipped.row === null ? '' : `fila ${skipped.row}: `;
+        console.log(`    ${row}${skipped.reason}`);
+      }
+    }
+
+    const { totals, diff } = result;
+    const budgetChanges = diff.changed.filter(listing => listing.budget).length;
+    console.log(
+      `${prefix}Total: ${totals.rows} filas, ${totals.listings} ofertas distintas, ${totals.skipped} filas descartadas`
+    );
+    console.log(
+      `${prefix}Cambios: ${totals.inserted} nuevas, ${diff.changed.length} modificadas ` +
+      `(${budgetChanges} de presupuesto), ${totals.removed} desaparecidas, ${totals.unchanged} sin cambios`
+    );
+    if (options.verbose) printDiff(diff, `${prefix}  `);
+    if (result.id) console.log(`Informe guardado en listingImports: ${result.id}`);
+    return 0;
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * cli/index.js
+ * Punto de entrada de la línea de comandos: node src/cli <comando> [opciones]
+ */
+
+// Cargar variables de entorno
+require('dotenv').config();
+
+const storage = require('../utils/storage');
+const { runWithContext } = require('../utils/requestContext');
+
+// Comandos disponibles
+const COMMANDS = {
+  migrate: require('./migrateCommand'),
+  snapshot: require('./snapshotCommand'),
+  restore: require('./restoreCommand'),
+  journal: require('./journalCommand'),
+  'import-listings': require('./importListingsCommand'),
+  'import-html': require('./importHtmlCommand'),
+  'validate-data': require('./validateDataCommand'),
+  'export-collection': require('./exportCollectionCommand'),
+  'import-collection': require('./importCollectionCommand'),
+  keywords: require('./keywordsCommand'),
+  classify: require('./classifyCommand')
+};
+
+/**
+ * Separa argumentos posicionales y opciones (--clave valor, --bandera)
+ * @param {Array<string>} argv - Argumentos de la línea de comandos
+ * @returns {Object} { positional, options }
+ */
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.substring(2).split('=');
+    const name = key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return { positional, options };
+};
+
+const printUsage = () => {
+  console.log('Uso: node src/cli <comando> [opciones]\n');
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(18)} ${command.description}`);
+    for (const line of command.usage || []) console.log(`  ${''.padEnd(18)} ${line}`);
+  }
+};
+
+const main = async () => {
+  const [commandName, ...rest] = process.argv.slice(2);
+  const command = COMMANDS[commandName];
+
+  if (!command) {
+    printUsage();
+    return commandName ? 1 : 0;
+  }
+
+  // Las escrituras del comando quedan en el diario con este autor
+  return runWithContext({ actor: `cli:${commandName}` }, async () => {
+    await storage.initialize();
+    return command.run(parseArgs(rest));
+  });
+};
+
+main()
+  .then(code => process.exit(code || 0))
+  .catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,49 @@
+/**
+ * journalCommand.js
+ * Comando de CLI para consultar el historial de cambios de una colección
+ */
+
+const storage = require('../utils/storage');
+const changeJournal = require('../utils/changeJournal');
+
+module.exports = {
+  description: 'Muestra el historial de cambios de una colección',
+  usage: [
+    'journal --collection <nombre> [--id <documento>] [--since <fecha>] [--until <fecha>] [--limit <n>] [--json]'
+  ],
+
+  async run({ options }) {
+    if (storage.driver !== 'json') {
+      console.error('El diario de cambios solo está disponible con el driver json');
+      return 1;
+    }
+    if (typeof options.collection !== 'string') {
+      console.error('Se requiere --collection');
+      return 1;
+    }
+
+    let entries = await changeJournal.readEntries(options.collection, {
+      documentId: typeof options.id === 'string' ? options.id : undefined,
+      since: typeof options.since === 'string' ? options.since : undefined,
+      until: typeof options.until === 'string' ? options.until : undefined
+    });
+
+    // Con --limit se muestran las entradas más recientes
+    const limit = parseInt(options.limit, 10);
+    if (limit > 0) entries = entries.slice(-limit);
+
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return 0;
+    }
+
+    if (entries.length === 0) console.log('Sin cambios registrados');
+    for (const entry of entries) {
+      const transaction = entry.transactionId ? ` tx=${entry.transactionId}` : '';
+      console.log(
+        `#${entry.seq} ${entry.timestamp} ${entry.op} ${entry.documentId} por ${entry.actor}${transaction}`
+      );
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * keywordsCommand.js
+ * Comando de CLI para proponer, revisar y evaluar las palabras clave de las
+ * categorías extraídas de los títulos de las ofertas
+ */
+
+const keywordProposals = require('../services/keywordProposals');
+
+// Revisor que queda registrado en las propuestas aprobadas o rechazadas desde la CLI
+const CLI_REVIEWER = process.env.USER ? `cli:${process.env.USER}` : 'cli';
+
+const formatPercent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+const formatEvaluation = ({ accuracy, coverage }) =>
+  `acierto ${formatPercent(accuracy)}, cobertura ${formatPercent(coverage)}`;
+
+/**
+ * Imprime una propuesta con sus palabras y su efecto en la coincidencia
+ * @param {Object} proposal - Propuesta
+ */
+const printProposal = (proposal) => {
+  const { evaluation } = proposal;
+  console.log(`${proposal.id}  ${proposal.categorySlug}  [${proposal.status}]`);
+  console.log(`  actuales: ${proposal.currentKeywords.join(', ') || '(ninguna)'}`);
+  console.log(`  propuestas: ${proposal.proposed.map(entry => `${entry.keyword} (${entry.count})`).join(', ')}`);
+  console.log(
+    `  ${evaluation.listings} ofertas de prueba: ${formatEvaluation(evaluation.before)} → ` +
+    `${formatEvaluation(evaluation.after)}`
+  );
+  if (proposal.approvedKeywords.length > 0) {
+    console.log(`  aprobadas: ${proposal.approvedKeywords.join(', ')}`);
+  }
+};
+
+const SUBCOMMANDS = {
+  async propose(positional, options) {
+    const result = await keywordProposals.proposeKeywords({
+      categories: typeof options.category === 'string' ? options.category.split(',') : undefined,
+      limit: options.limit ? parseInt(options.limit, 10) : undefined,
+      minCount: options.minCount ? parseInt(options.minCount, 10) : undefined,
+      minDocuments: options.minDocuments ? parseInt(options.minDocuments, 10) : undefined,
+      dryRun: !!options.dryRun
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return 0;
+    }
+
+    result.proposals.forEach(printProposal);
+    result.skipped.forEach(({ categorySlug, evaluation }) => {
+      console.log(
+        `Descartada ${categorySlug}: ${formatEvaluation(evaluation.before)} → ` +
+        `${formatEvaluation(evaluation.after)}`
+      );
+    });
+    const { evaluation } = result;
+    console.log(
+      `${options.dryRun ? '[dry-run] ' : ''}${result.proposals.length} propuestas` +
+      `${result.skipped.length > 0 ? ` (${result.skipped.length} descartadas por empeorar)` : ''}. ` +
+      `Con ${evaluation.listings} ofertas de prueba: ${formatEvaluation(evaluation.before)} → ` +
+      `${formatEvaluation(evaluation.after)}`
+    );
+    return 0;
+  },
+
+  async list(positional, options) {
+    const proposals = await keywordProposals.listProposals({
+      status: typeof options.status === 'string' ? options.status : keywordProposals.PROPOSAL_STATUS.PENDING,
+      category: typeof options.category === 'string' ? options.category : undefined
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(proposals, null, 2));
+      return 0;
+    }
+    if (proposals.length === 0) console.log('No hay propuestas');
+    proposals.forEach(printProposal);
+    return 0;
+  },
+
+  async approve([id], options) {
+    if (!id) {
+      console.error('Uso: keywords approve <id> [--keywords <a,b>]');
+      return 1;
+    }
+
+    const result = await keywordProposals.approveProposal(id, {
+      keywords: typeof options.keywords === 'string' ? options.keywords.split(',') : undefined,
+      reviewer: CLI_REVIEWER
+    });
+    if (!result) {
+      console.error(`No existe la propuesta ${id}`);
+      return 1;
+    }
+
+    console.log(`Añadidas a ${result.category.slug}: ${result.proposal.approvedKeywords.join(', ')}`);
+    return 0;
+  },
+
+  async reject([id]) {
+    if (!id) {
+      console.error('Uso: keywords reject <id>');
+      return 1;
+    }
+
+    const proposal = await keywordProposals.rejectProposal(id, {
+      reviewer: CLI_REVIEWER
+    });
+    if (!proposal) {
+      console.error(`No existe la propuesta ${id}`);
+      return 1;
+    }
+
+    console.log(`Propuesta ${id} rechazada`);
+    return 0;
+  },
+
+  async evaluate(positional, options) {
+    const evaluation = await keywordProposals.evaluateKeywords();
+
+    if (options.json) {
+      console.log(JSON.stringify(evaluation, null, 2));
+      return 0;
+    }
+
+    if (options.verbose) {
+      for (const [slug, result] of Object.entries(evaluation.byCategory)) {
+        console.log(`${slug.padEnd(32)} ${String(result.listings).padStart(5)} ofertas  ${formatEvaluation(result)}`);
+      }
+    }
+    console.log(`${evaluation.overall.listings} ofertas: ${formatEvaluation(evaluation.overall)}`);
+    return 0;
+  }
+};
+
+module.exports = {
+  description: 'Propone palabras clave de categorías a partir de las ofertas y las aplica tras revisarlas',
+  usage: [
+    'keywords propose [--category <slug,slug>] [--limit <n>] [--min-count <n>] [--min-documents <n>] [--dry-run] [--json]',
+    'keywords list [--status pending|approved|rejected|superseded] [--category <slug>] [--json]',
+    'keywords approve <id> [--keywords <a,b>]',
+    'keywords reject <id>',
+    'keywords evaluate [--verbose] [--json]'
+  ],
+
+  async run({ positional, options }) {
+    const [subcommand, ...rest] = positional;
+    const handler = SUBCOMMANDS[subcommand];
+    if (!handler) {
+      console.error(`Uso: keywords <${Object.keys(SUBCOMMANDS).join('|')}>`);
+      return 1;
+    }
+    return handler(rest, options);
+  }
+};
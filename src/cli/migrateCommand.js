@@ -0,0 +1,80 @@
+/**
+ * migrateCommand.js
+ * Comando de CLI para ejecutar, revertir y consultar migraciones
+ */
+
+const migrationRunner = require('../utils/migrationRunner');
+
+/**
+ * Imprime el informe de una ejecución de migraciones
+ * @param {Array} report - Informe devuelto por el runner
+ * @param {boolean} verbose - Mostrar los campos modificados de cada documento
+ */
+const printReport = (report, verbose) => {
+  if (report.length === 0) {
+    console.log('No hay migraciones pendientes');
+    return;
+  }
+
+  for (const step of report) {
+    const prefix = step.dryRun ? '[dry-run] ' : '';
+    const arrow = step.direction === 'up' ? '↑' : '↓';
+    console.log(
+      `${prefix}${arrow} ${step.collection} v${step.version} ${step.description}: ` +
+      `${step.changed}/${step.scanned} documentos modificados`
+    );
+
+    if (!verbose) continue;
+    for (const document of step.documents) {
+      console.log(`    ${document.id}: ${document.fields.map(change => change.field).join(', ')}`);
+    }
+  }
+};
+
+module.exports = {
+  description: 'Ejecuta las migraciones de esquema pendientes',
+  usage: [
+    'migrate [--dry-run] [--collection <nombre>] [--json]',
+    'migrate down --collection <nombre> [--to <versión>] [--dry-run]',
+    'migrate status'
+  ],
+
+  async run({ positional, options }) {
+    const [action = 'up'] = positional;
+    const dryRun = !!options.dryRun;
+
+    if (action === 'status') {
+      const status = await migrationRunner.getStatus();
+      if (options.json) {
+        console.log(JSON.stringify(status, null, 2));
+        return 0;
+      }
+      for (const entry of status) {
+        console.log(`${entry.collection}: v${entry.current}/${entry.latest} (${entry.pending.length} pendientes)`);
+      }
+      return 0;
+    }
+
+    let report;
+    if (action === 'up') {
+      report = await migrationRunner.migrateUp({ dryRun, collection: options.collection });
+    } else if (action === 'down') {
+      report = await migrationRunner.migrateDown({
+        collection: options.collection,
+        to: options.to !== undefined ? parseInt(options.to, 10) : undefined,
+        dryRun
+      });
+    } else {
+      console.error(`Acción desconocida: ${action}`);
+      return 1;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      // En dry-run se listan los documentos afectados
+      printReport(report, dryRun || !!options.verbose);
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * restoreCommand.js
+ * Comando de CLI para reconstruir o restaurar una colección en una fecha
+ */
+
+const fs = require('fs').promises;
+const storage = require('../utils/storage');
+const snapshotManager = require('../utils/snapshotManager');
+
+/**
+ * Punto de partida de la reconstrucción para los mensajes
+ */
+const describeBase = (snapshot, baseline) => {
+  if (snapshot) return `snapshot: ${snapshot}`;
+  return baseline ? 'desde el estado anterior al diario' : 'snapshot: ninguna';
+};
+
+module.exports = {
+  description: 'Restaura una colección al estado que tenía en una fecha',
+  usage: [
+    'restore --collection <nombre> --at <fecha ISO> [--filter <json>] [--dry-run] [--force] [--json]',
+    'restore --collection <nombre> --at <fecha ISO> --output <archivo>  (solo exporta el estado)'
+  ],
+
+  async run({ options }) {
+    if (storage.driver !== 'json') {
+      console.error('La restauración solo está disponible con el driver json');
+      return 1;
+    }
+    if (typeof options.collection !== 'string' || typeof options.at !== 'string') {
+      console.error('Se requieren --collection y --at');
+      return 1;
+    }
+
+    // Exportar el estado reconstruido sin tocar la colección
+    if (typeof options.output === 'string') {
+      const { documents, snapshot, baseline, replayed } = await snapshotManager.reconstructCollection(
+        options.collection,
+        options.at
+      );
+      if (!snapshot && !baseline) {
+        console.warn('Aviso: no hay snapshot anterior a la fecha, faltan los documentos anteriores al diario');
+      }
+      await fs.writeFile(options.output, JSON.stringify(documents, null, 2), 'utf8');
+      console.log(
+        `${documents.length} documentos escritos en ${options.output} ` +
+        `(${describeBase(snapshot, baseline)}, ${replayed} entradas del diario)`
+      );
+      return 0;
+    }
+
+    let criteria = {};
+    if (typeof options.filter === 'string') {
+      try {
+        criteria = JSON.parse(options.filter);
+      } catch (error) {
+        console.error(`Filtro inválido: ${error.message}`);
+        return 1;
+      }
+    }
+
+    // Sin punto de partida se niega salvo con --force (ver snapshotManager)
+    const report = await snapshotManager.restoreCollection(options.collection, options.at, {
+      criteria,
+      dryRun: !!options.dryRun,
+      force: !!options.force
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return 0;
+    }
+
+    const prefix = report.dryRun ? '[dry-run] ' : '';
+    if (!report.snapshot && !report.baseline) {
+      console.warn('Aviso: restauración forzada sin snapshot, se reconstruye solo desde el diario');
+    }
+    console.log(
+      `${prefix}${report.collection} a ${report.at}: ${report.changed} documentos restaurados ` +
+      `(${describeBase(report.snapshot, report.baseline)}, ${report.replayed} entradas del diario)`
+    );
+    for (const document of report.documents) {
+      console.log(`    ${document.action} ${document.id}: ${document.fields.join(', ')}`);
+    }
+    return 0;
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * snapshotCommand.js
+ * Comando de CLI para crear y listar snapshots de las colecciones JSON
+ */
+
+const storage = require('../utils/storage');
+const snapshotManager = require('../utils/snapshotManager');
+
+module.exports = {
+  description: 'Crea o lista snapshots de las colecciones',
+  usage: [
+    'snapshot [create] [--collection <a,b>] [--label <texto>] [--json]',
+    'snapshot list [--json]'
+  ],
+
+  async run({ positional, options }) {
+    const [action = 'create'] = positional;
+
+    if (storage.driver !== 'json') {
+      console.error('Las snapshots solo están disponibles con el driver json');
+      return 1;
+    }
+
+    if (action === 'list') {
+      const snapshots = await snapshotManager.listSnapshots();
+      if (options.json) {
+        console.log(JSON.stringify(snapshots, null, 2));
+        return 0;
+      }
+      if (snapshots.length === 0) console.log('No hay snapshots');
+      for (const snapshot of snapshots) {
+        const label = snapshot.label ? ` (${snapshot.label})` : '';
+        console.log(`${snapshot.id}${label}: ${Object.keys(snapshot.collections).length} colecciones`);
+      }
+      return 0;
+    }
+
+    if (action !== 'create') {
+      console.error(`Acción desconocida: ${action}`);
+      return 1;
+    }
+
+    const manifest = await snapshotManager.createSnapshot({
+      collections: typeof options.collection === 'string' ? options.collection.split(',') : undefined,
+      label: typeof options.label === 'string' ? options.label : undefined
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(manifest, null, 2));
+    } else {
+      console.log(`Snapshot ${manifest.id} creada con ${Object.keys(manifest.collections).length} colecciones`);
+    }
+    return 0;
+  }
+};
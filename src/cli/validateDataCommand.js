@@ -0,0 +1,32 @@
+/**
+ * validateDataCommand.js
+ * Comando de CLI para revisar la calidad de los archivos scrapeados de data/
+ */
+
+const dataQuality = require('../services/dataQuality');
+
+module.exports = {
+  description: 'Revisa los archivos scrapeados de data/ y resume sus incidencias',
+  usage: [
+    'validate-data [--dir <directorio>] [--verbose] [--json] [--strict]'
+  ],
+
+  /**
+   * Devuelve 1 si hay errores (o avisos con --strict)
+   */
+  async run({ options }) {
+    const report = await dataQuality.scanDataDirectory({
+      directory: typeof options.dir === 'string' ? options.dir : undefined
+    });
+    const { totals } = report;
+    const failed = totals.errors > 0 || (options.strict && totals.warnings > 0);
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return failed ? 1 : 0;
+    }
+
+    console.log(dataQuality.formatReport(report, { verbose: !!options.verbose }));
+    return failed ? 1 : 0;
+  }
+};
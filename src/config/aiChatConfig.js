@@ -74,6 +74,9 @@ module.exports = {
     WEIGHTS: {
       EXACT_MATCH: 1.0,
       PARTIAL_MATCH: 0.7,
+      // El texto contiene un sinónimo o traducción de la palabra clave; cuenta
+      // como la propia palabra clave
+      SYNONYM_MATCH: 1.0,
       RELATED_TERM: 0.4
     }
   }
@@ -33,6 +33,85 @@ module.exports = {
     DEVICE: 'device'
   },
   
+  // Tipos de precio de un servicio
+  PRICE_TYPES: {
+    FIXED: 'fixed',
+    HOURLY: 'hourly'
+  },
+  
+  // Estados de una oferta de trabajo importada
+  LISTING_STATUS: {
+    OPEN: 'open',
+    CLOSED: 'closed',
+    // Abierta en el scrape pero con la fecha límite ya pasada
+    EXPIRED: 'expired'
+  },
+  
+  // Origen de las ofertas de data/<categoría>.json
+  LISTING_SOURCE: {
+    NAME: 'freelancer.ec',
+    BASE_URL: 'https://www.freelancer.ec',
+    // Zona horaria de la columna 'Fecha Extracción' (Ecuador, UTC-5)
+    TIMEZONE_OFFSET: '-05:00'
+  },
+  
+  // Intervalo por defecto del barrido que marca las ofertas vencidas
+  LISTING_EXPIRY_INTERVAL_MS: 5 * 60 * 1000,
+  
+  // Límites de los tramos del histograma de presupuestos, por tipo de precio
+  // (el último tramo no tiene límite superior)
+  BUDGET_HISTOGRAM_BOUNDS: {
+    fixed: [0, 50, 100, 250, 500, 1000, 2500, 5000],
+    hourly: [0, 10, 15, 25, 40, 60, 100]
+  },
+  
+  // Clasificador de categorías entrenado con los títulos de data/<categoría>.json
+  CLASSIFIER: {
+    // Confianza mínima para asignar la categoría sugerida sin preguntar
+    MIN_CONFIDENCE: 0.4,
+    DEFAULT_LIMIT: 5,
+    MAX_LIMIT: 20,
+    // Tiempo tras el que el modelo se vuelve a entrenar con los archivos actuales
+    MODEL_TTL_MS: 10 * 60 * 1000
+  },
+  
+  // Búsqueda de texto (ver services/searchService)
+  SEARCH: {
+    // Peso de cada campo en el ranking, por colección
+    FIELD_BOOSTS: {
+      services: { title: 3, keywords: 2, tags: 2, description: 1 },
+      listings: { title: 3, categorySlugs: 1 },
+      categories: { name: 3, slug: 2, keywords: 2, description: 1 },
+      users: { name: 3, worldUsername: 3, skills: 2, bio: 1 }
+    },
+    // Tiempo tras el que se revisa el índice aunque no haya avisos de
+    // cambios (recoge las ediciones manuales de los archivos)
+    REFRESH_MS: 60 * 1000,
+    // Autocompletado (ver services/suggestService)
+    SUGGEST_DEFAULT_LIMIT: 8,
+    SUGGEST_MAX_LIMIT: 20,
+    // Las búsquedas más largas no se guardan como sugerencias
+    MAX_QUERY_LENGTH: 80,
+    // Veces que se tiene que buscar un texto para sugerirlo
+    SUGGEST_MIN_QUERY_COUNT: 3,
+    // Las búsquedas se acumulan en memoria y se guardan juntas cada este tiempo
+    QUERY_FLUSH_MS: 5 * 1000,
+    // Resultados por grupo de la búsqueda unificada (ver services/unifiedSearch)
+    GROUP_DEFAULT_LIMIT: 5,
+    // Longitud máxima de los fragmentos resaltados
+    HIGHLIGHT_LENGTH: 160
+  },
+  
+  // Filtros y recuentos de la búsqueda de servicios (ver services/serviceFacets)
+  SERVICE_FACETS: {
+    // Límites inferiores de los tramos de precio
+    PRICE_BOUNDS: [0, 10, 25, 50, 100, 250, 500],
+    // Valoraciones mínimas que se ofrecen como filtro
+    RATING_THRESHOLDS: [4, 3, 2, 1],
+    // Plazos máximos de entrega (en días) que se ofrecen como filtro
+    DELIVERY_TIME_LIMITS: [1, 3, 7, 14, 30]
+  },
+  
   // Costo para desbloquear un servicio
   SERVICE_UNLOCK_COST: 1, // en WLD
   
@@ -108,10 +187,12 @@ module.exports = {
   API: {
     CATEGORIES: '/api/categories',
     SERVICES: '/api/services',
+    PROJECTS: '/api/projects',
     WORLDVERIFY: '/api/worldverify',
     WALLETAUTH: '/api/walletauth',
     PAYMENT: '/api/payment',
-    CHAT: '/api/chat'
+    CHAT: '/api/chat',
+    SEARCH: '/api/search'
   },
   
   // Duración de desbloqueo de servicio (en días)
@@ -0,0 +1,86 @@
+/**
+ * storageConfig.js
+ * Configuración del backend de almacenamiento
+ */
+
+const path = require('path');
+
+// Directorio de las colecciones JSON (DATA_DIR permite usar otro)
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '../../data');
+
+module.exports = {
+  // Backend de almacenamiento: 'json' (archivos en data/) o 'mongo'
+  DRIVER: process.env.STORAGE_DRIVER || 'json',
+
+  DATA_DIR,
+
+  // Colecciones del almacenamiento. El resto de archivos .json de DATA_DIR
+  // (las ofertas scrapeadas de cada categoría) no son colecciones: la
+  // recuperación al arrancar y las snapshots no los tocan
+  COLLECTIONS: [
+    'users',
+    'services',
+    'categories',
+    'chatResponses',
+    'unlockedServices',
+    'transactions',
+    'schemaVersions',
+    'listings',
+    'listingImports',
+    'keywordProposals',
+    'searchQueries',
+    'synonyms'
+  ],
+
+  // Diario de cambios de jsonStore, un archivo NDJSON por colección
+  // (desactivar con STORAGE_JOURNAL=false)
+  JOURNAL_ENABLED: process.env.STORAGE_JOURNAL !== 'false',
+  JOURNAL_DIR: path.join(DATA_DIR, 'journal'),
+
+  // Copias completas de las colecciones para restaurar estados anteriores
+  SNAPSHOTS_DIR: path.join(DATA_DIR, 'snapshots'),
+
+  // Caché en memoria de las colecciones JSON (desactivar con STORAGE_CACHE=false)
+  CACHE_ENABLED: process.env.STORAGE_CACHE !== 'false',
+
+  // Índices secundarios por colección (el índice único sobre id es implícito)
+  // Los índices únicos solo se aplican a documentos con todos los campos definidos
+  INDEXES: {
+    users: [
+      { fields: ['walletAddress'], unique: true }
+    ],
+    categories: [
+      { fields: ['slug'], unique: true }
+    ],
+    services: [
+      { fields: ['category'] },
+      { fields: ['provider'] }
+    ],
+    unlockedServices: [
+      { fields: ['userId', 'serviceId'], unique: true }
+    ],
+    transactions: [
+      { fields: ['userId'] }
+    ],
+    schemaVersions: [
+      { fields: ['collection'], unique: true }
+    ],
+    listings: [
+      { fields: ['sourceUrl'], unique: true },
+      { fields: ['categoryId'] },
+      { fields: ['status'] }
+    ],
+    searchQueries: [
+      { fields: ['query'], unique: true }
+    ]
+  },
+
+  // Ejecutar migraciones pendientes al arrancar el servidor
+  MIGRATE_ON_BOOT: process.env.MIGRATE_ON_BOOT === 'true',
+
+  // Conexión a MongoDB (solo para el driver 'mongo')
+  MONGODB_URI: process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/marketplace',
+  MONGODB_DB_NAME: process.env.MONGODB_DB_NAME || undefined
+};
@@ -0,0 +1,84 @@
+/**
+ * synonymConfig.js
+ * Grupos de sinónimos con los que se inicializa la colección synonyms
+ *
+ * Cada grupo reúne términos equivalentes al buscar: traducciones entre
+ * español e inglés y equivalencias del dominio ("app" ≈ "aplicación"). Un
+ * término puede estar en varios grupos. Después se editan desde
+ * /api/admin/synonyms.
+ */
+
+module.exports = {
+  DEFAULT_SYNONYM_GROUPS: [
+    // Desarrollo
+    ['desarrollo web', 'web development', 'página web', 'sitio web', 'website'],
+    ['desarrollador web', 'web developer', 'programador web'],
+    ['tienda online', 'tienda en línea', 'ecommerce', 'comercio electrónico', 'online store'],
+    ['app', 'aplicación', 'application'],
+    ['app móvil', 'aplicación móvil', 'mobile app', 'mobile application'],
+    ['aplicación de escritorio', 'desktop app', 'desktop application'],
+    ['base de datos', 'database', 'bbdd'],
+    ['videojuego', 'video game', 'juego', 'game'],
+    ['web scraping', 'scraping', 'extracción de datos', 'data extraction'],
+    ['inteligencia artificial', 'artificial intelligence', 'ia', 'ai'],
+    ['aprendizaje automático', 'machine learning'],
+    ['arquitectura de software', 'software architecture'],
+    // Diseño
+    ['diseño gráfico', 'graphic design'],
+    ['diseñador gráfico', 'graphic designer'],
+    ['logo', 'logotipo', 'isotipo'],
+    ['diseño de logo', 'diseño de logotipo', 'logo design'],
+    ['diseño web', 'web design', 'website design'],
+    ['ilustración', 'illustration'],
+    ['ilustrador', 'illustrator'],
+    ['interfaz de usuario', 'user interface', 'ui'],
+    ['experiencia de usuario', 'user experience', 'ux'],
+    ['edición de fotos', 'retoque fotográfico', 'photo editing'],
+    ['diseño de producto', 'product design'],
+    // Redacción y traducción
+    ['redacción', 'writing'],
+    ['redactor', 'writer'],
+    ['redacción de contenidos', 'content writing', 'creación de contenido'],
+    ['redacción publicitaria', 'copywriting'],
+    ['escritor fantasma', 'ghostwriting', 'ghostwriter'],
+    ['traducción', 'translation'],
+    ['traductor', 'translator'],
+    ['inglés', 'english'],
+    ['español', 'spanish'],
+    ['francés', 'french'],
+    // Marketing y ventas
+    ['marketing digital', 'digital marketing', 'internet marketing', 'mercadeo digital'],
+    ['redes sociales', 'social media'],
+    ['posicionamiento web', 'posicionamiento en buscadores', 'seo'],
+    ['ventas', 'sales'],
+    // Administración y negocio
+    ['asistente virtual', 'virtual assistant'],
+    ['entrada de datos', 'captura de datos', 'digitación', 'data entry'],
+    ['atención al cliente', 'soporte al cliente', 'customer support', 'customer service'],
+    ['hoja de cálculo', 'spreadsheet', 'excel'],
+    ['contabilidad', 'accounting'],
+    ['contador', 'accountant'],
+    ['finanzas', 'finance'],
+    ['análisis de negocio', 'business analysis'],
+    ['gestión de proyectos', 'project management'],
+    ['recursos humanos', 'human resources', 'rrhh'],
+    ['abogado', 'lawyer'],
+    ['legal', 'jurídico'],
+    // Ingeniería
+    ['ingeniería', 'engineering'],
+    ['ingeniero', 'engineer'],
+    ['ingeniería eléctrica', 'electrical engineering'],
+    ['ingeniería mecánica', 'mechanical engineering'],
+    ['electrónica', 'electronics'],
+    // Otros servicios
+    ['clases particulares', 'tutoría', 'tutoring'],
+    ['profesor', 'tutor', 'teacher'],
+    ['psicología', 'psychology'],
+    ['psicólogo', 'psychologist'],
+    ['nutrición', 'nutrition'],
+    ['dieta', 'diet'],
+    ['salud', 'health'],
+    ['mano de obra', 'general labor'],
+    ['manitas', 'handyman']
+  ]
+};
@@ -0,0 +1,212 @@
+/**
+ * adminController.js
+ * Controlador para las operaciones de administración
+ */
+
+const asyncHandler = require('../utils/asyncHandler');
+const dataQuality = require('../services/dataQuality');
+const keywordProposals = require('../services/keywordProposals');
+const collectionTransfer = require('../services/collectionTransfer');
+const synonymService = require('../services/synonymService');
+const { FORMATS } = require('../utils/tabularFormat');
+const { success, error, created, noContent } = require('../utils/responseFormatter');
+
+/**
+ * Obtiene el informe de calidad de los archivos scrapeados de data/
+ * Con ?format=text devuelve el informe legible en texto plano
+ */
+exports.getDataQualityReport = asyncHandler(async (req, res) => {
+  const { format, verbose } = req.query;
+  const report = await dataQuality.scanDataDirectory();
+
+  if (format === 'text') {
+    return res
+      .type('text/plain')
+      .send(dataQuality.formatReport(report, { verbose: verbose === 'true' }));
+  }
+
+  return success(res, report);
+});
+
+/**
+ * Obtiene las propuestas de palabras clave de categorías
+ * Filtros: status (pending por defecto; all para todas) y category (slug)
+ */
+exports.getKeywordProposals = asyncHandler(async (req, res) => {
+  const { status = keywordProposals.PROPOSAL_STATUS.PENDING, category } = req.query;
+
+  if (status !== 'all' && !Object.values(keywordProposals.PROPOSAL_STATUS).includes(status)) {
+    return error(res, `Estado no válido: ${status}`, 400);
+  }
+
+  const proposals = await keywordProposals.listProposals({
+    status: status === 'all' ? undefined : status,
+    category
+  });
+  return success(res, proposals);
+});
+
+/**
+ * Genera nuevas propuestas de palabras clave a partir de las ofertas
+ * Body opcional: { categories: [slug], limit, minCount, minDocuments, dryRun }
+ */
+exports.createKeywordProposals = asyncHandler(async (req, res) => {
+  const { categories, limit, minCount, minDocuments, dryRun } = req.body || {};
+
+  if (categories !== undefined && !Array.isArray(categories)) {
+    return error(res, 'categories debe ser una lista de slugs', 400);
+  }
+
+  const result = await keywordProposals.proposeKeywords({
+    categories,
+    limit: limit ? parseInt(limit, 10) : undefined,
+    minCount: minCount ? parseInt(minCount, 10) : undefined,
+    minDocuments: minDocuments ? parseInt(minDocuments, 10) : undefined,
+    dryRun: dryRun === true
+  });
+
+  return dryRun === true ? success(res, result) : created(res, result, 'keywordProposals');
+});
+
+/**
+ * Aprueba una propuesta y añade sus palabras clave a la categoría
+ * Body opcional: { keywords: [palabra] } para aceptar solo algunas
+ */
+exports.approveKeywordProposal = asyncHandler(async (req, res) => {
+  const { keywords } = req.body || {};
+
+  if (keywords !== undefined && !Array.isArray(keywords)) {
+    return error(res, 'keywords debe ser una lista de palabras', 400);
+  }
+
+  const result = await keywordProposals.approveProposal(req.params.id, {
+    keywords,
+    reviewer: `user:${req.user.id}`
+  });
+  if (!result) {
+    return error(res, 'Propuesta no encontrada', 404);
+  }
+
+  return success(res, result);
+});
+
+/**
+ * Rechaza una propuesta de palabras clave
+ */
+exports.rejectKeywordProposal = asyncHandler(async (req, res) => {
+  const proposal = await keywordProposals.rejectProposal(req.params.id, {
+    reviewer: `user:${req.user.id}`
+  });
+  if (!proposal) {
+    return error(res, 'Propuesta no encontrada', 404);
+  }
+
+  return success(res, proposal);
+});
+
+/**
+ * Exporta una colección como archivo descargable
+ * Query: format (csv por defecto o ndjson) y fields (campos separados por comas)
+ */
+exports.exportCollection = asyncHandler(async (req, res) => {
+  const { collection } = req.params;
+  const { format = FORMATS.CSV, fields } = req.query;
+
+  const { content, contentType } = await collectionTransfer.exportCollection(collection, {
+    format,
+    fields: fields ? String(fields).split(',').map(field => field.trim()).filter(Boolean) : undefined
+  });
+
+  // attachment() fija el tipo por la extensión: el tipo propio va después
+  return res
+    .attachment(`${collection}.${format}`)
+    .type(contentType)
+    .send(content);
+});
+
+/**
+ * Importa en una colección el CSV o NDJSON recibido en el cuerpo
+ * El formato se toma de ?format o del Content-Type. Con dryRun=true solo se
+ * valida; con skipInvalid=true se escriben las filas válidas aunque haya
+ * filas con errores. La respuesta incluye el informe fila a fila
+ */
+exports.importCollection = asyncHandler(async (req, res) => {
+  const { collection } = req.params;
+  const { dryRun, skipInvalid } = req.query;
+
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return error(res, 'Envía el contenido como text/csv o application/x-ndjson', 400);
+  }
+
+  const format = req.query.format || (req.is('application/x-ndjson') ? FORMATS.NDJSON : FORMATS.CSV);
+  const report = await collectionTransfer.importCollection(collection, req.body, {
+    format,
+    dryRun: dryRun === 'true',
+    skipInvalid: skipInvalid === 'true'
+  });
+
+  if (!report.dryRun && !report.applied && report.totals.invalid > 0) {
+    return error(res, {
+      message: 'Hay filas con errores: no se ha importado nada',
+      report
+    }, 422);
+  }
+
+  return success(res, report);
+});
+
+/**
+ * Lista los grupos de sinónimos
+ * Query: term (solo los grupos que lo contienen)
+ */
+exports.getSynonymGroups = asyncHandler(async (req, res) => {
+  const groups = await synonymService.listGroups({ term: req.query.term });
+  return success(res, groups);
+});
+
+/**
+ * Crea un grupo de sinónimos
+ * Body: { terms, description, active }
+ */
+exports.createSynonymGroup = asyncHandler(async (req, res) => {
+  const group = await synonymService.createGroup(req.body || {});
+  return created(res, group, 'Synonym group');
+});
+
+/**
+ * Modifica un grupo de sinónimos
+ * Body: campos a cambiar (terms, description, active)
+ */
+exports.updateSynonymGroup = asyncHandler(async (req, res) => {
+  const group = await synonymService.updateGroup(req.params.id, req.body || {});
+  if (!group) {
+    return error(res, 'Grupo de sinónimos no encontrado', 404);
+  }
+
+  return success(res, group);
+});
+
+/**
+ * Elimina un grupo de sinónimos
+ */
+exports.deleteSynonymGroup = asyncHandler(async (req, res) => {
+  const deleted = await synonymService.deleteGroup(req.params.id);
+  if (!deleted) {
+    return error(res, 'Grupo de sinónimos no encontrado', 404);
+  }
+
+  return noContent(res);
+});
+
+/**
+ * Muestra los términos equivalentes que se añadirían a una búsqueda
+ * Query: q
+ */
+exports.previewSynonyms = asyncHandler(async (req, res) => {
+  const { q } = req.query;
+  if (!q) {
+    return error(res, 'Se requiere un texto (q)', 400);
+  }
+
+  return success(res, { query: q, expansions: await synonymService.expandQuery(String(q)) });
+});
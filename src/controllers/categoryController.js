@@ -4,35 +4,42 @@
  */
 
 const asyncHandler = require('../utils/asyncHandler');
-const { searchAllJson } = require('../utils/allJsonSearch');
+const storage = require('../utils/storage');
 const { success, error, paginated } = require('../utils/responseFormatter');
+const { escapeRegex } = require('../utils/queryEngine');
+const marketInsights = require('../services/marketInsights');
+const searchService = require('../services/searchService');
+const suggestService = require('../services/suggestService');
 const { PAGINATION } = require('../config/constants');
 
 /**
  * Obtiene todas las categorías activas ordenadas
  */
 exports.getAllCategories = asyncHandler(async (req, res) => {
-  const categories = await searchAllJson();
-  const activeCategories = categories
-    .filter(cat => cat.active !== false)
-    .sort((a, b) => a.order - b.order);
+  const categories = await storage.find(
+    'categories',
+    { active: { $ne: false } },
+    { sort: { order: 1 } }
+  );
 
-  return success(res, activeCategories);
+  return success(res, categories);
 });
 
 /**
- * Busca categorías por término de búsqueda
+ * Busca categorías por término de búsqueda, ordenadas por relevancia
+ * (nombre, slug y palabras clave, descripción)
  */
 exports.searchCategories = asyncHandler(async (req, res) => {
   const { query } = req.query;
   if (!query) return error(res, 'Se requiere un término de búsqueda', 400);
 
-  const categories = await searchAllJson('data', query);
-  const activeCategories = categories
-    .filter(cat => cat.active !== false)
-    .sort((a, b) => a.order - b.order);
+  const { results } = await searchService.searchDocuments('categories', String(query), {
+    criteria: { active: { $ne: false } }
+  });
+
+  if (results.length > 0) await suggestService.recordQuery(query);
 
-  return success(res, activeCategories);
+  return success(res, results);
 });
 
 /**
@@ -40,7 +47,7 @@ exports.searchCategories = asyncHandler(async (req, res) => {
  */
 exports.getCategoryById = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const category = await jsonStore.findById('categories', id);
+  const category = await storage.findById('categories', id);
 
   if (!category) return error(res, 'Categoría no encontrada', 404);
   if (category.active === false) return error(res, 'Categoría no disponible', 403);
@@ -53,11 +60,9 @@ exports.getCategoryById = asyncHandler(async (req, res) => {
  */
 exports.getCategoryBySlug = asyncHandler(async (req, res) => {
   const { slug } = req.params;
-  const categories = await jsonStore.find('categories');
-
-  const category = categories.find(cat =>
-    cat.slug.toLowerCase() === slug.toLowerCase()
-  );
+  const category = await storage.findOne('categories', {
+    slug: { $regex: `^${escapeRegex(slug)}$`, $options: 'i' }
+  });
 
   if (!category) return error(res, 'Categoría no encontrada', 404);
   if (category.active === false) return error(res, 'Categoría no disponible', 403);
@@ -76,33 +81,27 @@ exports.getCategoryServices = asyncHandler(async (req, res) => {
     sort = '-createdAt'
   } = req.query;
 
-  const category = await jsonStore.findById('categories', id);
+  const category = await storage.findById('categories', id);
   if (!category) return error(res, 'Categoría no encontrada', 404);
   if (category.active === false) return error(res, 'Categoría no disponible', 403);
 
-  const services = await jsonStore.find('services');
-  const categoryServices = services.filter(
-    service => service.category === id && service.active !== false
-  );
-
-  // Ordenar servicios
-  const sortField = sort.startsWith('-') ? sort.substring(1) : sort;
-  const sortOrder = sort.startsWith('-') ? -1 : 1;
-  categoryServices.sort((a, b) => {
-    if (a[sortField] < b[sortField]) return -1 * sortOrder;
-    if (a[sortField] > b[sortField]) return 1 * sortOrder;
-    return 0;
-  });
+  const criteria = { category: id, active: { $ne: false } };
 
   // Paginación
   const parsedPage = parseInt(page);
   const parsedLimit = parseInt(limit);
-  const startIndex = (parsedPage - 1) * parsedLimit;
-  const endIndex = startIndex + parsedLimit;
-  const paginatedServices = categoryServices.slice(startIndex, endIndex);
+
+  const total = await storage.countDocuments('services', criteria);
+  const paginatedServices = await storage.find('services', criteria, {
+    sort,
+    skip: (parsedPage - 1) * parsedLimit,
+    limit: parsedLimit
+  });
 
   // Cargar usuarios una vez y crear mapa para acceso rápido
-  const users = await jsonStore.find('users');
+  const users = await storage.find('users', {
+    id: { $in: paginatedServices.map(service => service.provider) }
+  });
   const userMap = Object.fromEntries(users.map(user => [user.id, user]));
 
   // Adjuntar información del proveedor
@@ -121,10 +120,13 @@ exports.getCategoryServices = asyncHandler(async (req, res) => {
 
   // Verificar servicios desbloqueados si el usuario está autenticado
   if (req.user) {
-    const unlockedServices = await jsonStore.find('unlockedServices');
+    const unlockedServices = await storage.find('unlockedServices', {
+      userId: req.user.id,
+      serviceId: { $in: servicesWithProviders.map(service => service.id) }
+    });
     for (const service of servicesWithProviders) {
       service.isUnlocked = unlockedServices.some(
-        unlocked => unlocked.serviceId === service.id && unlocked.userId === req.user.id
+        unlocked => unlocked.serviceId === service.id
       );
     }
   }
@@ -134,7 +136,7 @@ exports.getCategoryServices = asyncHandler(async (req, res) => {
     servicesWithProviders,
     parsedPage,
     parsedLimit,
-    categoryServices.length,
+    total,
     { category: category.name }
   );
 });
@@ -143,10 +145,43 @@ exports.getCategoryServices = asyncHandler(async (req, res) => {
  * Obtiene las categorías populares activas
  */
 exports.getPopularCategories = asyncHandler(async (req, res) => {
-  const categories = await jsonStore.find('categories');
-  const popularCategories = categories
-    .filter(cat => cat.active !== false && cat.popular === true)
-    .sort((a, b) => a.order - b.order);
+  const popularCategories = await storage.find(
+    'categories',
+    { active: { $ne: false }, popular: true },
+    { sort: { order: 1 } }
+  );
 
   return success(res, popularCategories);
 });
+
+/**
+ * Obtiene las estadísticas de presupuestos de todas las categorías
+ */
+exports.getAllCategoriesInsights = asyncHandler(async (req, res) => {
+  const { currency } = req.query;
+  const insights = await marketInsights.getAllInsights({
+    currency: currency ? String(currency).toUpperCase() : undefined
+  });
+
+  return success(res, insights);
+});
+
+/**
+ * Obtiene las estadísticas de presupuestos de una categoría por su slug
+ */
+exports.getCategoryInsights = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const { currency } = req.query;
+  const category = await storage.findOne('categories', {
+    slug: { $regex: `^${escapeRegex(slug)}$`, $options: 'i' }
+  });
+
+  if (!category) return error(res, 'Categoría no encontrada', 404);
+  if (category.active === false) return error(res, 'Categoría no disponible', 403);
+
+  const insights = await marketInsights.getCategoryInsights(category, {
+    currency: currency ? String(currency).toUpperCase() : undefined
+  });
+
+  return success(res, insights);
+});
@@ -4,7 +4,7 @@
  */
 
 const asyncHandler = require('../utils/asyncHandler');
-const jsonStore = require('../utils/jsonStore');
+const storage = require('../utils/storage');
 const { success, error } = require('../utils/responseFormatter');
 const aiChatConfig = require('../config/aiChatConfig');
 const textMatcher = require('../utils/textMatcher');
@@ -25,9 +25,9 @@ exports.sendMessage = asyncHandler(async (req, res) => {
   const normalizedMessage = normalizeText(message);
   
   // Cargar datos necesarios
-  const categories = await jsonStore.find('categories');
-  const services = await jsonStore.find('services');
-  const chatResponses = await jsonStore.find('chatResponses') || [];
+  const categories = await storage.find('categories');
+  const services = await storage.find('services');
+  const chatResponses = await storage.find('chatResponses') || [];
   
   // 1. Verificar si es un saludo
   if (isGreeting(normalizedMessage)) {
@@ -80,8 +80,7 @@ exports.sendMessage = asyncHandler(async (req, res) => {
     
     for (const service of limitedServices) {
       const category = categories.find(cat => cat.id === service.category);
-      const users = await jsonStore.find('users');
-      const provider = users.find(user => user.id === service.provider);
+      const provider = await storage.findById('users', service.provider);
       
       servicesWithDetails.push({
         id: service.id,
@@ -140,7 +139,7 @@ exports.sendMessage = asyncHandler(async (req, res) => {
  */
 exports.getChatSuggestions = asyncHandler(async (req, res) => {
   // Obtener categorías populares
-  const categories = await jsonStore.find('categories');
+  const categories = await storage.find('categories');
   const popularCategories = categories
     .filter(cat => cat.popular === true)
     .map(cat => `Busco servicios de ${cat.name}`);
@@ -0,0 +1,39 @@
+/**
+ * classifyController.js
+ * Controlador para sugerir categorías a partir de un texto
+ */
+
+const asyncHandler = require('../utils/asyncHandler');
+const categoryClassifier = require('../services/categoryClassifier');
+const { success, error } = require('../utils/responseFormatter');
+const { CLASSIFIER } = require('../config/constants');
+
+/**
+ * Clasifica un texto en las categorías del marketplace
+ * Body: { text, limit }
+ * Devuelve las categorías de mayor a menor confianza (probabilidad entre 0 y 1)
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ */
+exports.classify = asyncHandler(async (req, res) => {
+  const { text, limit = CLASSIFIER.DEFAULT_LIMIT } = req.body || {};
+
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return error(res, 'Se requiere un texto a clasificar', 400);
+  }
+
+  const parsedLimit = parseInt(limit, 10);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+    return error(res, 'El límite debe ser un número entero positivo', 400);
+  }
+
+  const categories = await categoryClassifier.classifyText(text, {
+    limit: Math.min(parsedLimit, CLASSIFIER.MAX_LIMIT)
+  });
+
+  return success(res, {
+    text,
+    categories,
+    minConfidence: CLASSIFIER.MIN_CONFIDENCE
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * projectController.js
+ * Controlador para las ofertas de proyectos importadas de freelancer.ec
+ */
+
+const asyncHandler = require('../utils/asyncHandler');
+const storage = require('../utils/storage');
+const { success, error, paginated } = require('../utils/responseFormatter');
+const { getActiveCriteria } = require('../services/listingExpiry');
+const { PAGINATION, PRICE_TYPES, LISTING_STATUS } = require('../config/constants');
+
+/**
+ * Obtiene las ofertas de proyectos con filtros y paginación
+ * Filtros: category (slugs separados por comas), minBudget, maxBudget,
+ * type (fixed|hourly), deadlineFrom, deadlineTo, status
+ * Las ofertas vencidas o cerradas se excluyen salvo con includeExpired=true
+ * o si se piden con status=expired o status=closed
+ */
+exports.getProjects = asyncHandler(async (req, res) => {
+  const {
+    category,
+    minBudget,
+    maxBudget,
+    type,
+    deadlineFrom,
+    deadlineTo,
+    status,
+    includeExpired,
+    page = 1,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    sort = 'deadline'
+  } = req.query;
+
+  const criteria = includeExpired === 'true' || [LISTING_STATUS.EXPIRED, LISTING_STATUS.CLOSED].includes(status)
+    ? {}
+    : getActiveCriteria();
+
+  // Filtro por categoría
+  let categories = [];
+  if (category) {
+    const slugs = String(category).split(',').map(slug => slug.trim()).filter(Boolean);
+    categories = await storage.find('categories', { slug: { $in: slugs } });
+    const missing = slugs.filter(slug => !categories.some(cat => cat.slug === slug));
+    if (missing.length > 0) {
+      return error(res, `Categoría no encontrada: ${missing.join(', ')}`, 404);
+    }
+    criteria.categoryIds = { $in: categories.map(cat => cat.id) };
+  }
+
+  // Filtro por rango de presupuesto
+  const budgetRange = {};
+  for (const [operator, value, name] of [['$gte', minBudget, 'minBudget'], ['$lte', maxBudget, 'maxBudget']]) {
+    if (value === undefined || value === '') continue;
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return error(res, `${name} debe ser un número positivo`, 400);
+    }
+    budgetRange[operator] = amount;
+  }
+  if (Object.keys(budgetRange).length > 0) {
+    criteria['budget.amount'] = budgetRange;
+  }
+
+  // Filtro por tipo de presupuesto
+  if (type) {
+    if (!Object.values(PRICE_TYPES).includes(type)) {
+      return error(res, `type debe ser uno de: ${Object.values(PRICE_TYPES).join(', ')}`, 400);
+    }
+    criteria['budget.type'] = type;
+  }
+
+  // Filtro por ventana de fecha límite
+  const deadlineRange = {};
+  for (const [operator, value, name] of [['$gte', deadlineFrom, 'deadlineFrom'], ['$lte', deadlineTo, 'deadlineTo']]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return error(res, `${name} no es una fecha válida`, 400);
+    }
+    deadlineRange[operator] = date.toISOString();
+  }
+  if (Object.keys(deadlineRange).length > 0) {
+    criteria.deadline = deadlineRange;
+  }
+
+  // Filtro por estado
+  if (status) {
+    if (!Object.values(LISTING_STATUS).includes(status)) {
+      return error(res, `status debe ser uno de: ${Object.values(LISTING_STATUS).join(', ')}`, 400);
+    }
+    criteria.status = status;
+  }
+
+  // Paginación
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+  const parsedLimit = Math.min(Math.max(parseInt(limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+
+  const total = await storage.countDocuments('listings', criteria);
+  const projects = await storage.find('listings', criteria, {
+    sort,
+    skip: (parsedPage - 1) * parsedLimit,
+    limit: parsedLimit
+  });
+
+  // Adjuntar la categoría principal, que puede no ser la del filtro
+  // (la oferta coincide por cualquiera de sus categorías)
+  const meta = category ? { categories: categories.map(cat => cat.name) } : {};
+  const primaryCategories = await storage.find('categories', {
+    id: { $in: Array.from(new Set(projects.map(project => project.categoryId))) }
+  });
+  const categoryMap = Object.fromEntries(primaryCategories.map(cat => [cat.id, cat]));
+
+  return paginated(
+    res,
+    projects.map(project => withCategory(project, categoryMap[project.categoryId])),
+    parsedPage,
+    parsedLimit,
+    total,
+    meta
+  );
+});
+
+/**
+ * Obtiene una oferta de proyecto por su ID
+ */
+exports.getProjectById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const project = await storage.findById('listings', id);
+
+  if (!project) return error(res, 'Proyecto no encontrado', 404);
+
+  const category = await storage.findById('categories', project.categoryId);
+  return success(res, withCategory(project, category));
+});
+
+/**
+ * Añade a la oferta los datos básicos de su categoría
+ */
+function withCategory(project, category) {
+  return {
+    ...project,
+    category: category ? { id: category.id, name: category.name, slug: category.slug } : null
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * searchController.js
+ * Controlador para la búsqueda unificada y el autocompletado de búsquedas
+ */
+
+const asyncHandler = require('../utils/asyncHandler');
+const suggestService = require('../services/suggestService');
+const unifiedSearch = require('../services/unifiedSearch');
+const { success, error } = require('../utils/responseFormatter');
+const { SEARCH, PAGINATION } = require('../config/constants');
+
+/**
+ * Busca a la vez categorías, servicios, proyectos y proveedores
+ * Query: q, types (separados por comas; todos por defecto), limit (por
+ * grupo), categoryPage, servicePage, projectPage, providerPage
+ * Cada tipo devuelve un grupo paginado por separado, con resultados de la
+ * misma forma: { type, id, title, description, score, highlights, meta }
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ */
+exports.search = asyncHandler(async (req, res) => {
+  const { q, types, limit = SEARCH.GROUP_DEFAULT_LIMIT } = req.query;
+
+  if (!q || !String(q).trim()) {
+    return error(res, 'Se requiere un término de búsqueda', 400);
+  }
+
+  const selected = types
+    ? Array.from(new Set(String(types).split(',').map(type => type.trim()).filter(Boolean)))
+    : unifiedSearch.TYPES;
+  const invalid = selected.filter(type => !unifiedSearch.TYPES.includes(type));
+  if (selected.length === 0 || invalid.length > 0) {
+    return error(res, `types debe contener valores de: ${unifiedSearch.TYPES.join(', ')}`, 400);
+  }
+
+  const pages = Object.fromEntries(selected.map(type => [
+    type,
+    Math.max(parseInt(req.query[`${type}Page`]) || 1, 1)
+  ]));
+  const parsedLimit = Math.min(Math.max(parseInt(limit) || SEARCH.GROUP_DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+
+  const groups = await unifiedSearch.search(String(q), { types: selected, pages, limit: parsedLimit });
+
+  if (Object.values(groups).some(group => group.total > 0)) await suggestService.recordQuery(q);
+
+  return success(res, { query: q, groups });
+});
+
+/**
+ * Sugiere búsquedas que completan lo escrito
+ * Query: prefix, limit
+ * Las sugerencias salen de categorías, títulos de servicios y búsquedas
+ * frecuentes, de mayor a menor frecuencia
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ */
+exports.suggest = asyncHandler(async (req, res) => {
+  const { prefix, limit = SEARCH.SUGGEST_DEFAULT_LIMIT } = req.query;
+
+  if (!prefix || !String(prefix).trim()) {
+    return error(res, 'Se requiere un prefijo', 400);
+  }
+
+  const parsedLimit = parseInt(limit, 10);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+    return error(res, 'El límite debe ser un número entero positivo', 400);
+  }
+
+  const suggestions = await suggestService.suggest(String(prefix), {
+    limit: Math.min(parsedLimit, SEARCH.SUGGEST_MAX_LIMIT)
+  });
+
+  return success(res, { prefix, suggestions });
+});
@@ -4,11 +4,29 @@
  */
 
 const asyncHandler = require('../utils/asyncHandler');
-const jsonStore = require('../utils/jsonStore');
-const Service = require('../models/Service');
-const { success, error, paginated } = require('../utils/responseFormatter');
+const storage = require('../utils/storage');
+const categoryClassifier = require('../services/categoryClassifier');
+const serviceFacets = require('../services/serviceFacets');
+const suggestService = require('../services/suggestService');
+const { success, error, paginated, created } = require('../utils/responseFormatter');
+const { ValidationError } = require('../utils/errors');
 const { PAGINATION, SERVICE_UNLOCK_COST } = require('../config/constants');
 
+// Campos del servicio que puede fijar su proveedor al crearlo
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'price',
+  'priceType',
+  'token',
+  'images',
+  'contactInfo',
+  'tags',
+  'keywords',
+  'requirements',
+  'deliveryTime'
+];
+
 /**
  * Obtiene un servicio por su ID
  * @param {Object} req - Objeto de solicitud Express
@@ -18,7 +36,7 @@ exports.getServiceById = asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   // Buscar servicio por ID
-  const service = await jsonStore.findById('services', id);
+  const service = await storage.findById('services', id);
   
   if (!service) {
     return error(res, 'Servicio no encontrado', 404);
@@ -29,21 +47,26 @@ exports.getServiceById = asyncHandler(async (req, res) => {
     return error(res, 'Servicio no disponible', 403);
   }
   
+  // Contar la visita con un incremento atómico; los contadores no pasan por el
+  // modelo y un fallo al contar no impide mostrar el servicio
+  await storage.updateOne('services', { id }, { $inc: { views: 1 } }, { validate: false })
+    .catch(err => console.error('Error contando visita del servicio:', err));
+  
   // Cargar información de categoría
-  const category = await jsonStore.findById('categories', service.category);
+  const category = await storage.findById('categories', service.category);
   
   // Cargar información de proveedor
-  const users = await jsonStore.find('users');
-  const provider = users.find(user => user.id === service.provider);
+  const provider = await storage.findById('users', service.provider);
   
   // Verificar si el servicio está desbloqueado para el usuario
   let isUnlocked = false;
   
   if (req.user) {
-    const unlockedServices = await jsonStore.find('unlockedServices');
-    isUnlocked = unlockedServices.some(
-      unlocked => unlocked.serviceId === id && unlocked.userId === req.user.id
-    );
+    const unlocked = await storage.findOne('unlockedServices', {
+      serviceId: id,
+      userId: req.user.id
+    });
+    isUnlocked = !!unlocked;
   }
   
   // Poblar información adicional
@@ -71,61 +94,48 @@ exports.getServiceById = asyncHandler(async (req, res) => {
 });
 
 /**
- * Busca servicios por texto
+ * Busca servicios por texto (ordenados por relevancia) y filtros
+ * Filtros: category, priceType y token (varios valores separados por comas),
+ * minPrice, maxPrice, minRating, maxDeliveryTime (días) y verificationLevel
+ * (nivel mínimo del proveedor). meta.facets trae los recuentos de cada filtro
  * @param {Object} req - Objeto de solicitud Express
  * @param {Object} res - Objeto de respuesta Express
  */
 exports.searchServices = asyncHandler(async (req, res) => {
   const { 
     q, 
-    category,
     page = 1, 
     limit = PAGINATION.DEFAULT_LIMIT 
   } = req.query;
   
-  if (!q && !category) {
-    return error(res, 'Se requiere un término de búsqueda o categoría', 400);
-  }
-  
-  // Cargar servicios desde almacenamiento
-  const services = await jsonStore.find('services');
-  
-  // Filtrar servicios activos
-  let filteredServices = services.filter(service => service.active !== false);
+  const filters = serviceFacets.parseFilters(req.query);
   
-  // Aplicar filtro por categoría si se especifica
-  if (category) {
-    filteredServices = filteredServices.filter(
-      service => service.category === category
-    );
-  }
-  
-  // Aplicar filtro por texto si se especifica
-  if (q) {
-    const searchText = q.toLowerCase();
-    filteredServices = filteredServices.filter(service => {
-      // Buscar en título, descripción y palabras clave
-      return (
-        service.title.toLowerCase().includes(searchText) || 
-        service.description.toLowerCase().includes(searchText) ||
-        (service.keywords && service.keywords.some(
-          keyword => keyword.toLowerCase().includes(searchText)
-        ))
-      );
-    });
+  if (!q && Object.keys(filters).length === 0) {
+    return error(res, 'Se requiere un término de búsqueda o algún filtro', 400);
   }
   
   // Aplicar paginación
-  const parsedPage = parseInt(page);
-  const parsedLimit = parseInt(limit);
-  const startIndex = (parsedPage - 1) * parsedLimit;
-  const endIndex = startIndex + parsedLimit;
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+  const parsedLimit = Math.min(Math.max(parseInt(limit) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+  
+  // Con texto, los servicios se ordenan por relevancia (título, palabras
+  // clave y etiquetas, descripción); sin texto, en el orden guardado
+  const { total, results: paginatedServices, facets } = await serviceFacets.findServices({
+    query: q,
+    filters,
+    skip: (parsedPage - 1) * parsedLimit,
+    limit: parsedLimit
+  });
   
-  const paginatedServices = filteredServices.slice(startIndex, endIndex);
+  if (q && total > 0) await suggestService.recordQuery(q);
   
   // Poblar información adicional
-  const users = await jsonStore.find('users');
-  const categories = await jsonStore.find('categories');
+  const users = await storage.find('users', {
+    id: { $in: paginatedServices.map(service => service.provider) }
+  });
+  const categories = await storage.find('categories', {
+    id: { $in: paginatedServices.map(service => service.category) }
+  });
   
   const servicesWithDetails = paginatedServices.map(service => {
     const serviceCategory = categories.find(cat => cat.id === service.category);
@@ -149,11 +159,14 @@ exports.searchServices = asyncHandler(async (req, res) => {
   
   // Verificar servicios desbloqueados si el usuario está autenticado
   if (req.user) {
-    const unlockedServices = await jsonStore.find('unlockedServices');
+    const unlockedServices = await storage.find('unlockedServices', {
+      userId: req.user.id,
+      serviceId: { $in: servicesWithDetails.map(service => service.id) }
+    });
     
     for (const service of servicesWithDetails) {
       service.isUnlocked = unlockedServices.some(
-        unlocked => unlocked.serviceId === service.id && unlocked.userId === req.user.id
+        unlocked => unlocked.serviceId === service.id
       );
     }
   }
@@ -163,8 +176,8 @@ exports.searchServices = asyncHandler(async (req, res) => {
     servicesWithDetails, 
     parsedPage, 
     parsedLimit, 
-    filteredServices.length,
-    { searchTerm: q, categoryId: category }
+    total,
+    { searchTerm: q, filters, facets }
   );
 });
 
@@ -182,17 +195,17 @@ exports.checkServiceUnlocked = asyncHandler(async (req, res) => {
   }
   
   // Verificar que el servicio existe
-  const service = await jsonStore.findById('services', id);
+  const service = await storage.findById('services', id);
   
   if (!service) {
     return error(res, 'Servicio no encontrado', 404);
   }
   
   // Verificar si está desbloqueado
-  const unlockedServices = await jsonStore.find('unlockedServices');
-  const unlockedService = unlockedServices.find(
-    unlocked => unlocked.serviceId === id && unlocked.userId === req.user.id
-  );
+  const unlockedService = await storage.findOne('unlockedServices', {
+    serviceId: id,
+    userId: req.user.id
+  });
   
   const isUnlocked = !!unlockedService;
   
@@ -222,13 +235,11 @@ exports.checkServiceUnlocked = asyncHandler(async (req, res) => {
 exports.getPopularServices = asyncHandler(async (req, res) => {
   const { limit = 6 } = req.query;
   
-  // Cargar servicios desde almacenamiento
-  const services = await jsonStore.find('services');
-  
-  // Filtrar servicios activos y populares
-  const popularServices = services.filter(
-    service => service.active !== false && service.popular === true
-  );
+  // Cargar servicios activos y populares
+  const popularServices = await storage.find('services', {
+    active: { $ne: false },
+    popular: true
+  });
   
   // Ordenar por vistas o popularidad (si existe el campo)
   popularServices.sort((a, b) => {
@@ -241,8 +252,12 @@ exports.getPopularServices = asyncHandler(async (req, res) => {
   const limitedServices = popularServices.slice(0, parseInt(limit));
   
   // Poblar información adicional
-  const users = await jsonStore.find('users');
-  const categories = await jsonStore.find('categories');
+  const users = await storage.find('users', {
+    id: { $in: limitedServices.map(service => service.provider) }
+  });
+  const categories = await storage.find('categories', {
+    id: { $in: limitedServices.map(service => service.category) }
+  });
   
   const servicesWithDetails = limitedServices.map(service => {
     const serviceCategory = categories.find(cat => cat.id === service.category);
@@ -266,14 +281,86 @@ exports.getPopularServices = asyncHandler(async (req, res) => {
   
   // Verificar servicios desbloqueados si el usuario está autenticado
   if (req.user) {
-    const unlockedServices = await jsonStore.find('unlockedServices');
+    const unlockedServices = await storage.find('unlockedServices', {
+      userId: req.user.id,
+      serviceId: { $in: servicesWithDetails.map(service => service.id) }
+    });
     
     for (const service of servicesWithDetails) {
       service.isUnlocked = unlockedServices.some(
-        unlocked => unlocked.serviceId === service.id && unlocked.userId === req.user.id
+        unlocked => unlocked.serviceId === service.id
       );
     }
   }
   
   return success(res, servicesWithDetails);
-});
\ No newline at end of file
+});
+
+/**
+ * Crea un servicio del usuario autenticado
+ * La categoría (ID o slug) es opcional: si no se indica se asigna la que
+ * sugiere el clasificador a partir del título y la descripción, siempre que
+ * su confianza sea suficiente. La respuesta incluye las sugerencias para que
+ * el cliente pueda proponer otra categoría.
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ */
+exports.createService = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  if (fields.price !== undefined) fields.price = parsePrice(fields.price);
+
+  const { category: suggested, suggestions } = await categoryClassifier.suggestCategory(
+    `${fields.title || ''} ${fields.description || ''}`
+  );
+
+  let category = null;
+  if (body.category) {
+    category = await storage.findOne('categories', {
+      $or: [{ id: body.category }, { slug: String(body.category).toLowerCase() }]
+    });
+    if (!category) return error(res, 'Categoría no encontrada', 404);
+    if (category.active === false) return error(res, 'Categoría no disponible', 403);
+  } else if (suggested) {
+    category = suggested;
+  } else {
+    return error(res, {
+      message: 'Indica la categoría del servicio: no se ha podido deducir del título ni de la descripción',
+      suggestions
+    }, 422);
+  }
+
+  // El modelo valida el resto de campos al insertar
+  const service = await storage.insertOne('services', {
+    ...fields,
+    category: category.id,
+    provider: req.user.id
+  });
+
+  return created(res, {
+    ...service,
+    categoryAssigned: !body.category,
+    suggestions
+  }, 'Service');
+});
+
+/**
+ * Convierte el precio recibido en número
+ * Admite números y textos numéricos; un texto vacío u otro valor no se
+ * convierte en 0 sino que se rechaza
+ * @param {*} value - Precio del cuerpo de la petición
+ * @returns {number} Precio
+ * @throws {ValidationError} Si el precio no es numérico
+ */
+function parsePrice(value) {
+  const price = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')
+    ? Number(value)
+    : NaN;
+  if (!Number.isFinite(price)) {
+    throw new ValidationError('services', [`El precio debe ser un número: ${JSON.stringify(value)}`]);
+  }
+  return price;
+}
@@ -4,7 +4,7 @@
  */
 
 const asyncHandler = require('../utils/asyncHandler');
-const jsonStore = require('../utils/jsonStore');
+const storage = require('../utils/storage');
 const { success, error } = require('../utils/responseFormatter');
 const { SERVICE_UNLOCK_COST, TRANSACTION_STATUS } = require('../config/constants');
 const { SIMULATE_PAYMENT } = require('../config/worldConfig');
@@ -23,28 +23,26 @@ exports.initiatePayment = asyncHandler(async (req, res) => {
   }
   
   // Verificar que el servicio existe
-  const service = await jsonStore.findById('services', serviceId);
+  const service = await storage.findById('services', serviceId);
   
   if (!service) {
     return error(res, 'Servicio no encontrado', 404);
   }
   
   // Verificar si ya está desbloqueado
-  const unlockedServices = await jsonStore.find('unlockedServices');
-  const alreadyUnlocked = unlockedServices.some(
-    unlocked => 
-      unlocked.serviceId === serviceId && 
-      unlocked.userId === req.user.id &&
-      new Date(unlocked.expiresAt) > new Date() // No expirado
-  );
+  const unlocked = await storage.findOne('unlockedServices', {
+    serviceId,
+    userId: req.user.id
+  });
+  const alreadyUnlocked = !!unlocked &&
+    new Date(unlocked.expiresAt) > new Date(); // No expirado
   
   if (alreadyUnlocked) {
     return error(res, 'Este servicio ya está desbloqueado', 400);
   }
   
   // Cargar información del proveedor
-  const users = await jsonStore.find('users');
-  const provider = users.find(user => user.id === service.provider);
+  const provider = await storage.findById('users', service.provider);
   
   if (!provider) {
     return error(res, 'Proveedor del servicio no encontrado', 404);
@@ -110,7 +108,7 @@ exports.confirmPayment = asyncHandler(async (req, res) => {
   }
   
   // Verificar que el servicio existe
-  const service = await jsonStore.findById('services', serviceId);
+  const service = await storage.findById('services', serviceId);
   
   if (!service) {
     return error(res, 'Servicio no encontrado', 404);
@@ -123,53 +121,29 @@ exports.confirmPayment = asyncHandler(async (req, res) => {
   const transactionStatus = TRANSACTION_STATUS.COMPLETED;
   
   if (transactionStatus === TRANSACTION_STATUS.COMPLETED) {
-    // Desbloquear el servicio para el usuario
-    const unlockedServices = await jsonStore.find('unlockedServices');
-    
-    // Verificar si ya está desbloqueado
-    const existingIndex = unlockedServices.findIndex(
-      unlocked => unlocked.serviceId === serviceId && unlocked.userId === req.user.id
-    );
-    
     // Calcular fecha de expiración (30 días desde ahora)
     const expiryDate = new Date();
     expiryDate.setDate(expiryDate.getDate() + 30);
     
-    if (existingIndex !== -1) {
-      // Actualizar registro existente
-      unlockedServices[existingIndex].transactionId = transaction_id;
-      unlockedServices[existingIndex].unlockedAt = new Date().toISOString();
-      unlockedServices[existingIndex].expiresAt = expiryDate.toISOString();
-    } else {
-      // Añadir nuevo registro de desbloqueo
-      unlockedServices.push({
-        id: jsonStore.generateId(),
+    // El desbloqueo y el registro del pago se guardan juntos o ninguno
+    await storage.transaction(async (tx) => {
+      await unlockService(tx, req.user.id, serviceId, transaction_id, expiryDate);
+      // Contador de ventas con incremento atómico (no pasa por el modelo)
+      await tx.updateOne('services', { id: serviceId }, { $inc: { sales: 1 } }, { validate: false });
+      
+      // Registrar la transacción
+      await tx.insertOne('transactions', {
+        reference,
+        transactionId: transaction_id,
         userId: req.user.id,
         serviceId,
-        transactionId: transaction_id,
-        unlockedAt: new Date().toISOString(),
-        expiresAt: expiryDate.toISOString()
+        amount: SERVICE_UNLOCK_COST,
+        token: 'WLD',
+        status: TRANSACTION_STATUS.COMPLETED,
+        timestamp: new Date().toISOString()
       });
-    }
-    
-    await jsonStore.writeData('unlockedServices', unlockedServices);
-    
-    // Registrar la transacción
-    const transactions = await jsonStore.find('transactions') || [];
-    transactions.push({
-      id: jsonStore.generateId(),
-      reference,
-      transactionId: transaction_id,
-      userId: req.user.id,
-      serviceId,
-      amount: SERVICE_UNLOCK_COST,
-      token: 'WLD',
-      status: TRANSACTION_STATUS.COMPLETED,
-      timestamp: new Date().toISOString()
     });
     
-    await jsonStore.writeData('transactions', transactions);
-    
     return success(res, {
       success: true,
       transaction: {
@@ -213,7 +187,7 @@ exports.simulatePayment = asyncHandler(async (req, res) => {
   const paymentReference = reference || `unlock_${serviceId}_${req.user.id}_${Date.now()}`;
   
   // Verificar que el servicio existe
-  const service = await jsonStore.findById('services', serviceId);
+  const service = await storage.findById('services', serviceId);
   
   if (!service) {
     return error(res, 'Servicio no encontrado', 404);
@@ -222,36 +196,11 @@ exports.simulatePayment = asyncHandler(async (req, res) => {
   // Simular un ID de transacción
   const transaction_id = `sim_${Date.now()}`;
   
-  // Desbloquear el servicio para el usuario
-  const unlockedServices = await jsonStore.find('unlockedServices');
-  
-  // Verificar si ya está desbloqueado
-  const existingIndex = unlockedServices.findIndex(
-    unlocked => unlocked.serviceId === serviceId && unlocked.userId === req.user.id
-  );
-  
   // Calcular fecha de expiración (30 días desde ahora)
   const expiryDate = new Date();
   expiryDate.setDate(expiryDate.getDate() + 30);
   
-  if (existingIndex !== -1) {
-    // Actualizar registro existente
-    unlockedServices[existingIndex].transactionId = transaction_id;
-    unlockedServices[existingIndex].unlockedAt = new Date().toISOString();
-    unlockedServices[existingIndex].expiresAt = expiryDate.toISOString();
-  } else {
-    // Añadir nuevo registro de desbloqueo
-    unlockedServices.push({
-      id: jsonStore.generateId(),
-      userId: req.user.id,
-      serviceId,
-      transactionId: transaction_id,
-      unlockedAt: new Date().toISOString(),
-      expiresAt: expiryDate.toISOString()
-    });
-  }
-  
-  await jsonStore.writeData('unlockedServices', unlockedServices);
+  await storage.transaction(tx => unlockService(tx, req.user.id, serviceId, transaction_id, expiryDate));
   
   return success(res, {
     success: true,
@@ -284,21 +233,16 @@ exports.getTransactionHistory = asyncHandler(async (req, res) => {
     return error(res, 'Se requiere autenticación', 401);
   }
   
-  // Cargar transacciones
-  const transactions = await jsonStore.find('transactions') || [];
-  
-  // Filtrar por usuario
-  const userTransactions = transactions.filter(
-    transaction => transaction.userId === req.user.id
+  // Transacciones del usuario, las más recientes primero
+  const userTransactions = await storage.find(
+    'transactions',
+    { userId: req.user.id },
+    { sort: { timestamp: -1 } }
   );
   
-  // Ordenar por timestamp (más recientes primero)
-  userTransactions.sort((a, b) => 
-    new Date(b.timestamp) - new Date(a.timestamp)
-  );
-  
-  // Añadir información de servicios
-  const services = await jsonStore.find('services');
+  // Añadir información de los servicios de esas transacciones
+  const serviceIds = Array.from(new Set(userTransactions.map(transaction => transaction.serviceId)));
+  const services = await storage.find('services', { id: { $in: serviceIds } });
   
   const transactionsWithDetails = userTransactions.map(transaction => {
     const service = services.find(s => s.id === transaction.serviceId);
@@ -313,4 +257,28 @@ exports.getTransactionHistory = asyncHandler(async (req, res) => {
   });
   
   return success(res, transactionsWithDetails);
-});
\ No newline at end of file
+});
+
+/**
+ * Desbloquea un servicio para un usuario dentro de una transacción
+ * Actualiza el registro si ya existe o lo crea si no
+ * @param {Object} tx - Transacción de storage.transaction
+ * @param {string} userId - ID del usuario
+ * @param {string} serviceId - ID del servicio
+ * @param {string} transactionId - ID de la transacción de pago
+ * @param {Date} expiryDate - Fecha de expiración del desbloqueo
+ */
+async function unlockService(tx, userId, serviceId, transactionId, expiryDate) {
+  await tx.updateOne(
+    'unlockedServices',
+    { serviceId, userId },
+    {
+      $set: {
+        transactionId,
+        unlockedAt: new Date().toISOString(),
+        expiresAt: expiryDate.toISOString()
+      }
+    },
+    { upsert: true }
+  );
+}
\ No newline at end of file
@@ -4,7 +4,7 @@
  */
 
 const asyncHandler = require('../utils/asyncHandler');
-const jsonStore = require('../utils/jsonStore');
+const storage = require('../utils/storage');
 const { success, error } = require('../utils/responseFormatter');
 const { VERIFICATION_LEVELS } = require('../config/constants');
 const { WORLD_APP_ID, SIMULATE_VERIFY } = require('../config/worldConfig');
@@ -33,13 +33,12 @@ exports.verifyProof = asyncHandler(async (req, res) => {
       if (req.user) {
         const userId = req.user.id;
         
-        // Cargar usuarios
-        const users = await jsonStore.find('users');
-        const userIndex = users.findIndex(user => user.id === userId);
+        // Cargar usuario
+        const user = await storage.findById('users', userId);
         
-        if (userIndex !== -1) {
+        if (user) {
           // Actualizar nivel de verificación si el nuevo es superior
-          const currentLevel = users[userIndex].verificationLevel;
+          const currentLevel = user.verificationLevel;
           const levelPriority = {
             [VERIFICATION_LEVELS.DEVICE]: 1,
             [VERIFICATION_LEVELS.PHONE]: 2,
@@ -47,9 +46,9 @@ exports.verifyProof = asyncHandler(async (req, res) => {
           };
           
           if (!currentLevel || levelPriority[verification_level] > levelPriority[currentLevel]) {
-            users[userIndex].verificationLevel = verification_level;
-            users[userIndex].updatedAt = new Date().toISOString();
-            await jsonStore.writeData('users', users);
+            await storage.updateOne('users', { id: userId }, {
+              verificationLevel: verification_level
+            });
           }
         }
       }
@@ -99,13 +98,12 @@ exports.verifyProof = asyncHandler(async (req, res) => {
     if (req.user) {
       const userId = req.user.id;
       
-      // Cargar usuarios
-      const users = await jsonStore.find('users');
-      const userIndex = users.findIndex(user => user.id === userId);
+      // Cargar usuario
+      const user = await storage.findById('users', userId);
       
-      if (userIndex !== -1) {
+      if (user) {
         // Actualizar nivel de verificación si el nuevo es superior
-        const currentLevel = users[userIndex].verificationLevel;
+        const currentLevel = user.verificationLevel;
         const levelPriority = {
           [VERIFICATION_LEVELS.DEVICE]: 1,
           [VERIFICATION_LEVELS.PHONE]: 2,
@@ -113,9 +111,9 @@ exports.verifyProof = asyncHandler(async (req, res) => {
         };
         
         if (!currentLevel || levelPriority[verification_level] > levelPriority[currentLevel]) {
-          users[userIndex].verificationLevel = verification_level;
-          users[userIndex].updatedAt = new Date().toISOString();
-          await jsonStore.writeData('users', users);
+          await storage.updateOne('users', { id: userId }, {
+            verificationLevel: verification_level
+          });
         }
       }
     }
@@ -4,8 +4,9 @@
  */
 
 const asyncHandler = require('../utils/asyncHandler');
-const jsonStore = require('../utils/jsonStore');
+const storage = require('../utils/storage');
 const { success, error } = require('../utils/responseFormatter');
+const User = require('../models/User');
 const tokenConfig = require('../config/tokenConfig');
 const { VERIFICATION_LEVELS } = require('../config/constants');
 
@@ -31,25 +32,18 @@ exports.requestWalletAuthorization = asyncHandler(async (req, res) => {
   });
   
   // Obtener o crear usuario basado en la dirección de wallet
-  const users = await jsonStore.find('users');
-  let user = users.find(u => 
-    u.walletAddress.toLowerCase() === walletAddress.toLowerCase()
-  );
+  let user = await storage.findOne('users', {
+    walletAddress: walletAddress.toLowerCase()
+  });
   
   if (!user) {
     // Crear nuevo usuario
-    user = {
-      id: jsonStore.generateId(),
+    user = await storage.insertOne('users', new User({
       walletAddress: walletAddress.toLowerCase(),
       name: `Usuario-${walletAddress.substring(0, 6)}`,
       verificationLevel: VERIFICATION_LEVELS.DEVICE,
-      walletAuthorized: false,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    users.push(user);
-    await jsonStore.writeData('users', users);
+      walletAuthorized: false
+    }).toJSON());
   }
   
   // Generar ID de solicitud
@@ -90,26 +84,21 @@ exports.completeWalletAuthorization = asyncHandler(async (req, res) => {
   // Limpiar cookie de nonce
   res.clearCookie(tokenConfig.COOKIE_NAMES.WORLD_NONCE);
   
-  // Buscar usuario por dirección de wallet
-  const users = await jsonStore.find('users');
-  const userIndex = users.findIndex(u => 
-    u.walletAddress.toLowerCase() === walletAddress.toLowerCase()
+  // Actualizar usuario para marcar la wallet como autorizada
+  const { updated, data: user } = await storage.updateOne(
+    'users',
+    { walletAddress: walletAddress.toLowerCase() },
+    { walletAuthorized: true }
   );
   
-  if (userIndex === -1) {
+  if (!updated) {
     return error(res, 'Usuario no encontrado', 404);
   }
   
-  // Actualizar usuario para marcar la wallet como autorizada
-  users[userIndex].walletAuthorized = true;
-  users[userIndex].updatedAt = new Date().toISOString();
-  
-  await jsonStore.writeData('users', users);
-  
   // Generar token JWT para autenticación
   const token = tokenConfig.generateAccessToken(
-    users[userIndex].id, 
-    users[userIndex].walletAddress
+    user.id, 
+    user.walletAddress
   );
   
   // Almacenar token en cookie si se desea
@@ -117,13 +106,13 @@ exports.completeWalletAuthorization = asyncHandler(async (req, res) => {
   
   return success(res, {
     authorized: true,
-    walletAddress: users[userIndex].walletAddress,
-    userId: users[userIndex].id,
+    walletAddress: user.walletAddress,
+    userId: user.id,
     token,
     user: {
-      id: users[userIndex].id,
-      name: users[userIndex].name,
-      verificationLevel: users[userIndex].verificationLevel
+      id: user.id,
+      name: user.name,
+      verificationLevel: user.verificationLevel
     }
   });
 });
@@ -145,10 +134,9 @@ exports.checkWalletAuthorization = asyncHandler(async (req, res) => {
   const addressToCheck = walletAddress || req.user.walletAddress;
   
   // Buscar usuario con esta wallet
-  const users = await jsonStore.find('users');
-  const user = users.find(u => 
-    u.walletAddress.toLowerCase() === addressToCheck.toLowerCase()
-  );
+  const user = await storage.findOne('users', {
+    walletAddress: addressToCheck.toLowerCase()
+  });
   
   if (!user) {
     return error(res, 'Wallet no registrada', 404);
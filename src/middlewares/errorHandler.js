@@ -4,6 +4,7 @@
  */
 
 const { error } = require('../utils/responseFormatter');
+const { DuplicateKeyError, ValidationError } = require('../utils/errors');
 
 /**
  * Middleware para manejar errores
@@ -32,6 +33,24 @@ const errorHandler = (err, req, res, next) => {
     }, 422);
   }
   
+  // Documento rechazado por el modelo de su colección
+  if (err instanceof ValidationError) {
+    return error(res, {
+      message: 'Errores de validación',
+      collection: err.collection,
+      errors: err.errors
+    }, 422);
+  }
+  
+  // Violación de un índice único del almacenamiento
+  if (err instanceof DuplicateKeyError) {
+    return error(res, {
+      message: err.message,
+      collection: err.collection,
+      fields: err.fields
+    }, 409);
+  }
+  
   // Error de sintaxis JSON
   if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
     return error(res, 'JSON inválido en la solicitud', 400);
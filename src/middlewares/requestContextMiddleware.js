@@ -0,0 +1,24 @@
+/**
+ * requestContextMiddleware.js
+ * Middleware que abre un contexto asíncrono por cada petición
+ */
+
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+/**
+ * Ejecuta el resto de la cadena de middlewares dentro del contexto de la petición
+ * Debe registrarse después de los parsers del cuerpo, que no conservan el contexto
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función next de Express
+ */
+const requestContext = (req, res, next) => {
+  runWithContext({
+    actor: 'anonymous',
+    requestId: crypto.randomUUID(),
+    ip: req.ip
+  }, next);
+};
+
+module.exports = requestContext;
@@ -3,9 +3,10 @@
  * Middleware para autenticación con World Wallet
  */
 
-const jsonStore = require('../utils/jsonStore');
+const storage = require('../utils/storage');
 const tokenConfig = require('../config/tokenConfig');
 const { error } = require('../utils/responseFormatter');
+const { setActor } = require('../utils/requestContext');
 
 /**
  * Middleware para proteger rutas que requieren autenticación
@@ -47,8 +48,7 @@ const authGuard = async (req, res, next) => {
     }
     
     // Buscar usuario en el almacenamiento
-    const users = await jsonStore.find('users');
-    const user = users.find(u => u.id === decoded.id);
+    const user = await storage.findById('users', decoded.id);
     
     // Si no se encuentra el usuario
     if (!user) {
@@ -61,8 +61,10 @@ const authGuard = async (req, res, next) => {
       walletAddress: user.walletAddress,
       name: user.name,
       verificationLevel: user.verificationLevel,
-      walletAuthorized: user.walletAuthorized
+      walletAuthorized: user.walletAuthorized,
+      isAdmin: user.isAdmin === true
     };
+    setActor(`user:${user.id}`);
     
     // Continuar con la siguiente función middleware
     next();
@@ -140,9 +142,29 @@ const requireWalletAuthorization = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware para rutas de administración
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función next de Express
+ */
+const requireAdmin = (req, res, next) => {
+  // Asegurarse de que authGuard se ha ejecutado antes
+  if (!req.user) {
+    return error(res, 'Se requiere autenticación', 401);
+  }
+  
+  if (!req.user.isAdmin) {
+    return error(res, 'Se requieren permisos de administrador', 403);
+  }
+  
+  next();
+};
+
 module.exports = {
   authGuard,
   requireAuth,
+  requireAdmin,
   requireVerificationLevel,
   requireWalletAuthorization
 };
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * 001-users-model-defaults.js
+ * Completa los usuarios creados antes de usar el modelo User con sus valores por defecto
+ */
+
+const User = require('../models/User');
+
+// Campos que guardaba requestWalletAuthorization antes de esta migración
+const LEGACY_FIELDS = [
+  'id',
+  'walletAddress',
+  'name',
+  'verificationLevel',
+  'walletAuthorized',
+  'createdAt',
+  'updatedAt'
+];
+
+module.exports = {
+  collection: 'users',
+  version: 1,
+  description: 'Añade a los usuarios los campos por defecto del modelo User',
+
+  up(user) {
+    return { ...new User(user).toJSON(), ...user };
+  },
+
+  // Solo se retiran los campos que siguen con su valor por defecto
+  down(user) {
+    const defaults = new User({}).toJSON();
+    const reverted = { ...user };
+
+    for (const field of Object.keys(defaults)) {
+      if (LEGACY_FIELDS.includes(field)) continue;
+      if (JSON.stringify(reverted[field]) === JSON.stringify(defaults[field])) {
+        delete reverted[field];
+      }
+    }
+
+    return reverted;
+  }
+};
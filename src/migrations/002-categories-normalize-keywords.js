@@ -0,0 +1,30 @@
+/**
+ * 002-categories-normalize-keywords.js
+ * Normaliza las categorías al esquema del modelo Category
+ */
+
+const Category = require('../models/Category');
+
+module.exports = {
+  collection: 'categories',
+  version: 1,
+  description: 'Normaliza palabras clave (minúsculas, sin duplicados) y descarta campos ajenos al modelo',
+
+  up(category) {
+    const keywords = (category.keywords || [])
+      .filter(keyword => typeof keyword === 'string')
+      .map(keyword => keyword.trim().toLowerCase())
+      .filter(Boolean);
+
+    return {
+      ...new Category(category).toJSON(),
+      order: Number(category.order) || 0,
+      keywords: Array.from(new Set(keywords))
+    };
+  },
+
+  // La normalización no es reversible: se conservan los datos tal como están
+  down(category) {
+    return category;
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * 003-listings-categories-and-sightings.js
+ * Añade a las ofertas importadas antes de la deduplicación entre archivos
+ * la lista de categorías y las fechas de primera y última extracción
+ */
+
+const Listing = require('../models/Listing');
+
+const ADDED_FIELDS = ['categoryIds', 'categorySlugs', 'firstSeenAt', 'lastSeenAt'];
+
+module.exports = {
+  collection: 'listings',
+  version: 1,
+  description: 'Añade categoryIds, categorySlugs, firstSeenAt y lastSeenAt a las ofertas',
+
+  up(listing) {
+    return { ...new Listing(listing).toJSON(), ...listing };
+  },
+
+  // Solo se retiran los campos que conservan el valor derivado de la
+  // categoría principal y de la fecha de extracción
+  down(listing) {
+    const legacy = { ...listing };
+    for (const field of ADDED_FIELDS) delete legacy[field];
+    const derived = new Listing(legacy).toJSON();
+    const reverted = { ...listing };
+
+    for (const field of ADDED_FIELDS) {
+      if (JSON.stringify(reverted[field]) === JSON.stringify(derived[field])) {
+        delete reverted[field];
+      }
+    }
+
+    return reverted;
+  }
+};
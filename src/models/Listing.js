@@ -0,0 +1,134 @@
+/**
+ * Listing.js
+ * Modelo para ofertas de trabajo importadas de portales de freelancers
+ */
+
+const { PRICE_TYPES, LISTING_STATUS, LISTING_SOURCE } = require('../config/constants');
+
+/**
+ * Clase que representa el modelo de oferta de trabajo
+ */
+class Listing {
+  /**
+   * Constructor del modelo de oferta
+   * @param {Object} data - Datos de la oferta
+   */
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.title = data.title || '';
+    this.sourceUrl = data.sourceUrl || null;
+    this.source = data.source || LISTING_SOURCE.NAME;
+    // Categoría principal (la primera en la que apareció la oferta)
+    this.categoryId = data.categoryId || null;
+    this.categorySlug = data.categorySlug || null;
+    // Todas las categorías en las que apareció la oferta
+    this.categoryIds = data.categoryIds || (this.categoryId ? [this.categoryId] : []);
+    this.categorySlugs = data.categorySlugs || (this.categorySlug ? [this.categorySlug] : []);
+    // { amount, minAmount, maxAmount, currency, type, averageBid, raw } o null
+    this.budget = data.budget || null;
+    this.deadline = data.deadline || null;
+    this.status = data.status || LISTING_STATUS.OPEN;
+    // Momento en que el barrido de vencimientos marcó la oferta como vencida
+    this.expiredAt = data.expiredAt || null;
+    this.clientRating = data.clientRating !== undefined ? data.clientRating : null;
+    this.proposals = data.proposals !== undefined ? data.proposals : null;
+    this.publishedAt = data.publishedAt || null;
+    this.extractedAt = data.extractedAt || null;
+    // Primera y última extracción en la que apareció la oferta
+    this.firstSeenAt = data.firstSeenAt || this.extractedAt;
+    this.lastSeenAt = data.lastSeenAt || this.extractedAt;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Valida los datos de la oferta
+   * @returns {Object} Resultado de la validación
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.title) {
+      errors.push('El título de la oferta es obligatorio');
+    }
+
+    if (!this.sourceUrl || !/^https?:\/\//.test(this.sourceUrl)) {
+      errors.push('La URL de origen debe ser una URL http(s)');
+    }
+
+    if (!this.categoryId) {
+      errors.push('La categoría es obligatoria');
+    } else if (!Array.isArray(this.categoryIds) || !this.categoryIds.includes(this.categoryId)) {
+      errors.push('Las categorías de la oferta deben incluir la categoría principal');
+    }
+
+    if (this.budget) {
+      if (!Object.values(PRICE_TYPES).includes(this.budget.type)) {
+        errors.push(`Tipo de presupuesto inválido: ${this.budget.type}`);
+      }
+      if (typeof this.budget.amount !== 'number' || this.budget.amount < 0) {
+        errors.push('El importe del presupuesto debe ser un número no negativo');
+      }
+      if (!this.budget.currency) {
+        errors.push('La moneda del presupuesto es obligatoria');
+      }
+    }
+
+    if (!Object.values(LISTING_STATUS).includes(this.status)) {
+      errors.push(`Estado de oferta inválido: ${this.status}`);
+    }
+
+    if (this.deadline && Number.isNaN(new Date(this.deadline).getTime())) {
+      errors.push('La fecha límite no es una fecha válida');
+    }
+
+    if (this.status === LISTING_STATUS.EXPIRED && !this.deadline) {
+      errors.push('Una oferta vencida debe tener fecha límite');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convierte la instancia a un objeto simple
+   * @returns {Object} Representación del objeto
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      sourceUrl: this.sourceUrl,
+      source: this.source,
+      categoryId: this.categoryId,
+      categorySlug: this.categorySlug,
+      categoryIds: this.categoryIds,
+      categorySlugs: this.categorySlugs,
+      budget: this.budget,
+      deadline: this.deadline,
+      status: this.status,
+      expiredAt: this.expiredAt,
+      clientRating: this.clientRating,
+      proposals: this.proposals,
+      publishedAt: this.publishedAt,
+      extractedAt: this.extractedAt,
+      firstSeenAt: this.firstSeenAt,
+      lastSeenAt: this.lastSeenAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Indica si la fecha límite ya pasó
+   * @param {Date} [now] - Fecha de referencia
+   * @returns {boolean} Si la oferta venció
+   */
+  isPastDeadline(now = new Date()) {
+    return !!this.deadline && new Date(this.deadline) < now;
+  }
+}
+
+module.exports = Listing;
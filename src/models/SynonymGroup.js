@@ -0,0 +1,74 @@
+/**
+ * SynonymGroup.js
+ * Modelo para grupos de términos equivalentes en las búsquedas
+ */
+
+const { phraseKey } = require('../utils/synonymDictionary');
+
+const MAX_TERM_LENGTH = 60;
+
+/**
+ * Clase que representa un grupo de sinónimos
+ */
+class SynonymGroup {
+  /**
+   * Constructor del modelo de grupo de sinónimos
+   * @param {Object} data - Datos del grupo
+   */
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.terms = Array.isArray(data.terms)
+      ? data.terms.map(term => (typeof term === 'string' ? term.trim() : term))
+      : [];
+    this.description = data.description || '';
+    this.active = data.active !== false; // true por defecto
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Valida los datos del grupo
+   * @returns {Object} Resultado de la validación
+   */
+  validate() {
+    const errors = [];
+
+    if (this.terms.some(term => typeof term !== 'string' || !phraseKey(term))) {
+      errors.push('Los términos deben ser textos con alguna letra o número');
+    } else {
+      const keys = this.terms.map(phraseKey);
+      if (new Set(keys).size < 2) {
+        errors.push('Un grupo necesita al menos dos términos distintos');
+      }
+      if (new Set(keys).size !== keys.length) {
+        errors.push('El grupo tiene términos repetidos');
+      }
+    }
+
+    if (this.terms.some(term => typeof term === 'string' && term.length > MAX_TERM_LENGTH)) {
+      errors.push(`Los términos no pueden tener más de ${MAX_TERM_LENGTH} caracteres`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convierte la instancia a un objeto simple
+   * @returns {Object} Representación del objeto
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      terms: this.terms,
+      description: this.description,
+      active: this.active,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = SynonymGroup;
@@ -0,0 +1,73 @@
+/**
+ * models/index.js
+ * Registro de modelos por colección del almacenamiento
+ */
+
+const User = require('./User');
+const Service = require('./Service');
+const Category = require('./Category');
+const ChatResponse = require('./ChatResponse');
+const UnlockedService = require('./UnlockedService');
+const Listing = require('./Listing');
+const SynonymGroup = require('./SynonymGroup');
+const { ValidationError } = require('../utils/errors');
+
+// Modelo que valida y da forma a los documentos de cada colección
+const MODELS_BY_COLLECTION = {
+  users: User,
+  services: Service,
+  categories: Category,
+  chatResponses: ChatResponse,
+  unlockedServices: UnlockedService,
+  listings: Listing,
+  synonyms: SynonymGroup
+};
+
+// Campos que gestiona el almacenamiento aunque el modelo no los declare
+const STORE_MANAGED_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * Obtiene el modelo asociado a una colección
+ * @param {string} collection - Nombre de la colección
+ * @returns {Function|null} Clase del modelo o null si la colección no tiene modelo
+ */
+const getModel = (collection) => MODELS_BY_COLLECTION[collection] || null;
+
+/**
+ * Pasa un documento por el modelo de su colección
+ * Valida con validate() y descarta los campos desconocidos con toJSON()
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} document - Documento a guardar
+ * @returns {Object} Documento normalizado (sin cambios si no hay modelo)
+ * @throws {ValidationError} Si el modelo rechaza el documento
+ */
+const applyModel = (collection, document) => {
+  const Model = getModel(collection);
+  if (!Model) return document;
+
+  const instance = new Model(document);
+  const { valid, errors } = instance.validate();
+  if (!valid) {
+    throw new ValidationError(collection, errors);
+  }
+
+  const normalized = instance.toJSON();
+  for (const field of STORE_MANAGED_FIELDS) {
+    if (document[field] !== undefined) normalized[field] = document[field];
+  }
+  return normalized;
+};
+
+module.exports = {
+  User,
+  Service,
+  Category,
+  ChatResponse,
+  UnlockedService,
+  Listing,
+  SynonymGroup,
+  MODELS_BY_COLLECTION,
+  STORE_MANAGED_FIELDS,
+  getModel,
+  applyModel
+};
@@ -9,13 +9,17 @@ const router = express.Router();
 // Importar controladores
 const categoryController = require('../controllers/categoryController');
 const serviceController = require('../controllers/serviceController');
+const projectController = require('../controllers/projectController');
 const worldPaymentController = require('../controllers/worldPaymentController');
 const worldVerifyController = require('../controllers/worldVerifyController');
 const worldWalletController = require('../controllers/worldWalletController');
 const chatController = require('../controllers/chatController');
+const adminController = require('../controllers/adminController');
+const classifyController = require('../controllers/classifyController');
+const searchController = require('../controllers/searchController');
 
 // Importar middlewares
-const { authGuard, requireAuth, requireVerificationLevel } = require('../middlewares/worldWalletAuthMiddleware');
+const { authGuard, requireAuth, requireAdmin, requireVerificationLevel } = require('../middlewares/worldWalletAuthMiddleware');
 const { VERIFICATION_LEVELS } = require('../config/constants');
 
 // Middleware para añadir autenticación a todas las rutas
@@ -36,16 +40,30 @@ router.post('/walletauth/disconnect', requireAuth, worldWalletController.disconn
 router.get('/categories', categoryController.getAllCategories);
 router.get('/categories/search', categoryController.searchCategories);
 router.get('/categories/popular', categoryController.getPopularCategories);
+router.get('/categories/insights', categoryController.getAllCategoriesInsights);
 router.get('/categories/:id', categoryController.getCategoryById);
 router.get('/categories/slug/:slug', categoryController.getCategoryBySlug);
 router.get('/categories/:id/services', categoryController.getCategoryServices);
+router.get('/categories/:slug/insights', categoryController.getCategoryInsights);
 
 // Rutas de servicios
+router.post('/services', requireAuth, serviceController.createService);
 router.get('/services/popular', serviceController.getPopularServices);
 router.get('/services/search', serviceController.searchServices);
 router.get('/services/:id', serviceController.getServiceById);
 router.get('/services/:id/unlocked', requireAuth, serviceController.checkServiceUnlocked);
 
+// Clasificación de textos en categorías
+router.post('/classify', classifyController.classify);
+
+// Rutas de búsqueda
+router.get('/search', searchController.search);
+router.get('/search/suggest', searchController.suggest);
+
+// Rutas de proyectos
+router.get('/projects', projectController.getProjects);
+router.get('/projects/:id', projectController.getProjectById);
+
 // Rutas de pagos
 router.post('/payment/initiate', requireAuth, requireVerificationLevel(VERIFICATION_LEVELS.DEVICE), worldPaymentController.initiatePayment);
 router.post('/payment/confirm', requireAuth, worldPaymentController.confirmPayment);
@@ -60,4 +78,24 @@ if (process.env.NODE_ENV !== 'production') {
 router.post('/chat/message', chatController.sendMessage);
 router.get('/chat/suggestions', chatController.getChatSuggestions);
 
+// Rutas de administración
+router.get('/admin/data-quality', requireAuth, requireAdmin, adminController.getDataQualityReport);
+router.get('/admin/collections/:collection/export', requireAuth, requireAdmin, adminController.exportCollection);
+router.post(
+  '/admin/collections/:collection/import',
+  requireAuth,
+  requireAdmin,
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'text/plain'], limit: '10mb' }),
+  adminController.importCollection
+);
+router.get('/admin/keyword-proposals', requireAuth, requireAdmin, adminController.getKeywordProposals);
+router.post('/admin/keyword-proposals', requireAuth, requireAdmin, adminController.createKeywordProposals);
+router.post('/admin/keyword-proposals/:id/approve', requireAuth, requireAdmin, adminController.approveKeywordProposal);
+router.post('/admin/keyword-proposals/:id/reject', requireAuth, requireAdmin, adminController.rejectKeywordProposal);
+router.get('/admin/synonyms', requireAuth, requireAdmin, adminController.getSynonymGroups);
+router.get('/admin/synonyms/preview', requireAuth, requireAdmin, adminController.previewSynonyms);
+router.post('/admin/synonyms', requireAuth, requireAdmin, adminController.createSynonymGroup);
+router.put('/admin/synonyms/:id', requireAuth, requireAdmin, adminController.updateSynonymGroup);
+router.delete('/admin/synonyms/:id', requireAuth, requireAdmin, adminController.deleteSynonymGroup);
+
 module.exports = router;
\ No newline at end of file
@@ -9,6 +9,9 @@ require('dotenv').config();
 // Imports
 const http = require('http');
 const app = require('./app');
+const { startExpirySweeper } = require('./services/listingExpiry');
+const { flushQueries } = require('./services/suggestService');
+const { LISTING_EXPIRY_INTERVAL_MS } = require('./config/constants');
 
 // Puerto
 const PORT = process.env.PORT || 3000;
@@ -47,22 +50,53 @@ server.listen(PORT, () => {
   console.log(`Servidor ejecutándose en puerto ${PORT}`);
   console.log(`Entorno: ${process.env.NODE_ENV}`);
   console.log(`URL: http://localhost:${PORT}`);
+
+  // Barrido de ofertas vencidas (LISTING_EXPIRY_INTERVAL_MS=0 lo desactiva)
+  const expiryInterval = process.env.LISTING_EXPIRY_INTERVAL_MS !== undefined
+    ? Number(process.env.LISTING_EXPIRY_INTERVAL_MS)
+    : LISTING_EXPIRY_INTERVAL_MS;
+  if (expiryInterval > 0) {
+    startExpirySweeper({ intervalMs: expiryInterval });
+  }
 });
 
-// Manejar errores no capturados
-process.on('uncaughtException', (err) => {
-  console.error('Error no capturado:', err);
-  console.error('Cerrando servidor...');
-  server.close(() => {
-    console.log('Servidor cerrado');
-    process.exit(1);
-  });
-  
+/**
+ * Cierra el servidor guardando antes las búsquedas que suggestService
+ * acumula en memoria entre escrituras
+ * @param {number} exitCode - Código de salida del proceso
+ */
+const shutdown = async (exitCode) => {
   // Si el servidor no se cierra en 10 segundos, forzar cierre
   setTimeout(() => {
     console.error('Forzando cierre del servidor');
-    process.exit(1);
+    process.exit(exitCode);
   }, 10000);
+
+  try {
+    await flushQueries();
+  } catch (error) {
+    console.error('Error guardando las búsquedas pendientes:', error);
+  }
+
+  server.close(() => {
+    console.log('Servidor cerrado');
+    process.exit(exitCode);
+  });
+};
+
+// Cierre ordenado al detener el proceso
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.once(signal, () => {
+    console.log(`${signal} recibido, cerrando servidor...`);
+    shutdown(0);
+  });
+});
+
+// Manejar errores no capturados
+process.on('uncaughtException', (err) => {
+  console.error('Error no capturado:', err);
+  console.error('Cerrando servidor...');
+  shutdown(1);
 });
 
 // Manejar promesas rechazadas no capturadas
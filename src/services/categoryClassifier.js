@@ -0,0 +1,160 @@
+/**
+ * categoryClassifier.js
+ * Sugerencia de categorías para un texto (título de oferta o de servicio)
+ *
+ * El modelo es un clasificador bayesiano ingenuo entrenado en local con los
+ * títulos de data/<categoría>.json: cada oferta es un documento etiquetado
+ * con todas las categorías en cuyos archivos aparece. Las palabras clave de
+ * cada categoría se añaden como un documento más, para que las categorías
+ * sin ofertas también puedan sugerirse.
+ *
+ * El modelo se entrena al primer uso y se reentrena pasado
+ * CLASSIFIER.MODEL_TTL_MS, de modo que recoge los archivos nuevos sin
+ * reiniciar el servidor.
+ */
+
+const storage = require('../utils/storage');
+const naiveBayes = require('../utils/naiveBayes');
+const { tokenize: tokenizeWords, normalizeTerm } = require('../utils/keywordMiner');
+const { loadDataByCategorySlug } = require('../utils/scrapedData');
+const { cleanText } = require('../utils/listingParser');
+const { CLASSIFIER } = require('../config/constants');
+
+// Una de cada HOLDOUT_EVERY ofertas (en orden de URL) se usa para evaluar
+const HOLDOUT_EVERY = 5;
+
+let cached = null;
+
+/**
+ * Sugiere categorías para un texto
+ * @param {string} text - Texto a clasificar
+ * @param {Object} options - Opciones
+ * @param {number} [options.limit] - Número máximo de categorías
+ * @returns {Promise<Array>} { id, slug, name, confidence } de mayor a menor
+ * confianza; vacío si el texto no tiene palabras conocidas
+ */
+exports.classifyText = async (text, { limit = CLASSIFIER.DEFAULT_LIMIT } = {}) => {
+  const { model, categoriesBySlug } = await getClassifier();
+
+  return naiveBayes.classify(model, text, tokenize)
+    .slice(0, limit)
+    .map(({ label, probability }) => {
+      const category = categoriesBySlug.get(label);
+      return {
+        id: category.id,
+        slug: category.slug,
+        name: category.name,
+        confidence: Math.round(probability * 1000) / 1000
+      };
+    });
+};
+
+/**
+ * Elige la categoría de un texto si la confianza es suficiente
+ * @param {string} text - Texto a clasificar
+ * @returns {Promise<Object>} { category, suggestions }: category es la
+ * primera sugerencia si alcanza CLASSIFIER.MIN_CONFIDENCE, o null
+ */
+exports.suggestCategory = async (text) => {
+  const suggestions = await exports.classifyText(text);
+  const [best] = suggestions;
+  return {
+    category: best && best.confidence >= CLASSIFIER.MIN_CONFIDENCE ? best : null,
+    suggestions
+  };
+};
+
+/**
+ * Descarta el modelo en memoria para que el próximo uso lo reentrene
+ */
+exports.resetClassifier = () => {
+  cached = null;
+};
+
+/**
+ * Mide el acierto del clasificador con ofertas que no se usan al entrenar
+ * @returns {Promise<Object>} { trained, tested, top1, top3, unclassified }:
+ * top1 y top3 son la proporción de ofertas con una de sus categorías entre
+ * la primera o las tres primeras sugerencias
+ */
+exports.evaluateClassifier = async () => {
+  const { categories, documents } = await loadTrainingSet();
+  const training = [...keywordDocuments(categories)];
+  const testing = [];
+  documents.forEach((document, position) => {
+    (position % HOLDOUT_EVERY === 0 ? testing : training).push(document);
+  });
+
+  const model = naiveBayes.train(training, tokenize);
+  let top1 = 0;
+  let top3 = 0;
+  let unclassified = 0;
+  for (const { text, labels } of testing) {
+    const ranked = naiveBayes.classify(model, text, tokenize).slice(0, 3).map(entry => entry.label);
+    if (ranked.length === 0) unclassified += 1;
+    if (ranked.length > 0 && labels.includes(ranked[0])) top1 += 1;
+    if (ranked.some(label => labels.includes(label))) top3 += 1;
+  }
+
+  const ratio = (part) => (testing.length > 0 ? Math.round((part / testing.length) * 1000) / 1000 : null);
+  return {
+    trained: training.length,
+    tested: testing.length,
+    top1: ratio(top1),
+    top3: ratio(top3),
+    unclassified
+  };
+};
+
+/**
+ * Palabras normalizadas (sin acentos) de un texto
+ */
+function tokenize(text) {
+  return tokenizeWords(text).map(normalizeTerm);
+}
+
+async function getClassifier() {
+  if (cached && Date.now() - cached.trainedAt < CLASSIFIER.MODEL_TTL_MS) return cached;
+
+  const { categories, documents } = await loadTrainingSet();
+  cached = {
+    model: naiveBayes.train([...documents, ...keywordDocuments(categories)], tokenize),
+    categoriesBySlug: new Map(categories.map(category => [category.slug, category])),
+    trainedAt: Date.now()
+  };
+  return cached;
+}
+
+/**
+ * Títulos de los archivos de las categorías activas, agrupados por URL
+ * @returns {Promise<Object>} { categories, documents: [{ text, labels }] } en orden de URL
+ */
+async function loadTrainingSet() {
+  const categories = await storage.find('categories', { active: { $ne: false } }, { sort: { order: 1 } });
+  const byUrl = new Map();
+
+  for (const category of categories) {
+    const rows = await loadDataByCategorySlug(category.slug);
+    if (!Array.isArray(rows)) continue;
+
+    for (const row of rows) {
+      const text = cleanText(row['Título']);
+      const url = cleanText(row['URL del Post']) || text;
+      if (!text) continue;
+      if (!byUrl.has(url)) byUrl.set(url, { url, text, labels: new Set() });
+      byUrl.get(url).labels.add(category.slug);
+    }
+  }
+
+  const documents = Array.from(byUrl.values())
+    .sort((a, b) => a.url.localeCompare(b.url))
+    .map(({ text, labels }) => ({ text, labels: Array.from(labels) }));
+
+  return { categories, documents };
+}
+
+function keywordDocuments(categories) {
+  return categories
+    .filter(category => (category.keywords || []).length > 0)
+    .map(category => ({ text: category.keywords.join(' '), labels: [category.slug] }));
+}
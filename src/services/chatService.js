@@ -3,7 +3,7 @@
  * Servicio para procesar mensajes del chat y generar respuestas automáticas
  */
 
-const jsonStore = require('../utils/jsonStore');
+const storage = require('../utils/storage');
 const textMatcher = require('../utils/textMatcher');
 const ChatResponse = require('../models/ChatResponse');
 const aiChatConfig = require('../config/aiChatConfig');
@@ -36,9 +36,9 @@ exports.processMessage = async (message) => {
   }
   
   // Cargar datos necesarios
-  const categories = await jsonStore.find('categories');
-  const services = await jsonStore.find('services');
-  const chatResponses = await jsonStore.find('chatResponses') || [];
+  const categories = await storage.find('categories');
+  const services = await storage.find('services');
+  const chatResponses = await storage.find('chatResponses') || [];
   
   // Convertir a instancias del modelo ChatResponse
   const responseModels = chatResponses.map(response => new ChatResponse(response));
@@ -206,7 +206,7 @@ exports.processMessage = async (message) => {
  */
 exports.getSuggestions = async () => {
   // Obtener categorías populares
-  const categories = await jsonStore.find('categories');
+  const categories = await storage.find('categories');
   const popularCategories = categories
     .filter(cat => cat.active && cat.popular)
     .slice(0, 3)
@@ -0,0 +1,330 @@
+/**
+ * collectionTransfer.js
+ * Exportación de colecciones a CSV o NDJSON e importación desde esos formatos
+ *
+ * Cada fila importada se asocia a un documento existente por su id o, si no
+ * lo trae, por los campos de un índice único de la colección (p. ej. slug en
+ * categories). Las filas asociadas actualizan solo las columnas que traen
+ * valor; el resto se insertan como documentos nuevos. Todas pasan por el
+ * modelo de la colección antes de escribir nada. Las columnas que no son
+ * campos del modelo se rechazan como errores de la fila.
+ *
+ * Por defecto la importación es todo o nada: si alguna fila tiene errores no
+ * se escribe ninguna. Con skipInvalid se escriben las filas válidas.
+ */
+
+const storage = require('../utils/storage');
+const tabularFormat = require('../utils/tabularFormat');
+const { getValueByPath, setValueByPath } = require('../utils/queryEngine');
+const { getModel, applyModel, STORE_MANAGED_FIELDS } = require('../models');
+const { ValidationError, RequestError } = require('../utils/errors');
+const { INDEXES, COLLECTIONS } = require('../config/storageConfig');
+
+const { FORMATS } = tabularFormat;
+
+// Campos que gestiona el almacenamiento y no se comparan al actualizar
+const IGNORED_ON_COMPARE = ['createdAt', 'updatedAt'];
+
+/**
+ * Exporta una colección
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} options - Opciones
+ * @param {string} [options.format] - FORMATS.CSV o FORMATS.NDJSON
+ * @param {Array<string>} [options.fields] - Campos a incluir, admite rutas con puntos (todos por defecto)
+ * @returns {Promise<Object>} { content, contentType, count }
+ */
+exports.exportCollection = async (collection, { format = FORMATS.CSV, fields } = {}) => {
+  assertFormat(format);
+  assertCollection(collection);
+
+  const documents = await storage.find(collection, {});
+  let content;
+  try {
+    content = tabularFormat.serialize(documents, { format, fields });
+  } catch (error) {
+    throw new RequestError(error.message);
+  }
+
+  return {
+    content,
+    contentType: tabularFormat.CONTENT_TYPES[format],
+    count: documents.length
+  };
+};
+
+/**
+ * Importa filas CSV o NDJSON en una colección con modelo
+ * @param {string} collection - Nombre de la colección
+ * @param {string} content - Contenido del archivo
+ * @param {Object} options - Opciones
+ * @param {string} [options.format] - FORMATS.CSV o FORMATS.NDJSON
+ * @param {boolean} [options.dryRun] - Solo valida y calcula el informe
+ * @param {boolean} [options.skipInvalid] - Escribe las filas válidas aunque otras tengan errores
+ * @returns {Promise<Object>} Informe { collection, format, dryRun, applied, totals, rows }:
+ * cada fila lleva su línea, la acción (insert, update, unchanged o error),
+ * el id del documento y los errores encontrados
+ */
+exports.importCollection = async (collection, content, {
+  format = FORMATS.CSV,
+  dryRun = false,
+  skipInvalid = false
+} = {}) => {
+  assertFormat(format);
+  const Model = getModel(collection);
+  if (!Model) {
+    throw new RequestError(`La colección '${collection}' no tiene modelo y no admite importación`);
+  }
+
+  let parsed;
+  try {
+    parsed = tabularFormat.parse(content, { format });
+  } catch (error) {
+    throw new RequestError(error.message);
+  }
+
+  const template = new Model({}).toJSON();
+  const uniqueIndexes = (INDEXES[collection] || []).filter(index => index.unique);
+  const existing = await storage.find(collection, {});
+  const existingById = new Map(existing.map(document => [document.id, document]));
+
+  // Claves únicas ya usadas: las de los documentos guardados y las de las filas anteriores
+  const usedKeys = new Map();
+  for (const document of existing) {
+    for (const index of uniqueIndexes) {
+      const key = uniqueKey(index, document);
+      if (key) usedKeys.set(key, document.id);
+    }
+  }
+
+  const seenIds = new Set();
+  const report = [];
+  const toInsert = [];
+  const toReplace = [];
+
+  for (const row of parsed.rows) {
+    const entry = { line: row.line, action: 'error', id: null, errors: [] };
+    report.push(entry);
+
+    if (row.error) {
+      entry.errors.push(row.error);
+      continue;
+    }
+
+    Object.keys(row.values)
+      .filter(field => !isModelField(field, template))
+      .forEach(field => entry.errors.push(`${field}: no es un campo de '${collection}'`));
+    if (entry.errors.length > 0) continue;
+
+    const assignments = format === FORMATS.CSV
+      ? coerceRow(row.values, template, entry.errors)
+      : Object.entries(row.values);
+    if (entry.errors.length > 0) continue;
+
+    let fields;
+    let current;
+    let document;
+    try {
+      fields = assign({}, assignments);
+      current = findExisting(fields, existingById, uniqueIndexes, usedKeys);
+      document = current ? { ...assign(structuredClone(current), assignments), id: current.id } : fields;
+    } catch (error) {
+      entry.errors.push(error.message);
+      continue;
+    }
+
+    let normalized;
+    try {
+      normalized = applyModel(collection, document);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      entry.errors.push(...error.errors);
+      continue;
+    }
+
+    const id = current ? current.id : (fields.id || storage.generateId());
+    entry.id = id;
+    if (seenIds.has(id)) {
+      entry.errors.push(`El documento ${id} aparece en varias filas`);
+      continue;
+    }
+
+    const conflicts = uniqueIndexes
+      .map(index => ({ index, key: uniqueKey(index, normalized) }))
+      .filter(({ key }) => key && usedKeys.has(key) && usedKeys.get(key) !== id);
+    if (conflicts.length > 0) {
+      conflicts.forEach(({ index }) => {
+        entry.errors.push(`Ya existe un documento con el mismo valor de ${index.fields.join(', ')}`);
+      });
+      continue;
+    }
+
+    seenIds.add(id);
+    uniqueIndexes.forEach(index => {
+      const key = uniqueKey(index, normalized);
+      if (key) usedKeys.set(key, id);
+    });
+
+    if (!current) {
+      entry.action = 'insert';
+      toInsert.push({ ...normalized, id });
+    } else if (sameContent(current, normalized)) {
+      entry.action = 'unchanged';
+    } else {
+      entry.action = 'update';
+      toReplace.push({ ...normalized, id });
+    }
+  }
+
+  const count = (action) => report.filter(entry => entry.action === action).length;
+  const invalid = count('error');
+  const applied = !dryRun && (invalid === 0 || skipInvalid) && (toInsert.length + toReplace.length) > 0;
+
+  if (applied) {
+    await storage.transaction(async (tx) => {
+      if (toInsert.length > 0) await tx.insertMany(collection, toInsert);
+      for (const document of toReplace) {
+        await tx.replaceOne(collection, { id: document.id }, document);
+      }
+    });
+  }
+
+  return {
+    collection,
+    format,
+    dryRun,
+    applied,
+    fields: parsed.fields,
+    totals: {
+      rows: report.length,
+      inserted: count('insert'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      invalid
+    },
+    rows: report
+  };
+};
+
+/**
+ * Convierte los textos de una fila CSV a los tipos del modelo
+ * Las celdas vacías se omiten (en una actualización conservan el valor
+ * guardado). Los arrays admiten JSON o valores separados por '|'
+ * @param {Object} values - Campo (o ruta con puntos) -> texto
+ * @param {Object} template - Documento por defecto del modelo
+ * @param {Array<string>} errors - Lista a la que añadir los errores
+ * @returns {Array} Pares [campo, valor]
+ */
+function coerceRow(values, template, errors) {
+  const assignments = [];
+  for (const [field, raw] of Object.entries(values)) {
+    const text = raw.trim();
+    if (text === '') continue;
+
+    try {
+      assignments.push([field, coerceCell(text, getValueByPath(template, field))]);
+    } catch (error) {
+      errors.push(`${field}: ${error.message}`);
+    }
+  }
+  return assignments;
+}
+
+/**
+ * Indica si una columna (o su primer tramo, si es una ruta con puntos) es
+ * un campo del modelo
+ */
+function isModelField(field, template) {
+  const [root] = field.split('.');
+  return Object.prototype.hasOwnProperty.call(template, root) || STORE_MANAGED_FIELDS.includes(root);
+}
+
+/**
+ * Aplica pares [campo, valor] a un documento; las rutas con puntos
+ * modifican solo esa parte del objeto anidado
+ * @throws {Error} Si una ruta no se puede asignar (ver setValueByPath)
+ */
+function assign(document, assignments) {
+  for (const [field, value] of assignments) setValueByPath(document, field, value);
+  return document;
+}
+
+function coerceCell(text, example) {
+  if (Array.isArray(example)) {
+    if (!text.startsWith('[')) return text.split('|').map(item => item.trim()).filter(Boolean);
+    const value = parseJson(text);
+    if (!Array.isArray(value)) throw new Error('se esperaba una lista');
+    return value;
+  }
+
+  if (typeof example === 'number') {
+    const value = Number(text);
+    if (!Number.isFinite(value)) throw new Error(`'${text}' no es un número`);
+    return value;
+  }
+
+  if (typeof example === 'boolean') {
+    const lower = text.toLowerCase();
+    if (lower !== 'true' && lower !== 'false') throw new Error(`'${text}' no es true ni false`);
+    return lower === 'true';
+  }
+
+  if (example && typeof example === 'object') {
+    const value = parseJson(text);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('se esperaba un objeto JSON');
+    return value;
+  }
+
+  // Campos de texto o sin valor por defecto: JSON solo si lo parece
+  return /^[[{]/.test(text) ? parseJson(text) : text;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('JSON inválido');
+  }
+}
+
+/**
+ * Documento guardado al que corresponde una fila (por id o por índice único)
+ */
+function findExisting(fields, existingById, uniqueIndexes, usedKeys) {
+  if (fields.id) return existingById.get(fields.id) || null;
+
+  for (const index of uniqueIndexes) {
+    const key = uniqueKey(index, fields);
+    if (key && existingById.has(usedKeys.get(key))) return existingById.get(usedKeys.get(key));
+  }
+  return null;
+}
+
+/**
+ * Clave de un documento en un índice único (null si le falta algún campo)
+ */
+function uniqueKey(index, document) {
+  const values = index.fields.map(field => getValueByPath(document, field));
+  if (values.some(value => value === undefined || value === null)) return null;
+  return JSON.stringify([index.fields, values]);
+}
+
+function sameContent(current, next) {
+  const fields = new Set([...Object.keys(current), ...Object.keys(next)]);
+  IGNORED_ON_COMPARE.forEach(field => fields.delete(field));
+  return Array.from(fields).every(field => JSON.stringify(current[field]) === JSON.stringify(next[field]));
+}
+
+function assertFormat(format) {
+  if (!Object.values(FORMATS).includes(format)) {
+    throw new RequestError(`Formato no soportado: ${format} (usa ${Object.values(FORMATS).join(' o ')})`);
+  }
+}
+
+/**
+ * Comprueba que la colección es del almacenamiento (con cualquier driver)
+ */
+function assertCollection(collection) {
+  if (!COLLECTIONS.includes(collection)) {
+    throw new RequestError(`La colección '${collection}' no existe`, 404);
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * dataQuality.js
+ * Informe de calidad de los archivos scrapeados de data/
+ *
+ * Revisa cada archivo de ofertas (data/<categoría>.json) antes de importarlo:
+ * campos vacíos o con formato inválido, presupuestos que no se pueden
+ * interpretar, categorías desconocidas y URLs repetidas. Los archivos de las
+ * colecciones del almacenamiento (categories.json, listings.json...) se omiten.
+ *
+ * Cada incidencia tiene una gravedad: 'error' si impide importar bien la
+ * fila y 'warning' si es esperable en un scrape (campos que el scraper no
+ * rellena, ofertas publicadas en varias categorías).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('../config/storageConfig');
+const { CATEGORIES } = require('../config/constants');
+const Category = require('../models/Category');
+const {
+  SCRAPED_FIELDS,
+  cleanText,
+  parseBudget,
+  parseDuration,
+  isFinishedText,
+  parseNumber,
+  parseExtractionDate
+} = require('../utils/listingParser');
+
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// Campos sin los que una fila no se puede importar
+const REQUIRED_FIELDS = ['Título', 'URL del Post', 'Fecha Extracción'];
+
+/**
+ * Comprobaciones de formato de los campos con valor
+ * Cada una devuelve el motivo del error o null si el valor es válido
+ */
+const FIELD_CHECKS = {
+  'URL del Post': (value) => (isHttpUrl(value) ? null : 'No es una URL http(s)'),
+  'Cliente': (value) => (
+    isFinishedText(value) || parseDuration(value) !== null ? null : 'Tiempo restante no reconocido'
+  ),
+  'Rating Cliente': (value) => {
+    const rating = parseNumber(value);
+    return rating !== null && rating >= 0 && rating <= 5 ? null : 'La valoración debe ser un número entre 0 y 5';
+  },
+  'Propuestas': (value) => {
+    const proposals = parseNumber(value);
+    return proposals !== null && proposals >= 0 ? null : 'El número de propuestas no es válido';
+  },
+  'Publicado': (value) => (parseExtractionDate(value) ? null : 'Fecha no reconocida'),
+  'Fecha Extracción': (value) => (parseExtractionDate(value) ? null : 'Fecha no reconocida')
+};
+
+/**
+ * Revisa todos los archivos JSON del directorio de datos
+ * @param {Object} options - Opciones
+ * @param {string} [options.directory] - Directorio a revisar (DATA_DIR por defecto)
+ * @returns {Promise<Object>} { directory, scannedAt, files, skipped, totals }
+ */
+exports.scanDataDirectory = async ({ directory = DATA_DIR } = {}) => {
+  const names = (await fs.readdir(directory))
+    .filter(file => file.endsWith('.json'))
+    .sort();
+
+  // URL -> primera aparición { file, row }, para detectar repetidas entre archivos
+  const seenUrls = new Map();
+  const files = [];
+  const skipped = [];
+
+  for (const name of names) {
+    const slug = name.slice(0, -'.json'.length);
+    let rows;
+    try {
+      rows = JSON.parse(await fs.readFile(path.join(directory, name), 'utf8'));
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      files.push(buildFileReport(name, slug, 0, [
+        issue(SEVERITY.ERROR, 'invalid-file', { message: `JSON inválido: ${error.message}` })
+      ]));
+      continue;
+    }
+
+    if (!isScrapeFile(slug, rows)) {
+      skipped.push(name);
+      continue;
+    }
+
+    files.push(inspectFile(name, slug, rows, seenUrls));
+  }
+
+  const totals = { files: files.length, rows: 0, errors: 0, warnings: 0, byType: {} };
+  for (const file of files) {
+    totals.rows += file.rows;
+    for (const found of file.issues) {
+      totals[found.severity === SEVERITY.ERROR ? 'errors' : 'warnings'] += 1;
+      totals.byType[found.type] = (totals.byType[found.type] || 0) + 1;
+    }
+  }
+
+  // Campos que el scraper no rellenó en ninguna fila
+  totals.alwaysEmpty = SCRAPED_FIELDS.filter(field => (
+    totals.rows > 0 && files.reduce((count, file) => count + (file.emptyFields[field] || 0), 0) === totals.rows
+  ));
+
+  return {
+    directory,
+    scannedAt: new Date().toISOString(),
+    files,
+    skipped,
+    totals
+  };
+};
+
+/**
+ * Un archivo es de ofertas si su nombre es una categoría o sus filas tienen
+ * las columnas del scraper
+ */
+function isScrapeFile(slug, rows) {
+  if (CATEGORIES.includes(slug)) return true;
+  return Array.isArray(rows) && rows.some(row => row && typeof row === 'object' && 'URL del Post' in row);
+}
+
+/**
+ * Revisa las filas de un archivo de ofertas
+ * @param {string} name - Nombre del archivo
+ * @param {string} slug - Categoría según el nombre del archivo
+ * @param {*} rows - Contenido del archivo
+ * @param {Map} seenUrls - URLs vistas en los archivos anteriores (se actualiza)
+ * @returns {Object} Informe del archivo
+ */
+function inspectFile(name, slug, rows, seenUrls) {
+  if (!Array.isArray(rows)) {
+    return buildFileReport(name, slug, 0, [
+      issue(SEVERITY.ERROR, 'invalid-file', { message: 'El archivo no contiene un array de filas' })
+    ]);
+  }
+
+  const issues = [];
+  const emptyFields = {};
+
+  if (!CATEGORIES.includes(slug)) {
+    issues.push(issue(SEVERITY.ERROR, 'unknown-category', {
+      value: slug,
+      message: 'El archivo no corresponde a ninguna categoría de CATEGORIES'
+    }));
+  }
+
+  // URL -> fila dentro de este archivo
+  const fileUrls = new Map();
+
+  rows.forEach((row, position) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      issues.push(issue(SEVERITY.ERROR, 'invalid-row', { row: position, message: 'La fila no es un objeto' }));
+      return;
+    }
+
+    for (const field of SCRAPED_FIELDS) {
+      const value = cleanText(row[field]);
+
+      if (!value) {
+        emptyFields[field] = (emptyFields[field] || 0) + 1;
+        if (REQUIRED_FIELDS.includes(field)) {
+          issues.push(issue(SEVERITY.ERROR, 'missing-field', { row: position, field, message: 'Campo obligatorio vacío' }));
+        }
+        continue;
+      }
+
+      const reason = FIELD_CHECKS[field] ? FIELD_CHECKS[field](value) : null;
+      if (reason) {
+        issues.push(issue(SEVERITY.ERROR, 'malformed-field', { row: position, field, value, message: reason }));
+      }
+    }
+
+    const budget = cleanText(row['Presupuesto']);
+    if (budget && !parseBudget(budget)) {
+      issues.push(issue(SEVERITY.ERROR, 'unparseable-budget', {
+        row: position,
+        field: 'Presupuesto',
+        value: budget,
+        message: 'No se reconoce ningún importe'
+      }));
+    }
+
+    const categoryName = cleanText(row['Categoría']);
+    if (categoryName) {
+      const categorySlug = Category.prototype.generateSlug(categoryName);
+      if (!CATEGORIES.includes(categorySlug)) {
+        issues.push(issue(SEVERITY.ERROR, 'unknown-category', {
+          row: position,
+          field: 'Categoría',
+          value: categoryName,
+          message: `'${categorySlug}' no está en CATEGORIES`
+        }));
+      } else if (categorySlug !== slug) {
+        issues.push(issue(SEVERITY.ERROR, 'category-mismatch', {
+          row: position,
+          field: 'Categoría',
+          value: categoryName,
+          message: `La fila es de '${categorySlug}' pero está en ${name}`
+        }));
+      }
+    }
+
+    const url = cleanText(row['URL del Post']);
+    if (!url) return;
+
+    if (fileUrls.has(url)) {
+      issues.push(issue(SEVERITY.ERROR, 'duplicate-url', {
+        row: position,
+        value: url,
+        message: `Repetida en la fila ${fileUrls.get(url)}`
+      }));
+    } else if (seenUrls.has(url)) {
+      const first = seenUrls.get(url);
+      issues.push(issue(SEVERITY.WARNING, 'cross-file-duplicate', {
+        row: position,
+        value: url,
+        message: `También en ${first.file}, fila ${first.row}`
+      }));
+    }
+
+    if (!fileUrls.has(url)) fileUrls.set(url, position);
+    if (!seenUrls.has(url)) seenUrls.set(url, { file: name, row: position });
+  });
+
+  // Los campos vacíos se resumen por campo en lugar de por fila
+  for (const [field, count] of Object.entries(emptyFields)) {
+    if (REQUIRED_FIELDS.includes(field)) continue;
+    issues.push(issue(SEVERITY.WARNING, 'empty-field', {
+      field,
+      message: `Vacío en ${count} de ${rows.length} filas`
+    }));
+  }
+
+  return buildFileReport(name, slug, rows.length, issues, emptyFields);
+}
+
+function buildFileReport(file, category, rows, issues, emptyFields = {}) {
+  return {
+    file,
+    category,
+    rows,
+    errors: issues.filter(found => found.severity === SEVERITY.ERROR).length,
+    warnings: issues.filter(found => found.severity === SEVERITY.WARNING).length,
+    emptyFields,
+    issues
+  };
+}
+
+function issue(severity, type, details) {
+  return {
+    severity,
+    type,
+    row: null,
+    field: null,
+    value: null,
+    ...details
+  };
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convierte un informe en texto legible
+ * @param {Object} report - Informe de scanDataDirectory
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.verbose] - Incluir también los avisos de cada archivo
+ * @returns {string} Informe en texto
+ */
+exports.formatReport = (report, { verbose = false } = {}) => {
+  const lines = [];
+  const { totals } = report;
+
+  for (const file of report.files) {
+    const status = file.errors > 0 ? '✗' : (file.warnings > 0 ? '!' : '✓');
+    lines.push(`${status} ${file.file}: ${file.rows} filas, ${file.errors} errores, ${file.warnings} avisos`);
+
+    for (const found of file.issues) {
+      if (!verbose && found.severity !== SEVERITY.ERROR) continue;
+      const location = [found.row === null ? null : `fila ${found.row}`, found.field].filter(Boolean).join(', ');
+      const value = found.value === null ? '' : ` (${found.value})`;
+      lines.push(`    [${found.type}] ${location ? `${location}: ` : ''}${found.message}${value}`);
+    }
+  }
+
+  if (report.skipped.length > 0) {
+    lines.push(`Omitidos (colecciones): ${report.skipped.join(', ')}`);
+  }
+
+  lines.push(`Total: ${totals.files} archivos, ${totals.rows} filas, ${totals.errors} errores, ${totals.warnings} avisos`);
+  for (const [type, count] of Object.entries(totals.byType)) {
+    lines.push(`    ${type}: ${count}`);
+  }
+  if (totals.alwaysEmpty.length > 0) {
+    lines.push(`Campos vacíos en todas las filas: ${totals.alwaysEmpty.join(', ')}`);
+  }
+
+  return lines.join('\n');
+};
+
+exports.SEVERITY = SEVERITY;
@@ -0,0 +1,144 @@
+/**
+ * htmlListingSource.js
+ * Fuente de ofertas a partir de páginas de resultados de freelancer.ec
+ * guardadas en una carpeta local
+ *
+ * La categoría de cada página se toma, por este orden, de la subcarpeta
+ * en la que está (<carpeta>/<categoría>/pagina.html), de la URL original
+ * de la página (/jobs/<categoría>/) o del nombre del archivo
+ * (<categoría>-2.html). Si nada de eso la indica, se usa la categoría que el
+ * clasificador sugiere para más títulos de la página. La fecha de
+ * extracción es la de modificación del archivo salvo que se indique otra.
+ *
+ * fixtures/freelancer-html tiene ejemplos de las dos formas de organizar
+ * las páginas.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('../utils/storage');
+const categoryClassifier = require('./categoryClassifier');
+const { parseResultsPage } = require('../utils/listingHtmlParser');
+const { formatExtractionDate } = require('../utils/listingParser');
+const { DATA_DIR } = require('../config/storageConfig');
+const { CATEGORIES } = require('../config/constants');
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+/**
+ * Lee las páginas guardadas de una carpeta (y de sus subcarpetas directas)
+ * @param {string} directory - Carpeta con las páginas
+ * @param {Object} options - Opciones
+ * @param {Date} [options.extractedAt] - Fecha de extracción de todas las páginas
+ * @returns {Promise<Object>} { files: [informe por archivo], rowsByCategory: Map slug -> filas };
+ * el informe indica con classified si la categoría la dedujo el clasificador
+ */
+exports.loadHtmlDirectory = async (directory, { extractedAt } = {}) => {
+  const categories = await storage.find('categories', {});
+  const namesBySlug = new Map(categories.map(category => [category.slug, category.name]));
+
+  const files = [];
+  const rowsByCategory = new Map();
+
+  for (const { file, folder } of await listHtmlFiles(directory)) {
+    const fullPath = path.join(directory, file);
+    const [html, stats] = await Promise.all([fs.readFile(fullPath, 'utf8'), fs.stat(fullPath)]);
+    const extractionDate = formatExtractionDate(extractedAt || stats.mtime);
+
+    const { pageUrl, categorySlug: urlSlug, rows } = parseResultsPage(html, { extractedAt: extractionDate });
+    let category = resolveCategory(folder, urlSlug, path.basename(file));
+    const classified = !category && rows.length > 0;
+    if (classified) category = await classifyPage(rows);
+
+    const report = { file, pageUrl, category, classified, rows: rows.length, error: null };
+    files.push(report);
+
+    if (!category) {
+      report.error = 'No se pudo determinar la categoría de la página';
+      continue;
+    }
+    if (rows.length === 0) {
+      report.error = 'La página no contiene ofertas';
+      continue;
+    }
+
+    // La columna 'Categoría' lleva el nombre visible, como en el scraper
+    for (const row of rows) row['Categoría'] = namesBySlug.get(category) || category;
+
+    if (!rowsByCategory.has(category)) rowsByCategory.set(category, []);
+    rowsByCategory.get(category).push(...rows);
+  }
+
+  return { files, rowsByCategory };
+};
+
+/**
+ * Guarda las filas de cada categoría como data/<categoría>.json
+ * Los archivos existentes de esas categorías se reemplazan
+ * @param {Map} rowsByCategory - Slug -> filas
+ * @param {Object} options - Opciones
+ * @param {string} [options.directory] - Carpeta de destino (DATA_DIR por defecto)
+ * @returns {Promise<Array<string>>} Archivos escritos
+ */
+exports.writeScrapeFiles = async (rowsByCategory, { directory = DATA_DIR } = {}) => {
+  const written = [];
+  for (const [slug, rows] of rowsByCategory) {
+    const target = path.join(directory, `${slug}.json`);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(rows, null, 2), 'utf8');
+    await fs.rename(temp, target);
+    written.push(target);
+  }
+  return written;
+};
+
+/**
+ * Lista los archivos HTML de la carpeta y de sus subcarpetas directas
+ * @returns {Promise<Array>} { file (ruta relativa), folder (subcarpeta o null) }
+ */
+async function listHtmlFiles(directory) {
+  const isHtml = (name) => HTML_EXTENSIONS.includes(path.extname(name).toLowerCase());
+  const found = [];
+
+  for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+    if (entry.isFile() && isHtml(entry.name)) {
+      found.push({ file: entry.name, folder: null });
+    } else if (entry.isDirectory()) {
+      for (const name of await fs.readdir(path.join(directory, entry.name))) {
+        if (isHtml(name)) found.push({ file: path.join(entry.name, name), folder: entry.name });
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Determina la categoría de una página (ver cabecera del módulo)
+ * @returns {string|null} Slug de CATEGORIES o null
+ */
+function resolveCategory(folder, urlSlug, fileName) {
+  if (folder && CATEGORIES.includes(folder)) return folder;
+  if (urlSlug && CATEGORIES.includes(urlSlug)) return urlSlug;
+
+  // Slug más largo con el que empieza el nombre del archivo
+  const base = path.basename(fileName, path.extname(fileName)).toLowerCase();
+  const candidates = CATEGORIES.filter(slug => base === slug || base.startsWith(`${slug}-`) || base.startsWith(`${slug}_`));
+  return candidates.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Categoría más sugerida por el clasificador para los títulos de una página
+ * @param {Array} rows - Filas de la página
+ * @returns {Promise<string|null>} Slug o null si ningún título se pudo clasificar
+ */
+async function classifyPage(rows) {
+  const votes = new Map();
+  for (const row of rows) {
+    const [best] = await categoryClassifier.classifyText(row['Título'], { limit: 1 });
+    if (best) votes.set(best.slug, (votes.get(best.slug) || 0) + 1);
+  }
+
+  const [winner] = Array.from(votes.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  return winner ? winner[0] : null;
+}
@@ -0,0 +1,361 @@
+/**
+ * keywordProposals.js
+ * Servicio para proponer palabras clave de categorías a partir de los
+ * títulos de las ofertas importadas y aplicarlas tras revisarlas
+ *
+ * Cada propuesta se guarda en la colección keywordProposals como pendiente
+ * y solo pasa a categories.keywords cuando un administrador la aprueba.
+ * Al generar una propuesta nueva, las pendientes anteriores de la misma
+ * categoría quedan reemplazadas.
+ *
+ * Para medir si las palabras propuestas mejoran la coincidencia, una de cada
+ * HOLDOUT_EVERY ofertas (en orden de URL) se reserva como prueba: se repite
+ * la extracción sin ellas y se comprueba si textMatcher asigna a su título
+ * una de sus categorías, primero con las palabras actuales y después
+ * añadiendo las extraídas. No se crea la propuesta de una categoría cuyas
+ * ofertas de prueba empeoran con las palabras extraídas.
+ */
+
+const storage = require('../utils/storage');
+const textMatcher = require('../utils/textMatcher');
+const synonymService = require('./synonymService');
+const { RequestError } = require('../utils/errors');
+const { mineKeywords, normalizeTerm } = require('../utils/keywordMiner');
+
+const PROPOSALS_COLLECTION = 'keywordProposals';
+
+const PROPOSAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SUPERSEDED: 'superseded'
+};
+
+const HOLDOUT_EVERY = 5;
+
+/**
+ * Genera y guarda propuestas de palabras clave
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.categories] - Slugs para los que proponer (todos por defecto)
+ * @param {number} [options.limit] - Palabras propuestas por categoría
+ * @param {number} [options.minCount] - Ofertas de la categoría en las que debe aparecer una palabra
+ * @param {number} [options.minDocuments] - Ofertas distintas, de cualquier categoría, en las que debe aparecer una palabra
+ * @param {boolean} [options.dryRun] - Solo calcula las propuestas, no las guarda
+ * @returns {Promise<Object>} { evaluation: { listings, before, after }, proposals, skipped }:
+ * skipped son las categorías descartadas por empeorar, con su evaluación
+ */
+exports.proposeKeywords = async ({
+  categories: slugs,
+  limit = 15,
+  minCount = 2,
+  minDocuments,
+  dryRun = false
+} = {}) => {
+  const categories = await storage.find('categories', {}, { sort: 'order' });
+  const listings = await loadListings();
+  // textMatcher compara también los sinónimos guardados
+  await synonymService.ensureLoaded();
+  const { training, testing } = splitListings(listings);
+
+  const mineOptions = { limit, minCount, minDocuments };
+  const proposed = withoutCurrent(mineKeywords(groupTitles(listings, categories), mineOptions), categories);
+  const trainingProposed = withoutCurrent(mineKeywords(groupTitles(training, categories), mineOptions), categories);
+
+  const current = new Map(categories.map(category => [category.id, category.keywords || []]));
+  const extended = new Map(categories.map(category => [
+    category.id,
+    [...current.get(category.id), ...(trainingProposed.get(category.id) || []).map(entry => entry.keyword)]
+  ]));
+  const before = evaluateMatching(testing, categories, current);
+  const after = evaluateMatching(testing, categories, extended);
+
+  const createdAt = new Date().toISOString();
+  const selected = slugs ? categories.filter(category => slugs.includes(category.slug)) : categories;
+  const candidates = selected
+    .filter(category => (proposed.get(category.id) || []).length > 0)
+    .map(category => ({
+      id: storage.generateId(),
+      categoryId: category.id,
+      categorySlug: category.slug,
+      status: PROPOSAL_STATUS.PENDING,
+      currentKeywords: current.get(category.id),
+      proposed: proposed.get(category.id),
+      evaluation: {
+        listings: before.byCategory[category.slug].listings,
+        before: pickCategory(before, category.slug),
+        after: pickCategory(after, category.slug)
+      },
+      approvedKeywords: [],
+      reviewedBy: null,
+      reviewedAt: null,
+      createdAt
+    }));
+  const proposals = candidates.filter(proposal => !isWorse(proposal.evaluation));
+  const skipped = candidates
+    .filter(proposal => isWorse(proposal.evaluation))
+    .map(({ categoryId, categorySlug, proposed: keywords, evaluation }) => ({
+      categoryId,
+      categorySlug,
+      proposed: keywords,
+      evaluation
+    }));
+
+  if (!dryRun && proposals.length > 0) {
+    await storage.transaction(async (tx) => {
+      await tx.updateMany(PROPOSALS_COLLECTION, {
+        categoryId: { $in: proposals.map(proposal => proposal.categoryId) },
+        status: PROPOSAL_STATUS.PENDING
+      }, { $set: { status: PROPOSAL_STATUS.SUPERSEDED } });
+      await tx.insertMany(PROPOSALS_COLLECTION, proposals);
+    });
+  }
+
+  return {
+    evaluation: {
+      listings: testing.length,
+      before: before.overall,
+      after: after.overall
+    },
+    proposals,
+    skipped
+  };
+};
+
+/**
+ * Mide la coincidencia de las palabras clave guardadas con todas las ofertas
+ * @returns {Promise<Object>} { overall, byCategory } con listings, accuracy y coverage
+ */
+exports.evaluateKeywords = async () => {
+  const categories = await storage.find('categories', {}, { sort: 'order' });
+  const listings = await loadListings();
+  // textMatcher compara también los sinónimos guardados
+  await synonymService.ensureLoaded();
+  const keywords = new Map(categories.map(category => [category.id, category.keywords || []]));
+  return evaluateMatching(listings, categories, keywords);
+};
+
+/**
+ * Obtiene las propuestas, de la más reciente a la más antigua
+ * @param {Object} filters - Filtros
+ * @param {string} [filters.status] - Estado de la propuesta
+ * @param {string} [filters.category] - Slug de la categoría
+ * @returns {Promise<Array>} Propuestas
+ */
+exports.listProposals = async ({ status, category } = {}) => {
+  const criteria = {};
+  if (status) criteria.status = status;
+  if (category) criteria.categorySlug = category;
+  return storage.find(PROPOSALS_COLLECTION, criteria, { sort: '-createdAt' });
+};
+
+/**
+ * Obtiene una propuesta por su ID
+ * @param {string} id - ID de la propuesta
+ * @returns {Promise<Object|null>} Propuesta o null si no existe
+ */
+exports.getProposal = async (id) => storage.findById(PROPOSALS_COLLECTION, id);
+
+/**
+ * Aprueba una propuesta y añade sus palabras a las de la categoría
+ * @param {string} id - ID de la propuesta
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.keywords] - Palabras aceptadas (todas las propuestas por defecto)
+ * @param {string} [options.reviewer] - Quién la revisa
+ * @returns {Promise<Object|null>} { proposal, category } o null si la propuesta no existe
+ */
+exports.approveProposal = async (id, { keywords, reviewer = null } = {}) => {
+  const proposal = await getPendingProposal(id);
+  if (!proposal) return null;
+
+  const accepted = normalizeKeywords(keywords || proposal.proposed.map(entry => entry.keyword));
+  if (accepted.length === 0) {
+    throw new RequestError('No se ha aceptado ninguna palabra clave', 400);
+  }
+
+  return storage.transaction(async (tx) => {
+    const category = await tx.findById('categories', proposal.categoryId);
+    if (!category) {
+      throw new RequestError(`La categoría '${proposal.categorySlug}' ya no existe`, 409);
+    }
+
+    const merged = normalizeKeywords([...(category.keywords || []), ...accepted]);
+    const { data: updatedCategory } = await tx.updateOne('categories', { id: category.id }, {
+      $set: { keywords: merged, updatedAt: new Date().toISOString() }
+    });
+    const { data: updatedProposal } = await tx.updateOne(PROPOSALS_COLLECTION, { id }, {
+      $set: {
+        status: PROPOSAL_STATUS.APPROVED,
+        approvedKeywords: accepted,
+        reviewedBy: reviewer,
+        reviewedAt: new Date().toISOString()
+      }
+    });
+
+    return { proposal: updatedProposal, category: updatedCategory };
+  });
+};
+
+/**
+ * Rechaza una propuesta sin cambiar la categoría
+ * @param {string} id - ID de la propuesta
+ * @param {Object} options - Opciones
+ * @param {string} [options.reviewer] - Quién la revisa
+ * @returns {Promise<Object|null>} Propuesta actualizada o null si no existe
+ */
+exports.rejectProposal = async (id, { reviewer = null } = {}) => {
+  const proposal = await getPendingProposal(id);
+  if (!proposal) return null;
+
+  const { data } = await storage.updateOne(PROPOSALS_COLLECTION, { id }, {
+    $set: {
+      status: PROPOSAL_STATUS.REJECTED,
+      reviewedBy: reviewer,
+      reviewedAt: new Date().toISOString()
+    }
+  });
+  return data;
+};
+
+exports.PROPOSAL_STATUS = PROPOSAL_STATUS;
+
+/**
+ * Títulos y categorías de todas las ofertas, en orden de URL para que la
+ * separación entre extracción y prueba sea siempre la misma
+ */
+async function loadListings() {
+  const listings = await storage.find('listings', {});
+  return listings
+    .filter(listing => listing.title)
+    .map(listing => ({
+      sourceUrl: listing.sourceUrl,
+      title: listing.title,
+      categoryIds: listing.categoryIds && listing.categoryIds.length > 0
+        ? listing.categoryIds
+        : [listing.categoryId]
+    }))
+    .sort((a, b) => a.sourceUrl.localeCompare(b.sourceUrl));
+}
+
+function splitListings(listings) {
+  const training = [];
+  const testing = [];
+  listings.forEach((listing, position) => {
+    (position % HOLDOUT_EVERY === 0 ? testing : training).push(listing);
+  });
+  return { training, testing };
+}
+
+/**
+ * Agrupa los títulos por ID de categoría
+ * @returns {Map<string, Array<string>>} ID -> títulos
+ */
+function groupTitles(listings, categories) {
+  const titles = new Map(categories.map(category => [category.id, []]));
+  for (const listing of listings) {
+    for (const categoryId of listing.categoryIds) {
+      if (titles.has(categoryId)) titles.get(categoryId).push(listing.title);
+    }
+  }
+  return titles;
+}
+
+/**
+ * Quita de las palabras extraídas las que la categoría ya tiene
+ */
+function withoutCurrent(mined, categories) {
+  const result = new Map();
+  for (const category of categories) {
+    const known = new Set((category.keywords || []).map(normalizeTerm));
+    result.set(category.id, (mined.get(category.id) || []).filter(entry => !known.has(normalizeTerm(entry.keyword))));
+  }
+  return result;
+}
+
+/**
+ * Asigna a cada título la categoría con más relevancia según textMatcher
+ * @param {Array} listings - Ofertas a clasificar
+ * @param {Array} categories - Categorías
+ * @param {Map} keywordsById - ID de categoría -> palabras clave
+ * @returns {Object} { overall, byCategory }: accuracy es la proporción de
+ * ofertas cuya categoría asignada es una de las suyas y coverage la de
+ * ofertas con alguna coincidencia
+ */
+function evaluateMatching(listings, categories, keywordsById) {
+  const blank = () => ({ listings: 0, matched: 0, correct: 0 });
+  const overall = blank();
+  const byCategory = {};
+  const slugById = new Map(categories.map(category => [category.id, category.slug]));
+  categories.forEach(category => { byCategory[category.slug] = blank(); });
+
+  for (const listing of listings) {
+    let best = null;
+    let bestScore = 0;
+    for (const category of categories) {
+      const score = textMatcher.calculateRelevance(listing.title, keywordsById.get(category.id));
+      if (score > bestScore) {
+        best = category.id;
+        bestScore = score;
+      }
+    }
+
+    const counters = [overall, ...listing.categoryIds
+      .filter(categoryId => slugById.has(categoryId))
+      .map(categoryId => byCategory[slugById.get(categoryId)])];
+    for (const counter of counters) {
+      counter.listings += 1;
+      if (best) counter.matched += 1;
+      if (best && listing.categoryIds.includes(best)) counter.correct += 1;
+    }
+  }
+
+  const finish = ({ listings: total, matched, correct }) => ({
+    listings: total,
+    accuracy: ratio(correct, total),
+    coverage: ratio(matched, total)
+  });
+
+  return {
+    overall: finish(overall),
+    byCategory: Object.fromEntries(Object.entries(byCategory).map(([slug, counter]) => [slug, finish(counter)]))
+  };
+}
+
+/**
+ * Indica si las palabras extraídas empeoran la coincidencia de una
+ * categoría: menos acierto, o el mismo con menos cobertura. Sin ofertas de
+ * prueba no se puede saber y no se descarta
+ */
+function isWorse({ before, after }) {
+  if (before.accuracy === null || after.accuracy === null) return false;
+  if (after.accuracy !== before.accuracy) return after.accuracy < before.accuracy;
+  return after.coverage < before.coverage;
+}
+
+function pickCategory(evaluation, slug) {
+  const { accuracy, coverage } = evaluation.byCategory[slug];
+  return { accuracy, coverage };
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Minúsculas, sin espacios sobrantes ni duplicados (como la migración 002)
+ */
+function normalizeKeywords(keywords) {
+  const cleaned = keywords
+    .filter(keyword => typeof keyword === 'string')
+    .map(keyword => keyword.trim().replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set(cleaned));
+}
+
+async function getPendingProposal(id) {
+  const proposal = await storage.findById(PROPOSALS_COLLECTION, id);
+  if (!proposal) return null;
+  if (proposal.status !== PROPOSAL_STATUS.PENDING) {
+    throw new RequestError(`La propuesta ya está en estado '${proposal.status}'`, 409);
+  }
+  return proposal;
+}
@@ -0,0 +1,108 @@
+/**
+ * listingExpiry.js
+ * Vencimiento de las ofertas importadas según su fecha límite
+ *
+ * La fecha límite se calcula al importar a partir del tiempo restante
+ * scrapeado ("2 días left") y la fecha de extracción. Un barrido periódico
+ * marca como vencidas las ofertas abiertas cuya fecha límite ya pasó; hasta
+ * que el barrido llega, los listados las excluyen igualmente con
+ * getActiveCriteria.
+ */
+
+const storage = require('../utils/storage');
+const { runWithContext } = require('../utils/requestContext');
+const { LISTING_STATUS, LISTING_EXPIRY_INTERVAL_MS } = require('../config/constants');
+
+const LISTINGS_COLLECTION = 'listings';
+
+// Autor de las escrituras del barrido en el diario de cambios
+const SWEEPER_ACTOR = 'job:listing-expiry';
+
+/**
+ * Consulta de las ofertas que siguen vigentes: ni vencidas ni cerradas
+ * ("Finalizado" en el portal) y sin fecha límite pasada (las ofertas sin
+ * fecha límite se consideran vigentes)
+ * @param {Date} [now] - Fecha de referencia
+ * @returns {Object} Consulta para storage.find
+ */
+exports.getActiveCriteria = (now = new Date()) => ({
+  status: { $nin: [LISTING_STATUS.EXPIRED, LISTING_STATUS.CLOSED] },
+  $or: [
+    { deadline: null },
+    { deadline: { $gt: now.toISOString() } }
+  ]
+});
+
+/**
+ * Ajusta el estado de vencimiento de una oferta
+ * Se usa al importar para que un scrape antiguo no reabra una oferta vencida
+ * y para reabrir las que un scrape nuevo muestra con más plazo
+ * @param {Object} listing - Oferta (no se modifica)
+ * @param {Date} [now] - Fecha de referencia
+ * @returns {Object} La oferta, vencida si su fecha límite ya pasó
+ */
+exports.applyExpiry = (listing, now = new Date()) => {
+  const isPastDeadline = !!listing.deadline && new Date(listing.deadline) <= now;
+  const expired = listing.status === LISTING_STATUS.EXPIRED ||
+    (listing.status === LISTING_STATUS.OPEN && isPastDeadline);
+
+  if (!expired) {
+    return listing.expiredAt ? { ...listing, expiredAt: null } : listing;
+  }
+
+  return {
+    ...listing,
+    status: LISTING_STATUS.EXPIRED,
+    expiredAt: listing.expiredAt || now.toISOString()
+  };
+};
+
+/**
+ * Marca como vencidas las ofertas abiertas con la fecha límite pasada
+ * @param {Object} options - Opciones
+ * @param {Date} [options.now] - Fecha de referencia
+ * @returns {Promise<Object>} { expired, at }
+ */
+exports.expireListings = async ({ now = new Date() } = {}) => {
+  const at = now.toISOString();
+  const { modifiedCount } = await storage.updateMany(
+    LISTINGS_COLLECTION,
+    { status: LISTING_STATUS.OPEN, deadline: { $lte: at } },
+    { $set: { status: LISTING_STATUS.EXPIRED, expiredAt: at } }
+  );
+
+  return { expired: modifiedCount, at };
+};
+
+/**
+ * Inicia el barrido periódico de vencimientos
+ * El primer barrido se hace al iniciar; un barrido no empieza mientras el
+ * anterior sigue en curso. El temporizador no mantiene vivo el proceso.
+ * @param {Object} options - Opciones
+ * @param {number} [options.intervalMs] - Intervalo entre barridos
+ * @returns {Function} Detiene el barrido
+ */
+exports.startExpirySweeper = ({ intervalMs = LISTING_EXPIRY_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { expired } = await runWithContext({ actor: SWEEPER_ACTOR }, () => exports.expireListings());
+      if (expired > 0) {
+        console.log(`Ofertas marcadas como vencidas: ${expired}`);
+      }
+    } catch (error) {
+      console.error('Error en el barrido de ofertas vencidas:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,304 @@
+/**
+ * listingImporter.js
+ * Servicio para importar las ofertas scrapeadas de data/<categoría>.json
+ * a la colección listings
+ *
+ * Una misma oferta puede aparecer en varios archivos de categoría y en
+ * scrapes sucesivos, así que las filas se agrupan por URL de origen: la
+ * oferta guarda todas las categorías en las que apareció y la primera y
+ * última extracción en la que se vio. Los datos de la oferta son los de la
+ * extracción más reciente; un scrape anterior al guardado no los sobrescribe.
+ *
+ * Cada importación deja en la colección listingImports un informe con las
+ * ofertas nuevas, las que desaparecieron y las que cambiaron.
+ */
+
+const storage = require('../utils/storage');
+const { loadDataByCategorySlug } = require('../utils/scrapedData');
+const { mapScrapedRow } = require('../utils/listingParser');
+const Listing = require('../models/Listing');
+const { applyExpiry } = require('./listingExpiry');
+const { CATEGORIES } = require('../config/constants');
+
+const LISTINGS_COLLECTION = 'listings';
+const IMPORTS_COLLECTION = 'listingImports';
+
+// Campos cuyo cambio se informa en el diff de la importación
+const TRACKED_FIELDS = [
+  'title',
+  'budget',
+  'deadline',
+  'status',
+  'expiredAt',
+  'clientRating',
+  'proposals',
+  'publishedAt',
+  'categoryIds'
+];
+
+/**
+ * Importa las ofertas de varias categorías
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.categories] - Slugs a importar (todas por defecto)
+ * @param {boolean} [options.dryRun] - Solo calcula el informe, no escribe
+ * @param {Function} [options.loadRows] - Obtiene las filas de un slug con las
+ * claves del scraper (por defecto lee data/<categoría>.json)
+ * @returns {Promise<Object>} Informe { id, dryRun, startedAt, categories, totals, diff };
+ * diff tiene las listas added, changed (con los campos y el cambio de
+ * presupuesto) y removed (ofertas que ya no aparecen en ningún archivo y
+ * cuyas categorías se han leído todas en esta importación)
+ */
+exports.importListings = async ({
+  categories = CATEGORIES,
+  dryRun = false,
+  loadRows = loadDataByCategorySlug
+} = {}) => {
+  const now = new Date();
+  const startedAt = now.toISOString();
+  const categoryDocs = await storage.find('categories', { slug: { $in: categories } });
+  const categoriesBySlug = new Map(categoryDocs.map(category => [category.slug, category]));
+
+  // Filas válidas de todos los archivos, agrupadas por URL
+  const groups = new Map();
+  // IDs de las categorías cuyo archivo se ha leído
+  const loadedIds = new Set();
+  const reports = [];
+  for (const slug of categories) {
+    reports.push(await collectCategory(slug, categoriesBySlug.get(slug), groups, loadRows, loadedIds));
+  }
+
+  const incoming = Array.from(groups.values()).map(mergeGroup);
+  const existing = await storage.find(LISTINGS_COLLECTION, {
+    sourceUrl: { $in: incoming.map(record => record.sourceUrl) }
+  });
+  const existingByUrl = new Map(existing.map(listing => [listing.sourceUrl, listing]));
+
+  const diff = { added: [], changed: [], removed: [] };
+  const toInsert = [];
+  const toUpdate = [];
+  let unchanged = 0;
+
+  for (const record of incoming) {
+    const current = existingByUrl.get(record.sourceUrl);
+    if (!current) {
+      const listing = { ...applyExpiry(record, now), id: storage.generateId() };
+      toInsert.push(listing);
+      diff.added.push(summarize(listing));
+      continue;
+    }
+
+    // Las ofertas guardadas antes de existir algunos campos se normalizan con
+    // el modelo, para no informar como cambio lo que solo es un campo nuevo
+    const stored = new Listing(current).toJSON();
+    const next = applyExpiry(mergeWithStored(stored, record), now);
+    if (changedFields(current, next, Object.keys(next)).length === 0) {
+      unchanged += 1;
+      continue;
+    }
+
+    toUpdate.push(next);
+    const tracked = changedFields(stored, next, TRACKED_FIELDS);
+    if (tracked.length > 0) {
+      diff.changed.push({
+        ...summarize(current),
+        fields: tracked,
+        ...(tracked.includes('budget') ? { budget: { before: current.budget, after: next.budget } } : {})
+      });
+    }
+  }
+
+  // Ofertas de las categorías leídas que no aparecen en ningún archivo; si
+  // también son de una categoría que no se ha leído no se sabe si siguen
+  // publicadas y no se informan
+  const importedIds = Array.from(loadedIds);
+  const previous = await storage.find(LISTINGS_COLLECTION, {
+    $or: [{ categoryIds: { $in: importedIds } }, { categoryId: { $in: importedIds } }]
+  });
+  for (const listing of previous) {
+    if (groups.has(listing.sourceUrl)) continue;
+    const listingCategoryIds = listing.categoryIds || [listing.categoryId];
+    if (listingCategoryIds.every(id => loadedIds.has(id))) diff.removed.push(summarize(listing));
+  }
+
+  const result = {
+    id: null,
+    dryRun,
+    startedAt,
+    categories: reports,
+    totals: {
+      rows: reports.reduce((total, report) => total + report.rows, 0),
+      listings: incoming.length,
+      inserted: toInsert.length,
+      updated: toUpdate.length,
+      unchanged,
+      removed: diff.removed.length,
+      skipped: reports.reduce((total, report) => total + report.skipped.length, 0)
+    },
+    diff
+  };
+
+  if (!dryRun) {
+    await storage.transaction(async (tx) => {
+      if (toInsert.length > 0) {
+        await tx.insertMany(LISTINGS_COLLECTION, toInsert);
+      }
+      for (const listing of toUpdate) {
+        const { id, createdAt, updatedAt, ...fields } = listing;
+        await tx.updateOne(LISTINGS_COLLECTION, { id }, { $set: fields });
+      }
+      const saved = await tx.insertOne(IMPORTS_COLLECTION, {
+        ...result,
+        finishedAt: new Date().toISOString()
+      });
+      result.id = saved.id;
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Obtiene los informes de importaciones anteriores, del más reciente al más antiguo
+ * @param {Object} options - Opciones
+ * @param {number} [options.limit] - Número máximo de informes
+ * @returns {Promise<Array>} Informes
+ */
+exports.getImportHistory = async ({ limit = 10 } = {}) => {
+  return storage.find(IMPORTS_COLLECTION, {}, { sort: '-startedAt', limit });
+};
+
+/**
+ * Lee las filas de una categoría y las añade a los grupos por URL
+ * @param {string} slug - Slug de la categoría
+ * @param {Object} category - Documento de la categoría
+ * @param {Map} groups - URL -> { sourceUrl, rows: [{ record, category }] }
+ * @param {Function} loadRows - Obtiene las filas del slug
+ * @param {Set} loadedIds - Recibe el ID de la categoría si se leen sus filas
+ * @returns {Promise<Object>} Informe { category, rows, valid, skipped }
+ */
+async function collectCategory(slug, category, groups, loadRows, loadedIds) {
+  const report = { category: slug, rows: 0, valid: 0, skipped: [] };
+
+  if (!category) {
+    report.skipped.push({ row: null, reason: `La categoría '${slug}' no existe` });
+    return report;
+  }
+
+  const rows = await loadRows(slug);
+  if (!Array.isArray(rows)) {
+    report.skipped.push({ row: null, reason: `No hay datos scrapeados para '${slug}'` });
+    return report;
+  }
+  report.rows = rows.length;
+  loadedIds.add(category.id);
+
+  rows.forEach((row, position) => {
+    const record = mapScrapedRow(row, category);
+    const { valid, errors } = new Listing(record).validate();
+    if (!valid) {
+      report.skipped.push({ row: position, reason: errors.join('; ') });
+      return;
+    }
+
+    report.valid += 1;
+    if (!groups.has(record.sourceUrl)) {
+      groups.set(record.sourceUrl, { sourceUrl: record.sourceUrl, rows: [] });
+    }
+    groups.get(record.sourceUrl).rows.push({ record, category });
+  });
+
+  return report;
+}
+
+/**
+ * Combina las filas de una misma oferta en un único registro
+ * Los datos salen de la extracción más reciente (a igualdad, la primera leída)
+ * y las categorías se conservan en el orden en que aparecieron
+ */
+function mergeGroup(group) {
+  const latest = group.rows.reduce((best, row) => (
+    compareDates(row.record.extractedAt, best.record.extractedAt) > 0 ? row : best
+  ));
+  const extractions = group.rows.map(row => row.record.extractedAt).filter(Boolean).sort();
+  const categories = uniqueCategories(group.rows.map(row => row.category));
+
+  return {
+    ...latest.record,
+    categoryId: categories[0].id,
+    categorySlug: categories[0].slug,
+    categoryIds: categories.map(category => category.id),
+    categorySlugs: categories.map(category => category.slug),
+    firstSeenAt: extractions[0] || null,
+    lastSeenAt: extractions[extractions.length - 1] || null
+  };
+}
+
+/**
+ * Combina una oferta guardada con un registro importado
+ * Se conservan la categoría principal y las categorías anteriores; los datos
+ * solo se reemplazan si la extracción importada no es anterior a la guardada
+ */
+function mergeWithStored(current, record) {
+  const isNewer = compareDates(record.extractedAt, current.extractedAt) >= 0;
+  const categories = uniqueCategories([
+    ...current.categoryIds.map((id, position) => ({ id, slug: current.categorySlugs[position] })),
+    ...record.categoryIds.map((id, position) => ({ id, slug: record.categorySlugs[position] }))
+  ]);
+
+  return {
+    ...current,
+    ...(isNewer ? record : {}),
+    categoryId: current.categoryId,
+    categorySlug: current.categorySlug,
+    categoryIds: categories.map(category => category.id),
+    categorySlugs: categories.map(category => category.slug),
+    firstSeenAt: minDate(current.firstSeenAt, record.firstSeenAt),
+    lastSeenAt: maxDate(current.lastSeenAt, record.lastSeenAt)
+  };
+}
+
+function uniqueCategories(categories) {
+  const seen = new Set();
+  return categories.filter(category => {
+    if (seen.has(category.id)) return false;
+    seen.add(category.id);
+    return true;
+  });
+}
+
+/**
+ * Compara dos fechas ISO; una fecha ausente es anterior a cualquier otra
+ */
+function compareDates(a, b) {
+  return (a || '').localeCompare(b || '');
+}
+
+function minDate(a, b) {
+  if (!a || !b) return a || b || null;
+  return compareDates(a, b) <= 0 ? a : b;
+}
+
+function maxDate(a, b) {
+  return compareDates(a, b) >= 0 ? (a || null) : b;
+}
+
+/**
+ * Campos que difieren entre la oferta guardada y la nueva versión
+ */
+function changedFields(current, next, fields) {
+  return fields.filter(field => (
+    field !== 'updatedAt' && JSON.stringify(current[field]) !== JSON.stringify(next[field])
+  ));
+}
+
+/**
+ * Datos mínimos de una oferta para el informe de la importación
+ */
+function summarize(listing) {
+  return {
+    id: listing.id || null,
+    sourceUrl: listing.sourceUrl,
+    title: listing.title,
+    categorySlug: listing.categorySlug
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * marketInsights.js
+ * Estadísticas de presupuestos de las ofertas importadas por categoría
+ *
+ * Los presupuestos fijos y por hora se resumen por separado, ya que no son
+ * comparables entre sí. De un rango se usa el punto medio (budget.amount).
+ * Solo se consideran los presupuestos en la moneda pedida.
+ */
+
+const storage = require('../utils/storage');
+const { PRICE_TYPES, BUDGET_HISTOGRAM_BOUNDS } = require('../config/constants');
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Calcula las estadísticas de una categoría
+ * @param {Object} category - Documento de la categoría
+ * @param {Object} options - Opciones
+ * @param {string} [options.currency] - Moneda de los presupuestos
+ * @returns {Promise<Object>} Estadísticas (ver summarize)
+ */
+exports.getCategoryInsights = async (category, { currency = DEFAULT_CURRENCY } = {}) => {
+  const listings = await storage.find('listings', { categoryIds: category.id });
+  return {
+    category: describeCategory(category),
+    ...summarize(listings, currency)
+  };
+};
+
+/**
+ * Calcula las estadísticas de todas las categorías activas y del conjunto
+ * Una oferta publicada en varias categorías cuenta en cada una de ellas
+ * @param {Object} options - Opciones
+ * @param {string} [options.currency] - Moneda de los presupuestos
+ * @returns {Promise<Object>} { overall, categories } con las categorías
+ * ordenadas de más a menos ofertas
+ */
+exports.getAllInsights = async ({ currency = DEFAULT_CURRENCY } = {}) => {
+  const categories = await storage.find('categories', { active: { $ne: false } }, { sort: { order: 1 } });
+  const listings = await storage.find('listings', {});
+
+  const byCategory = new Map(categories.map(category => [category.id, []]));
+  for (const listing of listings) {
+    for (const categoryId of listing.categoryIds || [listing.categoryId]) {
+      if (byCategory.has(categoryId)) byCategory.get(categoryId).push(listing);
+    }
+  }
+
+  return {
+    overall: summarize(listings, currency),
+    categories: categories
+      .map(category => ({
+        category: describeCategory(category),
+        ...summarize(byCategory.get(category.id), currency)
+      }))
+      .sort((a, b) => b.listings - a.listings)
+  };
+};
+
+/**
+ * Resume los presupuestos de un conjunto de ofertas
+ * @param {Array} listings - Ofertas
+ * @param {string} currency - Moneda de los presupuestos
+ * @returns {Object} { currency, listings, withoutBudget, otherCurrency, split, budgets }
+ */
+function summarize(listings, currency) {
+  const amounts = Object.fromEntries(Object.values(PRICE_TYPES).map(type => [type, []]));
+  let withoutBudget = 0;
+  let otherCurrency = 0;
+
+  for (const { budget } of listings) {
+    if (!budget || typeof budget.amount !== 'number' || !amounts[budget.type]) {
+      withoutBudget += 1;
+    } else if (budget.currency !== currency) {
+      otherCurrency += 1;
+    } else {
+      amounts[budget.type].push(budget.amount);
+    }
+  }
+
+  const split = {};
+  const budgets = {};
+  for (const [type, values] of Object.entries(amounts)) {
+    split[type] = values.length;
+    budgets[type] = describeAmounts(values, BUDGET_HISTOGRAM_BOUNDS[type]);
+  }
+
+  return { currency, listings: listings.length, withoutBudget, otherCurrency, split, budgets };
+}
+
+/**
+ * Estadísticas de una lista de importes
+ * @param {Array<number>} values - Importes
+ * @param {Array<number>} bounds - Límites inferiores de los tramos del histograma
+ * @returns {Object} { count, min, median, p90, max, mean, histogram }; los
+ * valores son null si no hay importes
+ */
+function describeAmounts(values, bounds) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = sorted.length;
+
+  const histogram = bounds.map((from, position) => ({
+    from,
+    to: position + 1 < bounds.length ? bounds[position + 1] : null,
+    count: 0
+  }));
+  for (const value of sorted) {
+    const bucket = histogram.findLast(range => value >= range.from);
+    if (bucket) bucket.count += 1;
+  }
+
+  return {
+    count,
+    min: count ? sorted[0] : null,
+    median: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    max: count ? sorted[count - 1] : null,
+    mean: count ? round(sorted.reduce((total, value) => total + value, 0) / count) : null,
+    histogram
+  };
+}
+
+/**
+ * Percentil con interpolación lineal entre los valores vecinos
+ * @param {Array<number>} sorted - Valores ordenados de menor a mayor
+ * @param {number} fraction - Percentil entre 0 y 1
+ * @returns {number|null} Valor del percentil
+ */
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function describeCategory(category) {
+  return { id: category.id, name: category.name, slug: category.slug };
+}
@@ -0,0 +1,175 @@
+/**
+ * searchService.js
+ * Búsqueda de texto con ranking BM25 sobre las colecciones de
+ * SEARCH.FIELD_BOOSTS (servicios, ofertas, categorías y usuarios)
+ *
+ * Cada colección tiene un índice en memoria que se construye en la primera
+ * búsqueda. Después se mantiene al día de forma incremental: storage avisa
+ * de las colecciones modificadas y, en la siguiente búsqueda, solo se
+ * vuelven a indexar los documentos cuyo updatedAt cambió y se quitan los
+ * borrados. Pasado SEARCH.REFRESH_MS se revisa aunque no haya avisos.
+ *
+ * Las consultas se amplían con los sinónimos y traducciones de los términos
+ * que reconoce el diccionario (ver synonymService), de modo que "tienda
+ * online" también encuentra "ecommerce".
+ */
+
+const storage = require('../utils/storage');
+const SearchIndex = require('../utils/searchIndex');
+const synonymService = require('./synonymService');
+const { SEARCH } = require('../config/constants');
+
+// Colección -> { index, versions: Map(id -> updatedAt), dirty, syncedAt, syncing }
+const states = new Map();
+
+storage.onChange((collection) => {
+  const state = states.get(collection);
+  if (state) state.dirty = true;
+});
+
+/**
+ * Busca en una colección y devuelve los documentos ordenados por relevancia
+ * @param {string} collection - Colección de SEARCH.FIELD_BOOSTS
+ * @param {string} query - Texto de la búsqueda
+ * @param {Object} options - Opciones
+ * @param {Object} [options.criteria] - Consulta que deben cumplir además los documentos
+ * @param {number} [options.skip] - Resultados a saltar
+ * @param {number} [options.limit] - Número máximo de resultados
+ * @returns {Promise<Object>} { total, results: [documento con relevance] }
+ */
+exports.searchDocuments = async (collection, query, options = {}) => {
+  const { total, hits } = await exports.searchHits(collection, query, options);
+  return {
+    total,
+    results: hits.map(({ document, score }) => ({ ...document, relevance: roundScore(score) }))
+  };
+};
+
+/**
+ * Como searchDocuments, pero con la puntuación y los términos que
+ * coincidieron aparte de cada documento (p. ej. para resaltarlos)
+ * @param {string} collection - Colección de SEARCH.FIELD_BOOSTS
+ * @param {string} query - Texto de la búsqueda
+ * @param {Object} options - Opciones de searchDocuments
+ * @returns {Promise<Object>} { total, hits: [{ document, score, matched }] }
+ */
+exports.searchHits = async (collection, query, { criteria = {}, skip = 0, limit } = {}) => {
+  const ranked = await exports.rank(collection, query);
+  if (ranked.length === 0) return { total: 0, hits: [] };
+
+  const byId = new Map(ranked.map(result => [result.id, result]));
+  const documents = await storage.find(collection, {
+    ...criteria,
+    id: { $in: Array.from(byId.keys()) }
+  });
+
+  documents.sort((a, b) => byId.get(b.id).score - byId.get(a.id).score || String(a.id).localeCompare(String(b.id)));
+  const page = limit === undefined ? documents.slice(skip) : documents.slice(skip, skip + limit);
+
+  return {
+    total: documents.length,
+    hits: page.map(document => ({
+      document,
+      score: byId.get(document.id).score,
+      matched: byId.get(document.id).matched
+    }))
+  };
+};
+
+/**
+ * Ranking de los IDs que coinciden con la búsqueda
+ * @param {string} collection - Colección de SEARCH.FIELD_BOOSTS
+ * @param {string} query - Texto de la búsqueda
+ * @returns {Promise<Array>} { id, score, matched } de mayor a menor puntuación
+ */
+exports.rank = async (collection, query) => {
+  const index = await getIndex(collection);
+  const expansions = (await synonymService.expandQuery(query))
+    .map(({ synonyms }) => synonyms)
+    .filter(synonyms => synonyms.length > 0);
+  return index.search(query, { expansions });
+};
+
+/**
+ * Estado de los índices construidos
+ * @returns {Object} Colección -> { documents, terms, syncedAt }
+ */
+exports.getStats = () => Object.fromEntries(Array.from(states.entries()).map(([collection, state]) => [
+  collection,
+  {
+    documents: state.index.size,
+    terms: state.index.postings.size,
+    syncedAt: state.syncedAt ? new Date(state.syncedAt).toISOString() : null
+  }
+]));
+
+/**
+ * Índice de la colección, sincronizado si hubo cambios
+ */
+async function getIndex(collection) {
+  const boosts = SEARCH.FIELD_BOOSTS[collection];
+  if (!boosts) throw new Error(`La colección '${collection}' no tiene índice de búsqueda`);
+
+  if (!states.has(collection)) {
+    states.set(collection, {
+      index: new SearchIndex(boosts),
+      versions: new Map(),
+      dirty: true,
+      syncedAt: 0,
+      syncing: null
+    });
+  }
+
+  const state = states.get(collection);
+  if (state.dirty || Date.now() - state.syncedAt > SEARCH.REFRESH_MS) {
+    // Las búsquedas simultáneas esperan a la misma sincronización
+    if (!state.syncing) {
+      state.syncing = synchronize(collection, state).finally(() => { state.syncing = null; });
+    }
+    await state.syncing;
+  }
+  return state.index;
+}
+
+/**
+ * Reindexa los documentos nuevos o modificados y quita los borrados
+ * @returns {Promise<number>} Documentos reindexados o quitados
+ */
+async function synchronize(collection, state) {
+  // Se marca antes de leer: un cambio durante la lectura vuelve a marcarlo
+  state.dirty = false;
+  const documents = await storage.find(collection, {});
+  const seen = new Set();
+  let changed = 0;
+
+  for (const document of documents) {
+    seen.add(document.id);
+    const version = document.updatedAt || null;
+    if (version !== null && state.versions.get(document.id) === version) continue;
+
+    state.index.add(document);
+    state.versions.set(document.id, version);
+    changed += 1;
+  }
+
+  for (const id of Array.from(state.versions.keys())) {
+    if (seen.has(id)) continue;
+    state.index.remove(id);
+    state.versions.delete(id);
+    changed += 1;
+  }
+
+  state.syncedAt = Date.now();
+  return changed;
+}
+
+/**
+ * Puntuación redondeada para las respuestas
+ * @param {number} score - Puntuación
+ * @returns {number}
+ */
+function roundScore(score) {
+  return Math.round(score * 1000) / 1000;
+}
+
+exports.roundScore = roundScore;
@@ -0,0 +1,232 @@
+/**
+ * serviceFacets.js
+ * Búsqueda de servicios con filtros combinables y recuentos por filtro
+ *
+ * Los filtros son los de la barra lateral del marketplace: categoría, tipo
+ * de precio, token, rango de precio, valoración mínima, plazo máximo de
+ * entrega y nivel mínimo de verificación del proveedor. Se combinan entre
+ * sí y con el texto de la búsqueda.
+ *
+ * Los recuentos de cada filtro se calculan con el resto de filtros
+ * aplicados pero no con el suyo, de modo que al elegir una categoría las
+ * demás siguen mostrando cuántos servicios tendrían.
+ */
+
+const storage = require('../utils/storage');
+const searchService = require('./searchService');
+const User = require('../models/User');
+const { RequestError } = require('../utils/errors');
+const { PRICE_TYPES, VERIFICATION_LEVELS, SERVICE_FACETS } = require('../config/constants');
+
+// Niveles de verificación de mayor a menor
+const LEVELS = [VERIFICATION_LEVELS.ORB, VERIFICATION_LEVELS.PHONE, VERIFICATION_LEVELS.DEVICE];
+
+const MAX_RATING = 5;
+
+// Comprobación de cada filtro: (servicio, valor del filtro, proveedor) => boolean
+const TESTS = {
+  category: (service, ids) => ids.includes(service.category),
+  priceType: (service, types) => types.includes(service.priceType),
+  token: (service, tokens) => tokens.includes(String(service.token || '').toUpperCase()),
+  price: (service, { min, max }) => (
+    (min === undefined || service.price >= min) && (max === undefined || service.price <= max)
+  ),
+  rating: (service, min) => (service.rating || 0) >= min,
+  deliveryTime: (service, max) => {
+    const days = deliveryDays(service);
+    return days !== null && days <= max;
+  },
+  verificationLevel: (service, level, provider) => (
+    Boolean(provider) && new User(provider).hasVerificationLevel(level)
+  )
+};
+
+/**
+ * Lee los filtros de los parámetros de una petición
+ * category, priceType y token admiten varios valores separados por comas
+ * @param {Object} query - Parámetros: category, priceType, token, minPrice,
+ * maxPrice, minRating, maxDeliveryTime (días), verificationLevel
+ * @returns {Object} Filtros (solo los indicados), con las claves de TESTS
+ * @throws {RequestError} Si algún valor no es válido
+ */
+exports.parseFilters = (query = {}) => {
+  const filters = {};
+
+  if (query.category) filters.category = splitList(query.category);
+
+  if (query.priceType) {
+    filters.priceType = splitList(query.priceType);
+    const invalid = filters.priceType.filter(type => !Object.values(PRICE_TYPES).includes(type));
+    if (invalid.length > 0) {
+      throw new RequestError(`priceType debe ser uno de: ${Object.values(PRICE_TYPES).join(', ')}`);
+    }
+  }
+
+  if (query.token) filters.token = splitList(query.token).map(token => token.toUpperCase());
+
+  const min = parseNumber(query.minPrice, 'minPrice');
+  const max = parseNumber(query.maxPrice, 'maxPrice');
+  if (min !== undefined && max !== undefined && min > max) {
+    throw new RequestError('minPrice no puede ser mayor que maxPrice');
+  }
+  if (min !== undefined || max !== undefined) filters.price = { min, max };
+
+  const rating = parseNumber(query.minRating, 'minRating');
+  if (rating !== undefined) {
+    if (rating > MAX_RATING) throw new RequestError(`minRating debe estar entre 0 y ${MAX_RATING}`);
+    filters.rating = rating;
+  }
+
+  const days = parseNumber(query.maxDeliveryTime, 'maxDeliveryTime');
+  if (days !== undefined) filters.deliveryTime = days;
+
+  if (query.verificationLevel) {
+    if (!LEVELS.includes(query.verificationLevel)) {
+      throw new RequestError(`verificationLevel debe ser uno de: ${LEVELS.join(', ')}`);
+    }
+    filters.verificationLevel = query.verificationLevel;
+  }
+
+  return filters;
+};
+
+/**
+ * Busca servicios activos por texto y filtros
+ * @param {Object} options - Opciones
+ * @param {string} [options.query] - Texto; si se indica, los resultados se
+ * ordenan por relevancia y solo entran los que coinciden
+ * @param {Object} [options.filters] - Filtros de parseFilters
+ * @param {number} [options.skip] - Resultados a saltar
+ * @param {number} [options.limit] - Número máximo de resultados
+ * @returns {Promise<Object>} { total, results, facets }: facets tiene, por
+ * filtro, los valores posibles con el número de servicios de cada uno
+ */
+exports.findServices = async ({ query, filters = {}, skip = 0, limit } = {}) => {
+  const criteria = { active: { $ne: false } };
+  let scores = null;
+  if (query) {
+    const ranked = await searchService.rank('services', query);
+    scores = new Map(ranked.map(result => [result.id, result.score]));
+    criteria.id = { $in: Array.from(scores.keys()) };
+  }
+
+  const services = await storage.find('services', criteria);
+  const providers = await storage.find('users', {
+    id: { $in: Array.from(new Set(services.map(service => service.provider))) }
+  });
+  const providersById = new Map(providers.map(provider => [provider.id, provider]));
+
+  const matches = services.filter(service => matchesFilters(service, filters, providersById));
+  if (scores) {
+    matches.sort((a, b) => scores.get(b.id) - scores.get(a.id) || String(a.id).localeCompare(String(b.id)));
+  }
+  const page = limit === undefined ? matches.slice(skip) : matches.slice(skip, skip + limit);
+
+  return {
+    total: matches.length,
+    results: scores
+      ? page.map(service => ({ ...service, relevance: searchService.roundScore(scores.get(service.id)) }))
+      : page,
+    facets: await countFacets(services, filters, providersById)
+  };
+};
+
+/**
+ * Indica si un servicio cumple los filtros, salvo el indicado en except
+ */
+function matchesFilters(service, filters, providersById, except = null) {
+  return Object.entries(filters).every(([name, value]) => (
+    name === except || TESTS[name](service, value, providersById.get(service.provider))
+  ));
+}
+
+/**
+ * Recuentos de cada filtro con el resto de filtros aplicados
+ */
+async function countFacets(services, filters, providersById) {
+  const without = (name) => services.filter(service => matchesFilters(service, filters, providersById, name));
+
+  const byCategory = countBy(without('category'), service => service.category);
+  const categories = await storage.find('categories', { id: { $in: Array.from(byCategory.keys()) } });
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+
+  const byPriceType = countBy(without('priceType'), service => service.priceType);
+  const byToken = countBy(without('token'), service => String(service.token || '').toUpperCase());
+
+  const priced = without('price');
+  const histogram = SERVICE_FACETS.PRICE_BOUNDS.map((from, position, bounds) => ({
+    from,
+    to: position + 1 < bounds.length ? bounds[position + 1] : null,
+    count: 0
+  }));
+  for (const { price } of priced) {
+    const bucket = histogram.findLast(range => price >= range.from);
+    if (bucket) bucket.count += 1;
+  }
+
+  const rated = without('rating');
+  const delivered = without('deliveryTime').map(deliveryDays).filter(days => days !== null);
+  const verified = without('verificationLevel').map(service => providersById.get(service.provider)).filter(Boolean);
+
+  return {
+    category: sortByCount(Array.from(byCategory, ([id, count]) => {
+      const category = categoriesById.get(id);
+      return {
+        value: id,
+        label: category ? category.name : null,
+        slug: category ? category.slug : null,
+        count
+      };
+    })),
+    priceType: Object.values(PRICE_TYPES).map(type => ({ value: type, count: byPriceType.get(type) || 0 })),
+    token: sortByCount(Array.from(byToken, ([token, count]) => ({ value: token, count }))),
+    price: histogram,
+    rating: SERVICE_FACETS.RATING_THRESHOLDS.map(min => ({
+      min,
+      count: rated.filter(service => (service.rating || 0) >= min).length
+    })),
+    deliveryTime: SERVICE_FACETS.DELIVERY_TIME_LIMITS.map(max => ({
+      max,
+      count: delivered.filter(days => days <= max).length
+    })),
+    verificationLevel: LEVELS.map(level => ({
+      value: level,
+      count: verified.filter(provider => new User(provider).hasVerificationLevel(level)).length
+    }))
+  };
+}
+
+/**
+ * Plazo de entrega de un servicio en días (null si no lo tiene o no es numérico)
+ */
+function deliveryDays(service) {
+  const days = typeof service.deliveryTime === 'number' ? service.deliveryTime : parseFloat(service.deliveryTime);
+  return Number.isFinite(days) ? days : null;
+}
+
+function countBy(items, key) {
+  const counts = new Map();
+  for (const item of items) {
+    const value = key(item);
+    if (value === undefined || value === null || value === '') continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return counts;
+}
+
+function sortByCount(entries) {
+  return entries.sort((a, b) => b.count - a.count || String(a.label || a.value).localeCompare(String(b.label || b.value)));
+}
+
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new RequestError(`${name} debe ser un número positivo`);
+  }
+  return number;
+}
@@ -0,0 +1,270 @@
+/**
+ * suggestService.js
+ * Autocompletado de búsquedas
+ *
+ * Las sugerencias salen de los nombres de las categorías activas, los
+ * títulos de los servicios activos y las búsquedas que los usuarios hicieron
+ * con resultados (colección searchQueries) al menos
+ * SEARCH.SUGGEST_MIN_QUERY_COUNT veces. Cada una pesa lo que su frecuencia:
+ * servicios y ofertas vigentes de la categoría, servicios con el mismo
+ * título y veces que se buscó. Un mismo texto de varias fuentes suma los
+ * pesos.
+ *
+ * Para responder en cada pulsación, las sugerencias se guardan en memoria
+ * como una lista ordenada de los textos normalizados desde el comienzo de
+ * cada palabra, y el prefijo se localiza con búsqueda binaria. La lista se
+ * reconstruye cuando cambian categorías, servicios u ofertas.
+ *
+ * Las búsquedas no se escriben una a una: se cuentan en memoria y se
+ * guardan juntas cada SEARCH.QUERY_FLUSH_MS en una transacción. Al
+ * guardarlas se actualizan solo sus sugerencias, sin reconstruir la lista.
+ * Si el proceso termina antes, se pierden los recuentos de ese intervalo.
+ */
+
+const storage = require('../utils/storage');
+const { normalizeText } = require('../utils/textMatcher');
+const { getActiveCriteria } = require('./listingExpiry');
+const { SEARCH } = require('../config/constants');
+
+const QUERIES_COLLECTION = 'searchQueries';
+
+// Colecciones de las que salen las sugerencias o sus pesos
+const SOURCES = ['categories', 'services', 'listings', QUERIES_COLLECTION];
+
+let cached = null;
+let dirty = true;
+
+// Búsquedas pendientes de guardar: texto normalizado -> { text, count, lastSearchedAt }
+let pending = new Map();
+let flushTimer = null;
+// Mientras se guardan las búsquedas propias, su aviso de cambio no invalida la lista
+let writingQueries = false;
+
+storage.onChange((collection) => {
+  if (collection === QUERIES_COLLECTION && writingQueries) return;
+  if (SOURCES.includes(collection)) dirty = true;
+});
+
+/**
+ * Sugerencias que completan un prefijo
+ * El prefijo puede coincidir con el comienzo de cualquier palabra de la
+ * sugerencia ("logo" sugiere "Diseño de logos")
+ * @param {string} prefix - Texto escrito por el usuario
+ * @param {Object} options - Opciones
+ * @param {number} [options.limit] - Número máximo de sugerencias
+ * @returns {Promise<Array>} { text, weight, sources } de mayor a menor peso
+ */
+exports.suggest = async (prefix, { limit = SEARCH.SUGGEST_DEFAULT_LIMIT } = {}) => {
+  const key = normalizeKey(prefix);
+  if (!key) return [];
+
+  const { entries, suffixes } = await getSuggestions();
+
+  // Las coincidencias van seguidas a partir de la primera posición >= prefijo
+  const matches = new Map();
+  for (let position = lowerBound(suffixes, key); position < suffixes.length && suffixes[position].text.startsWith(key); position++) {
+    const { entry, start } = suffixes[position];
+    // Si el texto aparece varias veces, cuenta la coincidencia más a la izquierda
+    if (!matches.has(entry) || matches.get(entry) > start) matches.set(entry, start);
+  }
+
+  return Array.from(matches, ([entry, start]) => ({ ...entries[entry], start }))
+    .sort((a, b) => (
+      b.weight - a.weight ||
+      (a.start === 0 ? 0 : 1) - (b.start === 0 ? 0 : 1) ||
+      a.text.length - b.text.length ||
+      a.text.localeCompare(b.text)
+    ))
+    .slice(0, limit)
+    .map(({ text, weight, sources }) => ({ text, weight, sources: Array.from(sources) }));
+};
+
+/**
+ * Cuenta una búsqueda de un usuario para sugerirla después
+ * Solo se llama con las búsquedas que dieron resultados. No escribe nada:
+ * la búsqueda se guarda con las demás en el siguiente flushQueries
+ * @param {string} query - Texto buscado
+ * @returns {Promise<void>}
+ */
+exports.recordQuery = async (query) => {
+  const text = String(query || '').trim().replace(/\s+/g, ' ');
+  const key = normalizeKey(text);
+  if (!key || text.length > SEARCH.MAX_QUERY_LENGTH) return;
+
+  const recorded = pending.get(key) || { text, count: 0 };
+  recorded.text = text;
+  recorded.count += 1;
+  recorded.lastSearchedAt = new Date().toISOString();
+  pending.set(key, recorded);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      exports.flushQueries().catch(err => console.error('Error guardando las búsquedas:', err));
+    }, SEARCH.QUERY_FLUSH_MS);
+    flushTimer.unref();
+  }
+};
+
+/**
+ * Guarda las búsquedas pendientes en una sola transacción y suma sus
+ * recuentos a las sugerencias en memoria
+ * Si la escritura falla, los recuentos vuelven a quedar pendientes
+ * @returns {Promise<number>} Número de textos distintos guardados
+ */
+exports.flushQueries = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (pending.size === 0) return 0;
+
+  const batch = pending;
+  pending = new Map();
+  const builtBefore = cached;
+
+  writingQueries = true;
+  try {
+    await storage.transaction(async (tx) => {
+      for (const [key, { text, count, lastSearchedAt }] of batch) {
+        await tx.updateOne(
+          QUERIES_COLLECTION,
+          { query: key },
+          { $inc: { count }, $set: { text, lastSearchedAt } },
+          { upsert: true }
+        );
+      }
+    });
+  } catch (error) {
+    for (const [key, recorded] of batch) {
+      const newer = pending.get(key);
+      pending.set(key, newer ? { ...newer, count: newer.count + recorded.count } : recorded);
+    }
+    throw error;
+  } finally {
+    writingQueries = false;
+  }
+
+  // Si la lista se reconstruyó durante la escritura no se sabe si ya las
+  // incluye: se vuelve a construir en la siguiente consulta
+  if (cached === builtBefore) applyRecordedQueries(batch);
+  else dirty = true;
+  return batch.size;
+};
+
+/**
+ * Sugerencias en memoria, reconstruidas si cambiaron los orígenes
+ */
+async function getSuggestions() {
+  if (cached && !dirty && Date.now() - cached.builtAt < SEARCH.REFRESH_MS) return cached;
+
+  // Se marca antes de leer: un cambio durante la lectura vuelve a marcarlo
+  dirty = false;
+  const byKey = new Map();
+  const add = (text, weight, source) => {
+    const key = normalizeKey(text);
+    if (!key) return;
+    if (!byKey.has(key)) byKey.set(key, { key, text, weight: 0, sources: new Set() });
+    const entry = byKey.get(key);
+    entry.weight += weight;
+    entry.sources.add(source);
+  };
+
+  const queryCounts = new Map();
+  const [categories, services, listings, queries] = await Promise.all([
+    storage.find('categories', { active: { $ne: false } }),
+    storage.find('services', { active: { $ne: false } }),
+    storage.find('listings', getActiveCriteria()),
+    storage.find(QUERIES_COLLECTION, {})
+  ]);
+
+  const perCategory = new Map();
+  const countFor = (id) => perCategory.set(id, (perCategory.get(id) || 0) + 1);
+  services.forEach(service => countFor(service.category));
+  listings.forEach(listing => (listing.categoryIds || [listing.categoryId]).forEach(countFor));
+
+  categories.forEach(category => add(category.name, 1 + (perCategory.get(category.id) || 0), 'category'));
+  services.forEach(service => add(service.title, 1, 'service'));
+  queries.forEach((query) => {
+    const count = query.count || 1;
+    queryCounts.set(query.query, count);
+    if (count >= SEARCH.SUGGEST_MIN_QUERY_COUNT) add(query.text || query.query, count, 'query');
+  });
+
+  const entries = Array.from(byKey.values());
+  const suffixes = entries.flatMap((entry, index) => wordSuffixes(entry.key, index));
+  suffixes.sort((a, b) => (a.text < b.text ? -1 : a.text > b.text ? 1 : 0));
+
+  cached = {
+    entries,
+    suffixes,
+    positions: new Map(entries.map((entry, index) => [entry.key, index])),
+    queryCounts,
+    builtAt: Date.now()
+  };
+  return cached;
+}
+
+/**
+ * Suma a las sugerencias en memoria las búsquedas recién guardadas
+ * Una búsqueda que llega al mínimo entra con todo su recuento; las que ya
+ * lo superaban suman lo nuevo. Los textos nuevos se insertan en su posición
+ * de la lista ordenada
+ * @param {Map} recorded - Texto normalizado -> { text, count }
+ */
+function applyRecordedQueries(recorded) {
+  if (!cached) return;
+
+  for (const [key, { text, count }] of recorded) {
+    const previous = cached.queryCounts.get(key) || 0;
+    const total = previous + count;
+    cached.queryCounts.set(key, total);
+    if (total < SEARCH.SUGGEST_MIN_QUERY_COUNT) continue;
+
+    let index = cached.positions.get(key);
+    if (index === undefined) {
+      index = cached.entries.push({ key, text, weight: 0, sources: new Set() }) - 1;
+      cached.positions.set(key, index);
+      for (const suffix of wordSuffixes(key, index)) {
+        cached.suffixes.splice(lowerBound(cached.suffixes, suffix.text), 0, suffix);
+      }
+    }
+
+    const entry = cached.entries[index];
+    entry.weight += previous >= SEARCH.SUGGEST_MIN_QUERY_COUNT ? count : total;
+    entry.sources.add('query');
+  }
+}
+
+/**
+ * Textos de una sugerencia desde el comienzo de cada palabra
+ */
+function wordSuffixes(key, entry) {
+  const suffixes = [];
+  const pattern = /(^|\s)(\S)/g;
+  let match;
+  while ((match = pattern.exec(key)) !== null) {
+    const start = match.index + match[1].length;
+    suffixes.push({ text: key.slice(start), entry, start });
+  }
+  return suffixes;
+}
+
+/**
+ * Primera posición de la lista ordenada cuyo texto es >= text
+ */
+function lowerBound(suffixes, text) {
+  let low = 0;
+  let high = suffixes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (suffixes[middle].text < text) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * Texto normalizado para comparar prefijos (minúsculas, sin acentos ni
+ * espacios repetidos)
+ */
+function normalizeKey(text) {
+  return normalizeText(String(text || '')).replace(/\s+/g, ' ').trim();
+}
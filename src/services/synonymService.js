@@ -0,0 +1,116 @@
+/**
+ * synonymService.js
+ * Gestión de los grupos de sinónimos (colección synonyms) y su carga en
+ * utils/synonymDictionary
+ *
+ * El diccionario se carga al arrancar y se recarga cada vez que cambia la
+ * colección, de modo que las ediciones desde /api/admin/synonyms se aplican
+ * a la siguiente búsqueda o mensaje del chat.
+ */
+
+const storage = require('../utils/storage');
+const synonymDictionary = require('../utils/synonymDictionary');
+const { RequestError } = require('../utils/errors');
+
+const COLLECTION = 'synonyms';
+
+// Campos de un grupo que se pueden fijar desde la API
+const EDITABLE_FIELDS = ['terms', 'description', 'active'];
+
+let loading = null;
+let loaded = false;
+
+storage.onChange((collection) => {
+  if (collection !== COLLECTION) return;
+  exports.load().catch(err => console.error('Error recargando los sinónimos:', err));
+});
+
+/**
+ * Carga en el diccionario los grupos activos de la colección
+ * Las cargas simultáneas comparten la misma lectura
+ * @returns {Promise<number>} Número de grupos cargados
+ */
+exports.load = () => {
+  if (!loading) {
+    loading = storage.find(COLLECTION, { active: { $ne: false } })
+      .then((groups) => {
+        synonymDictionary.setGroups(groups.map(group => group.terms));
+        loaded = true;
+        return groups.length;
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+};
+
+/**
+ * Espera a que el diccionario refleje la colección (lo carga la primera vez)
+ * @returns {Promise<void>}
+ */
+exports.ensureLoaded = async () => {
+  if (loading) await loading;
+  else if (!loaded) await exports.load();
+};
+
+/**
+ * Lista los grupos de sinónimos
+ * @param {Object} options - Opciones
+ * @param {string} [options.term] - Solo los grupos que contienen este término
+ * @returns {Promise<Array>} Grupos
+ */
+exports.listGroups = async ({ term } = {}) => {
+  const groups = await storage.find(COLLECTION, {}, { sort: { createdAt: 1 } });
+  if (!term) return groups;
+
+  const key = synonymDictionary.phraseKey(term);
+  return groups.filter(group => group.terms.some(candidate => synonymDictionary.phraseKey(candidate) === key));
+};
+
+/**
+ * Crea un grupo de sinónimos
+ * @param {Object} data - { terms, description, active }
+ * @returns {Promise<Object>} Grupo creado
+ */
+exports.createGroup = async (data = {}) => storage.insertOne(COLLECTION, pickEditable(data));
+
+/**
+ * Modifica un grupo de sinónimos
+ * @param {string} id - ID del grupo
+ * @param {Object} data - Campos a cambiar: terms, description, active
+ * @returns {Promise<Object|null>} Grupo actualizado o null si no existe
+ */
+exports.updateGroup = async (id, data = {}) => {
+  const changes = pickEditable(data);
+  if (Object.keys(changes).length === 0) {
+    throw new RequestError(`No hay campos que modificar (se admiten: ${EDITABLE_FIELDS.join(', ')})`);
+  }
+
+  const { updated, data: group } = await storage.updateOne(COLLECTION, { id }, { $set: changes });
+  return updated ? group : null;
+};
+
+/**
+ * Elimina un grupo de sinónimos
+ * @param {string} id - ID del grupo
+ * @returns {Promise<boolean>} Si existía
+ */
+exports.deleteGroup = async (id) => {
+  const { deleted } = await storage.deleteOne(COLLECTION, { id });
+  return deleted;
+};
+
+/**
+ * Términos equivalentes que se añadirían a una consulta
+ * @param {string} text - Consulta
+ * @returns {Promise<Array>} { term, synonyms } por cada término reconocido
+ */
+exports.expandQuery = async (text) => {
+  await exports.ensureLoaded();
+  return synonymDictionary.findSynonyms(text);
+};
+
+function pickEditable(data) {
+  return Object.fromEntries(EDITABLE_FIELDS
+    .filter(field => data[field] !== undefined)
+    .map(field => [field, data[field]]));
+}
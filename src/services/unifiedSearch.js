@@ -0,0 +1,150 @@
+/**
+ * unifiedSearch.js
+ * Búsqueda conjunta de categorías, servicios, proyectos y proveedores
+ *
+ * Cada tipo se busca en su índice (ver searchService) y devuelve un grupo
+ * paginado por separado. Todos los resultados tienen la misma forma:
+ *   { type, id, title, description, score, highlights, meta }
+ * highlights trae title y description con las palabras buscadas marcadas
+ * (solo los que coinciden) y meta los datos propios de cada tipo.
+ */
+
+const storage = require('../utils/storage');
+const searchService = require('./searchService');
+const { highlight } = require('../utils/highlighter');
+const { getActiveCriteria } = require('./listingExpiry');
+const { SEARCH } = require('../config/constants');
+
+/**
+ * Colección, documentos que entran y resumen de cada tipo de resultado
+ */
+const TYPES = {
+  category: {
+    collection: 'categories',
+    criteria: async () => ({ active: { $ne: false } }),
+    summarize: (category) => ({
+      title: category.name,
+      description: category.description || null,
+      meta: { slug: category.slug, icon: category.icon }
+    })
+  },
+  service: {
+    collection: 'services',
+    criteria: async () => ({ active: { $ne: false } }),
+    summarize: (service) => ({
+      title: service.title,
+      description: service.description || null,
+      meta: {
+        categoryId: service.category,
+        providerId: service.provider,
+        price: service.price,
+        priceType: service.priceType,
+        token: service.token,
+        rating: service.rating
+      }
+    })
+  },
+  project: {
+    collection: 'listings',
+    criteria: async () => getActiveCriteria(),
+    summarize: (listing) => ({
+      title: listing.title,
+      description: null,
+      meta: {
+        categorySlugs: listing.categorySlugs,
+        budget: listing.budget,
+        deadline: listing.deadline,
+        sourceUrl: listing.sourceUrl
+      }
+    })
+  },
+  provider: {
+    collection: 'users',
+    // Usuarios activos marcados como proveedores o con algún servicio activo
+    criteria: async () => {
+      const services = await storage.find('services', { active: { $ne: false } });
+      return {
+        isActive: { $ne: false },
+        $or: [
+          { isProvider: true },
+          { id: { $in: Array.from(new Set(services.map(service => service.provider))) } }
+        ]
+      };
+    },
+    summarize: (user) => ({
+      title: user.name || user.worldUsername || '',
+      description: user.bio || null,
+      meta: {
+        avatar: user.avatar,
+        verificationLevel: user.verificationLevel,
+        skills: user.skills,
+        rating: user.rating,
+        ratingCount: user.ratingCount
+      }
+    })
+  }
+};
+
+/**
+ * Tipos de resultado disponibles
+ */
+exports.TYPES = Object.keys(TYPES);
+
+/**
+ * Busca en varios tipos a la vez
+ * @param {string} query - Texto de la búsqueda
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.types] - Tipos a buscar (todos por defecto)
+ * @param {Object} [options.pages] - Tipo -> página (1 por defecto)
+ * @param {number} [options.limit] - Resultados por grupo
+ * @returns {Promise<Object>} Tipo -> { total, page, limit, pages, hits }
+ */
+exports.search = async (query, {
+  types = exports.TYPES,
+  pages = {},
+  limit = SEARCH.GROUP_DEFAULT_LIMIT
+} = {}) => {
+  const groups = await Promise.all(types.map(async (type) => {
+    const definition = TYPES[type];
+    const page = pages[type] || 1;
+    const { total, hits } = await searchService.searchHits(definition.collection, query, {
+      criteria: await definition.criteria(),
+      skip: (page - 1) * limit,
+      limit
+    });
+
+    return [type, {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hits: hits.map(hit => toHit(type, definition, hit))
+    }];
+  }));
+
+  return Object.fromEntries(groups);
+};
+
+/**
+ * Resultado con la forma común a todos los tipos
+ */
+function toHit(type, definition, { document, score, matched }) {
+  const { title, description, meta } = definition.summarize(document);
+  const terms = new Set(matched);
+
+  const highlights = {};
+  for (const [field, text] of Object.entries({ title, description })) {
+    const fragment = highlight(text, terms, { maxLength: SEARCH.HIGHLIGHT_LENGTH });
+    if (fragment) highlights[field] = fragment;
+  }
+
+  return {
+    type,
+    id: document.id,
+    title,
+    description,
+    score: searchService.roundScore(score),
+    highlights,
+    meta
+  };
+}
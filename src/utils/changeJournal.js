@@ -0,0 +1,323 @@
+/**
+ * changeJournal.js
+ * Diario de cambios de jsonStore, solo de escritura al final
+ *
+ * Cada colección tiene un archivo data/journal/<colección>.ndjson con una
+ * línea por documento modificado:
+ *   { seq, timestamp, collection, op, documentId, actor, transactionId?, before, after }
+ * before es null en las inserciones y after es null en los borrados.
+ * seq es correlativo dentro de cada colección y permite saber qué entradas
+ * son posteriores a una snapshot (ver snapshotManager). El servidor y la CLI
+ * pueden escribir a la vez en el mismo diario, por eso la secuencia se toma
+ * siempre de la última línea del archivo con el bloqueo del diario
+ * (<colección>.ndjson.lock) adquirido.
+ *
+ * Antes de la primera entrada de una colección se guarda su estado en
+ * data/journal/<colección>.baseline.json, de modo que los documentos que ya
+ * existían cuando empezó el diario también se pueden reconstruir.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { JOURNAL_ENABLED, JOURNAL_DIR } = require('../config/storageConfig');
+const { getActor } = require('./requestContext');
+
+// Espera entre intentos de adquirir el bloqueo de un diario
+const LOCK_RETRY_MS = 10;
+// Un bloqueo sin proceso identificable y más antiguo que esto se da por abandonado
+const LOCK_STALE_MS = 10 * 1000;
+// Tamaño de los bloques que se leen desde el final del diario
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+const getJournalPath = (collection) => path.join(JOURNAL_DIR, `${collection}.ndjson`);
+
+const getLockPath = (collection) => `${getJournalPath(collection)}.lock`;
+
+const getBaselinePath = (collection) => path.join(JOURNAL_DIR, `${collection}.baseline.json`);
+
+/**
+ * Recorre las entradas válidas del diario de una colección
+ * Las líneas ilegibles (p. ej. una escritura cortada) se ignoran
+ * @param {string} collection - Nombre de la colección
+ * @param {Function} onEntry - Recibe cada entrada
+ */
+const scanJournal = async (collection, onEntry) => {
+  const journalPath = getJournalPath(collection);
+  try {
+    await fs.access(journalPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const input = fsSync.createReadStream(journalPath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    onEntry(entry);
+  }
+};
+
+/**
+ * Indica si el bloqueo de un diario lo dejó un proceso que ya no existe
+ * @param {string} lockPath - Ruta del archivo de bloqueo
+ * @returns {Promise<boolean>}
+ */
+const isStaleLock = async (lockPath) => {
+  let content;
+  let stat;
+  try {
+    [content, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+
+  const pid = parseInt(content, 10);
+  if (!pid) return Date.now() - stat.mtimeMs > LOCK_STALE_MS;
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+};
+
+/**
+ * Ejecuta una tarea con el bloqueo del diario de una colección
+ * El bloqueo es un archivo creado en exclusiva, así que también excluye a
+ * otros procesos (el servidor y la CLI escriben en el mismo diario)
+ * @param {string} collection - Nombre de la colección
+ * @param {Function} task - Tarea asíncrona a ejecutar
+ * @returns {Promise<*>} Resultado de la tarea
+ */
+const withJournalLock = async (collection, task) => {
+  const lockPath = getLockPath(collection);
+  await fs.mkdir(JOURNAL_DIR, { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    if (await isStaleLock(lockPath)) {
+      await fs.unlink(lockPath).catch(() => {});
+    } else {
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await task();
+  } finally {
+    await fs.unlink(lockPath).catch(() => {});
+  }
+};
+
+/**
+ * Lee el final del diario de una colección
+ * Se leen bloques desde el final hasta encontrar una entrada válida; una
+ * última línea cortada (escritura interrumpida) se salta
+ * @param {string} collection - Nombre de la colección
+ * @returns {Promise<Object>} { seq, endsWithNewline }; seq es 0 si no hay entradas
+ */
+const readTail = async (collection) => {
+  let handle;
+  try {
+    handle = await fs.open(getJournalPath(collection), 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { seq: 0, endsWithNewline: true };
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const chunks = [];
+    let position = size;
+    let endsWithNewline = true;
+
+    while (position > 0) {
+      const length = Math.min(TAIL_CHUNK_SIZE, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      chunks.unshift(chunk);
+      if (position + length === size) endsWithNewline = chunk[length - 1] === 0x0a;
+
+      // Si no se ha llegado al principio, la primera línea puede estar incompleta
+      const lines = Buffer.concat(chunks).toString('utf8').split('\n');
+      if (position > 0) lines.shift();
+
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i].trim()) continue;
+        try {
+          return { seq: JSON.parse(lines[i]).seq || 0, endsWithNewline };
+        } catch (error) {
+          continue;
+        }
+      }
+    }
+
+    return { seq: 0, endsWithNewline };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Obtiene la última secuencia del diario de una colección
+ * @param {string} collection - Nombre de la colección
+ * @returns {Promise<number>} Secuencia (0 si no hay entradas)
+ */
+const getLastSequence = async (collection) => (await readTail(collection)).seq;
+
+/**
+ * Guarda el estado de una colección antes de su primera entrada del diario
+ * Debe llamarse con el bloqueo de la colección adquirido, antes de
+ * appendEntries. Si el diario ya tiene entradas o el estado ya está guardado
+ * no hace nada
+ * @param {string} collection - Nombre de la colección
+ * @param {Array} documents - Documentos anteriores a la escritura
+ * @returns {Promise<boolean>} Si se ha guardado
+ */
+const ensureBaseline = async (collection, documents) => {
+  if (!JOURNAL_ENABLED || await getLastSequence(collection) > 0) return false;
+
+  const baselinePath = getBaselinePath(collection);
+  if (await readBaseline(collection)) return false;
+
+  const baseline = { collection, takenAt: new Date().toISOString(), documents };
+  const tempPath = `${baselinePath}.tmp`;
+  await fs.mkdir(JOURNAL_DIR, { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(baseline, null, 2), 'utf8');
+  await fs.rename(tempPath, baselinePath);
+  return true;
+};
+
+/**
+ * Lee el estado de una colección anterior a su primera entrada del diario
+ * @param {string} collection - Nombre de la colección
+ * @returns {Promise<Object|null>} { collection, takenAt, documents } o null
+ * si no se guardó (colecciones con diario anterior a este estado)
+ */
+const readBaseline = async (collection) => {
+  try {
+    return JSON.parse(await fs.readFile(getBaselinePath(collection), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Añade al diario los cambios de una escritura
+ * Debe llamarse con el bloqueo de la colección adquirido, después de escribirla
+ * @param {string} collection - Nombre de la colección
+ * @param {Array} changes - { op, before, after } por documento
+ * @param {Object} meta - { transactionId } opcional
+ * @returns {Promise<Array>} Entradas añadidas
+ */
+const appendEntries = async (collection, changes, meta = {}) => {
+  if (!JOURNAL_ENABLED || !changes || changes.length === 0) return [];
+
+  return withJournalLock(collection, async () => {
+    const tail = await readTail(collection);
+    let seq = tail.seq;
+    const timestamp = new Date().toISOString();
+    const actor = getActor();
+
+    const entries = changes.map(change => ({
+      seq: ++seq,
+      timestamp,
+      collection,
+      op: change.op,
+      documentId: (change.after || change.before).id,
+      actor,
+      ...(meta.transactionId ? { transactionId: meta.transactionId } : {}),
+      before: change.before || null,
+      after: change.after || null
+    }));
+
+    const prefix = tail.endsWithNewline ? '' : '\n';
+    const content = prefix + entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+    const handle = await fs.open(getJournalPath(collection), 'a');
+    try {
+      await handle.writeFile(content, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    return entries;
+  });
+};
+
+/**
+ * Lee las entradas del diario de una colección
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} filters - Filtros opcionales
+ * @param {number} [filters.afterSeq] - Solo entradas con secuencia mayor
+ * @param {Date|string} [filters.since] - Solo entradas desde esta fecha
+ * @param {Date|string} [filters.until] - Solo entradas hasta esta fecha (incluida)
+ * @param {string} [filters.documentId] - Solo entradas de un documento
+ * @returns {Promise<Array>} Entradas en orden de secuencia
+ */
+const readEntries = async (collection, filters = {}) => {
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+  const until = filters.until ? new Date(filters.until).getTime() : null;
+  const entries = [];
+
+  await scanJournal(collection, entry => {
+    if (filters.afterSeq !== undefined && entry.seq <= filters.afterSeq) return;
+    if (filters.documentId && entry.documentId !== filters.documentId) return;
+
+    const time = new Date(entry.timestamp).getTime();
+    if (since !== null && time < since) return;
+    if (until !== null && time > until) return;
+
+    entries.push(entry);
+  });
+
+  return entries.sort((a, b) => a.seq - b.seq);
+};
+
+/**
+ * Aplica entradas del diario a un estado de la colección
+ * Se usa el documento completo de after, por lo que aplicar dos veces la
+ * misma entrada no cambia el resultado
+ * @param {Array} documents - Estado de partida (no se modifica)
+ * @param {Array} entries - Entradas en orden de secuencia
+ * @returns {Array} Estado resultante
+ */
+const replayEntries = (documents, entries) => {
+  const byId = new Map(documents.map(document => [document.id, document]));
+
+  for (const entry of entries) {
+    if (entry.after) byId.set(entry.documentId, entry.after);
+    else byId.delete(entry.documentId);
+  }
+
+  return Array.from(byId.values());
+};
+
+module.exports = {
+  getJournalPath,
+  getBaselinePath,
+  getLastSequence,
+  ensureBaseline,
+  readBaseline,
+  appendEntries,
+  readEntries,
+  replayEntries
+};
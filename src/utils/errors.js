@@ -0,0 +1,62 @@
+/**
+ * errors.js
+ * Errores tipados que el middleware errorHandler traduce a respuestas HTTP
+ */
+
+/**
+ * Error lanzado cuando una escritura viola un índice único
+ */
+class DuplicateKeyError extends Error {
+  /**
+   * @param {string} collection - Colección afectada
+   * @param {Array<string>} fields - Campos del índice único
+   * @param {Array} values - Valores duplicados
+   */
+  constructor(collection, fields, values) {
+    super(`Ya existe un registro en '${collection}' con el mismo valor de ${fields.join(', ')}`);
+    this.name = 'DuplicateKeyError';
+    this.statusCode = 409;
+    this.collection = collection;
+    this.fields = fields;
+    this.values = values;
+  }
+}
+
+/**
+ * Error lanzado cuando un documento no supera la validación de su modelo
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} collection - Colección afectada
+   * @param {Array<string>} errors - Mensajes devueltos por validate()
+   */
+  constructor(collection, errors) {
+    super(`Documento inválido para '${collection}': ${errors.join('; ')}`);
+    this.name = 'ValidationError';
+    this.statusCode = 422;
+    this.collection = collection;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error de una operación pedida por el cliente que no se puede realizar
+ * (datos de entrada incorrectos, estado que no lo permite...)
+ */
+class RequestError extends Error {
+  /**
+   * @param {string} message - Mensaje para el cliente
+   * @param {number} statusCode - Código HTTP (400 por defecto)
+   */
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  DuplicateKeyError,
+  ValidationError,
+  RequestError
+};
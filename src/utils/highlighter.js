@@ -0,0 +1,76 @@
+/**
+ * highlighter.js
+ * Fragmentos de texto con las palabras buscadas marcadas
+ *
+ * Una palabra se marca si su término (normalizada y reducida a su raíz con
+ * textAnalyzer) es uno de los términos con los que coincidió el documento,
+ * de modo que "diseños" se marca al buscar "diseño". El texto se escapa como
+ * HTML y las marcas son <mark>…</mark>.
+ */
+
+const { tokenize, stem } = require('./textAnalyzer');
+
+// Palabras del texto original (incluye c++, c#, node.js)
+const WORD_PATTERN = /[\p{L}\p{N}+#]+(?:\.[\p{L}\p{N}]+)*/gu;
+
+const ELLIPSIS = '…';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Fragmento de un texto con los términos marcados
+ * Si el texto es más largo que maxLength se recorta alrededor de la primera
+ * coincidencia, en límites de palabra
+ * @param {string} text - Texto original
+ * @param {Set<string>} terms - Términos que se marcan
+ * @param {Object} options - Opciones
+ * @param {number} [options.maxLength] - Longitud máxima del fragmento (sin marcas)
+ * @returns {string|null} Fragmento en HTML o null si no hay coincidencias
+ */
+const highlight = (text, terms, { maxLength = 160 } = {}) => {
+  const source = String(text || '');
+  if (!source || terms.size === 0) return null;
+
+  const ranges = [];
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const [word] = tokenize(match[0]);
+    if (word && terms.has(stem(word))) ranges.push([match.index, match.index + match[0].length]);
+  }
+  if (ranges.length === 0) return null;
+
+  const [first] = ranges;
+  let start = 0;
+  let end = source.length;
+  if (source.length > maxLength) {
+    start = Math.max(0, Math.min(first[0] - Math.floor(maxLength / 3), source.length - maxLength));
+    end = Math.max(start + maxLength, first[1]);
+    const space = source.indexOf(' ', start);
+    if (start > 0 && space !== -1 && space < first[0]) start = space + 1;
+    const lastSpace = source.lastIndexOf(' ', end);
+    if (end < source.length && lastSpace > first[1]) end = lastSpace;
+  }
+
+  let fragment = start > 0 ? ELLIPSIS : '';
+  let cursor = start;
+  for (const [from, to] of ranges) {
+    if (from < cursor || from >= end) continue;
+    fragment += `${escapeHtml(source.slice(cursor, from))}<mark>${escapeHtml(source.slice(from, to))}</mark>`;
+    cursor = to;
+  }
+  fragment += escapeHtml(source.slice(cursor, Math.max(cursor, end)));
+  return end < source.length ? `${fragment}${ELLIPSIS}` : fragment;
+};
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+module.exports = {
+  highlight
+};
@@ -0,0 +1,266 @@
+/**
+ * htmlParser.js
+ * Analizador HTML mínimo para páginas guardadas
+ *
+ * Construye un árbol de nodos tolerante a HTML mal cerrado y permite
+ * buscar elementos con selectores sencillos: etiqueta, .clase, [atributo],
+ * [atributo=valor] y combinaciones separadas por espacios (descendientes).
+ *
+ * Nodos:
+ *   { type: 'element', tag, attributes, children, parent }
+ *   { type: 'text', text, parent }
+ *   { type: 'comment', text, parent }
+ * El nodo raíz es un elemento con tag '#document'.
+ */
+
+// Elementos que no tienen contenido ni etiqueta de cierre
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Elementos cuyo contenido es texto sin marcado
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  aacute: 'á',
+  eacute: 'é',
+  iacute: 'í',
+  oacute: 'ó',
+  uacute: 'ú',
+  ntilde: 'ñ',
+  Aacute: 'Á',
+  Eacute: 'É',
+  Iacute: 'Í',
+  Oacute: 'Ó',
+  Uacute: 'Ú',
+  Ntilde: 'Ñ',
+  uuml: 'ü',
+  euro: '€',
+  pound: '£',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—'
+};
+
+const TOKEN_PATTERN = /<!--([\s\S]*?)-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Decodifica las entidades HTML de un texto
+ * @param {string} text - Texto con entidades
+ * @returns {string} Texto decodificado
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' || entity[1] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return NAMED_ENTITIES[entity] !== undefined ? NAMED_ENTITIES[entity] : match;
+});
+
+/**
+ * Analiza un documento HTML
+ * @param {string} html - Código HTML
+ * @returns {Object} Nodo raíz
+ */
+const parseHtml = (html) => {
+  const root = createElement('#document', {}, null);
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  let position = 0;
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+
+  while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+    if (match.index > position) {
+      appendText(current(), html.slice(position, match.index));
+    }
+    position = TOKEN_PATTERN.lastIndex;
+
+    const [, comment, closingTag, openingTag, rawAttributes, selfClosing] = match;
+
+    if (comment !== undefined) {
+      current().children.push({ type: 'comment', text: comment.trim(), parent: current() });
+    } else if (closingTag) {
+      // Se cierran los elementos abiertos hasta el que coincide; un cierre
+      // sin apertura se ignora
+      const tag = closingTag.toLowerCase();
+      const depth = stack.map(node => node.tag).lastIndexOf(tag);
+      if (depth > 0) stack.length = depth;
+    } else if (openingTag) {
+      const tag = openingTag.toLowerCase();
+      const element = createElement(tag, parseAttributes(rawAttributes || ''), current());
+      current().children.push(element);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        // El contenido llega hasta la etiqueta de cierre (o el final del documento)
+        const closePattern = new RegExp(`</${tag}\\s*>`, 'gi');
+        closePattern.lastIndex = position;
+        const close = closePattern.exec(html);
+        const end = close ? close.index : html.length;
+        if (tag === 'title' || tag === 'textarea') appendText(element, html.slice(position, end));
+        position = close ? closePattern.lastIndex : html.length;
+        TOKEN_PATTERN.lastIndex = position;
+      } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (position < html.length) appendText(current(), html.slice(position));
+  return root;
+};
+
+/**
+ * Busca todos los elementos que cumplen un selector
+ * @param {Object} node - Nodo desde el que buscar
+ * @param {string} selector - Selector (p. ej. 'div.card a[href]')
+ * @returns {Array} Elementos en orden del documento
+ */
+const querySelectorAll = (node, selector) => {
+  const parts = selector.trim().split(/\s+/).map(parseCompound);
+  const results = [];
+
+  walk(node, element => {
+    if (element === node) return;
+    if (!matchesCompound(element, parts[parts.length - 1])) return;
+
+    // El resto de partes debe cumplirse en los ancestros, en orden
+    let ancestor = element.parent;
+    let index = parts.length - 2;
+    while (index >= 0 && ancestor) {
+      if (matchesCompound(ancestor, parts[index])) index -= 1;
+      ancestor = ancestor.parent;
+    }
+    if (index < 0) results.push(element);
+  });
+
+  return results;
+};
+
+/**
+ * Busca el primer elemento que cumple un selector
+ * @param {Object} node - Nodo desde el que buscar
+ * @param {string} selector - Selector
+ * @returns {Object|null} Elemento o null
+ */
+const querySelector = (node, selector) => querySelectorAll(node, selector)[0] || null;
+
+/**
+ * Texto de un nodo y sus descendientes, con los espacios normalizados
+ * @param {Object|null} node - Nodo
+ * @returns {string} Texto ('' si no hay nodo)
+ */
+const getTextContent = (node) => {
+  if (!node) return '';
+  const parts = [];
+  const collect = (current) => {
+    if (current.type === 'text') parts.push(current.text);
+    else if (current.type === 'element') current.children.forEach(collect);
+  };
+  collect(node);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Valor de un atributo de un elemento
+ * @param {Object|null} node - Elemento
+ * @param {string} name - Nombre del atributo
+ * @returns {string|null} Valor o null si no existe
+ */
+const getAttribute = (node, name) => {
+  if (!node || node.type !== 'element') return null;
+  const value = node.attributes[name.toLowerCase()];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Comentarios del documento (p. ej. "saved from url=..." de los navegadores)
+ * @param {Object} node - Nodo desde el que buscar
+ * @returns {Array<string>} Texto de cada comentario
+ */
+const getComments = (node) => {
+  const comments = [];
+  const collect = (current) => {
+    if (current.type === 'comment') comments.push(current.text);
+    else if (current.type === 'element') current.children.forEach(collect);
+  };
+  collect(node);
+  return comments;
+};
+
+function createElement(tag, attributes, parent) {
+  return { type: 'element', tag, attributes, children: [], parent };
+}
+
+function appendText(parent, raw) {
+  // Los espacios entre etiquetas se conservan: separan palabras en getTextContent
+  const text = decodeEntities(raw);
+  if (text) parent.children.push({ type: 'text', text, parent });
+}
+
+function parseAttributes(raw) {
+  const attributes = {};
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ATTRIBUTE_PATTERN.exec(raw)) !== null) {
+    const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+    attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Convierte un selector simple ('a.card[href]') en sus condiciones
+ */
+function parseCompound(selector) {
+  const compound = { tag: null, classes: [], attributes: [] };
+  const pattern = /^([a-zA-Z][\w-]*|\*)|\.([\w-]+)|\[([\w:-]+)(?:=["']?([^\]"']*)["']?)?\]/g;
+  let match;
+  while ((match = pattern.exec(selector)) !== null) {
+    if (match[1]) compound.tag = match[1] === '*' ? null : match[1].toLowerCase();
+    else if (match[2]) compound.classes.push(match[2]);
+    else if (match[3]) compound.attributes.push({ name: match[3].toLowerCase(), value: match[4] });
+  }
+  return compound;
+}
+
+function matchesCompound(element, compound) {
+  if (element.type !== 'element' || element.tag === '#document') return false;
+  if (compound.tag && element.tag !== compound.tag) return false;
+
+  if (compound.classes.length > 0) {
+    const classes = (element.attributes.class || '').split(/\s+/);
+    if (!compound.classes.every(name => classes.includes(name))) return false;
+  }
+
+  return compound.attributes.every(({ name, value }) => (
+    element.attributes[name] !== undefined && (value === undefined || element.attributes[name] === value)
+  ));
+}
+
+function walk(node, visit) {
+  if (node.type !== 'element') return;
+  visit(node);
+  for (const child of node.children) walk(child, visit);
+}
+
+module.exports = {
+  decodeEntities,
+  parseHtml,
+  querySelectorAll,
+  querySelector,
+  getTextContent,
+  getAttribute,
+  getComments
+};
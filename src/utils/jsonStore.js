@@ -1,8 +1,38 @@
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const {
+  matchesQuery,
+  applyQueryOptions,
+  getValueByPath,
+  applyUpdate,
+  buildUpsertBase
+} = require('./queryEngine');
+const { CACHE_ENABLED, INDEXES, DATA_DIR, COLLECTIONS } = require('../config/storageConfig');
+const { DuplicateKeyError, ValidationError } = require('./errors');
+const { applyModel } = require('../models');
+const changeJournal = require('./changeJournal');
 
-const DATA_DIR = path.join(__dirname, '../../data');
+// Cola de escrituras pendientes por colección
+const collectionLocks = new Map();
+
+// Caché en memoria por colección: { data, mtimeMs, size }
+const collectionCache = new Map();
+// Generación por colección, evita guardar en caché lecturas que quedaron obsoletas
+const cacheGenerations = new Map();
+const cacheStats = { hits: 0, misses: 0, invalidations: 0 };
+let dataWatcher = null;
+
+// Índices secundarios asociados a cada array de datos; se descartan con él
+const indexCache = new WeakMap();
+// Máximo de combinaciones de valores que se consultan en un índice
+const MAX_INDEX_KEYS = 1000;
+
+// Bloqueo que serializa las transacciones entre sí
+const TRANSACTION_LOCK = Symbol('transaction');
+// Registro de confirmación de una transacción: transaction.<pid>.<hex>.commit
+const COMMIT_LOG_PATTERN = /^transaction\.\d+\.[a-f0-9]+\.commit$/;
 
 /**
  * Inicializa el directorio data si no existe
@@ -18,74 +48,506 @@ const initDataDirectory = async () => {
 
 const generateId = () => crypto.randomBytes(12).toString('hex');
 
+const getFilePath = (collection) => path.join(DATA_DIR, `${collection}.json`);
+
+/**
+ * Adquiere el bloqueo de escritura de una colección
+ * Las solicitudes se atienden en orden de llegada
+ * @param {string} collection - Nombre de la colección
+ * @returns {Promise<Function>} Función que libera el bloqueo
+ */
+const acquireLock = async (collection) => {
+  const previous = collectionLocks.get(collection) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  collectionLocks.set(collection, tail);
+
+  await previous;
+
+  return () => {
+    release();
+    if (collectionLocks.get(collection) === tail) collectionLocks.delete(collection);
+  };
+};
+
+/**
+ * Ejecuta una tarea con el bloqueo de escritura de la colección
+ * @param {string} collection - Nombre de la colección
+ * @param {Function} task - Tarea asíncrona a ejecutar
+ * @returns {Promise<*>} Resultado de la tarea
+ */
+const withCollectionLock = async (collection, task) => {
+  const release = await acquireLock(collection);
+  try {
+    return await task();
+  } finally {
+    release();
+  }
+};
+
+const getGeneration = (collection) => cacheGenerations.get(collection) || 0;
+
+const bumpGeneration = (collection) => {
+  cacheGenerations.set(collection, getGeneration(collection) + 1);
+};
+
+/**
+ * Descarta la caché de una colección (o de todas si no se indica)
+ * @param {string} [collection] - Nombre de la colección
+ */
+const invalidateCache = (collection) => {
+  const collections = collection ? [collection] : Array.from(collectionCache.keys());
+  for (const name of collections) {
+    bumpGeneration(name);
+    if (collectionCache.delete(name)) cacheStats.invalidations += 1;
+  }
+};
+
+/**
+ * Obtiene los contadores de la caché
+ * @returns {Object} Aciertos, fallos, invalidaciones y colecciones en memoria
+ */
+const getCacheStats = () => {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  return {
+    enabled: CACHE_ENABLED,
+    watching: !!dataWatcher,
+    ...cacheStats,
+    hitRate: lookups > 0 ? cacheStats.hits / lookups : 0,
+    collections: Array.from(collectionCache.keys())
+  };
+};
+
+/**
+ * Vigila el directorio data para invalidar la caché ante ediciones externas
+ * Los eventos provocados por nuestras propias escrituras se ignoran porque
+ * la fecha y el tamaño del archivo coinciden con los de la caché
+ */
+const watchDataDirectory = () => {
+  if (dataWatcher || !CACHE_ENABLED) return;
+
+  try {
+    dataWatcher = fsSync.watch(DATA_DIR, (eventType, filename) => {
+      if (!filename || !filename.endsWith('.json')) return;
+
+      const collection = filename.slice(0, -'.json'.length);
+      const cached = collectionCache.get(collection);
+      // Mientras hay escrituras en curso la caché la actualiza writeData
+      if (!cached || collectionLocks.has(collection)) return;
+
+      fsSync.stat(getFilePath(collection), (error, stat) => {
+        const unchanged = error
+          ? cached.mtimeMs === null
+          : stat.mtimeMs === cached.mtimeMs && stat.size === cached.size;
+        if (!unchanged && collectionCache.get(collection) === cached) invalidateCache(collection);
+      });
+    });
+
+    dataWatcher.on('error', (error) => {
+      console.error('Error vigilando el directorio data, se vacía la caché:', error);
+      dataWatcher.close();
+      dataWatcher = null;
+      invalidateCache();
+    });
+    dataWatcher.unref();
+  } catch (error) {
+    console.warn('No se pudo vigilar el directorio data:', error.message);
+    dataWatcher = null;
+  }
+};
+
+/**
+ * Guarda una colección en caché con la fecha y tamaño de su archivo
+ */
+const storeInCache = (collection, data, stat) => {
+  collectionCache.set(collection, {
+    data,
+    mtimeMs: stat ? stat.mtimeMs : null,
+    size: stat ? stat.size : null
+  });
+};
+
+/**
+ * Lee una colección, desde la caché si está disponible
+ * El array devuelto es compartido con la caché y no debe modificarse
+ * @param {string} collection - Nombre de la colección
+ * @returns {Promise<Array>} Documentos de la colección
+ */
 const readData = async (collection) => {
+  if (CACHE_ENABLED && collectionCache.has(collection)) {
+    cacheStats.hits += 1;
+    return collectionCache.get(collection).data;
+  }
+
+  const generation = getGeneration(collection);
+  const filePath = getFilePath(collection);
+  let stat = null;
+  let data;
+
   try {
-    const filePath = path.join(DATA_DIR, `${collection}.json`);
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    // La fecha se toma antes de leer: si el archivo cambia durante la
+    // lectura, el vigilante detectará la diferencia e invalidará
+    stat = await fs.stat(filePath);
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
   } catch (error) {
-    if (error.code === 'ENOENT') return [];
-    console.error(`Error leyendo archivo ${collection}.json:`, error);
-    throw error;
+    if (error.code !== 'ENOENT') {
+      console.error(`Error leyendo archivo ${collection}.json:`, error);
+      throw error;
+    }
+    stat = null;
+    data = [];
   }
+
+  if (CACHE_ENABLED) {
+    cacheStats.misses += 1;
+    watchDataDirectory();
+    if (getGeneration(collection) === generation) storeInCache(collection, data, stat);
+  }
+
+  return data;
+};
+
+/**
+ * Definiciones de índices de una colección, incluido el implícito sobre id
+ * @param {string} collection - Nombre de la colección
+ * @returns {Array} Definiciones { fields, unique }
+ */
+const getIndexDefinitions = (collection) => [
+  { fields: ['id'], unique: true },
+  ...(INDEXES[collection] || [])
+];
+
+/**
+ * Clave de índice de un documento; null si falta algún campo
+ */
+const buildIndexKey = (values) => {
+  if (values.some(value => value === undefined || value === null)) return null;
+  return JSON.stringify(values);
 };
 
-const writeData = async (collection, data) => {
+/**
+ * Indica si una clave cuenta para la unicidad de un índice único: solo las
+ * que tienen todos los campos de tipo texto, la misma regla que el índice
+ * parcial de mongoStore ($type: 'string'); null y otros tipos se repiten
+ */
+const isUniqueKey = (key) => JSON.parse(key).every(value => typeof value === 'string');
+
+/**
+ * Construye los índices de una colección
+ * Si se pasan los índices anteriores se comprueba que ninguna clave única
+ * gane documentos duplicados (los duplicados ya existentes se toleran)
+ * @param {string} collection - Nombre de la colección
+ * @param {Array} data - Documentos de la colección
+ * @param {Array} [previousIndexes] - Índices de los datos anteriores
+ * @returns {Array} Índices { fields, unique, entries: Map<clave, posiciones> }
+ */
+const buildIndexes = (collection, data, previousIndexes = null) => {
+  return getIndexDefinitions(collection).map((definition, position) => {
+    const entries = new Map();
+
+    data.forEach((document, documentPosition) => {
+      const key = buildIndexKey(definition.fields.map(field => getValueByPath(document, field)));
+      if (key === null) return;
+      const bucket = entries.get(key);
+      if (bucket) bucket.push(documentPosition);
+      else entries.set(key, [documentPosition]);
+    });
+
+    if (definition.unique && previousIndexes) {
+      const previousEntries = previousIndexes[position].entries;
+      for (const [key, bucket] of entries) {
+        const previousBucket = previousEntries.get(key);
+        if (bucket.length > 1 && bucket.length > (previousBucket ? previousBucket.length : 0) && isUniqueKey(key)) {
+          throw new DuplicateKeyError(collection, definition.fields, JSON.parse(key));
+        }
+      }
+    }
+
+    return { ...definition, entries };
+  });
+};
+
+/**
+ * Obtiene (o construye) los índices de un array de datos
+ */
+const getIndexes = (collection, data) => {
+  if (!indexCache.has(data)) indexCache.set(data, buildIndexes(collection, data));
+  return indexCache.get(data);
+};
+
+/**
+ * Valores que una condición permite buscar en un índice:
+ * igualdad simple, $eq o $in. null si la condición no es indexable
+ */
+const getIndexableValues = (condition) => {
+  if (condition === undefined || condition === null || condition instanceof RegExp) return null;
+  if (typeof condition !== 'object') return [condition];
+
+  const operators = Object.keys(condition);
+  if (operators.length !== 1) return null;
+  if (operators[0] === '$eq' && typeof condition.$eq !== 'object') return [condition.$eq];
+  if (operators[0] === '$in' && Array.isArray(condition.$in)) {
+    return condition.$in.filter(value => value === null || typeof value !== 'object');
+  }
+  return null;
+};
+
+/**
+ * Filtra una colección usando un índice cuando la consulta lo permite
+ * Se prefiere un índice único y, a igualdad, el que cubre más campos.
+ * Los candidatos mantienen el orden original y se evalúa la consulta completa
+ * @param {string} collection - Nombre de la colección
+ * @param {Array} data - Documentos de la colección
+ * @param {Object} criteria - Consulta
+ * @returns {Array} Documentos que cumplen la consulta
+ */
+const filterCollection = (collection, data, criteria) => {
+  if (Object.keys(criteria).length === 0) return data;
+
+  let plan = null;
+  if (CACHE_ENABLED) {
+    for (const index of getIndexes(collection, data)) {
+      const valueLists = index.fields.map(field => getIndexableValues(criteria[field]));
+      if (valueLists.some(values => values === null)) continue;
+
+      const keyCount = valueLists.reduce((total, values) => total * values.length, 1);
+      if (keyCount > MAX_INDEX_KEYS) continue;
+
+      const better = !plan ||
+        (index.unique && !plan.index.unique) ||
+        (index.unique === plan.index.unique && index.fields.length > plan.index.fields.length);
+      if (better) plan = { index, valueLists };
+    }
+  }
+
+  if (!plan) return data.filter(item => matchesQuery(item, criteria));
+
+  // Producto cartesiano de los valores buscados en cada campo
+  const combinations = plan.valueLists.reduce(
+    (acc, values) => acc.flatMap(prefix => values.map(value => [...prefix, value])),
+    [[]]
+  );
+
+  const positions = new Set();
+  for (const combination of combinations) {
+    for (const position of plan.index.entries.get(buildIndexKey(combination)) || []) {
+      positions.add(position);
+    }
+  }
+
+  return Array.from(positions)
+    .sort((a, b) => a - b)
+    .map(position => data[position])
+    .filter(item => matchesQuery(item, criteria));
+};
+
+/**
+ * Escribe un archivo y fuerza su volcado a disco
+ */
+const writeFileDurably = async (filePath, content) => {
+  const handle = await fs.open(filePath, 'w');
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Escribe los datos de una colección en un archivo temporal junto al original
+ * @returns {Promise<string>} Ruta del temporal
+ */
+const writeTempFile = async (collection, data) => {
+  const tempPath = `${getFilePath(collection)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
   try {
-    const filePath = path.join(DATA_DIR, `${collection}.json`);
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+    await writeFileDurably(tempPath, JSON.stringify(data, null, 2));
   } catch (error) {
-    console.error(`Error escribiendo archivo ${collection}.json:`, error);
+    await fs.unlink(tempPath).catch(() => {});
     throw error;
   }
+  return tempPath;
+};
+
+/**
+ * Renombra un temporal sobre el archivo de la colección y actualiza la caché
+ */
+const publishTempFile = async (collection, tempPath, data, indexes) => {
+  const filePath = getFilePath(collection);
+  await fs.rename(tempPath, filePath);
+
+  bumpGeneration(collection);
+  indexCache.set(data, indexes);
+  if (CACHE_ENABLED) storeInCache(collection, data, await fs.stat(filePath));
 };
 
 /**
- * Carga datos de un archivo JSON dado el slug (nombre del archivo)
+ * Escribe una colección de forma atómica
+ * Se escribe en un archivo temporal y se renombra sobre el original,
+ * así un lector nunca ve un archivo a medio escribir
+ * @param {string} collection - Nombre de la colección
+ * @param {Array} data - Documentos de la colección
+ * @param {Array} [previousData] - Datos anteriores, para validar índices únicos
  */
-const loadDataByCategorySlug = async (slug) => {
+const writeData = async (collection, data, previousData = null) => {
+  // Lanza DuplicateKeyError antes de tocar el disco
+  const indexes = buildIndexes(
+    collection,
+    data,
+    previousData ? getIndexes(collection, previousData) : null
+  );
+
+  let tempPath = null;
   try {
-    const filePath = path.join(DATA_DIR, `${slug}.json`);
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    tempPath = await writeTempFile(collection, data);
+    await publishTempFile(collection, tempPath, data, indexes);
   } catch (error) {
-    if (error.code === 'ENOENT') return null;
-    console.error(`Error cargando archivo ${slug}.json:`, error);
+    if (tempPath) await fs.unlink(tempPath).catch(() => {});
+    console.error(`Error escribiendo archivo ${collection}.json:`, error);
     throw error;
   }
 };
 
-const compareValues = (itemValue, criteriaValue) => {
-  if (criteriaValue !== null && typeof criteriaValue === 'object' && !Array.isArray(criteriaValue)) {
-    return true;
+/**
+ * Registra cambios en el diario sin hacer fallar la escritura ya completada
+ * previous es el estado anterior a la escritura, que se guarda si son los
+ * primeros cambios de la colección (ver changeJournal.ensureBaseline)
+ */
+const journalChanges = async (collection, changes, meta, previous) => {
+  try {
+    if (changes && changes.length > 0) await changeJournal.ensureBaseline(collection, previous);
+    await changeJournal.appendEntries(collection, changes, meta);
+  } catch (error) {
+    console.error(`Error registrando cambios de ${collection} en el diario:`, error);
   }
-  return itemValue === criteriaValue;
 };
 
-const find = async (collection, criteria = {}) => {
-  const data = await readData(collection);
-  if (Object.keys(criteria).length === 0) return data;
+/**
+ * Lee, modifica y escribe una colección con el bloqueo adquirido
+ * @param {string} collection - Nombre de la colección
+ * @param {Function} mutator - Recibe los datos y devuelve { data, result, changes };
+ * si data es null no se escribe nada. changes ({ op, before, after }) va al diario
+ * @returns {Promise<*>} Resultado devuelto por el mutator
+ */
+const mutateCollection = (collection, mutator) => withCollectionLock(collection, async () => {
+  // Copia superficial: el array en caché no se toca hasta que la escritura termina
+  const previous = await readData(collection);
+  const { data, result, changes } = await mutator([...previous]);
+  if (data) {
+    await writeData(collection, data, previous);
+    await journalChanges(collection, changes, {}, previous);
+  }
+  return result;
+});
+
+/**
+ * Revisa los archivos de las colecciones al arrancar
+ * Si un archivo JSON está truncado o corrupto se intenta recuperar desde
+ * el temporal más reciente que sea válido; si no hay ninguno se aparta
+ * el archivo dañado con la extensión .corrupt-<timestamp>. Solo se revisan
+ * las colecciones de COLLECTIONS: los demás .json del directorio no son
+ * del almacenamiento
+ * @returns {Promise<Object>} Resumen de archivos recuperados y apartados
+ */
+const recoverCollections = async () => {
+  const report = { recovered: [], quarantined: [], removedTemp: [], completedTransactions: [] };
+
+  // Completar las transacciones confirmadas que no terminaron de aplicarse;
+  // un registro ilegible indica que la transacción no llegó a confirmarse
+  for (const log of (await fs.readdir(DATA_DIR)).filter(file => COMMIT_LOG_PATTERN.test(file))) {
+    const logPath = path.join(DATA_DIR, log);
+    let entries = null;
+    try {
+      entries = JSON.parse(await fs.readFile(logPath, 'utf8'));
+    } catch (error) {
+      entries = null;
+    }
 
-  return data.filter(item => {
-    for (const [key, value] of Object.entries(criteria)) {
-      if (key === '$or' && Array.isArray(value)) {
-        const orMatches = value.some(condition => {
-          for (const [condKey, condValue] of Object.entries(condition)) {
-            if (!compareValues(item[condKey], condValue)) return false;
-          }
-          return true;
-        });
-        if (!orMatches) return false;
-        continue;
+    if (entries) {
+      for (const { collection, tempFile } of entries) {
+        try {
+          await fs.rename(path.join(DATA_DIR, tempFile), getFilePath(collection));
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+        invalidateCache(collection);
       }
-      if (!compareValues(item[key], value)) return false;
+      report.completedTransactions.push(log);
+      console.warn(`Transacción ${log} completada tras una interrupción`);
     }
-    return true;
-  });
+    await fs.unlink(logPath);
+  }
+
+  const files = await fs.readdir(DATA_DIR);
+  const tempFiles = files.filter(file => /\.json\.\d+\.[a-f0-9]+\.tmp$/.test(file));
+
+  const isValidJson = async (filePath) => {
+    try {
+      JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  for (const file of COLLECTIONS.map(collection => `${collection}.json`).filter(f => files.includes(f))) {
+    const filePath = path.join(DATA_DIR, file);
+    if (await isValidJson(filePath)) continue;
+
+    // Buscar el temporal válido más reciente de esta colección
+    const candidates = [];
+    for (const temp of tempFiles.filter(t => t.startsWith(`${file}.`))) {
+      const tempPath = path.join(DATA_DIR, temp);
+      if (await isValidJson(tempPath)) {
+        const stat = await fs.stat(tempPath);
+        candidates.push({ tempPath, mtime: stat.mtimeMs });
+      }
+    }
+    candidates.sort((a, b) => b.mtime - a.mtime);
+
+    if (candidates.length > 0) {
+      await fs.rename(candidates[0].tempPath, filePath);
+      report.recovered.push(file);
+      console.warn(`Archivo ${file} corrupto, recuperado desde temporal`);
+    } else {
+      const quarantinePath = `${filePath}.corrupt-${Date.now()}`;
+      await fs.rename(filePath, quarantinePath);
+      report.quarantined.push(file);
+      console.error(`Archivo ${file} corrupto sin copia válida, apartado en ${path.basename(quarantinePath)}`);
+    }
+  }
+
+  // Eliminar temporales huérfanos de escrituras interrumpidas
+  for (const temp of tempFiles) {
+    try {
+      await fs.unlink(path.join(DATA_DIR, temp));
+      report.removedTemp.push(temp);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  return report;
 };
 
-const findOne = async (collection, criteria = {}) => {
-  const results = await find(collection, criteria);
+/**
+ * Busca documentos de una colección
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} criteria - Consulta (ver queryEngine.matchesQuery)
+ * @param {Object} options - Opciones { sort, skip, limit, projection }
+ * @returns {Promise<Array>} Documentos encontrados
+ */
+const find = async (collection, criteria = {}, options = {}) => {
+  const data = await readData(collection);
+  const results = filterCollection(collection, data, criteria);
+
+  // Se devuelven copias para que los llamadores no alteren la caché
+  return structuredClone(applyQueryOptions(results, options));
+};
+
+const findOne = async (collection, criteria = {}, options = {}) => {
+  const results = await find(collection, criteria, { ...options, limit: 1 });
   return results.length > 0 ? results[0] : null;
 };
 
@@ -93,126 +555,519 @@ const findById = async (collection, id) => {
   return findOne(collection, { id });
 };
 
-const insertOne = async (collection, document) => {
-  const data = await readData(collection);
-  if (!document.id) document.id = generateId();
-  if (!document.createdAt) document.createdAt = new Date().toISOString();
-  document.updatedAt = new Date().toISOString();
-  data.push(document);
-  await writeData(collection, data);
-  return document;
+/**
+ * Prepara un documento para guardarlo pasándolo por el modelo de la colección
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} document - Documento a guardar
+ * @param {Object} options - { validate } (true por defecto)
+ * @returns {Object} Copia normalizada del documento
+ */
+const prepareDocument = (collection, document, options = {}) => {
+  const copy = structuredClone(document);
+  return options.validate === false ? copy : applyModel(collection, copy);
 };
 
-const updateOne = async (collection, criteria, updates) => {
-  const data = await readData(collection);
-  let updated = false;
-
-  const updatedData = data.map(item => {
-    let matches = true;
-    for (const [key, value] of Object.entries(criteria)) {
-      if (!compareValues(item[key], value)) {
-        matches = false;
-        break;
+/**
+ * Operaciones de escritura expresadas como mutators (ver mutateCollection)
+ * Las comparten las escrituras sueltas y las transacciones
+ */
+const buildInsert = (collection, documents, options = {}) => {
+  const now = new Date().toISOString();
+  const prepared = documents.map((document, position) => {
+    if (!document.id) document.id = generateId();
+    if (!document.createdAt) document.createdAt = now;
+    document.updatedAt = now;
+
+    try {
+      return prepareDocument(collection, document, options);
+    } catch (error) {
+      // En inserciones múltiples se indica qué documento es inválido
+      if (documents.length > 1 && error instanceof ValidationError) {
+        throw new ValidationError(collection, error.errors.map(message => `Documento ${position}: ${message}`));
       }
+      throw error;
     }
-    if (matches) {
-      updated = true;
-      return { ...item, ...updates, updatedAt: new Date().toISOString() };
-    }
-    return item;
   });
 
-  if (updated) await writeData(collection, updatedData);
+  return (data) => {
+    data.push(...prepared);
+    return {
+      data,
+      result: structuredClone(prepared),
+      changes: prepared.map(after => ({ op: 'insert', before: null, after }))
+    };
+  };
+};
 
-  const updatedItem = updatedData.find(item => {
-    for (const [key, value] of Object.entries(criteria)) {
-      if (!compareValues(item[key], value)) return false;
-    }
-    return true;
-  });
+/**
+ * Actualiza uno (o todos con options.multi) de los documentos que cumplen la
+ * consulta; con options.upsert inserta uno nuevo si ninguno la cumple
+ */
+const buildUpdate = (collection, criteria, update, options = {}) => (data) => {
+  const matches = filterCollection(collection, data, criteria);
+  const targets = new Set(options.multi ? matches : matches.slice(0, 1));
+  const now = new Date().toISOString();
+  const changes = [];
+  let last = null;
+
+  for (let index = 0; index < data.length; index++) {
+    const before = data[index];
+    if (!targets.has(before)) continue;
+
+    const updated = applyUpdate(before, update);
+    last = before;
+    // Las actualizaciones sin efecto no se escriben
+    if (JSON.stringify(updated) === JSON.stringify(before)) continue;
+
+    data[index] = prepareDocument(
+      collection,
+      { ...updated, id: before.id, createdAt: before.createdAt, updatedAt: now },
+      options
+    );
+    changes.push({ op: 'update', before, after: data[index] });
+    last = data[index];
+  }
+
+  let upserted = null;
+  if (targets.size === 0 && options.upsert) {
+    upserted = prepareDocument(collection, {
+      ...applyUpdate(buildUpsertBase(criteria), update),
+      id: generateId(),
+      createdAt: now,
+      updatedAt: now
+    }, options);
+    data.push(upserted);
+    changes.push({ op: 'insert', before: null, after: upserted });
+    last = upserted;
+  }
 
-  return { updated, data: updatedItem || null };
+  const counts = {
+    matchedCount: targets.size,
+    modifiedCount: upserted ? changes.length - 1 : changes.length,
+    upsertedCount: upserted ? 1 : 0,
+    upsertedId: upserted ? upserted.id : null
+  };
+
+  return {
+    data: changes.length > 0 ? data : null,
+    result: options.multi
+      ? counts
+      : { updated: targets.size > 0, data: last ? structuredClone(last) : null, ...counts },
+    changes
+  };
+};
+
+const buildReplace = (collection, criteria, replacement, options = {}) => (data) => {
+  const [match] = filterCollection(collection, data, criteria);
+  const index = match ? data.indexOf(match) : -1;
+  if (index === -1) return { data: null, result: { replaced: false, data: null } };
+
+  const before = data[index];
+  data[index] = prepareDocument(collection, {
+    ...replacement,
+    id: before.id,
+    createdAt: before.createdAt,
+    updatedAt: new Date().toISOString()
+  }, options);
+  return {
+    data,
+    result: { replaced: true, data: structuredClone(data[index]) },
+    changes: [{ op: 'replace', before, after: data[index] }]
+  };
+};
+
+const buildDelete = (collection, criteria, options = {}) => (data) => {
+  const matches = filterCollection(collection, data, criteria);
+  const targets = new Set(options.multi ? matches : matches.slice(0, 1));
+  const result = (count) => (options.multi ? { deletedCount: count } : { deleted: count > 0 });
+  if (targets.size === 0) return { data: null, result: result(0) };
+
+  return {
+    data: data.filter(document => !targets.has(document)),
+    result: result(targets.size),
+    changes: Array.from(targets, before => ({ op: 'delete', before, after: null }))
+  };
+};
+
+/**
+ * Inserta un documento
+ * Los documentos de colecciones con modelo se validan y se descartan sus
+ * campos desconocidos; un documento inválido lanza ValidationError (422)
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} document - Documento a insertar
+ * @param {Object} options - { validate } (true por defecto)
+ * @returns {Promise<Object>} Documento guardado
+ */
+const insertOne = async (collection, document, options = {}) => {
+  const [inserted] = await mutateCollection(collection, buildInsert(collection, [document], options));
+  return inserted;
+};
+
+/**
+ * Inserta varios documentos con una sola escritura
+ * Si alguno es inválido o duplica una clave única no se inserta ninguno
+ * @param {string} collection - Nombre de la colección
+ * @param {Array} documents - Documentos a insertar
+ * @param {Object} options - { validate } (true por defecto)
+ * @returns {Promise<Object>} { insertedCount, data }
+ */
+const insertMany = async (collection, documents, options = {}) => {
+  if (documents.length === 0) return { insertedCount: 0, data: [] };
+
+  const inserted = await mutateCollection(collection, buildInsert(collection, documents, options));
+  return { insertedCount: inserted.length, data: inserted };
+};
+
+/**
+ * Actualiza el primer documento que cumple la consulta
+ * update admite operadores ($set, $unset, $inc, $push) o un objeto de campos
+ * a fusionar. El documento resultante se valida igual que en insertOne
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} criteria - Consulta
+ * @param {Object} update - Actualización
+ * @param {Object} options - { validate, upsert }
+ * @returns {Promise<Object>} { updated, data, matchedCount, modifiedCount, upsertedCount, upsertedId }
+ */
+const updateOne = async (collection, criteria, update, options = {}) => {
+  return mutateCollection(collection, buildUpdate(collection, criteria, update, { ...options, multi: false }));
+};
+
+/**
+ * Actualiza todos los documentos que cumplen la consulta con una sola escritura
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} criteria - Consulta
+ * @param {Object} update - Actualización (ver updateOne)
+ * @param {Object} options - { validate, upsert }
+ * @returns {Promise<Object>} { matchedCount, modifiedCount, upsertedCount, upsertedId }
+ */
+const updateMany = async (collection, criteria, update, options = {}) => {
+  return mutateCollection(collection, buildUpdate(collection, criteria, update, { ...options, multi: true }));
+};
+
+/**
+ * Reemplaza por completo el primer documento que cumple la consulta
+ * Se conservan id y createdAt; los campos ausentes en el reemplazo se eliminan
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} criteria - Consulta
+ * @param {Object} replacement - Documento nuevo
+ * @param {Object} options - { validate } (true por defecto)
+ * @returns {Promise<Object>} { replaced, data }
+ */
+const replaceOne = async (collection, criteria, replacement, options = {}) => {
+  return mutateCollection(collection, buildReplace(collection, criteria, replacement, options));
 };
 
 const deleteOne = async (collection, criteria) => {
-  const data = await readData(collection);
-  let deleted = false;
+  return mutateCollection(collection, buildDelete(collection, criteria));
+};
 
-  const filteredData = data.filter(item => {
-    for (const [key, value] of Object.entries(criteria)) {
-      if (!compareValues(item[key], value)) return true;
+/**
+ * Elimina todos los documentos que cumplen la consulta con una sola escritura
+ * @param {string} collection - Nombre de la colección
+ * @param {Object} criteria - Consulta
+ * @returns {Promise<Object>} { deletedCount }
+ */
+const deleteMany = async (collection, criteria) => {
+  return mutateCollection(collection, buildDelete(collection, criteria, { multi: true }));
+};
+
+/**
+ * Sustituye los documentos que cumplen criteria por los de un estado anterior
+ * Los documentos restaurados se guardan tal cual, sin pasar por los modelos;
+ * los que no cumplen criteria en ninguno de los dos estados no se tocan
+ * @param {string} collection - Nombre de la colección
+ * @param {Array} documents - Estado a restaurar
+ * @param {Object} options - { criteria, dryRun }
+ * @returns {Promise<Array>} Cambios { op: 'restore', before, after } por documento
+ */
+const restoreDocuments = async (collection, documents, { criteria = {}, dryRun = false } = {}) => {
+  return mutateCollection(collection, (current) => {
+    const restoredById = new Map(
+      documents
+        .filter(document => matchesQuery(document, criteria))
+        .map(document => [document.id, structuredClone(document)])
+    );
+    const data = [];
+    const changes = [];
+
+    for (const document of current) {
+      const restored = restoredById.get(document.id);
+      if (restored) {
+        restoredById.delete(document.id);
+        data.push(restored);
+        if (JSON.stringify(restored) !== JSON.stringify(document)) {
+          changes.push({ op: 'restore', before: document, after: restored });
+        }
+      } else if (matchesQuery(document, criteria)) {
+        changes.push({ op: 'restore', before: document, after: null });
+      } else {
+        data.push(document);
+      }
+    }
+
+    for (const restored of restoredById.values()) {
+      data.push(restored);
+      changes.push({ op: 'restore', before: null, after: restored });
     }
-    deleted = true;
-    return false;
+
+    const write = !dryRun && changes.length > 0;
+    return { data: write ? data : null, result: changes, changes };
   });
+};
 
-  if (deleted) await writeData(collection, filteredData);
-  return { deleted };
+/**
+ * Lee una colección junto con la secuencia de su diario, con el bloqueo
+ * adquirido para que ambos datos correspondan al mismo instante
+ * El array devuelto es compartido con la caché y no debe modificarse
+ * @param {string} collection - Nombre de la colección
+ * @returns {Promise<Object>} { documents, journalSeq, takenAt }
+ */
+const readCollectionState = (collection) => withCollectionLock(collection, async () => ({
+  documents: await readData(collection),
+  journalSeq: await changeJournal.getLastSequence(collection),
+  takenAt: new Date().toISOString()
+}));
+
+/**
+ * Lista las colecciones que tienen archivo en el directorio data
+ * @returns {Promise<Array<string>>} Nombres de colección
+ */
+const listCollections = async () => {
+  const files = new Set(await fs.readdir(DATA_DIR));
+  return COLLECTIONS.filter(collection => files.has(`${collection}.json`)).sort();
 };
 
 const countDocuments = async (collection, criteria = {}) => {
-  const results = await find(collection, criteria);
-  return results.length;
+  const data = await readData(collection);
+  return filterCollection(collection, data, criteria).length;
 };
 
-const initializeWithDefaults = async () => {
-  await initDataDirectory();
+/**
+ * Ejecuta escrituras sobre una o varias colecciones como una unidad
+ * Los cambios se preparan en memoria y se confirman todos juntos cuando work
+ * termina; si work lanza un error no se escribe nada.
+ * Cada colección queda bloqueada desde su primer uso hasta el final y las
+ * transacciones se ejecutan de una en una, por lo que no pueden bloquearse
+ * entre sí. Dentro de work deben usarse solo los métodos de tx: una escritura
+ * suelta sobre una colección ya usada esperaría al final de la transacción.
+ * @param {Function} work - Recibe tx con los mismos métodos de lectura y
+ * escritura que este módulo (find, insertOne, updateMany, deleteOne...)
+ * @returns {Promise<*>} Resultado de work
+ */
+const transaction = async (work) => {
+  const releaseTransaction = await acquireLock(TRANSACTION_LOCK);
+  // Colección -> promesa de { collection, previous, data }
+  const staged = new Map();
+  const releases = [];
 
-  const createDefaultCategories = async () => {
-    const existingCategories = await readData('categories');
-    if (existingCategories.length === 0) {
-      const { CATEGORIES, POPULAR_CATEGORIES } = require('../config/constants');
-
-      const defaultCategories = CATEGORIES.map((slug, index) => ({
-        id: generateId(),
-        name: slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-        slug,
-        description: `Servicios relacionados con ${slug.replace(/-/g, ' ')}`,
-        icon: getCategoryIcon(slug),
-        order: index,
-        active: true,
-        popular: POPULAR_CATEGORIES.includes(slug),
-        keywords: generateKeywords(slug),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      }));
-
-      await writeData('categories', defaultCategories);
+  const getStaged = (collection) => {
+    if (!staged.has(collection)) {
+      staged.set(collection, (async () => {
+        releases.push(await acquireLock(collection));
+        const previous = await readData(collection);
+        return { collection, previous, data: previous, changes: [] };
+      })());
     }
+    return staged.get(collection);
   };
 
-  const createDefaultChatResponses = async () => {
-    const existingResponses = await readData('chatResponses');
-    if (existingResponses.length === 0) {
-      const defaultResponses = [
-        {
-          id: generateId(),
-          keywords: ['hola', 'buenos dias', 'buenas tardes', 'saludos', 'hey'],
-          text: '¡Hola! Soy el asistente virtual de Marketplace de Servicios. ¿En qué puedo ayudarte hoy?',
-          suggestions: ['Ver categorías populares', 'Buscar servicios', '¿Cómo funciona?'],
-          priority: 1,
-          active: true,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        },
-        {
-          id: generateId(),
-          keywords: ['como funciona', 'explicar', 'plataforma', 'ayuda', 'info'],
-          text: 'Marketplace de Servicios conecta a clientes con proveedores de servicios...',
-          suggestions: ['Ver categorías', 'Servicios populares', '¿Cómo pagar?'],
-          priority: 1,
-          active: true,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        }
-      ];
+  const read = async (collection, criteria = {}, options = {}) => {
+    const entry = await getStaged(collection);
+    return structuredClone(applyQueryOptions(filterCollection(collection, entry.data, criteria), options));
+  };
+
+  const stage = async (collection, mutator) => {
+    const entry = await getStaged(collection);
+    const { data, result, changes } = mutator([...entry.data]);
+    if (data) {
+      // Las claves duplicadas se detectan al preparar el cambio
+      indexCache.set(data, buildIndexes(collection, data, getIndexes(collection, entry.data)));
+      entry.data = data;
+      entry.changes.push(...changes);
+    }
+    return result;
+  };
+
+  const tx = {
+    find: read,
+    findOne: async (collection, criteria = {}, options = {}) => {
+      const [document] = await read(collection, criteria, { ...options, limit: 1 });
+      return document || null;
+    },
+    findById: async (collection, id) => tx.findOne(collection, { id }),
+    countDocuments: async (collection, criteria = {}) => {
+      const entry = await getStaged(collection);
+      return filterCollection(collection, entry.data, criteria).length;
+    },
+    insertOne: async (collection, document, options) => {
+      const [inserted] = await stage(collection, buildInsert(collection, [document], options));
+      return inserted;
+    },
+    insertMany: async (collection, documents, options) => {
+      const inserted = await stage(collection, buildInsert(collection, documents, options));
+      return { insertedCount: inserted.length, data: inserted };
+    },
+    updateOne: async (collection, criteria, update, options = {}) =>
+      stage(collection, buildUpdate(collection, criteria, update, { ...options, multi: false })),
+    updateMany: async (collection, criteria, update, options = {}) =>
+      stage(collection, buildUpdate(collection, criteria, update, { ...options, multi: true })),
+    replaceOne: async (collection, criteria, replacement, options) =>
+      stage(collection, buildReplace(collection, criteria, replacement, options)),
+    deleteOne: async (collection, criteria) =>
+      stage(collection, buildDelete(collection, criteria)),
+    deleteMany: async (collection, criteria) =>
+      stage(collection, buildDelete(collection, criteria, { multi: true }))
+  };
+
+  try {
+    const result = await work(tx);
+    const entries = await Promise.all(staged.values());
+    const changed = entries.filter(entry => entry.data !== entry.previous);
+    await commitTransaction(changed);
+
+    const transactionId = generateId();
+    for (const entry of changed) {
+      await journalChanges(entry.collection, entry.changes, { transactionId }, entry.previous);
+    }
+    return result;
+  } finally {
+    releases.forEach(release => release());
+    releaseTransaction();
+  }
+};
+
+/**
+ * Confirma los cambios de una transacción
+ * Primero se escriben los temporales de todas las colecciones; el registro de
+ * confirmación marca el punto a partir del cual la transacción se aplica
+ * entera. Si el proceso cae durante los renombrados, recoverCollections la
+ * completa al arrancar; si cae antes, los temporales se descartan
+ * @param {Array} changes - { collection, previous, data } por colección modificada
+ */
+const commitTransaction = async (changes) => {
+  if (changes.length === 0) return;
+
+  const logPath = path.join(
+    DATA_DIR,
+    `transaction.${process.pid}.${crypto.randomBytes(4).toString('hex')}.commit`
+  );
+  const written = [];
+
+  try {
+    for (const change of changes) {
+      written.push({ ...change, tempPath: await writeTempFile(change.collection, change.data) });
+    }
+    await writeFileDurably(logPath, JSON.stringify(written.map(({ collection, tempPath }) => ({
+      collection,
+      tempFile: path.basename(tempPath)
+    }))));
+  } catch (error) {
+    await Promise.all(written.map(({ tempPath }) => fs.unlink(tempPath).catch(() => {})));
+    await fs.unlink(logPath).catch(() => {});
+    console.error('Error confirmando la transacción, no se aplicó ningún cambio:', error);
+    throw error;
+  }
+
+  try {
+    for (const change of written) {
+      await publishTempFile(
+        change.collection,
+        change.tempPath,
+        change.data,
+        getIndexes(change.collection, change.data)
+      );
+    }
+    await fs.unlink(logPath);
+  } catch (error) {
+    console.error('Error aplicando una transacción confirmada, se completará al reiniciar:', error);
+    throw error;
+  }
+};
+
+/**
+ * Construye las categorías por defecto a partir de las constantes
+ * @returns {Array} Categorías iniciales
+ */
+const buildDefaultCategories = () => {
+  const { CATEGORIES, POPULAR_CATEGORIES } = require('../config/constants');
+
+  return CATEGORIES.map((slug, index) => ({
+    id: generateId(),
+    name: slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+    slug,
+    description: `Servicios relacionados con ${slug.replace(/-/g, ' ')}`,
+    icon: getCategoryIcon(slug),
+    order: index,
+    active: true,
+    popular: POPULAR_CATEGORIES.includes(slug),
+    keywords: generateKeywords(slug),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }));
+};
+
+/**
+ * Construye las respuestas de chat por defecto
+ * @returns {Array} Respuestas iniciales
+ */
+const buildDefaultChatResponses = () => [
+  {
+    id: generateId(),
+    keywords: ['hola', 'buenos dias', 'buenas tardes', 'saludos', 'hey'],
+    text: '¡Hola! Soy el asistente virtual de Marketplace de Servicios. ¿En qué puedo ayudarte hoy?',
+    suggestions: ['Ver categorías populares', 'Buscar servicios', '¿Cómo funciona?'],
+    priority: 1,
+    active: true,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  },
+  {
+    id: generateId(),
+    keywords: ['como funciona', 'explicar', 'plataforma', 'ayuda', 'info'],
+    text: 'Marketplace de Servicios conecta a clientes con proveedores de servicios...',
+    suggestions: ['Ver categorías', 'Servicios populares', '¿Cómo pagar?'],
+    priority: 1,
+    active: true,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }
+];
+
+/**
+ * Construye los grupos de sinónimos por defecto (config/synonymConfig)
+ * @returns {Array} Grupos iniciales
+ */
+const buildDefaultSynonyms = () => {
+  const { DEFAULT_SYNONYM_GROUPS } = require('../config/synonymConfig');
+  return DEFAULT_SYNONYM_GROUPS.map(terms => ({
+    id: generateId(),
+    terms,
+    description: '',
+    active: true,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }));
+};
+
+const initializeWithDefaults = async () => {
+  await initDataDirectory();
+  watchDataDirectory();
+
+  const recovery = await recoverCollections();
+  if (recovery.recovered.length > 0 || recovery.quarantined.length > 0 ||
+    recovery.completedTransactions.length > 0) {
+    console.warn('Recuperación de almacenamiento:', recovery);
+  }
 
-      await writeData('chatResponses', defaultResponses);
+  const createDefaults = async (collection, buildDefaults) => {
+    if (await countDocuments(collection) === 0) {
+      await insertMany(collection, buildDefaults());
     }
   };
 
-  await createDefaultCategories();
-  await createDefaultChatResponses();
+  await createDefaults('categories', buildDefaultCategories);
+  await createDefaults('chatResponses', buildDefaultChatResponses);
+  await createDefaults('synonyms', buildDefaultSynonyms);
 };
 
 function getCategoryIcon(slug) {
@@ -278,23 +1133,35 @@ function getCategoryIcon(slug) {
 
 function generateKeywords(slug) {
   const name = slug.replace(/-/g, ' ');
-  const words
-= name.split(' ');
-const keywords = new Set(words);
-keywords.add(name);
-return Array.from(keywords);
+  const words = name.split(' ');
+  const keywords = new Set(words);
+  keywords.add(name);
+  return Array.from(keywords);
 }
 
 module.exports = {
-initDataDirectory,
-generateId,
-find,
-findOne,
-findById,
-insertOne,
-updateOne,
-deleteOne,
-countDocuments,
-loadDataByCategorySlug,
-initializeWithDefaults
+  initDataDirectory,
+  generateId,
+  find,
+  findOne,
+  findById,
+  insertOne,
+  insertMany,
+  updateOne,
+  updateMany,
+  replaceOne,
+  deleteOne,
+  deleteMany,
+  countDocuments,
+  transaction,
+  restoreDocuments,
+  readCollectionState,
+  listCollections,
+  recoverCollections,
+  invalidateCache,
+  getCacheStats,
+  buildDefaultCategories,
+  buildDefaultChatResponses,
+  buildDefaultSynonyms,
+  initializeWithDefaults
 };
\ No newline at end of file
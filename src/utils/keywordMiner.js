@@ -0,0 +1,228 @@
+/**
+ * keywordMiner.js
+ * Extracción de palabras clave distintivas de un conjunto de textos por clase
+ *
+ * Cada texto se reduce a sus términos (palabras y pares de palabras
+ * consecutivas, sin palabras vacías). Un término puntúa alto en una clase
+ * si aparece en muchos de sus textos y en pocos del resto (TF-IDF por clase):
+ *   score = (textos de la clase con el término / textos de la clase)
+ *           * log(textos totales / textos con el término)
+ *
+ * No se proponen los términos de pocos textos distintos (suelen ser una
+ * sola oferta repetida) ni los que contienen nombres propios: palabras que
+ * van en mayúscula en mitad de un texto escrito en minúsculas y nunca
+ * aparecen en minúscula ("Plaza Cruz de Siguatepeque Honduras").
+ */
+
+const { normalizeText } = require('./textMatcher');
+const textAnalyzer = require('./textAnalyzer');
+
+// Palabras vacías y muletillas habituales en los títulos de ofertas
+const STOP_WORDS = new Set([
+  ...textAnalyzer.STOP_WORDS,
+  // Español
+  'busco', 'buscamos', 'necesito', 'necesitamos', 'requiere', 'urgente',
+  'proyecto', 'concurso', 'privado', 'crear', 'hacer', 'nuevo', 'nueva',
+  // Inglés
+  'needed', 'need', 'needs', 'required', 'wanted', 'looking', 'seeking', 'help', 'urgent',
+  'project', 'specialist', 'expert', 'experienced', 'professional', 'freelancer', 'freelance',
+  'comprehensive', 'modern', 'simple', 'quick', 'small', 'new', 'based', 'only', 'build',
+  'create', 'creation', 'make', 'full', 'time', 'ongoing', 'long', 'term', 'edt', 'est',
+  // Verbos y palabras de relleno que se cuelan en los títulos en español
+  'dio', 'hay', 'ser', 'estar', 'tener', 'quiero', 'queremos', 'favor', 'gracias', 'hola'
+]);
+
+const MIN_TERM_LENGTH = 2;
+
+// Caracteres que separan palabras (se conservan los de c++, c#, node.js)
+const WORD_SEPARATOR = /[^a-z0-9áéíóúüñ+#.]+/i;
+
+/**
+ * Normaliza un término para compararlo (minúsculas, sin acentos)
+ * @param {string} term - Término
+ * @returns {string} Término normalizado
+ */
+const normalizeTerm = (term) => normalizeText(term);
+
+/**
+ * Divide un texto en palabras útiles, en minúsculas y con sus acentos
+ * Se conservan símbolos habituales en tecnologías (c++, c#, node.js)
+ * @param {string} text - Texto
+ * @returns {Array<string>} Palabras en orden
+ */
+const tokenize = (text) => splitWords(String(text || '').toLowerCase()).filter(isUsefulWord);
+
+/**
+ * Términos de un texto: palabras y pares de palabras consecutivas
+ * @param {string} text - Texto
+ * @returns {Map} Término normalizado -> forma escrita
+ */
+const extractTerms = (text) => {
+  const words = tokenize(text);
+  const terms = new Map();
+
+  words.forEach((word, position) => {
+    terms.set(normalizeTerm(word), word);
+    if (position + 1 < words.length) {
+      const pair = `${word} ${words[position + 1]}`;
+      terms.set(normalizeTerm(pair), pair);
+    }
+  });
+
+  return terms;
+};
+
+/**
+ * Palabras que se usan como nombres propios en los textos
+ * Solo cuentan los textos escritos en minúsculas (con alguna palabra útil
+ * en minúscula), porque en los títulos con cada palabra en mayúscula no se
+ * distinguen. En ellos, las palabras en mayúscula que siguen a una en
+ * minúscula (y las que van a continuación) se toman como nombre propio.
+ * Una palabra es nombre propio si lo parece en al menos la mitad de sus
+ * apariciones y nunca aparece en minúscula
+ * @param {Iterable<string>} texts - Textos
+ * @returns {Set<string>} Palabras normalizadas
+ */
+const findProperNouns = (texts) => {
+  const occurrences = new Map();
+  const named = new Map();
+  const lowercase = new Set();
+  const increment = (counts, word) => counts.set(word, (counts.get(word) || 0) + 1);
+  const isLower = (word) => word === word.toLowerCase();
+  const isCapitalized = (word) => /^[A-ZÁÉÍÓÚÜÑ]/.test(word) && !/^[A-Z0-9+#.]+$/.test(word);
+
+  for (const text of texts) {
+    const words = splitWords(String(text || ''));
+    const useful = words.filter(word => isUsefulWord(word.toLowerCase()));
+    useful.forEach(word => increment(occurrences, normalizeTerm(word)));
+    useful.filter(isLower).forEach(word => lowercase.add(normalizeTerm(word)));
+    if (!useful.some(isLower)) continue;
+
+    let inName = false;
+    words.forEach((word, position) => {
+      inName = position > 0 && isCapitalized(word) && (inName || isLower(words[position - 1]));
+      if (inName && isUsefulWord(word.toLowerCase())) increment(named, normalizeTerm(word));
+    });
+  }
+
+  return new Set(Array.from(named)
+    .filter(([word, count]) => !lowercase.has(word) && count * 2 >= occurrences.get(word))
+    .map(([word]) => word));
+};
+
+/**
+ * Obtiene las palabras clave más distintivas de cada clase
+ * @param {Map<string, Array<string>>} textsByClass - Clase -> textos
+ * @param {Object} options - Opciones
+ * @param {number} [options.limit] - Palabras clave por clase
+ * @param {number} [options.minCount] - Textos de la clase en los que debe aparecer el término
+ * @param {number} [options.minDocuments] - Textos distintos, de todas las clases, en los que debe aparecer el término
+ * @returns {Map<string, Array>} Clase -> [{ keyword, score, count }] de mayor a menor puntuación
+ */
+const mineKeywords = (textsByClass, { limit = 15, minCount = 2, minDocuments = 3 } = {}) => {
+  // Un mismo texto puede estar en varias clases: se cuenta una vez en el total
+  const documentFrequency = new Map();
+  const seenTexts = new Set();
+  const spellings = new Map();
+
+  const termsByClass = new Map();
+  for (const [name, texts] of textsByClass) {
+    const counts = new Map();
+    for (const text of texts) {
+      const terms = extractTerms(text);
+      for (const [term, written] of terms) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+        countSpelling(spellings, term, written);
+      }
+      if (!seenTexts.has(text)) {
+        seenTexts.add(text);
+        for (const term of terms.keys()) {
+          documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+      }
+    }
+    termsByClass.set(name, { counts, size: texts.length });
+  }
+
+  const totalTexts = seenTexts.size;
+  const properNouns = findProperNouns(seenTexts);
+  const result = new Map();
+
+  for (const [name, { counts, size }] of termsByClass) {
+    const scored = [];
+    for (const [term, count] of counts) {
+      if (count < minCount || documentFrequency.get(term) < minDocuments) continue;
+      if (term.split(' ').some(word => properNouns.has(word))) continue;
+      const idf = Math.log(totalTexts / documentFrequency.get(term));
+      scored.push({
+        keyword: mostCommonSpelling(spellings.get(term)),
+        term,
+        score: Math.round((count / size) * idf * 1000) / 1000,
+        count
+      });
+    }
+
+    scored.sort((a, b) => b.score - a.score || b.count - a.count || a.term.localeCompare(b.term));
+    result.set(name, dropRedundantPairs(scored).slice(0, limit).map(({ term, ...entry }) => entry));
+  }
+
+  return result;
+};
+
+/**
+ * Palabras de un texto sin los puntos de los extremos, conservando
+ * mayúsculas
+ */
+function splitWords(text) {
+  return text
+    .split(WORD_SEPARATOR)
+    .map(word => word.replace(/^[.]+|[.]+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Palabra en minúsculas con letras, longitud suficiente y que no es vacía
+ */
+function isUsefulWord(word) {
+  return (
+    word.length >= MIN_TERM_LENGTH &&
+    /[a-záéíóúüñ]/i.test(word) &&
+    !STOP_WORDS.has(word) &&
+    !STOP_WORDS.has(normalizeTerm(word))
+  );
+}
+
+function countSpelling(spellings, term, written) {
+  if (!spellings.has(term)) spellings.set(term, new Map());
+  const forms = spellings.get(term);
+  forms.set(written, (forms.get(written) || 0) + 1);
+}
+
+/**
+ * Forma escrita más frecuente de un término (a igualdad, la que lleva acentos)
+ */
+function mostCommonSpelling(forms) {
+  return Array.from(forms.entries())
+    .sort((a, b) => b[1] - a[1] || b[0].localeCompare(a[0]))[0][0];
+}
+
+/**
+ * Descarta los pares de palabras que no aportan nada sobre una palabra
+ * que ya está en la lista con la misma frecuencia
+ */
+function dropRedundantPairs(scored) {
+  const countsByTerm = new Map(scored.map(entry => [entry.term, entry.count]));
+  return scored.filter(entry => {
+    if (!entry.term.includes(' ')) return true;
+    return !entry.term.split(' ').some(word => countsByTerm.get(word) === entry.count && word !== entry.term);
+  });
+}
+
+module.exports = {
+  STOP_WORDS,
+  normalizeTerm,
+  tokenize,
+  extractTerms,
+  findProperNouns,
+  mineKeywords
+};
@@ -0,0 +1,106 @@
+/**
+ * listingHtmlParser.js
+ * Extracción de ofertas de las páginas de resultados de freelancer.ec
+ * guardadas desde el navegador (https://www.freelancer.ec/jobs/<categoría>/)
+ *
+ * Cada tarjeta de oferta se convierte en una fila con las mismas claves que
+ * genera el scraper en data/<categoría>.json (ver listingParser), de modo que
+ * las páginas pasan por el mismo importador que los archivos JSON.
+ */
+
+const { parseHtml, querySelectorAll, querySelector, getTextContent, getAttribute, getComments } = require('./htmlParser');
+const { LISTING_SOURCE } = require('../config/constants');
+
+// Selectores de las tarjetas de la búsqueda de proyectos
+const SELECTORS = {
+  card: '.JobSearchCard-item',
+  title: '.JobSearchCard-primary-heading-link',
+  timeLeft: '.JobSearchCard-primary-heading-days',
+  price: '.JobSearchCard-secondary-price',
+  entries: '.JobSearchCard-secondary-entry',
+  rating: '[data-star_rating]'
+};
+
+/**
+ * Obtiene la URL original de una página guardada
+ * Los navegadores añaden el comentario "saved from url=(NNNN)<url>"; si no
+ * está se usa el enlace canónico o og:url
+ * @param {Object} document - Nodo raíz
+ * @returns {string|null} URL de la página
+ */
+const getPageUrl = (document) => {
+  for (const comment of getComments(document)) {
+    const match = comment.match(/saved from url=\(\d+\)(\S+)/i);
+    if (match) return match[1];
+  }
+
+  const canonical = querySelector(document, 'link[rel=canonical]');
+  if (getAttribute(canonical, 'href')) return getAttribute(canonical, 'href');
+
+  const ogUrl = querySelector(document, 'meta[property=og:url]');
+  return getAttribute(ogUrl, 'content');
+};
+
+/**
+ * Obtiene el slug de categoría de una URL de resultados (/jobs/<slug>/)
+ * @param {string|null} url - URL de la página
+ * @returns {string|null} Slug o null si la URL no es de una categoría
+ */
+const getCategorySlugFromUrl = (url) => {
+  if (!url) return null;
+  try {
+    const match = new URL(url).pathname.match(/^\/jobs\/([a-z0-9-]+)/i);
+    return match ? match[1].toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Extrae las ofertas de una página de resultados
+ * @param {string} html - HTML de la página
+ * @param {Object} options - Datos que la página no incluye
+ * @param {string} options.categoryName - Valor de la columna 'Categoría'
+ * @param {string} options.extractedAt - Valor de la columna 'Fecha Extracción'
+ * @returns {Object} { pageUrl, categorySlug, rows }
+ */
+const parseResultsPage = (html, { categoryName = '', extractedAt = '' } = {}) => {
+  const document = parseHtml(html);
+  const pageUrl = getPageUrl(document);
+  const baseUrl = pageUrl || LISTING_SOURCE.BASE_URL;
+
+  const rows = querySelectorAll(document, SELECTORS.card).map(card => {
+    const link = querySelector(card, SELECTORS.title);
+    const href = getAttribute(link, 'href');
+    const entries = getTextContent(querySelector(card, SELECTORS.entries)).match(/\d+/);
+
+    return {
+      'Título': getTextContent(link),
+      'URL del Post': href ? toAbsoluteUrl(href, baseUrl) : '',
+      'Cliente': getTextContent(querySelector(card, SELECTORS.timeLeft)),
+      'Rating Cliente': getAttribute(querySelector(card, SELECTORS.rating), 'data-star_rating') || '',
+      'Presupuesto': getTextContent(querySelector(card, SELECTORS.price)),
+      'Propuestas': entries ? entries[0] : '',
+      'Publicado': '',
+      'Categoría': categoryName,
+      'Fecha Extracción': extractedAt
+    };
+  });
+
+  return { pageUrl, categorySlug: getCategorySlugFromUrl(pageUrl), rows };
+};
+
+function toAbsoluteUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return href;
+  }
+}
+
+module.exports = {
+  SELECTORS,
+  getPageUrl,
+  getCategorySlugFromUrl,
+  parseResultsPage
+};
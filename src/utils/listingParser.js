@@ -0,0 +1,208 @@
+/**
+ * listingParser.js
+ * Conversión de las filas scrapeadas de freelancer.ec a ofertas normalizadas
+ *
+ * Las filas de data/<categoría>.json tienen las claves del scraper:
+ *   Título, URL del Post, Cliente, Rating Cliente, Presupuesto, Propuestas,
+ *   Publicado, Categoría, Fecha Extracción
+ * El scraper guarda en 'Cliente' el tiempo restante ("6 días left").
+ */
+
+const { PRICE_TYPES, LISTING_STATUS, LISTING_SOURCE } = require('../config/constants');
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '₹': 'INR'
+};
+
+// Columnas que genera el scraper en cada fila
+const SCRAPED_FIELDS = [
+  'Título',
+  'URL del Post',
+  'Cliente',
+  'Rating Cliente',
+  'Presupuesto',
+  'Propuestas',
+  'Publicado',
+  'Categoría',
+  'Fecha Extracción'
+];
+
+const TIME_UNITS_MS = [
+  { pattern: /(\d+)\s*(?:días?|dias?|d)\b/gi, ms: 24 * 60 * 60 * 1000 },
+  { pattern: /(\d+)\s*(?:horas?|hrs?|h)\b/gi, ms: 60 * 60 * 1000 },
+  { pattern: /(\d+)\s*(?:minutos?|mins?)\b/gi, ms: 60 * 1000 }
+];
+
+/**
+ * Limpia un valor de texto scrapeado
+ * @param {*} value - Valor original
+ * @returns {string} Texto sin espacios sobrantes ('' si no hay valor)
+ */
+const cleanText = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+/**
+ * Convierte un importe con separadores de miles ('1,500.50') a número
+ */
+const parseAmount = (text) => {
+  const amount = parseFloat(text.replace(/,/g, ''));
+  return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Interpreta un presupuesto
+ * Ejemplos: "$354 Oferta promedio", "$18 / hr Oferta promedio",
+ * "$250 - $750", "$30 - 50 EUR", "$15 - $25 / hr", "min $48 / hr", "$100"
+ * En los rangos amount es el punto medio y el máximo puede no repetir el
+ * símbolo de la moneda; con "min" no hay máximo
+ * @param {string} raw - Texto del presupuesto
+ * @returns {Object|null} { amount, minAmount, maxAmount, currency, type, averageBid, raw }
+ */
+const parseBudget = (raw) => {
+  const text = cleanText(raw);
+  if (!text) return null;
+
+  const match = text.match(/([$€£₹])\s*([\d.,]+)(?:\s*-\s*[$€£₹]?\s*([\d.,]+))?/);
+  const minAmount = match ? parseAmount(match[2]) : null;
+  if (minAmount === null) return null;
+
+  const upperAmount = match[3] !== undefined ? parseAmount(match[3]) : null;
+  const codeMatch = text.match(/\b([A-Z]{3})\b/);
+  const isMinimum = /^min\b/i.test(text);
+  const maxAmount = upperAmount !== null ? upperAmount : (isMinimum ? null : minAmount);
+
+  return {
+    amount: upperAmount !== null ? Math.round(((minAmount + upperAmount) / 2) * 100) / 100 : minAmount,
+    minAmount,
+    maxAmount,
+    currency: codeMatch ? codeMatch[1] : CURRENCY_SYMBOLS[match[1]],
+    type: /\/\s*(?:hr|hora|h)\b/i.test(text) ? PRICE_TYPES.HOURLY : PRICE_TYPES.FIXED,
+    averageBid: /oferta promedio/i.test(text),
+    raw: text
+  };
+};
+
+/**
+ * Interpreta la fecha de extracción del scraper, en hora de Ecuador
+ * @param {string} raw - Fecha 'YYYY-MM-DD HH:mm:ss'
+ * @param {string} [offset] - Desfase horario de la fecha
+ * @returns {string|null} Fecha ISO en UTC
+ */
+const parseExtractionDate = (raw, offset = LISTING_SOURCE.TIMEZONE_OFFSET) => {
+  const text = cleanText(raw);
+  const match = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)$/);
+  if (!match) return null;
+
+  const date = new Date(`${match[1]}T${match[2]}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Da formato a una fecha como la columna 'Fecha Extracción' del scraper
+ * @param {Date} date - Fecha
+ * @param {string} [offset] - Desfase horario de la salida ('-05:00')
+ * @returns {string} Fecha 'YYYY-MM-DD HH:mm:ss' en la zona del desfase
+ */
+const formatExtractionDate = (date, offset = LISTING_SOURCE.TIMEZONE_OFFSET) => {
+  const [, sign, hours, minutes] = offset.match(/^([+-])(\d{2}):(\d{2})$/);
+  const offsetMs = (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 * 1000;
+  return new Date(date.getTime() + offsetMs).toISOString().slice(0, 19).replace('T', ' ');
+};
+
+/**
+ * Interpreta una duración ("6 días", "14 horas", "2 días 3 horas")
+ * @param {string} raw - Texto de la duración
+ * @returns {number|null} Milisegundos o null si no se reconoce ninguna unidad
+ */
+const parseDuration = (raw) => {
+  const text = cleanText(raw);
+  let remainingMs = 0;
+  let recognized = false;
+  for (const unit of TIME_UNITS_MS) {
+    for (const match of text.matchAll(unit.pattern)) {
+      remainingMs += parseInt(match[1], 10) * unit.ms;
+      recognized = true;
+    }
+  }
+  return recognized ? remainingMs : null;
+};
+
+/**
+ * Indica si el tiempo restante marca la oferta como finalizada
+ */
+const isFinishedText = (raw) => /^final/i.test(cleanText(raw));
+
+/**
+ * Interpreta el tiempo restante ("6 días left", "14 horas left", "Finalizado")
+ * y lo convierte en una fecha límite absoluta a partir de la extracción
+ * @param {string} raw - Texto del tiempo restante
+ * @param {string|null} extractedAt - Fecha ISO de extracción
+ * @returns {Object} { status, deadline }
+ */
+const parseTimeLeft = (raw, extractedAt) => {
+  if (isFinishedText(raw)) {
+    return { status: LISTING_STATUS.CLOSED, deadline: null };
+  }
+
+  const remainingMs = parseDuration(raw);
+  if (remainingMs === null || !extractedAt) {
+    return { status: LISTING_STATUS.OPEN, deadline: null };
+  }
+
+  return {
+    status: LISTING_STATUS.OPEN,
+    deadline: new Date(new Date(extractedAt).getTime() + remainingMs).toISOString()
+  };
+};
+
+/**
+ * Convierte un número scrapeado; null si el campo está vacío
+ */
+const parseNumber = (raw) => {
+  const text = cleanText(raw).replace(',', '.');
+  if (!text) return null;
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Convierte una fila scrapeada en los campos de una oferta (ver models/Listing)
+ * @param {Object} row - Fila de data/<categoría>.json
+ * @param {Object} category - Categoría { id, slug }
+ * @returns {Object} Campos de la oferta
+ */
+const mapScrapedRow = (row, category) => {
+  const extractedAt = parseExtractionDate(row['Fecha Extracción']);
+  const { status, deadline } = parseTimeLeft(row['Cliente'], extractedAt);
+  const proposals = parseNumber(row['Propuestas']);
+
+  return {
+    title: cleanText(row['Título']),
+    sourceUrl: cleanText(row['URL del Post']) || null,
+    source: LISTING_SOURCE.NAME,
+    categoryId: category.id,
+    categorySlug: category.slug,
+    budget: parseBudget(row['Presupuesto']),
+    deadline,
+    status,
+    clientRating: parseNumber(row['Rating Cliente']),
+    proposals: proposals === null ? null : Math.round(proposals),
+    publishedAt: parseExtractionDate(row['Publicado']),
+    extractedAt
+  };
+};
+
+module.exports = {
+  SCRAPED_FIELDS,
+  cleanText,
+  parseBudget,
+  parseDuration,
+  isFinishedText,
+  parseNumber,
+  parseExtractionDate,
+  formatExtractionDate,
+  parseTimeLeft,
+  mapScrapedRow
+};
@@ -0,0 +1,262 @@
+/**
+ * migrationRunner.js
+ * Ejecución de migraciones de esquema sobre las colecciones del almacenamiento
+ *
+ * Cada archivo de src/migrations exporta:
+ *   { collection, version, description, up(document), down(document) }
+ * up y down reciben un documento y devuelven su nueva versión; deben ser
+ * idempotentes para poder reanudar una migración interrumpida.
+ * La versión aplicada de cada colección se guarda en la colección schemaVersions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storage');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const VERSIONS_COLLECTION = 'schemaVersions';
+
+/**
+ * Carga y valida las migraciones disponibles
+ * @param {string} [directory] - Directorio de las migraciones (src/migrations por defecto)
+ * @returns {Array} Migraciones ordenadas por colección y versión
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  const files = fs.readdirSync(directory)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+  const migrations = files.map(file => {
+    const migration = require(path.join(directory, file));
+
+    if (!migration.collection || !Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Migración inválida ${file}: se requieren collection y version (entero positivo)`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migración inválida ${file}: se requieren las funciones up y down`);
+    }
+
+    return { ...migration, file };
+  });
+
+  // Las versiones de una colección deben ser consecutivas desde 1
+  const byCollection = groupByCollection(migrations);
+  for (const [collection, list] of Object.entries(byCollection)) {
+    list.forEach((migration, index) => {
+      if (migration.version !== index + 1) {
+        throw new Error(
+          `Versiones no consecutivas en '${collection}': se esperaba ${index + 1} en ${migration.file}`
+        );
+      }
+    });
+  }
+
+  return migrations;
+};
+
+/**
+ * Obtiene la versión de esquema aplicada a cada colección
+ * @returns {Promise<Object>} Mapa colección -> versión
+ */
+const getSchemaVersions = async () => {
+  const records = await storage.find(VERSIONS_COLLECTION);
+  return Object.fromEntries(records.map(record => [record.collection, record.version]));
+};
+
+/**
+ * Estado de las migraciones por colección
+ * @param {Object} options - Opciones
+ * @param {string} [options.directory] - Directorio de las migraciones
+ * @returns {Promise<Array>} { collection, current, latest, pending }
+ */
+const getStatus = async ({ directory } = {}) => {
+  const migrations = loadMigrations(directory);
+  const versions = await getSchemaVersions();
+
+  return Object.entries(groupByCollection(migrations)).map(([collection, list]) => {
+    const current = versions[collection] || 0;
+    return {
+      collection,
+      current,
+      latest: list[list.length - 1].version,
+      pending: list.filter(migration => migration.version > current).map(describe)
+    };
+  });
+};
+
+/**
+ * Aplica las migraciones pendientes
+ * @param {Object} options - Opciones
+ * @param {boolean} options.dryRun - Solo informa de los cambios, no escribe
+ * @param {string} [options.collection] - Limitar a una colección
+ * @param {string} [options.directory] - Directorio de las migraciones
+ * @returns {Promise<Array>} Informe por migración aplicada
+ */
+const migrateUp = async ({ dryRun = false, collection, directory } = {}) => {
+  const migrations = loadMigrations(directory);
+  const versions = await getSchemaVersions();
+  const report = [];
+
+  for (const [name, list] of Object.entries(groupByCollection(migrations))) {
+    if (collection && name !== collection) continue;
+
+    // En dry-run cada paso parte de los documentos que dejó el anterior
+    let documents = null;
+    for (const migration of list.filter(m => m.version > (versions[name] || 0))) {
+      const step = await runStep(migration, 'up', migration.version, { dryRun, documents });
+      report.push(step.report);
+      if (dryRun) documents = step.documents;
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Revierte las migraciones de una colección hasta una versión
+ * @param {Object} options - Opciones
+ * @param {string} options.collection - Colección a revertir
+ * @param {number} [options.to] - Versión destino (por defecto la anterior)
+ * @param {boolean} options.dryRun - Solo informa de los cambios, no escribe
+ * @param {string} [options.directory] - Directorio de las migraciones
+ * @returns {Promise<Array>} Informe por migración revertida
+ */
+const migrateDown = async ({ collection, to, dryRun = false, directory } = {}) => {
+  if (!collection) {
+    throw new Error('Se requiere la colección a revertir');
+  }
+
+  const migrations = loadMigrations(directory).filter(migration => migration.collection === collection);
+  const versions = await getSchemaVersions();
+  const current = versions[collection] || 0;
+  const target = to === undefined ? Math.max(current - 1, 0) : to;
+
+  if (!Number.isInteger(target) || target < 0 || target > current) {
+    throw new Error(`Versión destino inválida para '${collection}': ${to}`);
+  }
+
+  const report = [];
+  const toRevert = migrations
+    .filter(migration => migration.version > target && migration.version <= current)
+    .reverse();
+
+  let documents = null;
+  for (const migration of toRevert) {
+    const step = await runStep(migration, 'down', migration.version - 1, { dryRun, documents });
+    report.push(step.report);
+    if (dryRun) documents = step.documents;
+  }
+
+  return report;
+};
+
+/**
+ * Ejecuta un paso de migración sobre todos los documentos de la colección
+ * @param {Object} migration - Migración
+ * @param {string} direction - 'up' o 'down'
+ * @param {number} resultingVersion - Versión tras el paso
+ * @param {Object} options - Opciones
+ * @param {boolean} options.dryRun - Solo calcula los cambios
+ * @param {Array} [options.documents] - Documentos de partida (por defecto los
+ * de la colección); en dry-run, la salida del paso anterior
+ * @returns {Promise<Object>} { report, documents }: informe del paso y
+ * documentos tal como quedan tras él
+ */
+async function runStep(migration, direction, resultingVersion, { dryRun, documents: source }) {
+  const documents = source || await storage.find(migration.collection);
+  const migratedDocuments = [];
+  const changes = [];
+  const updates = [];
+
+  for (const document of documents) {
+    const migrated = await migration[direction](structuredClone(document));
+    migratedDocuments.push(migrated);
+    const fields = diffFields(document, migrated);
+    if (fields.length === 0) continue;
+
+    changes.push({ id: document.id, fields });
+    updates.push({ id: document.id, document: migrated });
+  }
+
+  if (!dryRun) {
+    // Los documentos y la versión se confirman juntos: si el paso falla a
+    // mitad la colección queda como estaba y se puede repetir
+    await storage.transaction(async (tx) => {
+      for (const { id, document } of updates) {
+        // Las migraciones corrigen documentos que el modelo aún no aceptaría
+        await tx.replaceOne(migration.collection, { id }, document, { validate: false });
+      }
+      await setSchemaVersion(tx, migration.collection, resultingVersion);
+    });
+  }
+
+  return {
+    report: {
+      ...describe(migration),
+      direction,
+      dryRun,
+      scanned: documents.length,
+      changed: changes.length,
+      documents: changes
+    },
+    documents: migratedDocuments
+  };
+}
+
+/**
+ * Guarda la versión de esquema de una colección
+ * @param {Object} store - storage o el tx de una transacción
+ */
+async function setSchemaVersion(store, collection, version) {
+  await store.updateOne(
+    VERSIONS_COLLECTION,
+    { collection },
+    { $set: { version, appliedAt: new Date().toISOString() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Campos de primer nivel que difieren entre dos versiones de un documento
+ * @returns {Array} { field, before, after }
+ */
+function diffFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const fields = [];
+
+  for (const key of keys) {
+    if (key === 'updatedAt') continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      fields.push({ field: key, before: before[key], after: after[key] });
+    }
+  }
+
+  return fields;
+}
+
+function groupByCollection(migrations) {
+  const groups = {};
+  for (const migration of migrations) {
+    if (!groups[migration.collection]) groups[migration.collection] = [];
+    groups[migration.collection].push(migration);
+  }
+  for (const list of Object.values(groups)) list.sort((a, b) => a.version - b.version);
+  return groups;
+}
+
+function describe(migration) {
+  return {
+    collection: migration.collection,
+    version: migration.version,
+    description: migration.description || migration.file,
+    file: migration.file
+  };
+}
+
+module.exports = {
+  loadMigrations,
+  getSchemaVersions,
+  getStatus,
+  migrateUp,
+  migrateDown
+};
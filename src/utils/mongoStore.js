@@ -0,0 +1,432 @@
+/**
+ * mongoStore.js
+ * Adaptador de almacenamiento sobre MongoDB con la misma interfaz que jsonStore
+ */
+
+const mongoose = require('mongoose');
+const { MONGODB_URI, MONGODB_DB_NAME, INDEXES } = require('../config/storageConfig');
+const { parseSort, applyUpdate, buildUpsertBase } = require('./queryEngine');
+const { DuplicateKeyError, ValidationError } = require('./errors');
+const { applyModel } = require('../models');
+const {
+  generateId,
+  buildDefaultCategories,
+  buildDefaultChatResponses,
+  buildDefaultSynonyms
+} = require('./jsonStore');
+
+let connectionPromise = null;
+const preparedCollections = new Map();
+
+// Reintentos de una actualización que choca con otra escritura concurrente
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Conecta con MongoDB (una sola conexión compartida)
+ * @param {string} uri - URI de conexión; por defecto MONGODB_URI
+ * @returns {Promise<Object>} Base de datos nativa del driver
+ */
+const connect = async (uri = MONGODB_URI) => {
+  if (!connectionPromise) {
+    connectionPromise = mongoose
+      .connect(uri, MONGODB_DB_NAME ? { dbName: MONGODB_DB_NAME } : {})
+      .catch(error => {
+        connectionPromise = null;
+        console.error('Error conectando con MongoDB:', error);
+        throw error;
+      });
+  }
+
+  await connectionPromise;
+  return mongoose.connection.db;
+};
+
+/**
+ * Cierra la conexión con MongoDB
+ */
+const disconnect = async () => {
+  if (!connectionPromise) return;
+  connectionPromise = null;
+  preparedCollections.clear();
+  await mongoose.disconnect();
+};
+
+/**
+ * Crea en MongoDB los índices declarados en storageConfig.INDEXES
+ * Los únicos son parciales y solo cubren documentos con todos los campos de
+ * tipo texto, igual que jsonStore (null o un campo ausente no chocan)
+ * @param {Object} nativeCollection - Colección nativa
+ * @param {string} collection - Nombre de la colección
+ */
+const ensureIndexes = async (nativeCollection, collection) => {
+  await nativeCollection.createIndex({ id: 1 }, { unique: true });
+
+  for (const definition of INDEXES[collection] || []) {
+    const keys = Object.fromEntries(definition.fields.map(field => [field, 1]));
+    const options = definition.unique
+      ? {
+        unique: true,
+        partialFilterExpression: Object.fromEntries(
+          definition.fields.map(field => [field, { $type: 'string' }])
+        )
+      }
+      : {};
+    await nativeCollection.createIndex(keys, options);
+  }
+};
+
+/**
+ * Obtiene una colección asegurando sus índices
+ * @param {string} collection - Nombre de la colección
+ * @returns {Promise<Object>} Colección nativa
+ */
+const getCollection = async (collection) => {
+  const db = await connect();
+  const nativeCollection = db.collection(collection);
+
+  if (!preparedCollections.has(collection)) {
+    preparedCollections.set(
+      collection,
+      ensureIndexes(nativeCollection, collection).catch(error => {
+        preparedCollections.delete(collection);
+        throw error;
+      })
+    );
+  }
+  await preparedCollections.get(collection);
+
+  return nativeCollection;
+};
+
+/**
+ * Traduce los errores de clave duplicada de MongoDB a DuplicateKeyError
+ */
+const translateError = (collection, error) => {
+  if (error && error.code === 11000) {
+    const keyValue = error.keyValue || {};
+    return new DuplicateKeyError(collection, Object.keys(keyValue), Object.values(keyValue));
+  }
+  return error;
+};
+
+/**
+ * Convierte la proyección de jsonStore a la de MongoDB ocultando _id
+ */
+const buildProjection = (projection = {}) => ({ ...projection, _id: 0 });
+
+/**
+ * Opciones del driver para operar dentro de la sesión de una transacción
+ */
+const sessionOptions = (options = {}) => (options.session ? { session: options.session } : {});
+
+const find = async (collection, criteria = {}, options = {}) => {
+  const nativeCollection = await getCollection(collection);
+  let cursor = nativeCollection.find(criteria, {
+    projection: buildProjection(options.projection),
+    ...sessionOptions(options)
+  });
+
+  const sortSpec = parseSort(options.sort);
+  if (sortSpec.length > 0) cursor = cursor.sort(Object.fromEntries(sortSpec));
+
+  const skip = parseInt(options.skip, 10);
+  const limit = parseInt(options.limit, 10);
+  if (skip > 0) cursor = cursor.skip(skip);
+  if (limit > 0) cursor = cursor.limit(limit);
+
+  return cursor.toArray();
+};
+
+const findOne = async (collection, criteria = {}, options = {}) => {
+  const results = await find(collection, criteria, { ...options, limit: 1 });
+  return results.length > 0 ? results[0] : null;
+};
+
+const findById = async (collection, id) => {
+  return findOne(collection, { id });
+};
+
+/**
+ * Copia un documento pasándolo por el modelo de la colección (ver jsonStore)
+ */
+const prepareDocument = (collection, document, options = {}) => {
+  const copy = { ...document };
+  return options.validate === false ? copy : applyModel(collection, copy);
+};
+
+const insertOne = async (collection, document, options = {}) => {
+  const { data } = await insertMany(collection, [document], options);
+  return data[0];
+};
+
+/**
+ * Inserta varios documentos con una sola operación
+ * Fuera de una transacción, un error a mitad deja insertados los anteriores
+ */
+const insertMany = async (collection, documents, options = {}) => {
+  if (documents.length === 0) return { insertedCount: 0, data: [] };
+
+  const now = new Date().toISOString();
+  const prepared = documents.map((document, position) => {
+    if (!document.id) document.id = generateId();
+    if (!document.createdAt) document.createdAt = now;
+    document.updatedAt = now;
+
+    try {
+      return prepareDocument(collection, document, options);
+    } catch (error) {
+      if (documents.length > 1 && error instanceof ValidationError) {
+        throw new ValidationError(collection, error.errors.map(message => `Documento ${position}: ${message}`));
+      }
+      throw error;
+    }
+  });
+
+  const nativeCollection = await getCollection(collection);
+  try {
+    // El driver añade _id a los objetos insertados, se insertan copias
+    await nativeCollection.insertMany(prepared.map(document => ({ ...document })), sessionOptions(options));
+  } catch (error) {
+    throw translateError(collection, error);
+  }
+  return { insertedCount: prepared.length, data: prepared };
+};
+
+/**
+ * Guarda la actualización de un documento ya leído si nadie lo modificó entretanto
+ * Los documentos se validan con su modelo, por eso no se usan los operadores
+ * nativos; el filtro por updatedAt evita perder escrituras concurrentes
+ * @returns {Promise<Object|null>} { modified, document } o null si hubo conflicto
+ */
+const saveUpdated = async (nativeCollection, collection, current, update, options) => {
+  const updated = applyUpdate(current, update);
+  if (JSON.stringify(updated) === JSON.stringify(current)) return { modified: false, document: current };
+
+  const document = prepareDocument(collection, {
+    ...updated,
+    id: current.id,
+    createdAt: current.createdAt,
+    updatedAt: new Date().toISOString()
+  }, options);
+
+  let result;
+  try {
+    result = await nativeCollection.replaceOne(
+      { id: current.id, updatedAt: current.updatedAt || null },
+      { ...document },
+      sessionOptions(options)
+    );
+  } catch (error) {
+    throw translateError(collection, error);
+  }
+  return result.matchedCount > 0 ? { modified: true, document } : null;
+};
+
+/**
+ * Inserta el documento de un upsert si sigue sin haber ninguno que cumpla la consulta
+ * La comprobación y la inserción son una sola operación de MongoDB
+ * (updateOne con upsert y $setOnInsert), y el índice único de la colección
+ * impide que dos upserts simultáneos inserten el mismo valor
+ * @returns {Promise<Object|null>} Documento insertado, o null si otro proceso
+ * insertó antes un documento que cumple la consulta
+ */
+const insertIfAbsent = async (nativeCollection, collection, criteria, update, options) => {
+  const now = new Date().toISOString();
+  const base = applyUpdate(buildUpsertBase(criteria), update);
+  const document = prepareDocument(collection, {
+    ...base,
+    id: base.id || generateId(),
+    createdAt: base.createdAt || now,
+    updatedAt: now
+  }, options);
+
+  try {
+    const result = await nativeCollection.updateOne(
+      criteria,
+      { $setOnInsert: { ...document } },
+      { upsert: true, ...sessionOptions(options) }
+    );
+    return result.upsertedCount > 0 ? document : null;
+  } catch (error) {
+    // El choque con el índice único se debe a un documento que cumple la
+    // consulta solo si ahora la búsqueda lo encuentra
+    if (error.code === 11000 && !options.session && await findOne(collection, criteria)) return null;
+    throw translateError(collection, error);
+  }
+};
+
+/**
+ * Actualiza uno (o todos con options.multi) de los documentos que cumplen la
+ * consulta; con options.upsert inserta uno nuevo si ninguno la cumple
+ */
+const updateDocuments = async (collection, criteria, update, options = {}) => {
+  const nativeCollection = await getCollection(collection);
+  const findMatches = () => find(collection, criteria, {
+    ...sessionOptions(options),
+    ...(options.multi ? {} : { limit: 1 })
+  });
+
+  let matches = await findMatches();
+  let upserted = null;
+  for (let attempt = 0; matches.length === 0 && options.upsert; attempt++) {
+    upserted = await insertIfAbsent(nativeCollection, collection, criteria, update, options);
+    if (upserted) break;
+    if (attempt >= MAX_UPDATE_ATTEMPTS) {
+      throw new Error(`Conflicto de escritura concurrente en ${collection}`);
+    }
+    // Otro proceso insertó un documento que cumple la consulta: se actualiza ese
+    matches = await findMatches();
+  }
+
+  let modifiedCount = 0;
+  let last = upserted;
+  for (const match of matches) {
+    let current = match;
+    for (let attempt = 0; current; attempt++) {
+      const saved = await saveUpdated(nativeCollection, collection, current, update, options);
+      if (saved) {
+        if (saved.modified) modifiedCount += 1;
+        last = saved.document;
+        break;
+      }
+      if (attempt >= MAX_UPDATE_ATTEMPTS) {
+        throw new Error(`Conflicto de escritura concurrente en ${collection}/${current.id}`);
+      }
+      // Otro proceso lo modificó: se relee y se vuelve a aplicar
+      current = await findOne(collection, { id: current.id }, sessionOptions(options));
+    }
+  }
+
+  const counts = {
+    matchedCount: matches.length,
+    modifiedCount,
+    upsertedCount: upserted ? 1 : 0,
+    upsertedId: upserted ? upserted.id : null
+  };
+  return options.multi
+    ? counts
+    : { updated: matches.length > 0, data: last, ...counts };
+};
+
+const updateOne = async (collection, criteria, update, options = {}) => {
+  return updateDocuments(collection, criteria, update, { ...options, multi: false });
+};
+
+const updateMany = async (collection, criteria, update, options = {}) => {
+  return updateDocuments(collection, criteria, update, { ...options, multi: true });
+};
+
+const replaceOne = async (collection, criteria, replacement, options = {}) => {
+  const nativeCollection = await getCollection(collection);
+  const current = await findOne(collection, criteria, sessionOptions(options));
+  if (!current) return { replaced: false, data: null };
+
+  const document = prepareDocument(collection, {
+    ...replacement,
+    id: current.id,
+    createdAt: current.createdAt,
+    updatedAt: new Date().toISOString()
+  }, options);
+
+  try {
+    await nativeCollection.replaceOne({ id: current.id }, { ...document }, sessionOptions(options));
+  } catch (error) {
+    throw translateError(collection, error);
+  }
+  return { replaced: true, data: document };
+};
+
+const deleteOne = async (collection, criteria, options = {}) => {
+  const nativeCollection = await getCollection(collection);
+  const result = await nativeCollection.deleteOne(criteria, sessionOptions(options));
+  return { deleted: result.deletedCount > 0 };
+};
+
+const deleteMany = async (collection, criteria, options = {}) => {
+  const nativeCollection = await getCollection(collection);
+  const result = await nativeCollection.deleteMany(criteria, sessionOptions(options));
+  return { deletedCount: result.deletedCount };
+};
+
+const countDocuments = async (collection, criteria = {}, options = {}) => {
+  const nativeCollection = await getCollection(collection);
+  return nativeCollection.countDocuments(criteria, sessionOptions(options));
+};
+
+/**
+ * Ejecuta escrituras sobre varias colecciones en una transacción de MongoDB
+ * tx tiene la misma interfaz que en jsonStore.transaction. Requiere un
+ * replica set; el driver puede repetir work ante errores transitorios
+ * @param {Function} work - Recibe tx
+ * @returns {Promise<*>} Resultado de work
+ */
+const transaction = async (work) => {
+  await connect();
+  const session = mongoose.connection.getClient().startSession();
+  const withSession = (options = {}) => ({ ...options, session });
+
+  const tx = {
+    find: async (collection, criteria, options) => find(collection, criteria, withSession(options)),
+    findOne: async (collection, criteria, options) => findOne(collection, criteria, withSession(options)),
+    findById: async (collection, id) => findOne(collection, { id }, withSession()),
+    countDocuments: async (collection, criteria) => countDocuments(collection, criteria, withSession()),
+    insertOne: async (collection, document, options) =>
+      insertOne(collection, document, withSession(options)),
+    insertMany: async (collection, documents, options) =>
+      insertMany(collection, documents, withSession(options)),
+    updateOne: async (collection, criteria, update, options) =>
+      updateOne(collection, criteria, update, withSession(options)),
+    updateMany: async (collection, criteria, update, options) =>
+      updateMany(collection, criteria, update, withSession(options)),
+    replaceOne: async (collection, criteria, replacement, options) =>
+      replaceOne(collection, criteria, replacement, withSession(options)),
+    deleteOne: async (collection, criteria) => deleteOne(collection, criteria, withSession()),
+    deleteMany: async (collection, criteria) => deleteMany(collection, criteria, withSession())
+  };
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(tx);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Conecta y crea los datos iniciales si las colecciones están vacías
+ */
+const initializeWithDefaults = async () => {
+  await connect();
+
+  const createDefaults = async (collection, buildDefaults) => {
+    if (await countDocuments(collection) === 0) {
+      await insertMany(collection, buildDefaults());
+    }
+  };
+
+  await createDefaults('categories', buildDefaultCategories);
+  await createDefaults('chatResponses', buildDefaultChatResponses);
+  await createDefaults('synonyms', buildDefaultSynonyms);
+};
+
+module.exports = {
+  connect,
+  disconnect,
+  generateId,
+  find,
+  findOne,
+  findById,
+  insertOne,
+  insertMany,
+  updateOne,
+  updateMany,
+  replaceOne,
+  deleteOne,
+  deleteMany,
+  countDocuments,
+  transaction,
+  initializeWithDefaults
+};
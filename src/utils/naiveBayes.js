@@ -0,0 +1,79 @@
+/**
+ * naiveBayes.js
+ * Clasificador de texto bayesiano ingenuo (multinomial, suavizado de Laplace)
+ *
+ * El modelo es un objeto JSON con los recuentos de palabras por clase, así
+ * que se puede guardar y volver a cargar sin reentrenar. Un documento con
+ * varias etiquetas cuenta como un documento de cada una.
+ */
+
+/**
+ * Entrena un modelo
+ * @param {Array<Object>} documents - { text, labels: [etiqueta] }
+ * @param {Function} tokenize - Convierte un texto en una lista de palabras
+ * @returns {Object} Modelo { documents, vocabulary, classes: { etiqueta: { documents, tokens, counts } } }
+ */
+const train = (documents, tokenize) => {
+  const model = { documents: 0, vocabulary: 0, classes: {} };
+  const vocabulary = new Set();
+
+  for (const { text, labels } of documents) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) continue;
+
+    for (const label of labels) {
+      if (!model.classes[label]) model.classes[label] = { documents: 0, tokens: 0, counts: {} };
+      const entry = model.classes[label];
+      entry.documents += 1;
+      entry.tokens += tokens.length;
+      for (const token of tokens) {
+        entry.counts[token] = (entry.counts[token] || 0) + 1;
+        vocabulary.add(token);
+      }
+      model.documents += 1;
+    }
+  }
+
+  model.vocabulary = vocabulary.size;
+  return model;
+};
+
+/**
+ * Clasifica un texto
+ * @param {Object} model - Modelo entrenado
+ * @param {string} text - Texto
+ * @param {Function} tokenize - El mismo tokenizador del entrenamiento
+ * @returns {Array<Object>} { label, probability } de todas las clases, de
+ * mayor a menor probabilidad; vacío si el texto no tiene ninguna palabra
+ * conocida por el modelo
+ */
+const classify = (model, text, tokenize) => {
+  const labels = Object.keys(model.classes);
+  // Las palabras que el modelo no vio en ninguna clase no aportan información
+  const tokens = tokenize(text).filter(token => labels.some(label => model.classes[label].counts[token]));
+  if (tokens.length === 0 || labels.length === 0) return [];
+
+  const logScores = labels.map(label => {
+    const entry = model.classes[label];
+    const denominator = entry.tokens + model.vocabulary;
+    let score = Math.log(entry.documents / model.documents);
+    for (const token of tokens) {
+      score += Math.log(((entry.counts[token] || 0) + 1) / denominator);
+    }
+    return score;
+  });
+
+  // Probabilidades normalizadas sin desbordamiento (log-sum-exp)
+  const max = Math.max(...logScores);
+  const exps = logScores.map(score => Math.exp(score - max));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+
+  return labels
+    .map((label, index) => ({ label, probability: exps[index] / total }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+module.exports = {
+  train,
+  classify
+};
@@ -0,0 +1,360 @@
+/**
+ * queryEngine.js
+ * Evaluación de consultas estilo MongoDB sobre documentos en memoria
+ */
+
+const COMPARISON_OPERATORS = {
+  $eq: (value, expected) => equals(value, expected),
+  $ne: (value, expected) => !equals(value, expected),
+  $gt: (value, expected) => isComparable(value, expected) && value > expected,
+  $gte: (value, expected) => isComparable(value, expected) && value >= expected,
+  $lt: (value, expected) => isComparable(value, expected) && value < expected,
+  $lte: (value, expected) => isComparable(value, expected) && value <= expected,
+  $in: (value, expected) => toArray(expected).some(option => equals(value, option)),
+  $nin: (value, expected) => !toArray(expected).some(option => equals(value, option)),
+  $regex: (value, expected, operators) =>
+    typeof value === 'string' && toRegExp(expected, operators.$options).test(value)
+};
+
+/**
+ * Obtiene el valor de un campo usando notación de puntos ('provider.name')
+ * @param {Object} document - Documento de origen
+ * @param {string} fieldPath - Ruta del campo
+ * @returns {*} Valor encontrado o undefined
+ */
+const getValueByPath = (document, fieldPath) => {
+  return fieldPath.split('.').reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    return current[key];
+  }, document);
+};
+
+// Partes de ruta que darían acceso al prototipo de los objetos
+const FORBIDDEN_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Asigna un valor a un campo usando notación de puntos
+ * @param {Object} document - Documento a modificar
+ * @param {string} fieldPath - Ruta del campo
+ * @param {*} value - Valor a asignar
+ * @throws {Error} Si la ruta contiene __proto__, constructor o prototype
+ */
+const setValueByPath = (document, fieldPath, value) => {
+  const keys = splitWritablePath(fieldPath);
+  const lastKey = keys.pop();
+  const target = keys.reduce((current, key) => {
+    if (current[key] === null || typeof current[key] !== 'object') current[key] = {};
+    return current[key];
+  }, document);
+  target[lastKey] = value;
+};
+
+/**
+ * Comprueba si un documento cumple una consulta
+ * Soporta igualdad, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $regex,
+ * $exists, $and y $or anidados y campos con notación de puntos
+ * @param {Object} document - Documento a evaluar
+ * @param {Object} query - Consulta
+ * @returns {boolean} Si el documento cumple la consulta
+ */
+const matchesQuery = (document, query = {}) => {
+  for (const [key, condition] of Object.entries(query)) {
+    if (key === '$and') {
+      if (!toArray(condition).every(subQuery => matchesQuery(document, subQuery))) return false;
+      continue;
+    }
+
+    if (key === '$or') {
+      if (!toArray(condition).some(subQuery => matchesQuery(document, subQuery))) return false;
+      continue;
+    }
+
+    if (!matchesCondition(getValueByPath(document, key), condition)) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Evalúa la condición de un campo
+ * @param {*} value - Valor del campo en el documento
+ * @param {*} condition - Valor esperado u objeto de operadores
+ * @returns {boolean} Si se cumple la condición
+ */
+function matchesCondition(value, condition) {
+  if (condition instanceof RegExp) {
+    return matchesScalarOrElements(value, item => typeof item === 'string' && condition.test(item));
+  }
+
+  if (!isOperatorObject(condition)) {
+    if (equals(value, condition)) return true;
+    return Array.isArray(value) && value.some(item => equals(item, condition));
+  }
+
+  for (const [operator, expected] of Object.entries(condition)) {
+    if (operator === '$options') continue;
+
+    if (operator === '$exists') {
+      if ((value !== undefined) !== Boolean(expected)) return false;
+      continue;
+    }
+
+    const evaluate = COMPARISON_OPERATORS[operator];
+    if (!evaluate) {
+      throw new Error(`Operador de consulta no soportado: ${operator}`);
+    }
+
+    // Las negaciones se evalúan sobre el valor completo, el resto también
+    // sobre cada elemento cuando el campo es un array
+    const matched = operator === '$ne' || operator === '$nin'
+      ? evaluate(value, expected, condition) &&
+        (!Array.isArray(value) || value.every(item => evaluate(item, expected, condition)))
+      : matchesScalarOrElements(value, item => evaluate(item, expected, condition));
+
+    if (!matched) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Aplica ordenación, salto, límite y proyección a una lista de documentos
+ * @param {Array} documents - Documentos filtrados
+ * @param {Object} options - Opciones { sort, skip, limit, projection }
+ * @returns {Array} Documentos resultantes
+ */
+const applyQueryOptions = (documents, options = {}) => {
+  let results = documents;
+  const sortSpec = parseSort(options.sort);
+
+  if (sortSpec.length > 0) {
+    results = [...results].sort((a, b) => {
+      for (const [field, order] of sortSpec) {
+        const comparison = compareForSort(getValueByPath(a, field), getValueByPath(b, field));
+        if (comparison !== 0) return comparison * order;
+      }
+      return 0;
+    });
+  }
+
+  const skip = Math.max(parseInt(options.skip, 10) || 0, 0);
+  const limit = parseInt(options.limit, 10);
+  if (skip > 0 || limit > 0) {
+    results = results.slice(skip, limit > 0 ? skip + limit : undefined);
+  }
+
+  if (options.projection && Object.keys(options.projection).length > 0) {
+    results = results.map(document => applyProjection(document, options.projection));
+  }
+
+  return results;
+};
+
+/**
+ * Convierte una especificación de orden en pares [campo, dirección]
+ * Acepta '-createdAt', 'order,-views' o { createdAt: -1 }
+ * @param {string|Object} sort - Especificación de orden
+ * @returns {Array} Pares [campo, 1|-1]
+ */
+const parseSort = (sort) => {
+  if (!sort) return [];
+
+  if (typeof sort === 'string') {
+    return sort
+      .split(',')
+      .map(field => field.trim())
+      .filter(Boolean)
+      .map(field => field.startsWith('-') ? [field.substring(1), -1] : [field, 1]);
+  }
+
+  return Object.entries(sort).map(([field, order]) => [
+    field,
+    order === -1 || order === 'desc' || order === '-1' ? -1 : 1
+  ]);
+};
+
+/**
+ * Aplica una proyección de inclusión ({ title: 1 }) o exclusión ({ contactInfo: 0 })
+ * @param {Object} document - Documento de origen
+ * @param {Object} projection - Proyección
+ * @returns {Object} Documento proyectado
+ */
+const applyProjection = (document, projection) => {
+  const entries = Object.entries(projection);
+  const inclusive = entries.some(([field, include]) => include && field !== 'id');
+
+  if (inclusive) {
+    const projected = {};
+    if (projection.id !== 0 && projection.id !== false) projected.id = document.id;
+
+    for (const [field, include] of entries) {
+      if (!include) continue;
+      const value = getValueByPath(document, field);
+      if (value !== undefined) setValueByPath(projected, field, value);
+    }
+    return projected;
+  }
+
+  const projected = JSON.parse(JSON.stringify(document));
+  for (const [field] of entries) unsetValueByPath(projected, field);
+  return projected;
+};
+
+/**
+ * Compara dos valores para ordenar; los valores vacíos van al final
+ */
+function compareForSort(a, b) {
+  const aEmpty = a === undefined || a === null;
+  const bEmpty = b === undefined || b === null;
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function matchesScalarOrElements(value, predicate) {
+  if (Array.isArray(value)) return value.some(predicate);
+  return predicate(value);
+}
+
+function isOperatorObject(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+function isComparable(value, expected) {
+  if (value === null || value === undefined) return false;
+  return typeof value === typeof expected;
+}
+
+function equals(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function toRegExp(pattern, flags) {
+  if (pattern instanceof RegExp) return pattern;
+  return new RegExp(pattern, flags || '');
+}
+
+const UPDATE_OPERATORS = {
+  $set: (document, field, value) => setValueByPath(document, field, structuredClone(value)),
+  $unset: (document, field) => unsetValueByPath(document, field),
+  $inc: (document, field, amount) => {
+    const current = getValueByPath(document, field);
+    if (typeof amount !== 'number' || (current !== undefined && current !== null && typeof current !== 'number')) {
+      throw new Error(`$inc requiere valores numéricos en '${field}'`);
+    }
+    setValueByPath(document, field, (current || 0) + amount);
+  },
+  $push: (document, field, value) => {
+    const current = getValueByPath(document, field);
+    if (current !== undefined && current !== null && !Array.isArray(current)) {
+      throw new Error(`$push requiere un array en '${field}'`);
+    }
+    // { $each: [...] } añade varios elementos
+    const items = isOperatorObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+    setValueByPath(document, field, [...(current || []), ...structuredClone(items)]);
+  }
+};
+
+/**
+ * Indica si una actualización usa operadores ($set, $inc...) o es un
+ * objeto de campos a fusionar
+ * @param {Object} update - Actualización
+ * @returns {boolean} Si usa operadores
+ */
+const isUpdateWithOperators = (update) => {
+  const keys = Object.keys(update || {});
+  const operators = keys.filter(key => key.startsWith('$'));
+  if (operators.length > 0 && operators.length !== keys.length) {
+    throw new Error('Una actualización no puede mezclar operadores y campos');
+  }
+  return operators.length > 0;
+};
+
+/**
+ * Aplica una actualización a una copia de un documento
+ * Soporta $set, $unset, $inc y $push (con $each); un objeto sin operadores
+ * equivale a $set de sus campos
+ * @param {Object} document - Documento original (no se modifica)
+ * @param {Object} update - Actualización
+ * @returns {Object} Documento actualizado
+ */
+const applyUpdate = (document, update) => {
+  const result = structuredClone(document);
+  const operations = isUpdateWithOperators(update) ? update : { $set: update };
+
+  for (const [operator, fields] of Object.entries(operations)) {
+    const apply = UPDATE_OPERATORS[operator];
+    if (!apply) {
+      throw new Error(`Operador de actualización no soportado: ${operator}`);
+    }
+    for (const [field, value] of Object.entries(fields || {})) {
+      apply(result, field, value);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Documento base de un upsert: los campos de igualdad de la consulta
+ * @param {Object} criteria - Consulta
+ * @returns {Object} Documento con los valores fijados por la consulta
+ */
+const buildUpsertBase = (criteria = {}) => {
+  const document = {};
+  for (const [field, condition] of Object.entries(criteria)) {
+    if (field.startsWith('$')) continue;
+    if (!isOperatorObject(condition) && !(condition instanceof RegExp)) {
+      setValueByPath(document, field, structuredClone(condition));
+    } else if (isOperatorObject(condition) && Object.prototype.hasOwnProperty.call(condition, '$eq')) {
+      setValueByPath(document, field, structuredClone(condition.$eq));
+    }
+  }
+  return document;
+};
+
+function unsetValueByPath(document, fieldPath) {
+  const keys = splitWritablePath(fieldPath);
+  const lastKey = keys.pop();
+  const parent = keys.length > 0 ? getValueByPath(document, keys.join('.')) : document;
+  if (parent && typeof parent === 'object') delete parent[lastKey];
+}
+
+/**
+ * Partes de una ruta que se va a modificar
+ * @throws {Error} Si alguna da acceso al prototipo
+ */
+function splitWritablePath(fieldPath) {
+  const keys = String(fieldPath).split('.');
+  if (keys.some(key => FORBIDDEN_PATH_KEYS.includes(key))) {
+    throw new Error(`Ruta de campo no permitida: '${fieldPath}'`);
+  }
+  return keys;
+}
+
+/**
+ * Escapa un texto para usarlo literalmente dentro de $regex
+ * @param {string} text - Texto a escapar
+ * @returns {string} Texto escapado
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  getValueByPath,
+  setValueByPath,
+  matchesQuery,
+  applyQueryOptions,
+  parseSort,
+  applyUpdate,
+  buildUpsertBase,
+  escapeRegex
+};
@@ -0,0 +1,53 @@
+/**
+ * requestContext.js
+ * Contexto asíncrono de la operación en curso (petición HTTP o comando de CLI)
+ *
+ * Permite que capas profundas, como el diario de cambios, sepan quién
+ * provocó una escritura sin pasar el dato por cada llamada.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const contextStorage = new AsyncLocalStorage();
+
+// Autor de las escrituras hechas fuera de una petición o comando
+const DEFAULT_ACTOR = 'system';
+
+/**
+ * Ejecuta una función dentro de un contexto
+ * @param {Object} context - Datos del contexto ({ actor, requestId, ... })
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} Resultado de la función
+ */
+const runWithContext = (context, fn) => contextStorage.run({ ...context }, fn);
+
+/**
+ * Obtiene el contexto actual
+ * @returns {Object|null} Contexto o null si no hay ninguno
+ */
+const getContext = () => contextStorage.getStore() || null;
+
+/**
+ * Obtiene el autor de la operación en curso
+ * @returns {string} Autor ('user:<id>', 'anonymous', 'cli:<comando>' o 'system')
+ */
+const getActor = () => {
+  const context = getContext();
+  return context && context.actor ? context.actor : DEFAULT_ACTOR;
+};
+
+/**
+ * Cambia el autor del contexto actual (p. ej. tras autenticar al usuario)
+ * @param {string} actor - Nuevo autor
+ */
+const setActor = (actor) => {
+  const context = getContext();
+  if (context) context.actor = actor;
+};
+
+module.exports = {
+  runWithContext,
+  getContext,
+  getActor,
+  setActor
+};
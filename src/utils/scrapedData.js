@@ -0,0 +1,32 @@
+/**
+ * scrapedData.js
+ * Lectura de las ofertas scrapeadas de cada categoría (data/<slug>.json)
+ *
+ * Estos archivos los genera el scraper y no son colecciones del
+ * almacenamiento, así que se leen igual con cualquier STORAGE_DRIVER.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('../config/storageConfig');
+
+/**
+ * Carga las filas scrapeadas de una categoría
+ * @param {string} slug - Slug de la categoría (nombre del archivo)
+ * @returns {Promise<Array|null>} Filas del archivo o null si no existe
+ */
+const loadDataByCategorySlug = async (slug) => {
+  try {
+    const filePath = path.join(DATA_DIR, `${slug}.json`);
+    const data = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    console.error(`Error cargando archivo ${slug}.json:`, error);
+    throw error;
+  }
+};
+
+module.exports = {
+  loadDataByCategorySlug
+};
@@ -0,0 +1,302 @@
+/**
+ * searchIndex.js
+ * Índice invertido en memoria con ranking BM25 por campos
+ *
+ * Cada documento se indexa por campos con un peso (boost). La puntuación de
+ * un documento para una consulta es la suma, por término de la consulta, del
+ * IDF del término por su frecuencia ponderada en el documento (BM25F):
+ *   tf' = Σ campo boost * tf / (1 - b + b * longitud / longitud media del campo)
+ *   score = Σ término idf * tf' * (k1 + 1) / (tf' + k1)
+ *
+ * Los documentos se pueden añadir, sustituir y quitar uno a uno sin
+ * reconstruir el índice.
+ *
+ * Las palabras de la consulta cuya raíz no está en el índice se buscan con
+ * tolerancia a erratas: se comparan con las palabras indexadas (antes de
+ * reducirlas a su raíz, para que "aplicasion" encuentre "aplicacion") y se
+ * usan las más cercanas dentro de textAnalyzer.allowedEdits, con menos peso
+ * que una coincidencia exacta.
+ *
+ * La consulta se puede ampliar con frases equivalentes (sinónimos y
+ * traducciones): un documento que contiene todas las palabras de una de
+ * ellas suma su puntuación con menos peso y sin tolerar erratas.
+ */
+
+const textAnalyzer = require('./textAnalyzer');
+const { getValueByPath } = require('./queryEngine');
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Peso de los términos encontrados con erratas frente a los exactos
+const FUZZY_WEIGHT = 0.6;
+// Peso de los términos que vienen de los sinónimos de la consulta
+const SYNONYM_WEIGHT = 0.5;
+
+/**
+ * Índice de búsqueda de una colección
+ */
+class SearchIndex {
+  /**
+   * @param {Object} fields - Campo (admite rutas con puntos) -> peso; los
+   * campos con arrays se indexan como el texto de todos sus elementos
+   * @param {Object} options - Opciones
+   * @param {Function} [options.tokenizer] - Convierte un texto en palabras
+   * @param {Function} [options.stemmer] - Reduce una palabra a su término
+   * @param {boolean} [options.fuzzy] - Tolerar erratas en las consultas
+   */
+  constructor(fields, {
+    tokenizer = textAnalyzer.tokenize,
+    stemmer = textAnalyzer.stem,
+    fuzzy = true
+  } = {}) {
+    this.fields = fields;
+    this.tokenizer = tokenizer;
+    this.stemmer = stemmer;
+    this.fuzzy = fuzzy;
+    // Término -> Map(id -> { campo: frecuencia })
+    this.postings = new Map();
+    // Palabra indexada -> { term, documents: número de documentos que la tienen }
+    this.words = new Map();
+    // id -> { terms: Set, words: Set, lengths: { campo: número de términos } }
+    this.documents = new Map();
+    this.totalLengths = Object.fromEntries(Object.keys(fields).map(field => [field, 0]));
+  }
+
+  /**
+   * Número de documentos indexados
+   * @returns {number}
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Indica si un documento está indexado
+   * @param {string} id - ID del documento
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.documents.has(id);
+  }
+
+  /**
+   * Añade un documento o sustituye el que tenga el mismo id
+   * @param {Object} document - Documento con id
+   */
+  add(document) {
+    this.remove(document.id);
+
+    const terms = new Set();
+    const words = new Set();
+    const lengths = {};
+    for (const field of Object.keys(this.fields)) {
+      const tokens = this.tokenizer(fieldText(getValueByPath(document, field)));
+      lengths[field] = tokens.length;
+      this.totalLengths[field] += tokens.length;
+
+      for (const word of tokens) {
+        const term = this.stemmer(word);
+        words.add(word);
+        terms.add(term);
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const byDocument = this.postings.get(term);
+        if (!byDocument.has(document.id)) byDocument.set(document.id, {});
+        const frequencies = byDocument.get(document.id);
+        frequencies[field] = (frequencies[field] || 0) + 1;
+      }
+    }
+
+    for (const word of words) {
+      if (!this.words.has(word)) this.words.set(word, { term: this.stemmer(word), documents: 0 });
+      this.words.get(word).documents += 1;
+    }
+
+    this.documents.set(document.id, { terms, words, lengths });
+  }
+
+  /**
+   * Quita un documento del índice
+   * @param {string} id - ID del documento
+   * @returns {boolean} Si estaba indexado
+   */
+  remove(id) {
+    const entry = this.documents.get(id);
+    if (!entry) return false;
+
+    for (const term of entry.terms) {
+      const byDocument = this.postings.get(term);
+      byDocument.delete(id);
+      if (byDocument.size === 0) this.postings.delete(term);
+    }
+    for (const word of entry.words) {
+      const vocabulary = this.words.get(word);
+      vocabulary.documents -= 1;
+      if (vocabulary.documents === 0) this.words.delete(word);
+    }
+    for (const [field, length] of Object.entries(entry.lengths)) {
+      this.totalLengths[field] -= length;
+    }
+    this.documents.delete(id);
+    return true;
+  }
+
+  /**
+   * Busca los documentos que contienen alguna palabra de la consulta
+   * @param {string} query - Texto de la consulta
+   * @param {Object} options - Opciones
+   * @param {Function} [options.filter] - Recibe el id y decide si el documento entra
+   * @param {boolean} [options.requireAll] - Solo documentos con todas las palabras de la consulta
+   * @param {Array<Array<string>>} [options.expansions] - Por cada parte de la
+   * consulta con sinónimos, las frases equivalentes; un documento suma la
+   * mejor de las frases de las que contiene todas las palabras
+   * @returns {Array<Object>} { id, score, matched: [término] } de mayor a menor puntuación
+   */
+  search(query, { filter, requireAll = false, expansions = [] } = {}) {
+    const words = this.uniqueWords(query);
+    if (words.length === 0 || this.documents.size === 0) return [];
+
+    const results = new Map();
+    const add = (id, score, terms, required) => {
+      if (!results.has(id)) results.set(id, { id, score: 0, matched: [], required: 0 });
+      const result = results.get(id);
+      result.score += score;
+      result.matched.push(...terms);
+      if (required) result.required += 1;
+    };
+
+    for (const word of words) {
+      for (const [id, { term, score }] of this.scoreWord(word, { filter, fuzzy: this.fuzzy })) {
+        add(id, score, [term], true);
+      }
+    }
+
+    for (const phrases of expansions) {
+      const best = new Map();
+      for (const phrase of phrases) {
+        for (const [id, entry] of this.scorePhrase(phrase, { filter })) {
+          if (!best.has(id) || best.get(id).score < entry.score) best.set(id, entry);
+        }
+      }
+      for (const [id, { terms, score }] of best) add(id, SYNONYM_WEIGHT * score, terms, false);
+    }
+
+    return Array.from(results.values())
+      .filter(result => !requireAll || result.required === words.length)
+      .map(({ id, score, matched }) => ({ id, score, matched: Array.from(new Set(matched)) }))
+      .sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)));
+  }
+
+  /**
+   * Palabras de un texto, una por término ("diseño diseños" cuenta una vez)
+   * @param {string} text - Texto
+   * @returns {Array<string>} Palabras
+   */
+  uniqueWords(text) {
+    return Array.from(new Map(this.tokenizer(text).map(word => [this.stemmer(word), word])).values());
+  }
+
+  /**
+   * Puntuación BM25F de cada documento para una palabra (exacta o con erratas)
+   * @param {string} word - Palabra normalizada
+   * @param {Object} options - Opciones
+   * @param {Function} [options.filter] - Recibe el id y decide si el documento entra
+   * @param {boolean} [options.fuzzy] - Buscar con erratas si la raíz no está
+   * @returns {Map} id -> { term, score } con el mejor término del documento
+   */
+  scoreWord(word, { filter, fuzzy = false } = {}) {
+    const total = this.documents.size;
+    const averages = {};
+    for (const field of Object.keys(this.fields)) {
+      averages[field] = this.totalLengths[field] / total || 1;
+    }
+
+    const best = new Map();
+    for (const { term, weight } of this.expand(word, { fuzzy })) {
+      const byDocument = this.postings.get(term);
+      const idf = Math.log(1 + (total - byDocument.size + 0.5) / (byDocument.size + 0.5));
+
+      for (const [id, frequencies] of byDocument) {
+        if (filter && !filter(id)) continue;
+
+        const { lengths } = this.documents.get(id);
+        let weighted = 0;
+        for (const [field, frequency] of Object.entries(frequencies)) {
+          const normalization = 1 - B + B * (lengths[field] / averages[field]);
+          weighted += this.fields[field] * frequency / normalization;
+        }
+
+        const score = weight * idf * (weighted * (K1 + 1)) / (weighted + K1);
+        if (!best.has(id) || best.get(id).score < score) best.set(id, { term, score });
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Puntuación de los documentos que contienen todas las palabras de una frase
+   * @param {string} phrase - Frase (sin erratas)
+   * @param {Object} options - Opciones
+   * @param {Function} [options.filter] - Recibe el id y decide si el documento entra
+   * @returns {Map} id -> { terms, score }
+   */
+  scorePhrase(phrase, { filter } = {}) {
+    let matches = null;
+    for (const word of this.uniqueWords(phrase)) {
+      const scores = this.scoreWord(word, { filter });
+      const next = new Map();
+      for (const [id, { term, score }] of scores) {
+        if (!matches) {
+          next.set(id, { terms: [term], score });
+        } else if (matches.has(id)) {
+          const entry = matches.get(id);
+          next.set(id, { terms: [...entry.terms, term], score: entry.score + score });
+        }
+      }
+      matches = next;
+      if (matches.size === 0) break;
+    }
+    return matches || new Map();
+  }
+
+  /**
+   * Términos del índice con los que se busca una palabra de la consulta
+   * Si su raíz no está indexada, los de las palabras indexadas más
+   * parecidas dentro de las erratas que admite su longitud
+   * @param {string} word - Palabra normalizada
+   * @param {Object} options - Opciones
+   * @param {boolean} [options.fuzzy] - Buscar con erratas si la raíz no está
+   * @returns {Array<Object>} { term, weight }
+   */
+  expand(word, { fuzzy = this.fuzzy } = {}) {
+    const term = this.stemmer(word);
+    if (this.postings.has(term)) return [{ term, weight: 1 }];
+
+    const allowed = fuzzy ? textAnalyzer.allowedEdits(word) : 0;
+    if (allowed === 0) return [];
+
+    let closest = allowed + 1;
+    let terms = new Set();
+    for (const [candidate, entry] of this.words) {
+      const distance = textAnalyzer.editDistance(word, candidate, Math.min(allowed, closest));
+      if (distance < closest) {
+        closest = distance;
+        terms = new Set([entry.term]);
+      } else if (distance === closest && distance <= allowed) {
+        terms.add(entry.term);
+      }
+    }
+
+    return Array.from(terms).map(match => ({ term: match, weight: FUZZY_WEIGHT }));
+  }
+}
+
+/**
+ * Texto indexable de un valor (los arrays se unen, el resto se ignora)
+ */
+function fieldText(value) {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string').join(' ');
+  return typeof value === 'string' ? value : '';
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,204 @@
+/**
+ * snapshotManager.js
+ * Snapshots de las colecciones JSON y restauración a un instante anterior
+ *
+ * Una snapshot es un directorio data/snapshots/<id>/ con una copia de cada
+ * colección y un manifest.json que guarda, por colección, la secuencia del
+ * diario en el momento de la copia. El estado de una colección en una fecha
+ * se reconstruye partiendo de la última snapshot anterior a esa fecha y
+ * aplicando las entradas del diario posteriores a la snapshot hasta la fecha.
+ * Si no hay snapshot anterior se parte del estado que guardó el diario antes
+ * de su primera entrada (ver changeJournal.ensureBaseline). Sin ninguno de
+ * los dos solo se conocen los documentos escritos desde que existe el
+ * diario, y restoreCollection se niega a restaurar salvo con force.
+ * Las ediciones manuales de los archivos no pasan por el diario, así que una
+ * restauración las descarta.
+ *
+ * El diario y las snapshots son de jsonStore: con el driver mongo estas
+ * funciones fallan en lugar de trabajar sobre los archivos de data/, que
+ * ese driver no usa.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('./storage');
+const jsonStore = require('./jsonStore');
+const changeJournal = require('./changeJournal');
+const { SNAPSHOTS_DIR } = require('../config/storageConfig');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * @throws {Error} Si el almacenamiento no usa el driver json
+ */
+const assertJsonDriver = () => {
+  if (storage.driver !== 'json') {
+    throw new Error(`Las snapshots y la restauración solo están disponibles con el driver json (driver actual: ${storage.driver})`);
+  }
+};
+
+/**
+ * Crea una snapshot de las colecciones indicadas (todas por defecto)
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.collections] - Colecciones a copiar
+ * @param {string} [options.label] - Etiqueta descriptiva
+ * @returns {Promise<Object>} Manifest de la snapshot
+ */
+const createSnapshot = async ({ collections, label } = {}) => {
+  assertJsonDriver();
+  const names = collections && collections.length > 0
+    ? collections
+    : await jsonStore.listCollections();
+
+  const createdAt = new Date().toISOString();
+  const id = createdAt.replace(/[:.]/g, '-');
+  const directory = path.join(SNAPSHOTS_DIR, id);
+  await fs.mkdir(directory, { recursive: true });
+
+  const manifest = { id, createdAt, label: label || null, collections: {} };
+
+  for (const collection of names) {
+    const { documents, journalSeq, takenAt } = await jsonStore.readCollectionState(collection);
+    await fs.writeFile(
+      path.join(directory, `${collection}.json`),
+      JSON.stringify(documents, null, 2),
+      'utf8'
+    );
+    manifest.collections[collection] = { documents: documents.length, journalSeq, takenAt };
+  }
+
+  // El manifest se escribe al final: una snapshot sin él está incompleta
+  await fs.writeFile(path.join(directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+  return manifest;
+};
+
+/**
+ * Lista las snapshots completas
+ * @returns {Promise<Array>} Manifests ordenados de la más antigua a la más reciente
+ */
+const listSnapshots = async () => {
+  let directories;
+  try {
+    directories = await fs.readdir(SNAPSHOTS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const manifests = [];
+  for (const directory of directories) {
+    try {
+      const content = await fs.readFile(path.join(SNAPSHOTS_DIR, directory, MANIFEST_FILE), 'utf8');
+      manifests.push(JSON.parse(content));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+    }
+  }
+
+  return manifests.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Reconstruye una colección tal como estaba en una fecha
+ * @param {string} collection - Nombre de la colección
+ * @param {Date|string} at - Fecha objetivo
+ * @returns {Promise<Object>} { documents, snapshot, baseline, replayed }:
+ * snapshot es la snapshot de partida o null; baseline indica si se partió
+ * del estado anterior al diario. Si no hay ninguno de los dos se parte de
+ * una colección vacía y los documentos anteriores al diario no aparecen
+ */
+const reconstructCollection = async (collection, at) => {
+  assertJsonDriver();
+  const target = parseDate(at);
+
+  const base = (await listSnapshots())
+    .filter(manifest => {
+      const state = manifest.collections[collection];
+      return state && new Date(state.takenAt) <= target;
+    })
+    .pop();
+
+  let documents = [];
+  let afterSeq = 0;
+  let baseline = null;
+  if (base) {
+    const content = await fs.readFile(path.join(SNAPSHOTS_DIR, base.id, `${collection}.json`), 'utf8');
+    documents = JSON.parse(content);
+    afterSeq = base.collections[collection].journalSeq;
+  } else {
+    baseline = await changeJournal.readBaseline(collection);
+    if (baseline) documents = baseline.documents;
+  }
+
+  const entries = await changeJournal.readEntries(collection, { afterSeq, until: target });
+
+  return {
+    documents: changeJournal.replayEntries(documents, entries),
+    snapshot: base ? base.id : null,
+    baseline: !!baseline,
+    replayed: entries.length
+  };
+};
+
+/**
+ * Restaura una colección (o parte de ella) al estado que tenía en una fecha
+ * La restauración queda registrada en el diario como operaciones 'restore'
+ * @param {string} collection - Nombre de la colección
+ * @param {Date|string} at - Fecha objetivo
+ * @param {Object} options - Opciones
+ * @param {Object} [options.criteria] - Limitar a los documentos que cumplen la consulta
+ * @param {boolean} [options.dryRun] - Solo informa de los cambios, no escribe
+ * @param {boolean} [options.force] - Restaura aunque no haya snapshot ni
+ * estado anterior al diario (se eliminan los documentos anteriores al diario)
+ * @returns {Promise<Object>} Informe de la restauración
+ * @throws {Error} Si no hay punto de partida y no se indica force
+ */
+const restoreCollection = async (collection, at, { criteria = {}, dryRun = false, force = false } = {}) => {
+  assertJsonDriver();
+  const target = parseDate(at);
+  const { documents, snapshot, baseline, replayed } = await reconstructCollection(collection, target);
+  if (!snapshot && !baseline && !force) {
+    throw new Error(
+      `No hay snapshot de ${collection} anterior a ${target.toISOString()} ni estado anterior al diario: ` +
+      'la restauración eliminaría los documentos que no se han modificado desde que existe el diario. ' +
+      'Crea una snapshot o usa force'
+    );
+  }
+
+  const changes = await jsonStore.restoreDocuments(collection, documents, { criteria, dryRun });
+
+  return {
+    collection,
+    at: target.toISOString(),
+    snapshot,
+    baseline,
+    replayed,
+    dryRun,
+    changed: changes.length,
+    documents: changes.map(change => ({
+      id: (change.after || change.before).id,
+      action: !change.before ? 'recreated' : (!change.after ? 'removed' : 'reverted'),
+      fields: diffFields(change.before || {}, change.after || {})
+    }))
+  };
+};
+
+function parseDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Fecha inválida: ${value}`);
+  }
+  return date;
+}
+
+function diffFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return Array.from(keys).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  reconstructCollection,
+  restoreCollection
+};
@@ -0,0 +1,119 @@
+/**
+ * storage.js
+ * Punto de acceso único al almacenamiento de la aplicación
+ *
+ * Los controladores y servicios usan este módulo en lugar de un backend
+ * concreto. El backend se elige con STORAGE_DRIVER ('json' o 'mongo') y
+ * todos implementan la misma interfaz:
+ *   find(collection, criteria, options)
+ *   findOne(collection, criteria, options)
+ *   findById(collection, id)
+ *   insertOne(collection, document, options)
+ *   insertMany(collection, documents, options)
+ *   updateOne(collection, criteria, update, options)
+ *   updateMany(collection, criteria, update, options)
+ *   replaceOne(collection, criteria, replacement, options)
+ *   deleteOne(collection, criteria)
+ *   deleteMany(collection, criteria)
+ *   countDocuments(collection, criteria)
+ *   transaction(work) - work(tx) recibe estos mismos métodos y sus
+ *     escrituras se confirman todas o ninguna
+ *
+ * Las escrituras sobre colecciones con modelo (ver models/index.js) se
+ * validan y normalizan; options.validate = false omite ese paso.
+ * update admite $set, $unset, $inc y $push, y options.upsert inserta un
+ * documento si ninguno cumple la consulta.
+ */
+
+const { DRIVER } = require('../config/storageConfig');
+
+const ADAPTERS = {
+  json: () => require('./jsonStore'),
+  mongo: () => require('./mongoStore')
+};
+
+if (!ADAPTERS[DRIVER]) {
+  throw new Error(`Driver de almacenamiento no soportado: ${DRIVER}`);
+}
+
+const adapter = ADAPTERS[DRIVER]();
+
+const WRITE_METHODS = ['insertOne', 'insertMany', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'];
+
+// Funciones a las que se avisa de las colecciones modificadas
+const changeListeners = new Set();
+
+const notifyChange = (collections) => {
+  for (const collection of collections) {
+    for (const listener of changeListeners) {
+      try {
+        listener(collection);
+      } catch (error) {
+        console.error(`Error avisando del cambio en ${collection}:`, error);
+      }
+    }
+  }
+};
+
+const notifying = (method) => async (collection, ...args) => {
+  const result = await adapter[method](collection, ...args);
+  notifyChange([collection]);
+  return result;
+};
+
+/**
+ * Ejecuta una transacción y avisa de las colecciones escritas al confirmarla
+ */
+const transaction = async (work) => {
+  const touched = new Set();
+  const result = await adapter.transaction((tx) => {
+    const tracked = { ...tx };
+    for (const method of WRITE_METHODS) {
+      tracked[method] = (collection, ...args) => {
+        touched.add(collection);
+        return tx[method](collection, ...args);
+      };
+    }
+    return work(tracked);
+  });
+  notifyChange(touched);
+  return result;
+};
+
+module.exports = {
+  driver: DRIVER,
+  adapter,
+  generateId: adapter.generateId,
+  find: adapter.find,
+  findOne: adapter.findOne,
+  findById: adapter.findById,
+  insertOne: notifying('insertOne'),
+  insertMany: notifying('insertMany'),
+  updateOne: notifying('updateOne'),
+  updateMany: notifying('updateMany'),
+  replaceOne: notifying('replaceOne'),
+  deleteOne: notifying('deleteOne'),
+  deleteMany: notifying('deleteMany'),
+  countDocuments: adapter.countDocuments,
+  transaction,
+  initialize: adapter.initializeWithDefaults,
+
+  /**
+   * Registra una función que recibe el nombre de cada colección modificada
+   * @param {Function} listener - Función (collection) => void
+   * @returns {Function} Función para dejar de recibir avisos
+   */
+  onChange: (listener) => {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  },
+
+  /**
+   * Estado del backend (contadores de caché cuando el driver la tiene)
+   * @returns {Object} Driver y estadísticas
+   */
+  getStats: () => ({
+    driver: DRIVER,
+    cache: adapter.getCacheStats ? adapter.getCacheStats() : null
+  })
+};
@@ -0,0 +1,109 @@
+/**
+ * synonymDictionary.js
+ * Diccionario en memoria de términos equivalentes (sinónimos y traducciones)
+ *
+ * Se carga con grupos de términos: todos los términos de un grupo son
+ * equivalentes entre sí y un término puede estar en varios grupos. Las
+ * consultas son síncronas para poder usarlas desde textMatcher; el
+ * contenido lo mantiene services/synonymService a partir de la colección
+ * synonyms. Hasta que se carga usa los grupos de config/synonymConfig.
+ */
+
+const { DEFAULT_SYNONYM_GROUPS } = require('../config/synonymConfig');
+
+// Clave de frase -> Set de claves equivalentes (sin ella misma)
+let synonymsByKey = new Map();
+// Número máximo de palabras de un término del diccionario
+let maxWords = 1;
+
+/**
+ * Forma comparable de un término: minúsculas, sin acentos ni signos de
+ * puntuación y con un espacio entre palabras
+ * @param {string} text - Término o texto
+ * @returns {string} Clave
+ */
+const phraseKey = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9+#]+/g, ' ')
+  .trim();
+
+/**
+ * Sustituye el contenido del diccionario
+ * @param {Array<Array<string>>} groups - Grupos de términos equivalentes
+ */
+const setGroups = (groups) => {
+  const next = new Map();
+  let longest = 1;
+
+  for (const terms of groups) {
+    const keys = Array.from(new Set(terms.map(phraseKey).filter(Boolean)));
+    for (const key of keys) {
+      if (!next.has(key)) next.set(key, new Set());
+      keys.filter(other => other !== key).forEach(other => next.get(key).add(other));
+      longest = Math.max(longest, key.split(' ').length);
+    }
+  }
+
+  synonymsByKey = next;
+  maxWords = longest;
+};
+
+/**
+ * Términos equivalentes a uno dado
+ * @param {string} term - Término
+ * @returns {Array<string>} Claves equivalentes (vacío si no está en el diccionario)
+ */
+const getSynonyms = (term) => Array.from(synonymsByKey.get(phraseKey(term)) || []);
+
+/**
+ * Busca en un texto los términos del diccionario
+ * Se prueban las secuencias de palabras de mayor a menor longitud, de modo
+ * que "diseño gráfico" se reconoce como un término y no como dos
+ * @param {string} text - Texto (p. ej. una consulta)
+ * @returns {Array<Object>} { term, synonyms }: synonyms excluye los que ya
+ * aparecen en el texto
+ */
+const findSynonyms = (text) => {
+  const key = phraseKey(text);
+  const words = key ? key.split(' ') : [];
+  const found = [];
+
+  let position = 0;
+  while (position < words.length) {
+    let length = Math.min(maxWords, words.length - position);
+    for (; length > 0; length--) {
+      const term = words.slice(position, position + length).join(' ');
+      if (!synonymsByKey.has(term)) continue;
+
+      const synonyms = Array.from(synonymsByKey.get(term)).filter(synonym => !containsPhrase(key, synonym));
+      found.push({ term, synonyms });
+      break;
+    }
+    position += Math.max(length, 1);
+  }
+
+  return found;
+};
+
+/**
+ * Indica si un texto contiene una frase como palabras completas
+ * @param {string} text - Texto
+ * @param {string} phrase - Frase
+ * @returns {boolean}
+ */
+const containsPhrase = (text, phrase) => {
+  const key = phraseKey(phrase);
+  return Boolean(key) && ` ${phraseKey(text)} `.includes(` ${key} `);
+};
+
+setGroups(DEFAULT_SYNONYM_GROUPS);
+
+module.exports = {
+  phraseKey,
+  setGroups,
+  getSynonyms,
+  findSynonyms,
+  containsPhrase
+};
@@ -0,0 +1,233 @@
+/**
+ * tabularFormat.js
+ * Conversión entre documentos y los formatos CSV y NDJSON
+ *
+ * CSV sigue RFC 4180: separador coma, comillas dobles para los valores con
+ * comas, comillas o saltos de línea, y primera fila con los nombres de los
+ * campos. Los campos pueden ser rutas con puntos (budget.amount). Los
+ * valores que son arrays u objetos se escriben como JSON en la celda.
+ *
+ * Las exportaciones se abren en hojas de cálculo: los textos que empiezan
+ * por =, +, -, @, tabulador o retorno de carro se escriben precedidos de un
+ * apóstrofo para que no se evalúen como fórmulas, y parse lo quita. También
+ * se protegen los que ya empiezan por apóstrofo, así el viaje de ida y
+ * vuelta conserva el texto original.
+ *
+ * NDJSON es un documento JSON por línea.
+ */
+
+const { getValueByPath, setValueByPath } = require('./queryEngine');
+
+const FORMATS = {
+  CSV: 'csv',
+  NDJSON: 'ndjson'
+};
+
+// Primer carácter con el que una hoja de cálculo interpreta una fórmula
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+// Texto protegido con apóstrofo al exportar
+const ESCAPED_CELL = /^'[=+\-@\t\r']/;
+
+const CONTENT_TYPES = {
+  [FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [FORMATS.NDJSON]: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Deduce el formato de un nombre de archivo por su extensión
+ * @param {string} fileName - Nombre o ruta del archivo
+ * @returns {string|null} Formato o null si la extensión no es conocida
+ */
+const formatFromFileName = (fileName) => {
+  const match = String(fileName || '').toLowerCase().match(/\.(csv|ndjson|jsonl)$/);
+  if (!match) return null;
+  return match[1] === 'csv' ? FORMATS.CSV : FORMATS.NDJSON;
+};
+
+/**
+ * Campos de primer nivel presentes en los documentos, en orden de aparición
+ * @param {Array<Object>} documents - Documentos
+ * @returns {Array<string>} Campos
+ */
+const collectFields = (documents) => {
+  const fields = new Set();
+  for (const document of documents) {
+    Object.keys(document).forEach(field => fields.add(field));
+  }
+  return Array.from(fields);
+};
+
+/**
+ * Serializa documentos
+ * @param {Array<Object>} documents - Documentos
+ * @param {Object} options - Opciones
+ * @param {string} options.format - FORMATS.CSV o FORMATS.NDJSON
+ * @param {Array<string>} [options.fields] - Campos a incluir (todos por defecto)
+ * @returns {string} Texto serializado, terminado en salto de línea
+ */
+const serialize = (documents, { format, fields } = {}) => {
+  const selected = fields && fields.length > 0 ? fields : collectFields(documents);
+
+  if (format === FORMATS.NDJSON) {
+    return documents
+      .map(document => JSON.stringify(project(document, selected)))
+      .map(line => `${line}\n`)
+      .join('');
+  }
+
+  const lines = [selected.map(formatCell).join(',')];
+  for (const document of documents) {
+    lines.push(selected.map(field => formatCell(getValueByPath(document, field))).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Analiza un texto CSV o NDJSON
+ * Los errores de una fila no detienen el análisis: se devuelven en la fila
+ * @param {string} text - Contenido
+ * @param {Object} options - Opciones
+ * @param {string} options.format - FORMATS.CSV o FORMATS.NDJSON
+ * @returns {Object} { fields, rows: [{ line, values, error }] }; en CSV los
+ * valores son textos y fields la cabecera; en NDJSON values es el objeto de
+ * la línea y fields los campos encontrados
+ * @throws {Error} Si el CSV no tiene cabecera o tiene comillas sin cerrar
+ */
+const parse = (text, { format } = {}) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  return format === FORMATS.NDJSON ? parseNdjson(content) : parseCsv(content);
+};
+
+function parseNdjson(content) {
+  const rows = [];
+  content.split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) return;
+    const row = { line: index + 1, values: null, error: null };
+    try {
+      const value = JSON.parse(raw);
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        row.error = 'La línea no es un objeto JSON';
+      } else {
+        row.values = value;
+      }
+    } catch (error) {
+      row.error = `JSON inválido: ${error.message}`;
+    }
+    rows.push(row);
+  });
+
+  return { fields: collectFields(rows.filter(row => row.values).map(row => row.values)), rows };
+}
+
+function parseCsv(content) {
+  const records = splitCsvRecords(content);
+  if (records.length === 0) {
+    throw new Error('El CSV está vacío: falta la fila de cabecera');
+  }
+
+  const [{ cells: header }, ...body] = records;
+  const fields = header.map(field => unescapeCell(field).trim());
+  if (fields.some(field => !field)) {
+    throw new Error('La cabecera del CSV tiene columnas sin nombre');
+  }
+
+  const rows = body
+    .filter(({ cells }) => !(cells.length === 1 && cells[0] === ''))
+    .map(({ line, cells }) => {
+      if (cells.length !== fields.length) {
+        return { line, values: null, error: `Se esperaban ${fields.length} columnas y hay ${cells.length}` };
+      }
+      const values = {};
+      fields.forEach((field, position) => { values[field] = unescapeCell(cells[position]); });
+      return { line, values, error: null };
+    });
+
+  return { fields, rows };
+}
+
+/**
+ * Divide el CSV en registros respetando los valores entre comillas
+ * @returns {Array} { line (línea donde empieza), cells }
+ */
+function splitCsvRecords(content) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      cells.push(cell);
+      records.push({ line: startLine, cells });
+      cells = [];
+      cell = '';
+      line += 1;
+      startLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Comillas sin cerrar en el registro que empieza en la línea ${startLine}`);
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: startLine, cells });
+  }
+  return records;
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && (FORMULA_TRIGGER.test(text) || ESCAPED_CELL.test(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Quita el apóstrofo con el que formatCell protege las fórmulas
+ */
+function unescapeCell(cell) {
+  return ESCAPED_CELL.test(cell) ? cell.slice(1) : cell;
+}
+
+function project(document, fields) {
+  const projected = {};
+  for (const field of fields) {
+    const value = getValueByPath(document, field);
+    if (value !== undefined) setValueByPath(projected, field, value);
+  }
+  return projected;
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  formatFromFileName,
+  serialize,
+  parse
+};
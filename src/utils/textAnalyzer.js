@@ -0,0 +1,140 @@
+/**
+ * textAnalyzer.js
+ * Conversión de textos en español e inglés a términos de búsqueda
+ *
+ * Un texto se normaliza con textMatcher.normalizeText (minúsculas, sin
+ * acentos), se divide en palabras, se descartan las palabras vacías y cada
+ * palabra se reduce a su raíz con un stemmer ligero que quita plurales y
+ * sufijos frecuentes de ambos idiomas. No pretende ser exacto: lo importante
+ * es que las variantes de una palabra ("diseño", "diseños", "diseñador";
+ * "develop", "developer", "development") acaben en el mismo término, tanto
+ * al indexar como al buscar.
+ */
+
+const { normalizeText } = require('./textMatcher');
+const aiChatConfig = require('../config/aiChatConfig');
+
+// Palabras vacías en español e inglés, ya normalizadas
+const STOP_WORDS = new Set([
+  ...aiChatConfig.NLP.STOP_WORDS,
+  // Español
+  'al', 'como', 'mas', 'mi', 'mis', 'se', 'su', 'sus', 'es', 'e', 'u', 'le', 'lo', 'nos',
+  'este', 'esta', 'estos', 'estas', 'ese', 'esa', 'muy', 'ya', 'desde', 'hasta', 'entre',
+  // Inglés
+  'the', 'a', 'an', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'with', 'by', 'at', 'from',
+  'is', 'are', 'be', 'my', 'our', 'your', 'we', 'i', 'it', 'its', 'this', 'that', 'into'
+]);
+
+// Sufijos que se quitan (el primero que coincide), con su reemplazo.
+// Incluyen las formas en plural para no depender del orden de las reglas
+const SUFFIXES = [
+  ['amientos', ''], ['amiento', ''], ['imientos', ''], ['imiento', ''],
+  ['aciones', ''], ['acion', ''], ['ations', ''], ['ation', ''], ['ators', ''], ['ator', ''],
+  ['cciones', 'c'], ['ccion', 'c'], ['ciones', ''], ['cion', ''],
+  ['ctores', 'c'], ['ctoras', 'c'], ['ctora', 'c'], ['ctor', 'c'],
+  ['idades', ''], ['idad', ''], ['mente', ''],
+  ['istas', ''], ['ista', ''],
+  ['adores', ''], ['adoras', ''], ['adora', ''], ['ador', ''],
+  ['ments', ''], ['ment', ''],
+  ['izing', 'iz'], ['izes', 'iz'], ['ized', 'iz'], ['ize', 'iz'],
+  ['ings', ''], ['ing', ''],
+  ['ers', ''], ['er', ''],
+  ['ies', 'y'], ['ed', '']
+];
+
+const MIN_STEM_LENGTH = 3;
+
+// Longitud mínima de palabra para tolerar una y dos erratas
+const ONE_EDIT_LENGTH = 4;
+const TWO_EDITS_LENGTH = 8;
+
+/**
+ * Reduce una palabra normalizada a su raíz
+ * Las palabras cortas o con dígitos y símbolos (html5, c++) no se modifican
+ * @param {string} word - Palabra en minúsculas y sin acentos
+ * @returns {string} Raíz
+ */
+const stem = (word) => {
+  if (word.length <= MIN_STEM_LENGTH || !/^[a-zñ]+$/.test(word)) return word;
+
+  let result = word;
+  const suffix = SUFFIXES.find(([ending]) => (
+    result.endsWith(ending) && result.length - ending.length >= MIN_STEM_LENGTH
+  ));
+
+  if (suffix) {
+    result = result.slice(0, -suffix[0].length) + suffix[1];
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // Vocal final de género o de la forma base ("diseño"/"diseña", "image")
+  if (result.length > MIN_STEM_LENGTH + 1 && /[aeo]$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+};
+
+/**
+ * Palabras normalizadas de un texto, sin palabras vacías
+ * Se conservan los símbolos habituales en tecnologías (c++, c#, node.js)
+ * @param {string} text - Texto
+ * @returns {Array<string>} Palabras en orden
+ */
+const tokenize = (text) => normalizeText(String(text || ''))
+  .split(/[^a-z0-9ñ+#.]+/)
+  .map(word => word.replace(/^[.]+|[.]+$/g, ''))
+  .filter(word => word && !STOP_WORDS.has(word));
+
+/**
+ * Términos de búsqueda de un texto (palabras reducidas a su raíz)
+ * @param {string} text - Texto
+ * @returns {Array<string>} Términos en orden, con repeticiones
+ */
+const analyze = (text) => tokenize(text).map(stem);
+
+/**
+ * Erratas que se toleran en una palabra según su longitud
+ * @param {string} word - Palabra normalizada
+ * @returns {number} 0, 1 o 2
+ */
+const allowedEdits = (word) => {
+  if (word.length >= TWO_EDITS_LENGTH) return 2;
+  return word.length >= ONE_EDIT_LENGTH ? 1 : 0;
+};
+
+/**
+ * Distancia de edición (Levenshtein) entre dos palabras
+ * Deja de calcular en cuanto la distancia supera max
+ * @param {string} a - Primera palabra
+ * @param {string} b - Segunda palabra
+ * @param {number} [max] - Distancia máxima que interesa
+ * @returns {number} Distancia, o max + 1 si es mayor que max
+ */
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, position) => position);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > max) return max + 1;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+};
+
+module.exports = {
+  STOP_WORDS,
+  stem,
+  tokenize,
+  analyze,
+  allowedEdits,
+  editDistance
+};
@@ -4,6 +4,7 @@
  */
 
 const aiChatConfig = require('../config/aiChatConfig');
+const synonymDictionary = require('./synonymDictionary');
 
 /**
  * Verifica si un texto contiene palabras clave
@@ -48,6 +49,12 @@ exports.hasKeywords = (text, keywords, options = {}) => {
       continue;
     }
     
+    // Coincidencia de un sinónimo o traducción de la palabra clave
+    if (hasSynonymOf(normalizedText, normalizedKeyword)) {
+      matches += aiChatConfig.NLP.WEIGHTS.SYNONYM_MATCH;
+      continue;
+    }
+    
     // Coincidencia parcial (la palabra clave tiene varias palabras)
     if (opts.partialMatches && normalizedKeyword.includes(' ')) {
       const keywordParts = normalizedKeyword.split(/\s+/);
@@ -107,6 +114,12 @@ exports.calculateRelevance = (text, keywords) => {
       continue;
     }
     
+    // Coincidencia de un sinónimo o traducción de la palabra clave
+    if (hasSynonymOf(normalizedText, normalizedKeyword)) {
+      score += aiChatConfig.NLP.WEIGHTS.SYNONYM_MATCH;
+      continue;
+    }
+    
     // Coincidencia parcial (la palabra clave tiene varias palabras)
     if (normalizedKeyword.includes(' ')) {
       const keywordParts = normalizedKeyword.split(/\s+/);
@@ -185,6 +198,20 @@ function normalizeText(text) {
     .trim();
 }
 
+exports.normalizeText = normalizeText;
+
+/**
+ * Indica si un texto contiene algún término equivalente a una palabra clave
+ * según el diccionario de sinónimos
+ * @param {string} text - Texto normalizado
+ * @param {string} keyword - Palabra clave normalizada
+ * @returns {boolean} Si hay coincidencia
+ */
+function hasSynonymOf(text, keyword) {
+  return synonymDictionary.getSynonyms(keyword)
+    .some(synonym => synonymDictionary.containsPhrase(text, synonym));
+}
+
 /**
  * Elimina stop words de un texto
  * @param {string} text - Texto a limpiar
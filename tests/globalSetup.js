@@ -0,0 +1,21 @@
+/**
+ * globalSetup.js
+ * Arranca un MongoDB en memoria (replica set de un nodo, para tener
+ * transacciones) para las pruebas comunes de los adaptadores de
+ * almacenamiento. Si ya se indica MONGODB_TEST_URI se usa ese servidor.
+ * Si mongodb-memory-server no puede arrancar (p. ej. sin acceso a la
+ * descarga del binario) las pruebas de mongoStore se omiten con un aviso.
+ */
+
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) return;
+
+  const { MongoMemoryReplSet } = require('mongodb-memory-server');
+  try {
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    globalThis.__MONGO_REPLSET__ = replSet;
+    process.env.MONGODB_TEST_URI = replSet.getUri();
+  } catch (error) {
+    console.warn(`\nNo se pudo arrancar MongoDB en memoria, se omiten las pruebas de mongoStore: ${error.message}\n`);
+  }
+};
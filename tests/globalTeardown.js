@@ -0,0 +1,8 @@
+/**
+ * globalTeardown.js
+ * Detiene el MongoDB en memoria de globalSetup.js
+ */
+
+module.exports = async () => {
+  if (globalThis.__MONGO_REPLSET__) await globalThis.__MONGO_REPLSET__.stop();
+};
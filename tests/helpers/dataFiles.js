@@ -0,0 +1,46 @@
+/**
+ * dataFiles.js
+ * Utilidades para preparar el directorio de datos de una prueba
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_DATA_DIR = path.join(__dirname, '../../data');
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures');
+
+/**
+ * Copia archivos de data/ del repositorio al DATA_DIR de la prueba
+ * @param {Array<string>} files - Nombres de archivo ('categories.json')
+ */
+const copyRepoData = (files) => {
+  for (const file of files) {
+    fs.copyFileSync(path.join(REPO_DATA_DIR, file), path.join(process.env.DATA_DIR, file));
+  }
+};
+
+/**
+ * Escribe una colección en el DATA_DIR de la prueba
+ * @param {string} collection - Nombre de la colección
+ * @param {Array} documents - Documentos
+ */
+const writeCollection = (collection, documents) => {
+  fs.writeFileSync(path.join(process.env.DATA_DIR, `${collection}.json`), JSON.stringify(documents, null, 2));
+};
+
+/**
+ * Lee una colección del DATA_DIR de la prueba tal como está en disco
+ * @param {string} collection - Nombre de la colección
+ * @returns {Array} Documentos
+ */
+const readCollection = (collection) => (
+  JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, `${collection}.json`), 'utf8'))
+);
+
+module.exports = {
+  REPO_DATA_DIR,
+  FIXTURES_DIR,
+  copyRepoData,
+  writeCollection,
+  readCollection
+};
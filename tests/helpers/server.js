@@ -0,0 +1,38 @@
+/**
+ * server.js
+ * Arranca la aplicación Express en un puerto libre para probar las rutas
+ */
+
+const http = require('http');
+
+/**
+ * Inicializa el almacenamiento del DATA_DIR de la prueba y arranca la API
+ * @returns {Promise<Object>} { request(path, options), close() }; request
+ * devuelve { status, body } con el cuerpo ya leído como JSON
+ */
+const startServer = async () => {
+  // Se inicializa antes de cargar app.js para que las peticiones no
+  // coincidan con la creación de los datos por defecto
+  await require('../../src/utils/storage').initialize();
+  const app = require('../../src/app');
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: async (path, options = {}) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startServer
+};
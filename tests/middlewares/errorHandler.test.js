@@ -0,0 +1,42 @@
+/**
+ * Respuestas del manejador de errores para los errores del almacenamiento
+ */
+
+const errorHandler = require('../../src/middlewares/errorHandler');
+const { ValidationError, DuplicateKeyError } = require('../../src/utils/errors');
+
+const respond = (err) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  errorHandler(err, {}, res, () => {});
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+test('un documento rechazado por el modelo responde 422 con sus errores', () => {
+  const errors = ['La descripción del servicio es obligatoria', 'El precio debe ser un número no negativo'];
+
+  expect(respond(new ValidationError('services', errors))).toEqual({
+    status: 422,
+    body: {
+      success: false,
+      error: { message: 'Errores de validación', collection: 'services', errors }
+    }
+  });
+});
+
+test('una clave única repetida responde 409', () => {
+  const { status, body } = respond(new DuplicateKeyError('categories', ['slug'], ['logo-design']));
+
+  expect(status).toBe(409);
+  expect(body.error).toMatchObject({ collection: 'categories', fields: ['slug'] });
+});
@@ -0,0 +1,68 @@
+/**
+ * Validación y normalización de los documentos con el modelo de su colección
+ */
+
+const { applyModel, getModel } = require('../../src/models');
+const { ValidationError } = require('../../src/utils/errors');
+
+const WALLET = `0x${'A'.repeat(40)}`;
+
+describe('applyModel', () => {
+  test.each([
+    ['users', { walletAddress: WALLET, name: 'Ana' }],
+    ['services', { title: 'Logo', description: 'Diseño de logotipo', category: 'cat-logo', provider: 'user-1', price: 10 }],
+    ['categories', { name: 'Logo Design', slug: 'logo-design' }],
+    ['chatResponses', { keywords: ['hola'], text: 'Hola, ¿en qué te ayudo?' }],
+    ['unlockedServices', { userId: 'user-1', serviceId: 'srv-1', transactionId: 'tx-1' }],
+    ['listings', { title: 'Logo para cafetería', sourceUrl: 'https://www.freelancer.ec/projects/1', categoryId: 'cat-logo' }],
+    ['synonyms', { terms: ['logo', 'logotipo'] }]
+  ])('acepta un documento válido de %s', (collection, document) => {
+    expect(() => applyModel(collection, document)).not.toThrow();
+  });
+
+  test.each([
+    ['users', { walletAddress: 'no-es-una-wallet' }, 'La dirección de wallet debe tener formato Ethereum válido'],
+    ['services', { title: 'Logo', category: 'cat-logo', provider: 'user-1', price: -1 }, 'La descripción del servicio es obligatoria'],
+    ['services', { title: 'Logo', description: 'x', category: 'cat-logo', provider: 'user-1', price: -1 }, 'El precio debe ser un número no negativo'],
+    ['categories', { name: 'Otra', slug: 'otra' }, "La categoría 'otra' no está en la lista de categorías permitidas"],
+    ['chatResponses', { text: 'Hola' }, 'Se requiere al menos una palabra clave'],
+    ['unlockedServices', { userId: 'user-1', serviceId: 'srv-1' }, 'El ID de transacción es obligatorio'],
+    ['listings', { title: 'Logo', sourceUrl: 'ftp://x', categoryId: 'cat-logo' }, 'La URL de origen debe ser una URL http(s)'],
+    ['synonyms', { terms: ['logo', 'Logo'] }, 'Un grupo necesita al menos dos términos distintos']
+  ])('rechaza un documento inválido de %s', (collection, document, message) => {
+    let thrown;
+    try {
+      applyModel(collection, document);
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toBeInstanceOf(ValidationError);
+    expect(thrown).toMatchObject({ statusCode: 422, collection });
+    expect(thrown.errors).toContain(message);
+  });
+
+  test('descarta los campos desconocidos y conserva los del almacenamiento', () => {
+    const document = applyModel('users', {
+      id: 'user-1',
+      walletAddress: WALLET,
+      createdAt: '2025-01-01T00:00:00.000Z',
+      password: 'no se guarda'
+    });
+
+    expect(document).not.toHaveProperty('password');
+    expect(document).toMatchObject({
+      id: 'user-1',
+      walletAddress: WALLET.toLowerCase(),
+      isActive: true,
+      createdAt: '2025-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('las colecciones sin modelo se guardan sin cambios', () => {
+    const document = { title: 'logo', extra: true };
+
+    expect(getModel('notes')).toBeNull();
+    expect(applyModel('notes', document)).toBe(document);
+  });
+});
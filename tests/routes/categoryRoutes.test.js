@@ -0,0 +1,100 @@
+/**
+ * Rutas /api/categories
+ */
+
+const { writeCollection } = require('../helpers/dataFiles');
+const { startServer } = require('../helpers/server');
+
+const NOW = new Date().toISOString();
+
+const category = (id, slug, name, extra = {}) => ({
+  id,
+  slug,
+  name,
+  description: `Servicios relacionados con ${name.toLowerCase()}`,
+  keywords: slug.split('-'),
+  icon: '🔧',
+  order: 1,
+  active: true,
+  createdAt: NOW,
+  updatedAt: NOW,
+  ...extra
+});
+
+const listing = (id, categoryId, amount) => ({
+  id,
+  title: `Proyecto ${id}`,
+  sourceUrl: `https://www.freelancer.ec/projects/${id}`,
+  categoryId,
+  categoryIds: [categoryId],
+  categorySlug: 'logo-design',
+  categorySlugs: ['logo-design'],
+  budget: { amount, minAmount: amount, maxAmount: amount, currency: 'USD', type: 'fixed' },
+  status: 'open',
+  createdAt: NOW,
+  updatedAt: NOW
+});
+
+let server;
+
+beforeAll(async () => {
+  writeCollection('categories', [
+    category('cat-logo', 'logo-design', 'Logo Design'),
+    category('cat-web', 'web-development', 'Web Development'),
+    category('cat-old', 'old-category', 'Old Category', { active: false })
+  ]);
+  writeCollection('listings', [listing('l1', 'cat-logo', 100), listing('l2', 'cat-logo', 300)]);
+  server = await startServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+describe('GET /api/categories/slug/:slug', () => {
+  test('devuelve la categoría sin distinguir mayúsculas', async () => {
+    const { status, body } = await server.request('/api/categories/slug/Logo-Design');
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({ id: 'cat-logo', slug: 'logo-design' });
+  });
+
+  test('trata el slug como texto literal', async () => {
+    const { status } = await server.request('/api/categories/slug/logo.design');
+    expect(status).toBe(404);
+  });
+
+  test('no devuelve categorías inactivas', async () => {
+    const { status } = await server.request('/api/categories/slug/old-category');
+    expect(status).toBe(403);
+  });
+});
+
+describe('GET /api/categories/:slug/insights', () => {
+  test('resume los presupuestos de la categoría', async () => {
+    const { status, body } = await server.request('/api/categories/logo-design/insights');
+
+    expect(status).toBe(200);
+    expect(body.data.category).toMatchObject({ id: 'cat-logo', slug: 'logo-design' });
+    expect(body.data.listings).toBe(2);
+  });
+
+  test('responde 404 si la categoría no existe', async () => {
+    const { status } = await server.request('/api/categories/no-existe/insights');
+    expect(status).toBe(404);
+  });
+});
+
+describe('GET /api/categories/search', () => {
+  test('ordena por relevancia y omite las inactivas', async () => {
+    const { status, body } = await server.request('/api/categories/search?query=logo');
+
+    expect(status).toBe(200);
+    expect(body.data.map(item => item.id)).toEqual(['cat-logo']);
+  });
+
+  test('requiere un término de búsqueda', async () => {
+    const { status } = await server.request('/api/categories/search');
+    expect(status).toBe(400);
+  });
+});
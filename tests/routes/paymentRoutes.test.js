@@ -0,0 +1,55 @@
+/**
+ * Rutas /api/payment
+ */
+
+const { writeCollection } = require('../helpers/dataFiles');
+const { startServer } = require('../helpers/server');
+const tokenConfig = require('../../src/config/tokenConfig');
+
+const NOW = new Date().toISOString();
+const WALLET = `0x${'b'.repeat(40)}`;
+
+const transaction = (id, userId, serviceId, timestamp) => ({
+  id, userId, serviceId, amount: 1, token: 'WLD', status: 'completed', timestamp
+});
+
+let server;
+
+beforeAll(async () => {
+  writeCollection('users', [
+    { id: 'user-1', walletAddress: WALLET, name: 'Cliente', isActive: true, createdAt: NOW, updatedAt: NOW }
+  ]);
+  writeCollection('services', [
+    { id: 'srv-1', title: 'Logo', category: 'cat-logo', provider: 'user-2', price: 1, createdAt: NOW, updatedAt: NOW }
+  ]);
+  writeCollection('transactions', [
+    transaction('tx-old', 'user-1', 'srv-1', '2025-01-01T00:00:00.000Z'),
+    transaction('tx-other', 'user-2', 'srv-1', '2025-01-02T00:00:00.000Z'),
+    transaction('tx-new', 'user-1', 'srv-borrado', '2025-01-03T00:00:00.000Z')
+  ]);
+  server = await startServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+describe('GET /api/payment/history', () => {
+  test('devuelve solo las transacciones del usuario, las más recientes primero', async () => {
+    const { status, body } = await server.request('/api/payment/history', {
+      headers: { Authorization: `Bearer ${tokenConfig.generateAccessToken('user-1', WALLET)}` }
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.map(item => [item.id, item.service])).toEqual([
+      ['tx-new', null],
+      ['tx-old', { id: 'srv-1', title: 'Logo' }]
+    ]);
+  });
+
+  test('requiere autenticación', async () => {
+    const { status } = await server.request('/api/payment/history');
+
+    expect(status).toBe(401);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Rutas /api/projects
+ */
+
+const { writeCollection } = require('../helpers/dataFiles');
+const { startServer } = require('../helpers/server');
+
+const NOW = new Date().toISOString();
+const FUTURE = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+const category = (id, slug, name) => ({
+  id, slug, name, description: '', keywords: [], order: 1, active: true, createdAt: NOW, updatedAt: NOW
+});
+
+const listing = (id, categoryIds, extra = {}) => ({
+  id,
+  title: `Proyecto ${id}`,
+  sourceUrl: `https://www.freelancer.ec/projects/${id}`,
+  categoryId: categoryIds[0],
+  categoryIds,
+  categorySlugs: [],
+  budget: { amount: 100, currency: 'USD', type: 'fixed' },
+  deadline: FUTURE,
+  status: 'open',
+  createdAt: NOW,
+  updatedAt: NOW,
+  ...extra
+});
+
+let server;
+
+beforeAll(async () => {
+  writeCollection('categories', [
+    category('cat-logo', 'logo-design', 'Logo Design'),
+    category('cat-graphic', 'graphic-design', 'Graphic Design')
+  ]);
+  writeCollection('listings', [
+    listing('solo-logo', ['cat-logo']),
+    listing('grafico-y-logo', ['cat-graphic', 'cat-logo']),
+    listing('grafico', ['cat-graphic']),
+    listing('cerrado', ['cat-logo'], { status: 'closed', deadline: null }),
+    listing('vencido', ['cat-logo'], { deadline: NOW })
+  ]);
+  server = await startServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+describe('GET /api/projects', () => {
+  test('adjunta la categoría principal aunque coincida por otra', async () => {
+    const { status, body } = await server.request('/api/projects?category=logo-design&sort=id');
+
+    expect(status).toBe(200);
+    expect(body.data.map(project => [project.id, project.category && project.category.slug])).toEqual([
+      ['grafico-y-logo', 'graphic-design'],
+      ['solo-logo', 'logo-design']
+    ]);
+    expect(body.meta).toEqual({ categories: ['Logo Design'] });
+  });
+
+  test('excluye las ofertas cerradas y vencidas salvo que se pidan', async () => {
+    const active = await server.request('/api/projects?sort=id');
+    expect(active.body.data.map(project => project.id)).toEqual(['grafico', 'grafico-y-logo', 'solo-logo']);
+
+    const closed = await server.request('/api/projects?status=closed');
+    expect(closed.body.data.map(project => project.id)).toEqual(['cerrado']);
+
+    const all = await server.request('/api/projects?includeExpired=true');
+    expect(all.body.pagination.total).toBe(5);
+  });
+
+  test('responde 404 con una categoría desconocida', async () => {
+    const { status } = await server.request('/api/projects?category=no-existe');
+    expect(status).toBe(404);
+  });
+});
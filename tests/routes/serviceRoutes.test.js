@@ -0,0 +1,87 @@
+/**
+ * Rutas /api/services
+ */
+
+const { writeCollection, readCollection } = require('../helpers/dataFiles');
+const { startServer } = require('../helpers/server');
+const tokenConfig = require('../../src/config/tokenConfig');
+
+const NOW = new Date().toISOString();
+const WALLET = `0x${'a'.repeat(40)}`;
+
+let server;
+let headers;
+
+beforeAll(async () => {
+  writeCollection('categories', [
+    { id: 'cat-logo', slug: 'logo-design', name: 'Logo Design', description: '', keywords: [], order: 1, active: true, createdAt: NOW, updatedAt: NOW }
+  ]);
+  writeCollection('users', [
+    { id: 'user-1', walletAddress: WALLET, name: 'Proveedora', isActive: true, createdAt: NOW, updatedAt: NOW }
+  ]);
+  writeCollection('services', []);
+  server = await startServer();
+  headers = { Authorization: `Bearer ${tokenConfig.generateAccessToken('user-1', WALLET)}` };
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+describe('POST /api/services', () => {
+  const create = (price) => server.request('/api/services', {
+    method: 'POST',
+    headers,
+    body: { title: 'Logo para tu marca', description: 'Diseño de logotipo', category: 'logo-design', price }
+  });
+
+  test.each([
+    ['un texto no numérico', 'abc'],
+    ['un texto vacío', ''],
+    ['un valor que no es número ni texto', true]
+  ])('rechaza con 422 un precio con %s', async (_, price) => {
+    const { status, body } = await create(price);
+
+    expect(status).toBe(422);
+    expect(body.error.errors).toEqual([`El precio debe ser un número: ${JSON.stringify(price)}`]);
+    expect(readCollection('services')).toEqual([]);
+  });
+
+  test('responde 422 con los errores del modelo si el servicio no es válido', async () => {
+    const { status, body } = await server.request('/api/services', {
+      method: 'POST',
+      headers,
+      body: { title: 'x'.repeat(101), category: 'logo-design', price: -5 }
+    });
+
+    expect(status).toBe(422);
+    expect(body.error).toMatchObject({ message: 'Errores de validación', collection: 'services' });
+    expect(body.error.errors).toEqual(expect.arrayContaining([
+      'El título no puede tener más de 100 caracteres',
+      'La descripción del servicio es obligatoria',
+      'El precio debe ser un número no negativo'
+    ]));
+    expect(readCollection('services')).toEqual([]);
+  });
+
+  test('convierte un precio numérico en texto', async () => {
+    const { status, body } = await create(' 25.5 ');
+
+    expect(status).toBe(201);
+    expect(body.data).toMatchObject({ price: 25.5, category: 'cat-logo', provider: 'user-1' });
+  });
+});
+
+describe('GET /api/services/search', () => {
+  test('la categoría se aplica como filtro y se informa en meta.filters', async () => {
+    const { status, body } = await server.request('/api/services/search?category=cat-logo');
+
+    expect(status).toBe(200);
+    expect(body.data.every(result => result.category.id === 'cat-logo')).toBe(true);
+    expect(body.meta.filters).toEqual({ category: ['cat-logo'] });
+    expect(body.meta).not.toHaveProperty('categoryId');
+    expect(body.meta.facets.category).toEqual([
+      expect.objectContaining({ value: 'cat-logo', count: body.pagination.total })
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Exportación e importación de colecciones (CSV y NDJSON)
+ */
+
+const storage = require('../../src/utils/storage');
+const collectionTransfer = require('../../src/services/collectionTransfer');
+const { writeCollection } = require('../helpers/dataFiles');
+
+const NOW = '2025-01-01T00:00:00.000Z';
+
+const category = (id, slug, name, extra = {}) => ({
+  id,
+  name,
+  slug,
+  description: `Servicios de ${name}`,
+  icon: '🎨',
+  order: 1,
+  active: true,
+  popular: false,
+  keywords: [slug],
+  createdAt: NOW,
+  updatedAt: NOW,
+  ...extra
+});
+
+beforeEach(() => {
+  writeCollection('categories', [
+    category('cat-logo', 'logo-design', 'Logo Design', { keywords: ['logo', 'marca'] }),
+    category('cat-web', 'web-development', 'Web, "Development"', { popular: true })
+  ]);
+  storage.adapter.invalidateCache();
+});
+
+afterEach(() => {
+  delete Object.prototype.polluted;
+});
+
+describe('CSV', () => {
+  test('lo exportado se vuelve a importar sin cambios', async () => {
+    const { content, count } = await collectionTransfer.exportCollection('categories', { format: 'csv' });
+    expect(count).toBe(2);
+
+    const report = await collectionTransfer.importCollection('categories', content, { format: 'csv' });
+
+    expect(report.totals).toMatchObject({ rows: 2, unchanged: 2, invalid: 0 });
+    expect(report.applied).toBe(false);
+  });
+
+  test('protege las fórmulas al exportar y las recupera al importar', async () => {
+    await storage.updateOne('categories', { id: 'cat-logo' }, { $set: { description: '=HYPERLINK("http://x","Pulsa")' } });
+
+    const { content } = await collectionTransfer.exportCollection('categories', { format: 'csv', fields: ['id', 'description'] });
+    expect(content).toContain('"\'=HYPERLINK(""http://x"",""Pulsa"")"');
+
+    const report = await collectionTransfer.importCollection('categories', content, { format: 'csv' });
+    expect(report.totals).toMatchObject({ unchanged: 2, invalid: 0 });
+  });
+
+  test('actualiza por índice único e inserta las filas nuevas', async () => {
+    const content = 'slug,name,order,keywords\r\n' +
+      'logo-design,Logo Design,5,logo|isotipo\r\n' +
+      'illustrator,Illustrator,2,\r\n';
+
+    const report = await collectionTransfer.importCollection('categories', content, { format: 'csv' });
+
+    expect(report.totals).toMatchObject({ inserted: 1, updated: 1, invalid: 0 });
+    const logo = await storage.findById('categories', 'cat-logo');
+    expect(logo).toMatchObject({ order: 5, keywords: ['logo', 'isotipo'], description: 'Servicios de Logo Design' });
+    expect(await storage.findOne('categories', { slug: 'illustrator' })).not.toBeNull();
+  });
+
+  test('informa de las filas inválidas y no escribe ninguna', async () => {
+    const content = 'slug,name,order\n' +
+      'illustrator,Illustrator,dos\n' +
+      'no-permitida,No permitida,1\n' +
+      'logo-design,Logo\n' +
+      'legal,Legal,3\n';
+
+    const report = await collectionTransfer.importCollection('categories', content, { format: 'csv' });
+
+    expect(report.applied).toBe(false);
+    expect(report.totals).toMatchObject({ rows: 4, inserted: 1, invalid: 3 });
+    expect(report.rows[0].errors).toEqual(["order: 'dos' no es un número"]);
+    expect(report.rows[1].errors[0]).toMatch(/no-permitida/);
+    expect(report.rows[2].errors).toEqual(['Se esperaban 3 columnas y hay 2']);
+    expect(await storage.countDocuments('categories', {})).toBe(2);
+  });
+
+  test('rechaza las columnas que no son campos del modelo', async () => {
+    const content = 'slug,name,color\nlegal,Legal,rojo\n';
+
+    const report = await collectionTransfer.importCollection('categories', content, { format: 'csv' });
+
+    expect(report.rows[0]).toMatchObject({ action: 'error', errors: ["color: no es un campo de 'categories'"] });
+  });
+
+  test.each([
+    ['__proto__.polluted', false],
+    ['__proto__.polluted', true],
+    ['constructor.prototype.polluted', false],
+    ['keywords.__proto__.polluted', true]
+  ])('la columna %s no modifica Object.prototype (dryRun: %s)', async (column, dryRun) => {
+    const content = `slug,name,${column}\nlegal,Legal,sí\n`;
+
+    const report = await collectionTransfer.importCollection('categories', content, { format: 'csv', dryRun });
+
+    expect(report.rows[0].action).toBe('error');
+    expect({}.polluted).toBeUndefined();
+  });
+});
+
+describe('NDJSON', () => {
+  test('rechaza claves __proto__ sin modificar Object.prototype', async () => {
+    const content = '{"slug":"legal","name":"Legal","__proto__":{"polluted":"sí"}}\n' +
+      '{"slug":"health","name":"Health","keywords":{"__proto__":{"polluted":"sí"}}}\n';
+
+    const report = await collectionTransfer.importCollection('categories', content, { format: 'ndjson', dryRun: true });
+
+    expect(report.rows[0]).toMatchObject({ action: 'error', errors: ["__proto__: no es un campo de 'categories'"] });
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test('exporta solo los campos pedidos', async () => {
+    const { content } = await collectionTransfer.exportCollection('categories', {
+      format: 'ndjson',
+      fields: ['slug', 'name']
+    });
+
+    expect(content.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+      { slug: 'logo-design', name: 'Logo Design' },
+      { slug: 'web-development', name: 'Web, "Development"' }
+    ]);
+  });
+});
+
+describe('colecciones', () => {
+  test('solo exporta colecciones del almacenamiento', async () => {
+    writeCollection('logo-design', [{ Título: 'Logo' }]);
+
+    await expect(collectionTransfer.exportCollection('logo-design', { format: 'ndjson' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(collectionTransfer.exportCollection('listings', { format: 'ndjson' }))
+      .resolves.toMatchObject({ count: 0 });
+  });
+});
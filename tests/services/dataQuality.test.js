@@ -0,0 +1,116 @@
+/**
+ * Informe de calidad de los archivos scrapeados: una prueba por tipo de incidencia
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dataQuality = require('../../src/services/dataQuality');
+const { writeCollection } = require('../helpers/dataFiles');
+
+const row = (fields = {}) => ({
+  'Título': 'Landing page para cafetería',
+  'URL del Post': 'https://www.freelancer.ec/projects/web/landing-1',
+  'Cliente': '6 días left',
+  'Rating Cliente': '4.8',
+  'Presupuesto': '$250 - $750',
+  'Propuestas': '12',
+  'Publicado': '2025-05-16 10:00:00',
+  'Categoría': 'Web Development',
+  'Fecha Extracción': '2025-05-17 21:14:53',
+  ...fields
+});
+
+const writeFile = (name, content) => {
+  fs.writeFileSync(path.join(process.env.DATA_DIR, name), content);
+};
+
+const scan = async () => {
+  const report = await dataQuality.scanDataDirectory();
+  const issues = report.files.flatMap(file => file.issues.map(found => ({ file: file.file, ...found })));
+  return { report, issues };
+};
+
+beforeEach(() => {
+  for (const file of fs.readdirSync(process.env.DATA_DIR)) {
+    fs.rmSync(path.join(process.env.DATA_DIR, file), { recursive: true, force: true });
+  }
+});
+
+describe('scanDataDirectory', () => {
+  test('un archivo correcto no tiene incidencias y las colecciones se omiten', async () => {
+    writeCollection('web-development', [row()]);
+    writeCollection('categories', [{ id: 'cat-web', slug: 'web-development' }]);
+
+    const { report, issues } = await scan();
+
+    expect(issues).toEqual([]);
+    expect(report.skipped).toEqual(['categories.json']);
+    expect(report.totals).toMatchObject({ files: 1, rows: 1, errors: 0, warnings: 0, alwaysEmpty: [] });
+  });
+
+  test.each([
+    ['invalid-file', 'un JSON inválido', () => writeFile('android.json', '[{"Título": ')],
+    ['invalid-file', 'un archivo que no es un array', () => writeCollection('android', { rows: [] })],
+    ['invalid-row', 'una fila que no es un objeto', () => writeCollection('android', [row({ 'Categoría': 'Android' }), 'fila'])],
+    ['missing-field', 'un campo obligatorio vacío', () => writeCollection('web-development', [row({ 'Título': '  ' })])],
+    ['malformed-field', 'una URL que no es http(s)', () => writeCollection('web-development', [row({ 'URL del Post': 'ftp://x' })])],
+    ['malformed-field', 'un tiempo restante no reconocido', () => writeCollection('web-development', [row({ 'Cliente': 'pronto' })])],
+    ['malformed-field', 'una valoración fuera de rango', () => writeCollection('web-development', [row({ 'Rating Cliente': '7' })])],
+    ['unparseable-budget', 'un presupuesto sin importe', () => writeCollection('web-development', [row({ 'Presupuesto': 'A convenir' })])],
+    ['unknown-category', 'un archivo que no es de ninguna categoría', () => writeCollection('cocina', [row()])],
+    ['unknown-category', 'una fila de una categoría desconocida', () => writeCollection('web-development', [row({ 'Categoría': 'Cocina' })])],
+    ['category-mismatch', 'una fila de otra categoría', () => writeCollection('web-development', [row({ 'Categoría': 'Android' })])],
+    ['duplicate-url', 'una URL repetida en el archivo', () => writeCollection('web-development', [row(), row()])]
+  ])('%s: %s es un error', async (type, _, prepare) => {
+    prepare();
+
+    const { issues } = await scan();
+
+    expect(issues).toContainEqual(expect.objectContaining({ type, severity: 'error' }));
+  });
+
+  test('cross-file-duplicate: una URL en dos archivos es un aviso que apunta a la primera aparición', async () => {
+    writeCollection('android', [row({ 'Categoría': 'Android' })]);
+    writeCollection('web-development', [row()]);
+
+    const { issues } = await scan();
+
+    expect(issues).toEqual([expect.objectContaining({
+      file: 'web-development.json',
+      type: 'cross-file-duplicate',
+      severity: 'warning',
+      row: 0,
+      message: 'También en android.json, fila 0'
+    })]);
+  });
+
+  test('empty-field: los campos opcionales vacíos se resumen por campo como aviso', async () => {
+    writeCollection('web-development', [
+      row({ 'Rating Cliente': '', 'URL del Post': 'https://www.freelancer.ec/projects/web/landing-1' }),
+      row({ 'Rating Cliente': '', 'URL del Post': 'https://www.freelancer.ec/projects/web/landing-2' })
+    ]);
+
+    const { report, issues } = await scan();
+
+    expect(issues).toEqual([expect.objectContaining({
+      type: 'empty-field',
+      severity: 'warning',
+      field: 'Rating Cliente',
+      message: 'Vacío en 2 de 2 filas'
+    })]);
+    expect(report.totals.alwaysEmpty).toEqual(['Rating Cliente']);
+  });
+
+  test('los totales cuentan las incidencias por gravedad y tipo', async () => {
+    writeCollection('web-development', [row(), row({ 'Presupuesto': '???' })]);
+
+    const { report } = await scan();
+
+    expect(report.totals).toMatchObject({
+      rows: 2,
+      errors: 2,
+      warnings: 0,
+      byType: { 'unparseable-budget': 1, 'duplicate-url': 1 }
+    });
+  });
+});
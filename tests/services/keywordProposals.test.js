@@ -0,0 +1,73 @@
+/**
+ * Propuestas de palabras clave de categorías
+ */
+
+const keywordProposals = require('../../src/services/keywordProposals');
+const { writeCollection, readCollection } = require('../helpers/dataFiles');
+
+const NOW = '2025-01-01T00:00:00.000Z';
+
+const category = (id, slug, keywords) => ({
+  id, slug, name: slug, description: '', keywords, order: 1, active: true, createdAt: NOW, updatedAt: NOW
+});
+
+// Una de cada cinco ofertas en orden de URL (p00 y p05) se reserva como prueba
+const listing = (position, categoryId, title) => ({
+  id: `p${position}`,
+  sourceUrl: `https://www.freelancer.ec/projects/p0${position}`,
+  title,
+  categoryId,
+  categoryIds: [categoryId],
+  createdAt: NOW,
+  updatedAt: NOW
+});
+
+beforeEach(() => {
+  writeCollection('categories', [
+    category('cat-logo', 'logo-design', ['logo']),
+    category('cat-graphic', 'graphic-design', ['poster'])
+  ]);
+  writeCollection('listings', [
+    listing(0, 'cat-logo', 'Minimalist vintage logo'),
+    listing(1, 'cat-graphic', 'Minimalist vintage poster for bar'),
+    listing(2, 'cat-graphic', 'Minimalist vintage poster for cafe'),
+    listing(3, 'cat-graphic', 'Minimalist vintage poster for club'),
+    listing(4, 'cat-graphic', 'Minimalist vintage poster for hotel'),
+    listing(5, 'cat-graphic', 'Minimalist vintage poster for gallery'),
+    listing(6, 'cat-logo', 'Brand logo for bakery'),
+    listing(7, 'cat-logo', 'Brand logo for gym'),
+    listing(8, 'cat-logo', 'Brand logo for shop'),
+    listing(9, 'cat-logo', 'Brand logo for salon')
+  ]);
+  writeCollection('keywordProposals', []);
+  require('../../src/utils/storage').adapter.invalidateCache();
+});
+
+describe('proposeKeywords', () => {
+  test('no crea la propuesta de una categoría cuyas ofertas de prueba empeoran', async () => {
+    const result = await keywordProposals.proposeKeywords();
+
+    // Las palabras de graphic-design le quitan a logo-design su oferta de prueba
+    expect(result.proposals.map(proposal => proposal.categorySlug)).toEqual(['graphic-design']);
+    expect(result.proposals[0].proposed.map(entry => entry.keyword)).toEqual(
+      expect.arrayContaining(['minimalist', 'vintage'])
+    );
+    expect(result.skipped).toEqual([expect.objectContaining({
+      categorySlug: 'logo-design',
+      evaluation: {
+        listings: 1,
+        before: { accuracy: 1, coverage: 1 },
+        after: { accuracy: 0, coverage: 1 }
+      }
+    })]);
+
+    expect(readCollection('keywordProposals').map(proposal => proposal.categorySlug)).toEqual(['graphic-design']);
+  });
+
+  test('con dryRun no guarda nada', async () => {
+    const result = await keywordProposals.proposeKeywords({ dryRun: true });
+
+    expect(result.proposals).toHaveLength(1);
+    expect(readCollection('keywordProposals')).toEqual([]);
+  });
+});
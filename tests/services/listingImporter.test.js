@@ -0,0 +1,152 @@
+/**
+ * Importación de ofertas desde las páginas guardadas de fixtures/freelancer-html
+ */
+
+const path = require('path');
+const storage = require('../../src/utils/storage');
+const htmlListingSource = require('../../src/services/htmlListingSource');
+const listingImporter = require('../../src/services/listingImporter');
+const { copyRepoData, FIXTURES_DIR } = require('../helpers/dataFiles');
+
+const HTML_DIR = path.join(FIXTURES_DIR, 'freelancer-html');
+const HOUR = 60 * 60 * 1000;
+// Reciente para que las ofertas con plazo sigan abiertas
+const EXTRACTED_AT = new Date(Math.floor((Date.now() - HOUR) / 60000) * 60000);
+
+const importPages = async (options = {}) => {
+  const { files, rowsByCategory } = await htmlListingSource.loadHtmlDirectory(HTML_DIR, { extractedAt: EXTRACTED_AT });
+  const transform = options.transform || (rows => rows);
+  const result = await listingImporter.importListings({
+    categories: Array.from(rowsByCategory.keys()),
+    dryRun: !!options.dryRun,
+    loadRows: async (slug) => transform(rowsByCategory.get(slug) || null)
+  });
+  return { files, result };
+};
+
+const byTitle = async () => {
+  const listings = await storage.find('listings', {});
+  return new Map(listings.map(listing => [listing.title, listing]));
+};
+
+beforeAll(async () => {
+  copyRepoData(['categories.json']);
+  await storage.initialize();
+});
+
+beforeEach(async () => {
+  await storage.deleteMany('listings', {});
+});
+
+describe('loadHtmlDirectory', () => {
+  test('toma la categoría de la subcarpeta o de la URL de la página', async () => {
+    const { files } = await importPages({ dryRun: true });
+
+    expect(files).toEqual([
+      expect.objectContaining({ file: path.join('logo-design', 'page-1.htm'), category: 'logo-design', classified: false, rows: 3, error: null }),
+      expect.objectContaining({ file: 'web-development-1.html', category: 'web-development', classified: false, rows: 3, error: null })
+    ]);
+  });
+});
+
+describe('importListings', () => {
+  test('guarda las ofertas con presupuesto, plazo y estado', async () => {
+    const { result } = await importPages();
+
+    expect(result.totals).toMatchObject({ rows: 6, listings: 6, inserted: 6, updated: 0, skipped: 0 });
+
+    const listings = await byTitle();
+    const cafeteria = listings.get('Logo para cafetería de especialidad');
+    expect(cafeteria).toMatchObject({
+      categorySlugs: ['logo-design'],
+      status: 'open',
+      proposals: 31,
+      budget: { minAmount: 48, maxAmount: null, currency: 'USD', type: 'hourly', averageBid: false }
+    });
+    expect(Date.parse(cafeteria.deadline) - Date.parse(cafeteria.extractedAt)).toBe((2 * 24 + 5) * HOUR);
+
+    expect(listings.get('Rebranding completo para startup')).toMatchObject({
+      status: 'closed',
+      deadline: null,
+      budget: { minAmount: 100, maxAmount: 300, currency: 'EUR', type: 'fixed' }
+    });
+    expect(listings.get('Tienda online & diseño de catálogo')).toMatchObject({
+      clientRating: 4.8,
+      budget: { minAmount: 250, maxAmount: 750, currency: 'USD' }
+    });
+    expect(listings.get('Icono para app móvil').budget).toBeNull();
+  });
+
+  test('una segunda importación igual no cambia nada', async () => {
+    await importPages();
+    const { result } = await importPages();
+
+    expect(result.totals).toMatchObject({ inserted: 0, updated: 0, unchanged: 6, removed: 0 });
+  });
+
+  test('informa del cambio de presupuesto y de las ofertas que desaparecen', async () => {
+    await importPages();
+    const { result } = await importPages({
+      transform: rows => rows && rows
+        .filter(row => row['Título'] !== 'Icono para app móvil')
+        .map(row => (row['Título'] === 'T3 Stack DI Implementation' ? { ...row, Presupuesto: '$30 / hr Oferta promedio' } : row))
+    });
+
+    expect(result.diff.changed).toEqual([expect.objectContaining({
+      title: 'T3 Stack DI Implementation',
+      fields: ['budget'],
+      budget: {
+        before: expect.objectContaining({ amount: 20 }),
+        after: expect.objectContaining({ amount: 30 })
+      }
+    })]);
+    expect(result.diff.removed.map(listing => listing.title)).toEqual(['Icono para app móvil']);
+  });
+
+  test('con dryRun no escribe nada', async () => {
+    const { result } = await importPages({ dryRun: true });
+
+    expect(result.totals.inserted).toBe(6);
+    expect(result.id).toBeNull();
+    expect(await storage.countDocuments('listings', {})).toBe(0);
+  });
+});
+
+describe('ofertas desaparecidas', () => {
+  const row = (title, url) => ({
+    'Título': title,
+    'URL del Post': `https://www.freelancer.ec/projects/${url}`,
+    'Cliente': '6 días left',
+    'Presupuesto': '$40 Oferta promedio',
+    'Fecha Extracción': '2025-05-17 21:54:16'
+  });
+  const shared = row('Logo y afiche para evento', 'logo-afiche');
+  const logoOnly = row('Logo para panadería', 'logo-panaderia');
+
+  const importRows = (rowsBySlug) => listingImporter.importListings({
+    categories: Object.keys(rowsBySlug),
+    loadRows: async (slug) => rowsBySlug[slug]
+  });
+
+  beforeEach(async () => {
+    await importRows({ 'logo-design': [shared, logoOnly], 'graphic-design': [shared] });
+  });
+
+  test('solo informa de las ofertas cuyas categorías se han importado todas', async () => {
+    const { diff } = await importRows({ 'logo-design': [] });
+
+    expect(diff.removed.map(listing => listing.title)).toEqual(['Logo para panadería']);
+  });
+
+  test('una categoría sin archivo no cuenta como importada', async () => {
+    const { diff } = await importRows({ 'logo-design': [], 'graphic-design': null });
+
+    expect(diff.removed.map(listing => listing.title)).toEqual(['Logo para panadería']);
+  });
+
+  test('informa de las que faltan en todas sus categorías', async () => {
+    const { diff } = await importRows({ 'logo-design': [], 'graphic-design': [] });
+
+    expect(diff.removed.map(listing => listing.title).sort()).toEqual(['Logo para panadería', 'Logo y afiche para evento']);
+  });
+});
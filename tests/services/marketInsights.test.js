@@ -0,0 +1,114 @@
+/**
+ * Estadísticas de presupuestos por categoría sobre un conjunto pequeño de ofertas
+ */
+
+const storage = require('../../src/utils/storage');
+const marketInsights = require('../../src/services/marketInsights');
+const { writeCollection } = require('../helpers/dataFiles');
+
+const CATEGORIES = [
+  { id: 'cat-logo', name: 'Logo Design', slug: 'logo-design', order: 1, active: true },
+  { id: 'cat-web', name: 'Web Development', slug: 'web-development', order: 2, active: true },
+  { id: 'cat-old', name: 'Antigua', slug: 'antigua', order: 3, active: false }
+];
+
+const listing = (id, categoryIds, budget) => ({
+  id,
+  title: `Oferta ${id}`,
+  categoryId: categoryIds[0],
+  categoryIds,
+  budget: budget && { currency: 'USD', type: 'fixed', ...budget }
+});
+
+const LISTINGS = [
+  listing('l1', ['cat-logo'], { amount: 100 }),
+  listing('l2', ['cat-logo'], { amount: 300 }),
+  listing('l3', ['cat-logo', 'cat-web'], { amount: 50 }),
+  listing('l4', ['cat-logo'], { amount: 20, type: 'hourly' }),
+  listing('l5', ['cat-web'], { amount: 200, currency: 'EUR' }),
+  listing('l6', ['cat-web'], null),
+  listing('l7', ['cat-web'], { amount: 1000 }),
+  listing('l8', ['cat-old'], { amount: 5000 })
+];
+
+const EMPTY_AMOUNTS = { count: 0, min: null, median: null, p90: null, max: null, mean: null };
+
+const bucket = (histogram, from) => histogram.find(range => range.from === from).count;
+
+beforeEach(() => {
+  writeCollection('categories', CATEGORIES);
+  writeCollection('listings', LISTINGS);
+  storage.adapter.invalidateCache();
+});
+
+describe('getCategoryInsights', () => {
+  test('resume por separado los presupuestos fijos y por hora de la categoría', async () => {
+    const insights = await marketInsights.getCategoryInsights(CATEGORIES[0]);
+
+    expect(insights).toMatchObject({
+      category: { id: 'cat-logo', name: 'Logo Design', slug: 'logo-design' },
+      currency: 'USD',
+      listings: 4,
+      withoutBudget: 0,
+      otherCurrency: 0,
+      split: { fixed: 3, hourly: 1 },
+      budgets: {
+        fixed: { count: 3, min: 50, median: 100, p90: 260, max: 300, mean: 150 },
+        hourly: { count: 1, min: 20, median: 20, p90: 20, max: 20, mean: 20 }
+      }
+    });
+
+    const { histogram } = insights.budgets.fixed;
+    expect(histogram[0]).toEqual({ from: 0, to: 50, count: 0 });
+    expect([bucket(histogram, 50), bucket(histogram, 100), bucket(histogram, 250)]).toEqual([1, 1, 1]);
+    expect(histogram[histogram.length - 1].to).toBeNull();
+    expect(bucket(insights.budgets.hourly.histogram, 15)).toBe(1);
+  });
+
+  test('cuenta aparte las ofertas sin presupuesto y las de otra moneda', async () => {
+    const insights = await marketInsights.getCategoryInsights(CATEGORIES[1]);
+
+    expect(insights).toMatchObject({
+      listings: 4,
+      withoutBudget: 1,
+      otherCurrency: 1,
+      split: { fixed: 2, hourly: 0 },
+      budgets: {
+        fixed: { count: 2, min: 50, median: 525, p90: 905, max: 1000, mean: 525 },
+        hourly: EMPTY_AMOUNTS
+      }
+    });
+  });
+
+  test('solo usa los presupuestos de la moneda pedida', async () => {
+    const insights = await marketInsights.getCategoryInsights(CATEGORIES[1], { currency: 'EUR' });
+
+    expect(insights).toMatchObject({
+      currency: 'EUR',
+      otherCurrency: 2,
+      budgets: { fixed: { count: 1, median: 200 } }
+    });
+  });
+});
+
+describe('getAllInsights', () => {
+  test('resume el conjunto y cada categoría activa, de más a menos ofertas', async () => {
+    writeCollection('listings', [...LISTINGS, listing('l9', ['cat-web'], { amount: 80 })]);
+    storage.adapter.invalidateCache();
+
+    const { overall, categories } = await marketInsights.getAllInsights();
+
+    expect(overall).toMatchObject({
+      listings: 9,
+      withoutBudget: 1,
+      otherCurrency: 1,
+      split: { fixed: 6, hourly: 1 },
+      budgets: { fixed: { count: 6, min: 50, median: 200, max: 5000 } }
+    });
+    // Una oferta en dos categorías cuenta en las dos; las inactivas no aparecen
+    expect(categories.map(entry => [entry.category.slug, entry.listings])).toEqual([
+      ['web-development', 5],
+      ['logo-design', 4]
+    ]);
+  });
+});
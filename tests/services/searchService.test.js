@@ -0,0 +1,47 @@
+/**
+ * Búsqueda con los grupos de sinónimos de la colección synonyms
+ */
+
+const { writeCollection } = require('../helpers/dataFiles');
+
+let searchService;
+let synonymService;
+
+const rankedIds = async (query) => (await searchService.rank('services', query)).map(result => result.id);
+
+beforeEach(() => {
+  writeCollection('services', [
+    { id: 'srv-app', title: 'Desarrollo de aplicación móvil', active: true },
+    { id: 'srv-app-ios', title: 'App para iOS', active: true },
+    { id: 'srv-web', title: 'Diseño web', active: true }
+  ]);
+  writeCollection('synonyms', []);
+
+  // Cada prueba empieza con el diccionario y los índices vacíos
+  jest.resetModules();
+  searchService = require('../../src/services/searchService');
+  synonymService = require('../../src/services/synonymService');
+});
+
+describe('rank', () => {
+  test('encuentra los documentos que usan un término equivalente', async () => {
+    expect(await rankedIds('app')).toEqual(['srv-app-ios']);
+
+    await synonymService.createGroup({ terms: ['app', 'aplicación móvil'] });
+
+    expect(await rankedIds('app')).toEqual(['srv-app-ios', 'srv-app']);
+    expect(await synonymService.expandQuery('app')).toEqual([{ term: 'app', synonyms: ['aplicacion movil'] }]);
+  });
+
+  test('deja de usar los grupos desactivados o eliminados', async () => {
+    const group = await synonymService.createGroup({ terms: ['app', 'aplicación móvil'] });
+    expect(await rankedIds('app')).toContain('srv-app');
+
+    await synonymService.updateGroup(group.id, { active: false });
+    expect(await rankedIds('app')).toEqual(['srv-app-ios']);
+
+    await synonymService.updateGroup(group.id, { active: true });
+    await synonymService.deleteGroup(group.id);
+    expect(await rankedIds('app')).toEqual(['srv-app-ios']);
+  });
+});
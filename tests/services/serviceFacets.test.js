@@ -0,0 +1,132 @@
+/**
+ * Filtros combinables de la búsqueda de servicios y recuentos por filtro
+ */
+
+const { writeCollection } = require('../helpers/dataFiles');
+
+let serviceFacets;
+
+const service = (id, fields) => ({ id, active: true, priceType: 'fixed', ...fields });
+
+const SERVICES = [
+  service('s1', { title: 'Logo minimalista', category: 'cat-logo', token: 'WLD', price: 20, rating: 4.5, deliveryTime: 3, provider: 'u-orb' }),
+  service('s2', { title: 'Logo animado por horas', category: 'cat-logo', priceType: 'hourly', token: 'usdc', price: 60, rating: 3.2, deliveryTime: '7', provider: 'u-phone' }),
+  service('s3', { title: 'Tienda web', category: 'cat-web', token: 'WLD', price: 300, rating: 4.9, deliveryTime: 14, provider: 'u-device' }),
+  service('s4', { title: 'Banner web', category: 'cat-web', token: 'USDC', price: 5, rating: 0, deliveryTime: null, provider: 'u-orb' }),
+  service('s5', { title: 'Logo retirado', category: 'cat-logo', token: 'WLD', price: 40, rating: 5, deliveryTime: 1, provider: 'u-orb', active: false })
+];
+
+const ids = (results) => results.map(result => result.id);
+const counts = (facet) => facet.map(entry => [entry.value, entry.count]);
+
+beforeEach(() => {
+  writeCollection('categories', [
+    { id: 'cat-logo', name: 'Logo Design', slug: 'logo-design' },
+    { id: 'cat-web', name: 'Web Development', slug: 'web-development' }
+  ]);
+  writeCollection('users', [
+    { id: 'u-orb', verificationLevel: 'orb' },
+    { id: 'u-phone', verificationLevel: 'phone' },
+    { id: 'u-device', verificationLevel: 'device' }
+  ]);
+  writeCollection('services', SERVICES);
+
+  // Cada prueba empieza con la caché y el índice de búsqueda vacíos
+  jest.resetModules();
+  serviceFacets = require('../../src/services/serviceFacets');
+});
+
+describe('parseFilters', () => {
+  test('lee las listas separadas por comas y los números', () => {
+    expect(serviceFacets.parseFilters({
+      category: 'cat-logo, cat-web',
+      priceType: 'fixed',
+      token: 'wld,usdc',
+      minPrice: '10',
+      maxPrice: '400',
+      minRating: '4',
+      maxDeliveryTime: '7',
+      verificationLevel: 'phone',
+      page: '2'
+    })).toEqual({
+      category: ['cat-logo', 'cat-web'],
+      priceType: ['fixed'],
+      token: ['WLD', 'USDC'],
+      price: { min: 10, max: 400 },
+      rating: 4,
+      deliveryTime: 7,
+      verificationLevel: 'phone'
+    });
+    expect(serviceFacets.parseFilters({ q: 'logo', minPrice: '' })).toEqual({});
+  });
+
+  test.each([
+    [{ priceType: 'monthly' }, /priceType/],
+    [{ minPrice: 'barato' }, /minPrice debe ser un número positivo/],
+    [{ maxPrice: '-1' }, /maxPrice debe ser un número positivo/],
+    [{ minPrice: '50', maxPrice: '10' }, /minPrice no puede ser mayor que maxPrice/],
+    [{ minRating: '6' }, /minRating debe estar entre 0 y 5/],
+    [{ verificationLevel: 'retina' }, /verificationLevel/]
+  ])('rechaza %j con un error 400', (query, message) => {
+    let thrown;
+    try {
+      serviceFacets.parseFilters(query);
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toMatchObject({ name: 'RequestError', statusCode: 400, message: expect.stringMatching(message) });
+  });
+});
+
+describe('findServices', () => {
+  test('sin filtros cuenta todos los servicios activos', async () => {
+    const { total, results, facets } = await serviceFacets.findServices();
+
+    expect(total).toBe(4);
+    expect(ids(results)).toEqual(['s1', 's2', 's3', 's4']);
+    expect(facets.category).toEqual([
+      { value: 'cat-logo', label: 'Logo Design', slug: 'logo-design', count: 2 },
+      { value: 'cat-web', label: 'Web Development', slug: 'web-development', count: 2 }
+    ]);
+    expect(counts(facets.priceType)).toEqual([['fixed', 3], ['hourly', 1]]);
+    expect(counts(facets.token)).toEqual([['USDC', 2], ['WLD', 2]]);
+    expect(facets.price.filter(range => range.count > 0).map(range => range.from)).toEqual([0, 10, 50, 250]);
+    expect(facets.rating).toEqual([{ min: 4, count: 2 }, { min: 3, count: 3 }, { min: 2, count: 3 }, { min: 1, count: 3 }]);
+    expect(facets.deliveryTime.map(entry => entry.count)).toEqual([0, 1, 2, 3, 3]);
+    expect(counts(facets.verificationLevel)).toEqual([['orb', 2], ['phone', 3], ['device', 4]]);
+  });
+
+  test('el recuento de un filtro no aplica ese filtro pero sí los demás', async () => {
+    const { total, facets } = await serviceFacets.findServices({
+      filters: serviceFacets.parseFilters({ category: 'cat-logo' })
+    });
+
+    expect(total).toBe(2);
+    expect(counts(facets.category)).toEqual([['cat-logo', 2], ['cat-web', 2]]);
+    expect(counts(facets.priceType)).toEqual([['fixed', 1], ['hourly', 1]]);
+    expect(counts(facets.token)).toEqual([['USDC', 1], ['WLD', 1]]);
+  });
+
+  test.each([
+    [{ category: 'cat-logo,cat-web', priceType: 'fixed', minPrice: '10', maxPrice: '400', minRating: '4' }, ['s1', 's3']],
+    [{ minRating: '4', verificationLevel: 'phone' }, ['s1']],
+    [{ maxDeliveryTime: '7' }, ['s1', 's2']],
+    [{ token: 'usdc', maxPrice: '50' }, ['s4']],
+    [{ category: 'cat-otra' }, []]
+  ])('combina los filtros %j', async (query, expected) => {
+    const { total, results } = await serviceFacets.findServices({ filters: serviceFacets.parseFilters(query) });
+
+    expect(ids(results)).toEqual(expected);
+    expect(total).toBe(expected.length);
+  });
+
+  test('con texto solo cuenta los servicios que coinciden y pagina sobre ellos', async () => {
+    const { total, results, facets } = await serviceFacets.findServices({ query: 'logo', skip: 1, limit: 1 });
+
+    expect(total).toBe(2);
+    expect(results).toHaveLength(1);
+    expect(results[0]).toHaveProperty('relevance');
+    expect(counts(facets.category)).toEqual([['cat-logo', 2]]);
+  });
+});
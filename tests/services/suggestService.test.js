@@ -0,0 +1,135 @@
+/**
+ * Autocompletado: umbral de búsquedas, escritura agrupada y actualización
+ * de la lista en memoria
+ */
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { writeCollection, readCollection } = require('../helpers/dataFiles');
+const { SEARCH } = require('../../src/config/constants');
+
+const MIN = SEARCH.SUGGEST_MIN_QUERY_COUNT;
+
+let storage;
+let suggestService;
+
+const search = async (text, times) => {
+  for (let i = 0; i < times; i++) await suggestService.recordQuery(text);
+};
+
+beforeEach(() => {
+  writeCollection('categories', [
+    { id: 'cat-logo', name: 'Diseño de logos', slug: 'logo-design', active: true }
+  ]);
+  writeCollection('services', [
+    { id: 'srv-1', title: 'Logo minimalista', category: 'cat-logo', active: true }
+  ]);
+  writeCollection('listings', []);
+  writeCollection('searchQueries', [
+    { id: 'q-1', query: 'logo animado', text: 'logo animado', count: MIN + 1 }
+  ]);
+
+  // Cada prueba empieza con la lista en memoria y las búsquedas pendientes vacías
+  jest.resetModules();
+  storage = require('../../src/utils/storage');
+  suggestService = require('../../src/services/suggestService');
+});
+
+describe('suggest', () => {
+  test('sugiere categorías, servicios y búsquedas frecuentes por el comienzo de cualquier palabra', async () => {
+    const suggestions = await suggestService.suggest('logo');
+
+    expect(suggestions.map(suggestion => suggestion.text)).toEqual([
+      'logo animado',
+      'Diseño de logos',
+      'Logo minimalista'
+    ]);
+    expect(suggestions[0]).toMatchObject({ weight: MIN + 1, sources: ['query'] });
+  });
+});
+
+describe('recordQuery', () => {
+  test('no escribe nada hasta flushQueries y guarda las repeticiones juntas', async () => {
+    await search('Logo  3D', 2);
+    expect(readCollection('searchQueries')).toHaveLength(1);
+
+    await expect(suggestService.flushQueries()).resolves.toBe(1);
+
+    const saved = readCollection('searchQueries').find(query => query.query === 'logo 3d');
+    expect(saved).toMatchObject({ text: 'Logo 3D', count: 2 });
+    await expect(suggestService.flushQueries()).resolves.toBe(0);
+  });
+
+  test('solo sugiere una búsqueda cuando llega al mínimo de veces', async () => {
+    await suggestService.suggest('logo');
+
+    await search('logo 3d', MIN - 1);
+    await suggestService.flushQueries();
+    expect((await suggestService.suggest('3d')).map(suggestion => suggestion.text)).toEqual([]);
+
+    await search('logo 3d', 1);
+    await suggestService.flushQueries();
+    expect(await suggestService.suggest('3d')).toEqual([
+      { text: 'logo 3d', weight: MIN, sources: ['query'] }
+    ]);
+  });
+
+  test('suma las búsquedas guardadas a la lista en memoria sin reconstruirla', async () => {
+    await suggestService.suggest('logo');
+    const find = jest.spyOn(storage, 'find');
+
+    await search('logo animado', 2);
+    await search('marca personal', MIN);
+    await suggestService.flushQueries();
+
+    const logo = await suggestService.suggest('logo');
+    expect(logo[0]).toMatchObject({ text: 'logo animado', weight: MIN + 3 });
+    // Un texto nuevo se encuentra por cualquiera de sus palabras
+    expect((await suggestService.suggest('pers')).map(suggestion => suggestion.text)).toEqual(['marca personal']);
+    expect(find).not.toHaveBeenCalled();
+
+    find.mockRestore();
+  });
+
+  test('los cambios en otras colecciones sí reconstruyen la lista', async () => {
+    await suggestService.suggest('logo');
+
+    await storage.updateOne('categories', { id: 'cat-logo' }, { $set: { name: 'Logotipos animados' } });
+
+    expect((await suggestService.suggest('logotipos')).map(suggestion => suggestion.text))
+      .toEqual(['Logotipos animados']);
+  });
+});
+
+describe('cierre del servidor', () => {
+  const freePort = () => new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+  test('guarda las búsquedas pendientes al recibir SIGTERM', async () => {
+    const port = await freePort();
+    const server = spawn(process.execPath, [path.join(__dirname, '../../src/server.js')], {
+      env: { ...process.env, PORT: String(port), LISTING_EXPIRY_INTERVAL_MS: '0' },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    const exited = new Promise(resolve => server.on('exit', resolve));
+    await new Promise((resolve) => {
+      server.stdout.on('data', (chunk) => {
+        if (chunk.toString().includes('Servidor ejecutándose')) resolve();
+      });
+    });
+
+    const response = await fetch(`http://127.0.0.1:${port}/api/categories/search?query=logos`);
+    expect(response.status).toBe(200);
+    expect(readCollection('searchQueries').map(query => query.query)).not.toContain('logos');
+
+    server.kill('SIGTERM');
+    expect(await exited).toBe(0);
+
+    expect(readCollection('searchQueries')).toContainEqual(expect.objectContaining({ query: 'logos', count: 1 }));
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Búsqueda unificada: un grupo paginado por tipo, resultados con la misma
+ * forma y solo los documentos activos de cada tipo
+ */
+
+const { writeCollection } = require('../helpers/dataFiles');
+const { LISTING_STATUS } = require('../../src/config/constants');
+
+let unifiedSearch;
+
+beforeEach(() => {
+  writeCollection('categories', [
+    { id: 'cat-logo', name: 'Diseño de logos', slug: 'logo-design', icon: 'pen', active: true },
+    { id: 'cat-old', name: 'Logos antiguos', slug: 'old-logos', active: false }
+  ]);
+  writeCollection('services', [
+    { id: 'srv-1', title: 'Logo minimalista', description: 'Un logo limpio', category: 'cat-logo', provider: 'usr-1', price: 30, active: true },
+    { id: 'srv-2', title: 'Logo animado', category: 'cat-logo', provider: 'usr-2', price: 50, active: true },
+    { id: 'srv-3', title: 'Logo en 3D', category: 'cat-logo', provider: 'usr-2', price: 80, active: true },
+    { id: 'srv-4', title: 'Logo retirado', category: 'cat-logo', provider: 'usr-3', price: 10, active: false }
+  ]);
+  writeCollection('listings', [
+    { id: 'lst-1', title: 'Busco logo para cafetería', categorySlugs: ['logo-design'], status: LISTING_STATUS.OPEN, deadline: null, sourceUrl: 'https://example.com/1' },
+    { id: 'lst-2', title: 'Logo para tienda', categorySlugs: ['logo-design'], status: LISTING_STATUS.EXPIRED, deadline: null, sourceUrl: 'https://example.com/2' }
+  ]);
+  writeCollection('users', [
+    // Proveedor por tener un servicio activo
+    { id: 'usr-1', name: 'Ana', bio: 'Diseño logos desde 2010', isActive: true },
+    // Sin servicios activos ni marca de proveedor
+    { id: 'usr-3', name: 'Luis', bio: 'Logos en 3D', isActive: true },
+    { id: 'usr-4', name: 'Marta', bio: 'Especialista en logos', isProvider: true, isActive: true },
+    { id: 'usr-5', name: 'Pablo', bio: 'Logos', isProvider: true, isActive: false }
+  ]);
+  writeCollection('synonyms', []);
+
+  // Cada prueba empieza con los índices vacíos
+  jest.resetModules();
+  unifiedSearch = require('../../src/services/unifiedSearch');
+});
+
+const ids = (group) => group.hits.map(hit => hit.id).sort();
+
+describe('search', () => {
+  test('devuelve un grupo por tipo con los documentos activos', async () => {
+    const groups = await unifiedSearch.search('logo', { limit: 10 });
+
+    expect(Object.keys(groups)).toEqual(['category', 'service', 'project', 'provider']);
+    expect(ids(groups.category)).toEqual(['cat-logo']);
+    expect(ids(groups.service)).toEqual(['srv-1', 'srv-2', 'srv-3']);
+    expect(ids(groups.project)).toEqual(['lst-1']);
+    expect(ids(groups.provider)).toEqual(['usr-1', 'usr-4']);
+  });
+
+  test('los resultados tienen la misma forma en todos los tipos', async () => {
+    const groups = await unifiedSearch.search('logo', { types: ['category', 'provider'], limit: 10 });
+
+    expect(Object.keys(groups)).toEqual(['category', 'provider']);
+    expect(groups.category.hits[0]).toEqual({
+      type: 'category',
+      id: 'cat-logo',
+      title: 'Diseño de logos',
+      description: null,
+      score: expect.any(Number),
+      highlights: { title: 'Diseño de <mark>logos</mark>' },
+      meta: { slug: 'logo-design', icon: 'pen' }
+    });
+    expect(groups.provider.hits.find(hit => hit.id === 'usr-4')).toMatchObject({
+      type: 'provider',
+      title: 'Marta',
+      description: 'Especialista en logos',
+      highlights: { description: 'Especialista en <mark>logos</mark>' }
+    });
+  });
+
+  test('pagina cada grupo por separado', async () => {
+    const first = await unifiedSearch.search('logo', { types: ['service', 'provider'], limit: 2 });
+    const second = await unifiedSearch.search('logo', { types: ['service', 'provider'], pages: { service: 2 }, limit: 2 });
+
+    expect(first.service).toMatchObject({ total: 3, page: 1, limit: 2, pages: 2 });
+    expect(first.service.hits).toHaveLength(2);
+    expect(second.service).toMatchObject({ total: 3, page: 2, pages: 2 });
+    expect(second.service.hits).toHaveLength(1);
+    expect(ids(first.service).concat(ids(second.service)).sort()).toEqual(['srv-1', 'srv-2', 'srv-3']);
+    // La página de un grupo no cambia la de los demás
+    expect(second.provider).toMatchObject({ total: 2, page: 1 });
+    expect(ids(second.provider)).toEqual(ids(first.provider));
+  });
+
+  test('un tipo sin coincidencias devuelve un grupo vacío', async () => {
+    const groups = await unifiedSearch.search('cafetería', { limit: 10 });
+
+    expect(ids(groups.project)).toEqual(['lst-1']);
+    expect(groups.service).toEqual({ total: 0, page: 1, limit: 10, pages: 0, hits: [] });
+  });
+});
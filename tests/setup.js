@@ -0,0 +1,16 @@
+/**
+ * setup.js
+ * Se ejecuta antes de cada archivo de pruebas: le da un directorio de datos
+ * temporal propio (DATA_DIR) que se borra al terminar
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-test-'));
+process.env.DATA_DIR = dataDir;
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,112 @@
+/**
+ * Escrituras múltiples del almacenamiento: recuentos de insertMany y
+ * updateMany, upserts y escrituras de todo o nada
+ */
+
+const storage = require('../../src/utils/storage');
+const { ValidationError, DuplicateKeyError } = require('../../src/utils/errors');
+const { writeCollection, readCollection } = require('../helpers/dataFiles');
+
+const NOW = '2025-01-01T00:00:00.000Z';
+
+const service = (id, fields = {}) => ({
+  id,
+  title: `Servicio ${id}`,
+  description: 'Descripción',
+  category: 'cat-logo',
+  provider: 'user-1',
+  price: 10,
+  createdAt: NOW,
+  updatedAt: NOW,
+  ...fields
+});
+
+const wallet = (digit) => `0x${digit.repeat(40)}`;
+
+beforeEach(() => {
+  writeCollection('services', [
+    service('srv-1', { price: 10 }),
+    service('srv-2', { price: 20 }),
+    service('srv-3', { price: 20, category: 'cat-web' })
+  ]);
+  writeCollection('users', [{ id: 'user-1', walletAddress: wallet('a'), createdAt: NOW, updatedAt: NOW }]);
+  storage.adapter.invalidateCache();
+});
+
+describe('insertMany', () => {
+  test('devuelve el número de documentos insertados con sus ids', async () => {
+    const { insertedCount, data } = await storage.insertMany('services', [
+      { title: 'Uno', description: 'd', category: 'cat-logo', provider: 'user-1', price: 1 },
+      { title: 'Dos', description: 'd', category: 'cat-logo', provider: 'user-1', price: 2 }
+    ]);
+
+    expect(insertedCount).toBe(2);
+    expect(data.every(document => document.id && document.createdAt)).toBe(true);
+    expect(readCollection('services')).toHaveLength(5);
+  });
+
+  test('un documento inválido anula la inserción de todos', async () => {
+    const before = readCollection('services');
+
+    const insert = storage.insertMany('services', [
+      { title: 'Válido', description: 'd', category: 'cat-logo', provider: 'user-1', price: 1 },
+      { title: 'Precio negativo', description: 'd', category: 'cat-logo', provider: 'user-1', price: -1 }
+    ]);
+
+    await expect(insert).rejects.toBeInstanceOf(ValidationError);
+    await expect(insert).rejects.toMatchObject({
+      errors: ['Documento 1: El precio debe ser un número no negativo']
+    });
+    expect(readCollection('services')).toEqual(before);
+  });
+
+  test('una clave única repetida anula la inserción de todos', async () => {
+    await expect(storage.insertMany('users', [
+      { walletAddress: wallet('b') },
+      { walletAddress: wallet('a') }
+    ])).rejects.toBeInstanceOf(DuplicateKeyError);
+
+    expect(readCollection('users').map(user => user.id)).toEqual(['user-1']);
+  });
+});
+
+describe('updateMany', () => {
+  test('distingue documentos encontrados y modificados', async () => {
+    const result = await storage.updateMany('services', { category: 'cat-logo' }, { $set: { price: 20 } });
+
+    expect(result).toEqual({ matchedCount: 2, modifiedCount: 1, upsertedCount: 0, upsertedId: null });
+    expect(readCollection('services').map(document => document.price)).toEqual([20, 20, 20]);
+  });
+
+  test('con upsert inserta un documento si ninguno cumple la consulta', async () => {
+    const result = await storage.updateMany(
+      'services',
+      { category: 'cat-app' },
+      { $set: { title: 'App', description: 'd', provider: 'user-1', price: 5 } },
+      { upsert: true }
+    );
+
+    expect(result).toMatchObject({ matchedCount: 0, modifiedCount: 0, upsertedCount: 1 });
+    expect(await storage.findById('services', result.upsertedId)).toMatchObject({ category: 'cat-app', price: 5 });
+  });
+
+  test('si un documento queda inválido no se modifica ninguno', async () => {
+    const before = readCollection('services');
+
+    await expect(storage.updateMany('services', {}, { $inc: { price: -15 } })).rejects.toBeInstanceOf(ValidationError);
+
+    expect(readCollection('services')).toEqual(before);
+  });
+});
+
+describe('transacciones', () => {
+  test('un error después de una inserción múltiple la deshace', async () => {
+    await expect(storage.transaction(async (tx) => {
+      await tx.insertMany('services', [service('srv-4'), service('srv-5')]);
+      await tx.insertOne('users', { walletAddress: wallet('a') });
+    })).rejects.toBeInstanceOf(DuplicateKeyError);
+
+    expect(readCollection('services').map(document => document.id)).toEqual(['srv-1', 'srv-2', 'srv-3']);
+    expect(await storage.countDocuments('services', {})).toBe(3);
+  });
+});
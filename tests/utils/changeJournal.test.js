@@ -0,0 +1,165 @@
+/**
+ * Diario de cambios, snapshots y restauración a una fecha
+ */
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const storage = require('../../src/utils/storage');
+const changeJournal = require('../../src/utils/changeJournal');
+const snapshotManager = require('../../src/utils/snapshotManager');
+const { copyRepoData } = require('../helpers/dataFiles');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const instant = async () => {
+  await tick();
+  const at = new Date().toISOString();
+  await tick();
+  return at;
+};
+
+describe('diario', () => {
+  test('registra cada documento modificado con su estado anterior y posterior', async () => {
+    const first = await storage.insertOne('transactions', { userId: 'usr-1', amount: 1 });
+    await storage.updateOne('transactions', { id: first.id }, { amount: 2 });
+    await storage.deleteOne('transactions', { id: first.id });
+
+    const entries = await changeJournal.readEntries('transactions');
+
+    expect(entries.map(entry => [entry.seq, entry.op])).toEqual([[1, 'insert'], [2, 'update'], [3, 'delete']]);
+    expect(entries[1].before.amount).toBe(1);
+    expect(entries[1].after.amount).toBe(2);
+    expect(entries[2].after).toBeNull();
+  });
+
+  test('las escrituras de una transacción comparten transactionId', async () => {
+    await storage.transaction(async (tx) => {
+      await tx.insertOne('transactions', { userId: 'usr-2' });
+      await tx.insertOne('schemaVersions', { collection: 'x', version: 1 });
+    });
+
+    const [payment] = await changeJournal.readEntries('transactions', { afterSeq: 3 });
+    const [version] = await changeJournal.readEntries('schemaVersions');
+    expect(payment.transactionId).toBeTruthy();
+    expect(payment.transactionId).toBe(version.transactionId);
+  });
+
+  test('otro proceso que escribe a la vez no repite ni desordena las secuencias', async () => {
+    const script = `
+      const changeJournal = require(${JSON.stringify(require.resolve('../../src/utils/changeJournal'))});
+      (async () => {
+        console.log('listo');
+        for (let i = 0; i < 40; i++) {
+          await changeJournal.appendEntries('notes', [{ op: 'insert', after: { id: 'cli-' + i } }]);
+        }
+      })();
+    `;
+    const child = spawn(process.execPath, ['-e', script], { env: process.env, stdio: ['ignore', 'pipe', 'inherit'] });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    await new Promise(resolve => child.stdout.once('data', resolve));
+
+    for (let i = 0; i < 40; i++) {
+      await changeJournal.appendEntries('notes', [{ op: 'insert', after: { id: `server-${i}` } }]);
+    }
+    expect(await exited).toBe(0);
+
+    const lines = fs.readFileSync(changeJournal.getJournalPath('notes'), 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).seq)).toEqual(Array.from({ length: 80 }, (_, i) => i + 1));
+    expect(await changeJournal.getLastSequence('notes')).toBe(80);
+  });
+
+  test('replayEntries aplica las entradas en orden y es idempotente', () => {
+    const entries = [
+      { documentId: 'a', after: { id: 'a', v: 2 } },
+      { documentId: 'b', after: null },
+      { documentId: 'c', after: { id: 'c', v: 1 } }
+    ];
+    const start = [{ id: 'a', v: 1 }, { id: 'b', v: 1 }];
+
+    const once = changeJournal.replayEntries(start, entries);
+    expect(once).toEqual([{ id: 'a', v: 2 }, { id: 'c', v: 1 }]);
+    expect(changeJournal.replayEntries(once, entries)).toEqual(once);
+    expect(start).toEqual([{ id: 'a', v: 1 }, { id: 'b', v: 1 }]);
+  });
+});
+
+describe('restauración', () => {
+  beforeAll(() => {
+    // Datos que ya existían antes de que empezara el diario
+    copyRepoData(['categories.json']);
+    storage.adapter.invalidateCache();
+  });
+
+  test('parte del estado anterior al diario y solo revierte lo editado', async () => {
+    const categories = await storage.find('categories', {});
+    const [target] = categories;
+
+    const before = await instant();
+    await storage.updateOne('categories', { id: target.id }, { description: 'Edición manual errónea' });
+
+    const report = await snapshotManager.restoreCollection('categories', before, { dryRun: true });
+
+    expect(report).toMatchObject({ snapshot: null, baseline: true, changed: 1 });
+    expect(report.documents).toEqual([{ id: target.id, action: 'reverted', fields: expect.arrayContaining(['description']) }]);
+
+    await snapshotManager.restoreCollection('categories', before);
+    expect(await storage.findById('categories', target.id)).toEqual(target);
+    expect(await storage.countDocuments('categories', {})).toBe(categories.length);
+  });
+
+  test('usa la última snapshot anterior a la fecha', async () => {
+    const [target] = await storage.find('categories', {}, { sort: 'order', limit: 1 });
+    await storage.updateOne('categories', { id: target.id }, { order: 100 });
+    const manifest = await snapshotManager.createSnapshot({ collections: ['categories'] });
+
+    const before = await instant();
+    await storage.updateOne('categories', { id: target.id }, { order: 200 });
+
+    const { documents, snapshot, replayed } = await snapshotManager.reconstructCollection('categories', before);
+    expect(snapshot).toBe(manifest.id);
+    expect(replayed).toBe(0);
+    expect(documents.find(document => document.id === target.id).order).toBe(100);
+  });
+
+  test('se niega a restaurar sin snapshot ni estado anterior al diario salvo con force', async () => {
+    const first = await storage.insertOne('unlockedServices', { userId: 'usr-1', serviceId: 'srv-1', transactionId: 'tx-1' });
+    const before = await instant();
+    await storage.updateOne('unlockedServices', { id: first.id }, { serviceId: 'srv-2' });
+    fs.rmSync(changeJournal.getBaselinePath('unlockedServices'));
+
+    await expect(snapshotManager.restoreCollection('unlockedServices', before, { dryRun: true }))
+      .rejects.toThrow(/force/);
+
+    const report = await snapshotManager.restoreCollection('unlockedServices', before, { dryRun: true, force: true });
+    expect(report.snapshot).toBeNull();
+    expect(report.baseline).toBe(false);
+  });
+
+  test('guarda el estado anterior solo antes de la primera entrada', async () => {
+    await storage.insertOne('chatResponses', { keywords: ['uno'], text: 'Uno' });
+    const baseline = await changeJournal.readBaseline('chatResponses');
+    await storage.insertOne('chatResponses', { keywords: ['dos'], text: 'Dos' });
+
+    expect(baseline.documents).toEqual([]);
+    expect(await changeJournal.readBaseline('chatResponses')).toEqual(baseline);
+  });
+});
+
+describe('driver mongo', () => {
+  test('las snapshots y la restauración se rechazan', async () => {
+    const snapshots = await snapshotManager.listSnapshots();
+    let manager;
+    jest.isolateModules(() => {
+      process.env.STORAGE_DRIVER = 'mongo';
+      try {
+        manager = require('../../src/utils/snapshotManager');
+      } finally {
+        delete process.env.STORAGE_DRIVER;
+      }
+    });
+
+    await expect(manager.createSnapshot()).rejects.toThrow(/driver json/);
+    await expect(manager.restoreCollection('categories', new Date(), { dryRun: true })).rejects.toThrow(/driver json/);
+    expect(await snapshotManager.listSnapshots()).toEqual(snapshots);
+  });
+});
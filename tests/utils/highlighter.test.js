@@ -0,0 +1,42 @@
+/**
+ * Fragmentos resaltados: palabras con acentos o en otra forma, escape de
+ * HTML y recorte alrededor de la primera coincidencia
+ */
+
+const { highlight } = require('../../src/utils/highlighter');
+const { analyze } = require('../../src/utils/textAnalyzer');
+
+const terms = (query) => new Set(analyze(query));
+
+describe('highlight', () => {
+  test.each([
+    ['marca las formas de la misma raíz', 'Diseños únicos y diseño web', 'diseño', '<mark>Diseños</mark> únicos y <mark>diseño</mark> web'],
+    ['marca la palabra con acentos aunque se busque sin ellos', 'Educación y diseño', 'educacion', '<mark>Educación</mark> y diseño'],
+    ['marca la palabra sin acentos aunque se busque con ellos', 'Logo para tu cancion', 'canción', 'Logo para tu <mark>cancion</mark>'],
+    ['marca desde el primer carácter tras una palabra con acentos', 'Ñandú logotipo', 'logotipos', 'Ñandú <mark>logotipo</mark>'],
+    ['conserva los símbolos de las tecnologías', 'C++ y node.js', 'c++ node.js', '<mark>C++</mark> y <mark>node.js</mark>'],
+    ['escapa el HTML del texto', '<b>Logo</b> & "marca"', 'logo', '&lt;b&gt;<mark>Logo</mark>&lt;/b&gt; &amp; &quot;marca&quot;']
+  ])('%s', (_, text, query, expected) => {
+    expect(highlight(text, terms(query))).toBe(expected);
+  });
+
+  test('recorta un texto largo en límites de palabra alrededor de la primera coincidencia', () => {
+    const text = `${'palabra '.repeat(40)}logotipo final ${'relleno '.repeat(40)}`;
+
+    const fragment = highlight(text, terms('logotipo'), { maxLength: 40 });
+
+    expect(fragment).toBe('…palabra <mark>logotipo</mark> final relleno…');
+  });
+
+  test('un texto corto se devuelve entero', () => {
+    expect(highlight('Diseño de logotipos', terms('logotipo'), { maxLength: 40 })).toBe('Diseño de <mark>logotipos</mark>');
+  });
+
+  test.each([
+    ['sin coincidencias', 'Nada que ver', 'diseño'],
+    ['sin texto', null, 'diseño'],
+    ['sin términos', 'Diseño web', '']
+  ])('devuelve null %s', (_, text, query) => {
+    expect(highlight(text, terms(query))).toBeNull();
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Escrituras de jsonStore: bloqueo por colección, escritura atómica,
+ * transacciones y recuperación al arrancar
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonStore = require('../../src/utils/jsonStore');
+const { writeCollection, readCollection } = require('../helpers/dataFiles');
+
+const tempFiles = () => fs.readdirSync(process.env.DATA_DIR).filter(file => file.endsWith('.tmp'));
+
+const dataPath = (file) => path.join(process.env.DATA_DIR, file);
+
+beforeEach(() => {
+  writeCollection('notes', [{ id: 'n1', text: 'primera', count: 0 }]);
+  jsonStore.invalidateCache();
+});
+
+describe('bloqueo de escritura', () => {
+  test('las escrituras simultáneas sobre una colección no se pisan', async () => {
+    await Promise.all(Array.from({ length: 40 }, (_, position) => (
+      position % 2 === 0
+        ? jsonStore.updateOne('notes', { id: 'n1' }, { [`field${position}`]: position })
+        : jsonStore.insertOne('notes', { text: `nota ${position}` })
+    )));
+
+    const saved = readCollection('notes');
+    expect(saved).toHaveLength(21);
+    const first = saved.find(document => document.id === 'n1');
+    expect(Object.keys(first).filter(key => key.startsWith('field'))).toHaveLength(20);
+    expect(tempFiles()).toEqual([]);
+  });
+
+  test('una escritura fallida libera el bloqueo y deja el archivo intacto', async () => {
+    // JSON.stringify no puede escribir una referencia circular
+    const circular = { text: 'circular' };
+    circular.self = circular;
+    await expect(jsonStore.insertOne('notes', circular)).rejects.toThrow(TypeError);
+    await jsonStore.updateOne('notes', { id: 'n1' }, { count: 1 });
+
+    expect(readCollection('notes')).toEqual([expect.objectContaining({ id: 'n1', count: 1 })]);
+    expect(tempFiles()).toEqual([]);
+  });
+
+  test('el archivo se puede leer entero mientras se escribe', async () => {
+    let done = false;
+    const writes = Promise.all(Array.from({ length: 20 }, (_, position) => (
+      jsonStore.updateOne('notes', { id: 'n1' }, { count: position + 1 })
+    ))).then(() => { done = true; });
+
+    // readCollection lanza un error si encuentra el JSON a medio escribir
+    let reads = 0;
+    while (!done) {
+      readCollection('notes');
+      reads += 1;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await writes;
+
+    expect(reads).toBeGreaterThan(0);
+    // Las escrituras se aplican en orden de llegada
+    expect(readCollection('notes')[0].count).toBe(20);
+  });
+});
+
+describe('transaction', () => {
+  beforeEach(() => {
+    writeCollection('transactions', []);
+  });
+
+  test('confirma juntas las escrituras de varias colecciones', async () => {
+    const result = await jsonStore.transaction(async (tx) => {
+      await tx.updateOne('notes', { id: 'n1' }, { count: 5 });
+      await tx.insertOne('transactions', { id: 'tx1', userId: 'user-1', amount: 5 });
+      // Dentro de la transacción se leen los cambios preparados
+      return (await tx.findById('notes', 'n1')).count;
+    });
+
+    expect(result).toBe(5);
+    expect(readCollection('notes')[0].count).toBe(5);
+    expect(readCollection('transactions')).toEqual([expect.objectContaining({ id: 'tx1' })]);
+    expect(fs.readdirSync(process.env.DATA_DIR).filter(file => file.endsWith('.commit'))).toEqual([]);
+  });
+
+  test('si work lanza un error no escribe nada', async () => {
+    await expect(jsonStore.transaction(async (tx) => {
+      await tx.insertOne('transactions', { id: 'tx1' });
+      await tx.updateOne('notes', { id: 'n1' }, { count: 1 });
+      throw new Error('cancelada');
+    })).rejects.toThrow('cancelada');
+
+    expect(readCollection('transactions')).toEqual([]);
+    expect(readCollection('notes')[0].count).toBe(0);
+  });
+
+  test('una clave duplicada anula la transacción entera', async () => {
+    await expect(jsonStore.transaction(async (tx) => {
+      await tx.insertOne('transactions', { id: 'tx1' });
+      await tx.insertOne('notes', { id: 'n1' });
+    })).rejects.toMatchObject({ name: 'DuplicateKeyError' });
+
+    expect(readCollection('transactions')).toEqual([]);
+  });
+
+  test('las escrituras sueltas esperan a que termine', async () => {
+    let single;
+    await jsonStore.transaction(async (tx) => {
+      await tx.updateOne('notes', { id: 'n1' }, { count: 10 });
+      single = jsonStore.updateOne('notes', { id: 'n1' }, { count: 11 });
+    });
+    await single;
+
+    expect(readCollection('notes')[0].count).toBe(11);
+  });
+});
+
+describe('recoverCollections', () => {
+  beforeEach(() => {
+    writeCollection('transactions', [{ id: 'tx1', amount: 1 }]);
+  });
+
+  test('completa una transacción confirmada que no terminó de aplicarse', async () => {
+    fs.writeFileSync(dataPath('transactions.json.123.aaaa0001.tmp'), JSON.stringify([{ id: 'tx1', amount: 7 }]));
+    fs.writeFileSync(dataPath('transaction.123.bbbb0002.commit'), JSON.stringify([
+      { collection: 'transactions', tempFile: 'transactions.json.123.aaaa0001.tmp' },
+      // El renombrado de esta colección ya se había hecho
+      { collection: 'notes', tempFile: 'notes.json.123.cccc0003.tmp' }
+    ]));
+
+    const report = await jsonStore.recoverCollections();
+
+    expect(report.completedTransactions).toEqual(['transaction.123.bbbb0002.commit']);
+    expect((await jsonStore.findById('transactions', 'tx1')).amount).toBe(7);
+    expect(fs.existsSync(dataPath('transaction.123.bbbb0002.commit'))).toBe(false);
+  });
+
+  test('descarta un registro de confirmación ilegible sin aplicar sus temporales', async () => {
+    fs.writeFileSync(dataPath('transactions.json.123.aaaa0001.tmp'), JSON.stringify([]));
+    fs.writeFileSync(dataPath('transaction.123.bbbb0002.commit'), '[{"collection":');
+
+    const report = await jsonStore.recoverCollections();
+
+    expect(report.completedTransactions).toEqual([]);
+    expect(report.removedTemp).toEqual(['transactions.json.123.aaaa0001.tmp']);
+    expect(readCollection('transactions')).toHaveLength(1);
+  });
+
+  test('recupera un archivo corrupto desde el temporal válido más reciente', async () => {
+    fs.writeFileSync(dataPath('transactions.json'), '[{"id": "tx1", "amo');
+    fs.writeFileSync(dataPath('transactions.json.1.aaaa0001.tmp'), JSON.stringify([{ id: 'tx1', amount: 1 }]));
+    fs.writeFileSync(dataPath('transactions.json.1.aaaa0002.tmp'), '{roto');
+    const past = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(dataPath('transactions.json.1.aaaa0001.tmp'), past, past);
+    fs.writeFileSync(dataPath('transactions.json.1.aaaa0003.tmp'), JSON.stringify([{ id: 'tx1', amount: 2 }]));
+
+    const report = await jsonStore.recoverCollections();
+
+    expect(report.recovered).toEqual(['transactions.json']);
+    expect(readCollection('transactions')).toEqual([{ id: 'tx1', amount: 2 }]);
+    expect(tempFiles()).toEqual([]);
+  });
+
+  test('aparta un archivo corrupto sin copia válida', async () => {
+    fs.writeFileSync(dataPath('transactions.json'), 'no es json');
+
+    const report = await jsonStore.recoverCollections();
+
+    expect(report.quarantined).toEqual(['transactions.json']);
+    expect(fs.existsSync(dataPath('transactions.json'))).toBe(false);
+    expect(fs.readdirSync(process.env.DATA_DIR).some(file => file.startsWith('transactions.json.corrupt-'))).toBe(true);
+  });
+
+  test('no toca los archivos que no son colecciones del almacenamiento', async () => {
+    fs.writeFileSync(dataPath('logo-design.json'), '[{"Título": "Logo", "Prec');
+
+    const report = await jsonStore.recoverCollections();
+
+    expect(report.quarantined).toEqual([]);
+    expect(fs.readFileSync(dataPath('logo-design.json'), 'utf8')).toBe('[{"Título": "Logo", "Prec');
+    expect(await jsonStore.listCollections()).not.toContain('logo-design');
+  });
+});
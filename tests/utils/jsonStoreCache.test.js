@@ -0,0 +1,86 @@
+/**
+ * Caché en memoria de jsonStore: aciertos, invalidación por ediciones
+ * externas y copias independientes para los llamadores
+ */
+
+const jsonStore = require('../../src/utils/jsonStore');
+const { writeCollection } = require('../helpers/dataFiles');
+
+/**
+ * Repite la consulta hasta que cumpla la condición (el vigilante de
+ * archivos avisa de forma asíncrona)
+ */
+const eventually = async (query, condition, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await query();
+    if (condition(result) || Date.now() > deadline) return result;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+beforeEach(() => {
+  writeCollection('notes', [
+    { id: 'n1', title: 'logo', count: 1, tags: ['marca'] },
+    { id: 'n2', title: 'web', count: 2, tags: [] }
+  ]);
+  jsonStore.invalidateCache();
+});
+
+describe('caché', () => {
+  test('la segunda lectura sale de memoria', async () => {
+    const before = jsonStore.getCacheStats();
+
+    await jsonStore.find('notes', {});
+    await jsonStore.find('notes', { count: 2 });
+
+    const after = jsonStore.getCacheStats();
+    expect(after.misses - before.misses).toBe(1);
+    expect(after.hits - before.hits).toBe(1);
+    expect(after.collections).toContain('notes');
+  });
+
+  test('una escritura externa al archivo invalida la caché', async () => {
+    expect(await jsonStore.countDocuments('notes', {})).toBe(2);
+
+    writeCollection('notes', [{ id: 'n3', title: 'editado a mano', count: 9 }]);
+
+    const documents = await eventually(
+      () => jsonStore.find('notes', {}),
+      result => result.length === 1
+    );
+    expect(documents.map(document => document.id)).toEqual(['n3']);
+  });
+
+  test('las escrituras propias actualizan la caché sin volver a leer el archivo', async () => {
+    await jsonStore.find('notes', {});
+    await jsonStore.updateOne('notes', { id: 'n1' }, { count: 2 });
+    const { misses } = jsonStore.getCacheStats();
+
+    expect((await jsonStore.findById('notes', 'n1')).count).toBe(2);
+    expect(jsonStore.getCacheStats().misses).toBe(misses);
+  });
+
+  test('modificar lo devuelto no altera la caché compartida', async () => {
+    const documents = await jsonStore.find('notes', {});
+    documents.push({ id: 'intruso' });
+    documents[0].count = 100;
+    documents[0].tags.push('alterado');
+
+    const one = await jsonStore.findById('notes', 'n2');
+    one.title = 'alterado';
+
+    const inserted = await jsonStore.insertOne('notes', { title: 'app', tags: ['móvil'] });
+    inserted.tags.push('alterado');
+
+    const { data: updated } = await jsonStore.updateOne('notes', { id: 'n1' }, { count: 5 });
+    updated.tags.push('alterado');
+
+    const saved = await jsonStore.find('notes', {}, { sort: 'title' });
+    expect(saved.map(document => [document.title, document.count, document.tags])).toEqual([
+      ['app', undefined, ['móvil']],
+      ['logo', 5, ['marca']],
+      ['web', 2, []]
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Extracción de palabras clave por categoría
+ */
+
+const { mineKeywords, findProperNouns, tokenize } = require('../../src/utils/keywordMiner');
+
+const keywordsOf = (mined, name) => mined.get(name).map(entry => entry.keyword);
+
+describe('tokenize', () => {
+  test('quita palabras vacías y conserva los símbolos de tecnologías', () => {
+    expect(tokenize('Necesito una app en Node.js y C++ urgente')).toEqual(['app', 'node.js', 'c++']);
+  });
+});
+
+describe('findProperNouns', () => {
+  test('detecta los nombres en mayúscula dentro de un texto en minúsculas', () => {
+    const properNouns = findProperNouns([
+      'Diseño, Punto de venta anime de la Jugueteria Toys Depot en Plaza Cruz de Siguatepeque Honduras',
+      'Logo para una tienda de juguetes'
+    ]);
+
+    expect(properNouns).toEqual(new Set(['jugueteria', 'toys', 'depot', 'plaza', 'cruz', 'siguatepeque', 'honduras']));
+  });
+
+  test('no toma como nombres las palabras de los títulos con mayúsculas en cada palabra', () => {
+    expect(findProperNouns(['Minimalist Logo Design', 'Logo Design for My Bakery'])).toEqual(new Set());
+  });
+
+  test('una palabra escrita alguna vez en minúscula no es un nombre propio', () => {
+    expect(findProperNouns(['menú para el restaurante Plaza', 'diseño de una plaza comercial'])).toEqual(new Set());
+  });
+});
+
+describe('mineKeywords', () => {
+  const texts = new Map([
+    ['logo', [
+      'Logo minimalista para cafetería',
+      'Logo minimalista para panadería',
+      'Logo minimalista para gimnasio',
+      'baruna dio',
+      'baruna dio - 17/05/2025 21:30 EDT',
+      'logo de la tienda en Plaza Cruz de Honduras',
+      'logo del local en Plaza Cruz de Honduras'
+    ]],
+    ['web', [
+      'Tienda online con Shopify',
+      'Sitio web para cafetería',
+      'Sitio web para hotel'
+    ]]
+  ]);
+
+  test('propone los términos distintivos de cada clase', () => {
+    const mined = mineKeywords(texts, { minDocuments: 2 });
+
+    expect(keywordsOf(mined, 'logo')).toEqual(expect.arrayContaining(['logo', 'minimalista']));
+    expect(keywordsOf(mined, 'web')).toEqual(['sitio', 'web']);
+  });
+
+  test('descarta los términos de pocos textos distintos', () => {
+    const mined = mineKeywords(texts, { minDocuments: 3 });
+
+    expect(keywordsOf(mined, 'logo')).not.toEqual(expect.arrayContaining(['baruna']));
+    expect(keywordsOf(mined, 'logo')).toEqual(expect.arrayContaining(['minimalista']));
+    expect(keywordsOf(mined, 'web')).toEqual([]);
+  });
+
+  test('descarta las palabras vacías y los nombres propios aunque se repitan', () => {
+    const keywords = keywordsOf(mineKeywords(texts, { minDocuments: 2 }), 'logo');
+
+    expect(keywords).toContain('baruna');
+    expect(keywords.some(keyword => /\b(dio|plaza|cruz|honduras)\b/.test(keyword))).toBe(false);
+  });
+});
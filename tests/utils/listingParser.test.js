@@ -0,0 +1,87 @@
+/**
+ * Interpretación de los presupuestos y del tiempo restante scrapeados
+ */
+
+const { parseBudget, parseTimeLeft, mapScrapedRow } = require('../../src/utils/listingParser');
+
+const EXTRACTED_AT = '2025-05-18T02:08:19.000Z';
+const HOUR = 60 * 60 * 1000;
+const after = (ms) => new Date(new Date(EXTRACTED_AT).getTime() + ms).toISOString();
+
+describe('parseBudget', () => {
+  test.each([
+    ['', null],
+    ['   ', null],
+    [null, null],
+    ['$', null],
+    ['Oferta promedio', null],
+    ['$354 Oferta promedio', { amount: 354, minAmount: 354, maxAmount: 354, currency: 'USD', type: 'fixed', averageBid: true }],
+    ['$18 / hr Oferta promedio', { amount: 18, minAmount: 18, maxAmount: 18, currency: 'USD', type: 'hourly', averageBid: true }],
+    ['$100', { amount: 100, minAmount: 100, maxAmount: 100, currency: 'USD', type: 'fixed', averageBid: false }],
+    ['$250 - $750', { amount: 500, minAmount: 250, maxAmount: 750, currency: 'USD', type: 'fixed' }],
+    ['$15 - $25 / hr', { amount: 20, minAmount: 15, maxAmount: 25, type: 'hourly' }],
+    ['$30 - 50', { amount: 40, minAmount: 30, maxAmount: 50, currency: 'USD' }],
+    ['€30 - 50 EUR', { amount: 40, minAmount: 30, maxAmount: 50, currency: 'EUR' }],
+    ['min $48 / hr', { amount: 48, minAmount: 48, maxAmount: null, type: 'hourly' }],
+    ['$1,500.50 USD', { amount: 1500.5, currency: 'USD' }],
+    ['$0', { amount: 0, minAmount: 0, maxAmount: 0 }]
+  ])('%j', (raw, expected) => {
+    const budget = parseBudget(raw);
+
+    if (expected === null) {
+      expect(budget).toBeNull();
+    } else {
+      expect(budget).toMatchObject({ ...expected, raw: raw.trim() });
+    }
+  });
+});
+
+describe('parseTimeLeft', () => {
+  test.each([
+    ['6 días left', 'open', after(6 * 24 * HOUR)],
+    ['1 día left', 'open', after(24 * HOUR)],
+    ['14 horas left', 'open', after(14 * HOUR)],
+    ['1 hora left', 'open', after(HOUR)],
+    ['1 día 3 horas left', 'open', after(27 * HOUR)],
+    ['Finalizado left', 'closed', null],
+    ['Final left', 'closed', null],
+    ['Finalizado', 'closed', null],
+    ['', 'open', null],
+    [null, 'open', null],
+    ['left', 'open', null]
+  ])('%j', (raw, status, deadline) => {
+    expect(parseTimeLeft(raw, EXTRACTED_AT)).toEqual({ status, deadline });
+  });
+
+  test('sin fecha de extracción no hay fecha límite', () => {
+    expect(parseTimeLeft('6 días left', null)).toEqual({ status: 'open', deadline: null });
+  });
+});
+
+describe('mapScrapedRow', () => {
+  test('una fila de concurso sin presupuesto ni tiempo restante queda abierta y sin fecha límite', () => {
+    const listing = mapScrapedRow({
+      'Título': '  3D Printed PC Case Design ',
+      'URL del Post': 'https://www.freelancer.ec/contest/d-printed-pc-case-design-2560078',
+      'Cliente': '',
+      'Rating Cliente': '',
+      'Presupuesto': '',
+      'Propuestas': '',
+      'Publicado': '',
+      'Categoría': 'Cad Cam',
+      'Fecha Extracción': '2025-05-17 21:08:19'
+    }, { id: 'cat-cad', slug: 'cad-cam' });
+
+    expect(listing).toMatchObject({
+      title: '3D Printed PC Case Design',
+      categoryId: 'cat-cad',
+      budget: null,
+      status: 'open',
+      deadline: null,
+      clientRating: null,
+      proposals: null,
+      publishedAt: null,
+      extractedAt: EXTRACTED_AT
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Migraciones de esquema: versiones aplicadas, orden de los pasos,
+ * reejecuciones y dry-run
+ */
+
+const path = require('path');
+const storage = require('../../src/utils/storage');
+const migrationRunner = require('../../src/utils/migrationRunner');
+const { writeCollection, readCollection, FIXTURES_DIR } = require('../helpers/dataFiles');
+
+const directory = path.join(FIXTURES_DIR, 'migrations');
+
+const NOW = '2025-01-01T00:00:00.000Z';
+
+beforeEach(() => {
+  writeCollection('notes', [
+    { id: 'n1', author: 'ana maría lópez', createdAt: NOW, updatedAt: NOW },
+    { id: 'n2', author: 'luis', createdAt: NOW, updatedAt: NOW }
+  ]);
+  writeCollection('schemaVersions', []);
+  storage.adapter.invalidateCache();
+});
+
+describe('migrateUp', () => {
+  test('aplica los pasos pendientes en orden y guarda la versión', async () => {
+    const report = await migrationRunner.migrateUp({ directory });
+
+    expect(report.map(step => [step.version, step.changed])).toEqual([[1, 2], [2, 2]]);
+    expect(readCollection('notes')).toEqual([
+      expect.objectContaining({ id: 'n1', firstName: 'ana', lastName: 'maría lópez', initials: 'AM' }),
+      expect.objectContaining({ id: 'n2', firstName: 'luis', lastName: '', initials: 'L' })
+    ]);
+    expect(await migrationRunner.getSchemaVersions()).toEqual({ notes: 2 });
+
+    const [status] = await migrationRunner.getStatus({ directory });
+    expect(status).toMatchObject({ collection: 'notes', current: 2, latest: 2, pending: [] });
+  });
+
+  test('volver a ejecutar no hace nada y los pasos son idempotentes', async () => {
+    await migrationRunner.migrateUp({ directory });
+    const migrated = readCollection('notes');
+
+    expect(await migrationRunner.migrateUp({ directory })).toEqual([]);
+
+    // Una migración interrumpida se repite entera: los documentos ya migrados no cambian
+    await storage.updateOne('schemaVersions', { collection: 'notes' }, { version: 0 });
+    const report = await migrationRunner.migrateUp({ directory });
+    expect(report.map(step => step.changed)).toEqual([0, 0]);
+    expect(readCollection('notes')).toEqual(migrated);
+  });
+
+  test('continúa desde la versión guardada', async () => {
+    await migrationRunner.migrateUp({ directory });
+    await migrationRunner.migrateDown({ collection: 'notes', directory });
+
+    expect(await migrationRunner.getSchemaVersions()).toEqual({ notes: 1 });
+    expect(readCollection('notes')[0]).not.toHaveProperty('initials');
+
+    const report = await migrationRunner.migrateUp({ directory });
+    expect(report.map(step => step.version)).toEqual([2]);
+  });
+
+  test('dry-run encadena los pasos sin escribir nada', async () => {
+    const before = readCollection('notes');
+
+    const report = await migrationRunner.migrateUp({ directory, dryRun: true });
+
+    // El segundo paso ve los campos que añade el primero
+    expect(report[1].documents).toEqual([
+      { id: 'n1', fields: [{ field: 'initials', before: undefined, after: 'AM' }] },
+      { id: 'n2', fields: [{ field: 'initials', before: undefined, after: 'L' }] }
+    ]);
+    expect(readCollection('notes')).toEqual(before);
+    expect(readCollection('schemaVersions')).toEqual([]);
+  });
+});
+
+describe('escritura de cada paso', () => {
+  test('si un paso falla a mitad no escribe nada', async () => {
+    const categories = [
+      { id: 'c1', name: 'Uno', slug: 'uno', createdAt: NOW, updatedAt: NOW },
+      { id: 'c2', name: 'Dos', slug: 'dos', createdAt: NOW, updatedAt: NOW }
+    ];
+    writeCollection('categories', categories);
+    storage.adapter.invalidateCache();
+
+    await expect(migrationRunner.migrateUp({ directory: path.join(FIXTURES_DIR, 'migrations-failing') }))
+      .rejects.toMatchObject({ name: 'DuplicateKeyError' });
+
+    expect(readCollection('categories')).toEqual(categories);
+    expect(readCollection('schemaVersions')).toEqual([]);
+  });
+});
+
+describe('migrateDown', () => {
+  test('revierte hasta la versión indicada en orden inverso', async () => {
+    await migrationRunner.migrateUp({ directory });
+
+    const report = await migrationRunner.migrateDown({ collection: 'notes', to: 0, directory });
+
+    expect(report.map(step => step.version)).toEqual([2, 1]);
+    expect(readCollection('notes').map(({ id, author }) => ({ id, author }))).toEqual([
+      { id: 'n1', author: 'ana maría lópez' },
+      { id: 'n2', author: 'luis' }
+    ]);
+    expect(await migrationRunner.getSchemaVersions()).toEqual({ notes: 0 });
+  });
+
+  test('rechaza una versión destino mayor que la actual', async () => {
+    await expect(migrationRunner.migrateDown({ collection: 'notes', to: 1, directory }))
+      .rejects.toThrow("Versión destino inválida para 'notes': 1");
+  });
+});
+
+describe('migraciones de src/migrations', () => {
+  test('001 y 002 completan usuarios y categorías antiguos', async () => {
+    writeCollection('users', [
+      { id: 'u1', walletAddress: '0x' + 'a'.repeat(40), name: 'Ana', createdAt: NOW, updatedAt: NOW }
+    ]);
+    writeCollection('categories', [
+      { id: 'c1', name: 'Diseño de logos', slug: 'logo-design', order: '3', keywords: [' Logo', 'logo', 'MARCA', 7], legacy: true }
+    ]);
+    storage.adapter.invalidateCache();
+
+    await migrationRunner.migrateUp();
+
+    expect(readCollection('users')[0]).toMatchObject({ id: 'u1', name: 'Ana', isProvider: false, skills: [], isActive: true });
+    const [category] = readCollection('categories');
+    expect(category).toMatchObject({ order: 3, keywords: ['logo', 'marca'] });
+    expect(category).not.toHaveProperty('legacy');
+    expect(await migrationRunner.getSchemaVersions()).toMatchObject({ users: 1, categories: 1 });
+  });
+});
+
+describe('003-listings-categories-and-sightings', () => {
+  const legacy = {
+    id: 'l1',
+    title: 'Logo para cafetería',
+    sourceUrl: 'https://www.freelancer.ec/projects/logo-cafeteria',
+    categoryId: 'cat-logo',
+    categorySlug: 'logo-design',
+    extractedAt: NOW,
+    createdAt: NOW,
+    updatedAt: NOW
+  };
+
+  beforeEach(() => {
+    writeCollection('listings', [legacy]);
+    storage.adapter.invalidateCache();
+  });
+
+  test('añade las categorías y las fechas de extracción a las ofertas antiguas', async () => {
+    await migrationRunner.migrateUp({ collection: 'listings' });
+
+    expect(readCollection('listings')[0]).toMatchObject({
+      categoryIds: ['cat-logo'],
+      categorySlugs: ['logo-design'],
+      firstSeenAt: NOW,
+      lastSeenAt: NOW
+    });
+  });
+
+  test('al revertir solo quita los campos que conservan el valor derivado', async () => {
+    await migrationRunner.migrateUp({ collection: 'listings' });
+    await storage.updateOne('listings', { id: 'l1' }, { $set: { categoryIds: ['cat-logo', 'cat-web'] } });
+
+    await migrationRunner.migrateDown({ collection: 'listings' });
+
+    const [listing] = readCollection('listings');
+    expect(listing.categoryIds).toEqual(['cat-logo', 'cat-web']);
+    expect(listing).not.toHaveProperty('categorySlugs');
+    expect(listing).not.toHaveProperty('firstSeenAt');
+  });
+});
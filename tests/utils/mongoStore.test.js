@@ -0,0 +1,92 @@
+/**
+ * Índices y upserts de mongoStore en MongoDB (sin servidor: mongoose simulado)
+ */
+
+const mockCursor = (documents) => {
+  const cursor = {
+    sort: () => cursor,
+    skip: () => cursor,
+    limit: () => cursor,
+    toArray: async () => documents
+  };
+  return cursor;
+};
+
+const mockCollection = {
+  createIndex: jest.fn().mockResolvedValue('ok'),
+  find: jest.fn(() => mockCursor([])),
+  updateOne: jest.fn(),
+  replaceOne: jest.fn()
+};
+
+jest.mock('mongoose', () => ({
+  connect: jest.fn().mockResolvedValue(undefined),
+  disconnect: jest.fn().mockResolvedValue(undefined),
+  connection: { db: { collection: () => mockCollection } }
+}));
+
+const mongoStore = require('../../src/utils/mongoStore');
+
+describe('mongoStore', () => {
+  beforeEach(() => {
+    mockCollection.createIndex.mockClear();
+    mockCollection.find.mockReset().mockImplementation(() => mockCursor([]));
+    mockCollection.updateOne.mockReset();
+    mockCollection.replaceOne.mockReset();
+  });
+
+  afterEach(async () => {
+    await mongoStore.disconnect();
+  });
+
+  test('los índices únicos solo cubren valores de texto, como en jsonStore', async () => {
+    await mongoStore.find('unlockedServices', {});
+
+    expect(mockCollection.createIndex).toHaveBeenCalledWith({ id: 1 }, { unique: true });
+    expect(mockCollection.createIndex).toHaveBeenCalledWith(
+      { userId: 1, serviceId: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { userId: { $type: 'string' }, serviceId: { $type: 'string' } }
+      }
+    );
+  });
+
+  test('los índices no únicos no tienen filtro', async () => {
+    await mongoStore.find('services', {});
+
+    expect(mockCollection.createIndex).toHaveBeenCalledWith({ category: 1 }, {});
+    expect(mockCollection.createIndex).toHaveBeenCalledWith({ provider: 1 }, {});
+  });
+
+  test('el upsert comprueba e inserta en una sola operación', async () => {
+    mockCollection.updateOne.mockResolvedValue({ upsertedCount: 1 });
+
+    const result = await mongoStore.updateOne('notes', { query: 'logo' }, { $inc: { count: 1 } }, { upsert: true });
+
+    expect(result).toMatchObject({ updated: false, upsertedCount: 1, data: { query: 'logo', count: 1 } });
+    expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      { query: 'logo' },
+      { $setOnInsert: expect.objectContaining({ id: result.upsertedId, query: 'logo', count: 1 }) },
+      { upsert: true }
+    );
+  });
+
+  test('si otro proceso inserta antes el documento, el upsert lo actualiza', async () => {
+    const existing = { id: 'q1', query: 'logo', count: 4, updatedAt: '2024-01-01T00:00:00.000Z' };
+    mockCollection.find
+      .mockImplementationOnce(() => mockCursor([]))
+      .mockImplementationOnce(() => mockCursor([existing]));
+    mockCollection.updateOne.mockResolvedValue({ upsertedCount: 0, matchedCount: 1 });
+    mockCollection.replaceOne.mockResolvedValue({ matchedCount: 1 });
+
+    const result = await mongoStore.updateOne('notes', { query: 'logo' }, { $inc: { count: 1 } }, { upsert: true });
+
+    expect(result).toMatchObject({ updated: true, upsertedCount: 0, data: { id: 'q1', count: 5 } });
+    expect(mockCollection.replaceOne).toHaveBeenCalledWith(
+      { id: 'q1', updatedAt: existing.updatedAt },
+      expect.objectContaining({ id: 'q1', count: 5 }),
+      {}
+    );
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Consultas, ordenación, proyección y actualizaciones en memoria
+ */
+
+const {
+  matchesQuery,
+  applyQueryOptions,
+  parseSort,
+  applyUpdate,
+  buildUpsertBase,
+  setValueByPath,
+  escapeRegex
+} = require('../../src/utils/queryEngine');
+
+const service = {
+  id: 's1',
+  title: 'Diseño de logo',
+  price: 50,
+  tags: ['logo', 'marca'],
+  provider: { name: 'Ana', rating: 4.5 },
+  active: true
+};
+
+describe('matchesQuery', () => {
+  test.each([
+    ['igualdad', { price: 50 }, true],
+    ['igualdad con un elemento del array', { tags: 'marca' }, true],
+    ['igualdad con el array completo', { tags: ['logo', 'marca'] }, true],
+    ['ruta con puntos', { 'provider.name': 'Ana' }, true],
+    ['$eq', { price: { $eq: 40 } }, false],
+    ['$ne', { price: { $ne: 40 } }, true],
+    ['$ne sobre un array', { tags: { $ne: 'logo' } }, false],
+    ['$gt y $lte juntos', { price: { $gt: 10, $lte: 50 } }, true],
+    ['$gte', { 'provider.rating': { $gte: 4.6 } }, false],
+    ['$lt con tipos distintos', { price: { $lt: '100' } }, false],
+    ['$in', { price: { $in: [10, 50] } }, true],
+    ['$in con elementos del array', { tags: { $in: ['web', 'marca'] } }, true],
+    ['$nin', { tags: { $nin: ['web', 'marca'] } }, false],
+    ['$regex con $options', { title: { $regex: '^diseño', $options: 'i' } }, true],
+    ['RegExp', { tags: /^mar/ }, true],
+    ['$exists true', { 'provider.rating': { $exists: true } }, true],
+    ['$exists false', { deletedAt: { $exists: false } }, true],
+    ['$and', { $and: [{ active: true }, { price: { $lt: 20 } }] }, false],
+    ['$or', { $or: [{ price: { $lt: 20 } }, { tags: 'logo' }] }, true],
+    ['$or anidado en $and', { $and: [{ active: true }, { $or: [{ price: 1 }, { id: 's1' }] }] }, true]
+  ])('%s', (_, query, expected) => {
+    expect(matchesQuery(service, query)).toBe(expected);
+  });
+
+  test('rechaza los operadores que no conoce', () => {
+    expect(() => matchesQuery(service, { price: { $size: 1 } })).toThrow('Operador de consulta no soportado: $size');
+  });
+
+  test('escapeRegex busca el texto de forma literal', () => {
+    expect(matchesQuery({ slug: 'c++' }, { slug: { $regex: `^${escapeRegex('c++')}$` } })).toBe(true);
+    expect(matchesQuery({ slug: 'cc' }, { slug: { $regex: escapeRegex('c.') } })).toBe(false);
+  });
+});
+
+describe('applyQueryOptions', () => {
+  const documents = [
+    { id: 'a', order: 2, views: 10, meta: { score: 1 } },
+    { id: 'b', order: 1, views: 30 },
+    { id: 'c', order: 2, views: 20, meta: { score: 3 } }
+  ];
+
+  test('ordena por varios campos y deja los vacíos al final', () => {
+    expect(applyQueryOptions(documents, { sort: 'order,-views' }).map(doc => doc.id)).toEqual(['b', 'c', 'a']);
+    expect(applyQueryOptions(documents, { sort: { 'meta.score': 1 } }).map(doc => doc.id)).toEqual(['a', 'c', 'b']);
+  });
+
+  test('aplica salto y límite después de ordenar', () => {
+    expect(applyQueryOptions(documents, { sort: 'id', skip: 1, limit: 1 }).map(doc => doc.id)).toEqual(['b']);
+    expect(applyQueryOptions(documents, { sort: 'id', skip: '2' }).map(doc => doc.id)).toEqual(['c']);
+  });
+
+  test('proyecta por inclusión o por exclusión', () => {
+    expect(applyQueryOptions(documents.slice(0, 1), { projection: { 'meta.score': 1 } }))
+      .toEqual([{ id: 'a', meta: { score: 1 } }]);
+    expect(applyQueryOptions(documents.slice(0, 1), { projection: { meta: 0, views: 0 } }))
+      .toEqual([{ id: 'a', order: 2 }]);
+  });
+
+  test('parseSort acepta textos y objetos', () => {
+    expect(parseSort('-createdAt, title')).toEqual([['createdAt', -1], ['title', 1]]);
+    expect(parseSort({ order: 'desc', views: 1 })).toEqual([['order', -1], ['views', 1]]);
+  });
+});
+
+describe('applyUpdate', () => {
+  test('aplica $set, $unset, $inc y $push sin modificar el original', () => {
+    const updated = applyUpdate(service, {
+      $set: { 'provider.name': 'Eva' },
+      $unset: { active: '' },
+      $inc: { price: 5, views: 1 },
+      $push: { tags: { $each: ['web', 'app'] } }
+    });
+
+    expect(updated).toMatchObject({ price: 55, views: 1, tags: ['logo', 'marca', 'web', 'app'] });
+    expect(updated.provider.name).toBe('Eva');
+    expect(updated).not.toHaveProperty('active');
+    expect(service.provider.name).toBe('Ana');
+  });
+
+  test('un objeto sin operadores equivale a $set', () => {
+    expect(applyUpdate({ id: 'x', a: 1 }, { b: 2 })).toEqual({ id: 'x', a: 1, b: 2 });
+  });
+
+  test.each([
+    [{ $set: { a: 1 }, b: 2 }, 'Una actualización no puede mezclar operadores y campos'],
+    [{ $rename: { a: 'b' } }, 'Operador de actualización no soportado: $rename'],
+    [{ $inc: { title: 1 } }, "$inc requiere valores numéricos en 'title'"],
+    [{ $push: { price: 1 } }, "$push requiere un array en 'price'"],
+    [{ $set: { '__proto__.polluted': true } }, "Ruta de campo no permitida: '__proto__.polluted'"]
+  ])('rechaza %j', (update, message) => {
+    expect(() => applyUpdate(service, update)).toThrow(message);
+    expect({}.polluted).toBeUndefined();
+  });
+});
+
+describe('buildUpsertBase', () => {
+  test('toma los campos de igualdad de la consulta', () => {
+    expect(buildUpsertBase({
+      query: 'logo',
+      'meta.lang': { $eq: 'es' },
+      count: { $gt: 1 },
+      $or: [{ a: 1 }]
+    })).toEqual({ query: 'logo', meta: { lang: 'es' } });
+  });
+});
+
+describe('setValueByPath', () => {
+  test.each(['constructor.prototype.polluted', 'a.__proto__'])('rechaza la ruta %s', (path) => {
+    expect(() => setValueByPath({}, path, true)).toThrow('Ruta de campo no permitida');
+  });
+});
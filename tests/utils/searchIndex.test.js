@@ -0,0 +1,168 @@
+/**
+ * Índice de búsqueda: ranking BM25 por campos, tolerancia a erratas y sinónimos
+ */
+
+const SearchIndex = require('../../src/utils/searchIndex');
+const textAnalyzer = require('../../src/utils/textAnalyzer');
+
+const ids = (results) => results.map(result => result.id);
+
+const buildIndex = (documents, fields = { title: 3, description: 1 }, options) => {
+  const index = new SearchIndex(fields, options);
+  documents.forEach(document => index.add(document));
+  return index;
+};
+
+describe('BM25', () => {
+  test('puntúa un documento de un campo con el IDF del término', () => {
+    const index = buildIndex([{ id: 'a', title: 'logo' }], { title: 1 });
+
+    const [result] = index.search('logo');
+
+    expect(result.id).toBe('a');
+    expect(result.score).toBeCloseTo(Math.log(1 + 0.5 / 1.5), 10);
+  });
+
+  test('pesa más el término en un campo con más boost', () => {
+    const index = buildIndex([
+      { id: 'descripcion', title: 'Tienda online', description: 'Incluye logo' },
+      { id: 'titulo', title: 'Diseño de logo', description: 'Tienda online' }
+    ]);
+
+    expect(ids(index.search('logo'))).toEqual(['titulo', 'descripcion']);
+  });
+
+  test('pesa más los términos poco frecuentes', () => {
+    const index = buildIndex([
+      { id: 'comun', title: 'Diseño web' },
+      { id: 'raro', title: 'Diseño react' },
+      { id: 'otro', title: 'Diseño web responsive' }
+    ]);
+
+    expect(ids(index.search('web react'))[0]).toBe('raro');
+  });
+
+  test('a igual frecuencia, el campo más corto puntúa más', () => {
+    const index = buildIndex([
+      { id: 'largo', title: 'Logo para una cadena de cafeterías de especialidad en Quito' },
+      { id: 'corto', title: 'Logo minimalista' }
+    ]);
+
+    expect(ids(index.search('logo'))).toEqual(['corto', 'largo']);
+  });
+
+  test('cuenta una vez las palabras con la misma raíz en la consulta', () => {
+    const index = buildIndex([{ id: 'a', title: 'Diseño de logos' }]);
+
+    expect(index.search('logo logos')[0].score).toBeCloseTo(index.search('logo')[0].score, 10);
+  });
+
+  test('requireAll y filter limitan los resultados', () => {
+    const index = buildIndex([
+      { id: 'a', title: 'Logo animado' },
+      { id: 'b', title: 'Logo estático' },
+      { id: 'c', title: 'Video animado' }
+    ]);
+
+    expect(ids(index.search('logo animado', { requireAll: true }))).toEqual(['a']);
+    expect(ids(index.search('logo', { filter: id => id !== 'a' }))).toEqual(['b']);
+  });
+
+  test('indexa los arrays y las rutas con puntos', () => {
+    const index = buildIndex([
+      { id: 'a', tags: ['figma', 'ui'], provider: { name: 'Ana' } },
+      { id: 'b', tags: ['react'], provider: { name: 'Luis' } }
+    ], { tags: 2, 'provider.name': 1 });
+
+    expect(ids(index.search('figma'))).toEqual(['a']);
+    expect(ids(index.search('luis'))).toEqual(['b']);
+  });
+
+  test('sustituye y quita documentos sin reconstruir el índice', () => {
+    const index = buildIndex([
+      { id: 'a', title: 'Logo' },
+      { id: 'b', title: 'Web' }
+    ]);
+
+    index.add({ id: 'a', title: 'Aplicación móvil' });
+    expect(ids(index.search('logo'))).toEqual([]);
+    expect(ids(index.search('aplicacion'))).toEqual(['a']);
+
+    expect(index.remove('b')).toBe(true);
+    expect(index.remove('b')).toBe(false);
+    expect(index.size).toBe(1);
+    expect(ids(index.search('web'))).toEqual([]);
+  });
+});
+
+describe('erratas', () => {
+  const index = buildIndex([
+    { id: 'app', title: 'Desarrollo de aplicación móvil' },
+    { id: 'logo', title: 'Diseño de logo' },
+    { id: 'web', title: 'Diseño web' }
+  ]);
+
+  test('encuentra la palabra indexada más cercana', () => {
+    expect(ids(index.search('aplicasion'))).toEqual(['app']);
+    expect(ids(index.search('disenio'))).toEqual(['logo', 'web']);
+  });
+
+  test('una coincidencia con erratas pesa menos que una exacta', () => {
+    const [exact] = index.search('aplicacion');
+    const [fuzzy] = index.search('aplicasion');
+
+    expect(fuzzy.score).toBeCloseTo(exact.score * 0.6, 10);
+    expect(fuzzy.matched).toEqual(exact.matched);
+  });
+
+  test('las palabras cortas no admiten erratas', () => {
+    expect(ids(index.search('wep'))).toEqual([]);
+    expect(ids(index.search('lgo'))).toEqual([]);
+  });
+
+  test('se puede desactivar', () => {
+    const exactOnly = buildIndex([{ id: 'app', title: 'aplicación' }], { title: 1 }, { fuzzy: false });
+
+    expect(ids(exactOnly.search('aplicasion'))).toEqual([]);
+  });
+
+  test('allowedEdits y editDistance', () => {
+    expect(['web', 'logo', 'aplicasion'].map(textAnalyzer.allowedEdits)).toEqual([0, 1, 2]);
+    expect(textAnalyzer.editDistance('aplicasion', 'aplicacion')).toBe(1);
+    expect(textAnalyzer.editDistance('logo', 'diseño', 2)).toBe(3);
+  });
+});
+
+describe('sinónimos', () => {
+  const index = buildIndex([
+    { id: 'app', title: 'Desarrollo de aplicación móvil' },
+    { id: 'movil', title: 'Reparación de teléfono móvil' },
+    { id: 'ambas', title: 'App y aplicación móvil' }
+  ]);
+
+  test('una frase equivalente suma la mitad de su puntuación', () => {
+    const [synonym] = index.search('app', { expansions: [['aplicacion movil']] }).filter(result => result.id === 'app');
+    const [exact] = index.search('aplicacion movil').filter(result => result.id === 'app');
+
+    expect(synonym.score).toBeCloseTo(exact.score * 0.5, 10);
+  });
+
+  test('el documento tiene que contener todas las palabras de la frase', () => {
+    expect(ids(index.search('app', { expansions: [['aplicacion movil']] }))).toEqual(['ambas', 'app']);
+  });
+
+  test('de varias frases equivalentes cuenta la mejor', () => {
+    const one = index.search('app', { expansions: [['aplicacion movil']] });
+    const two = index.search('app', { expansions: [['aplicacion movil', 'aplicacion']] });
+
+    expect(two.find(result => result.id === 'app').score).toBeCloseTo(one.find(result => result.id === 'app').score, 10);
+  });
+
+  test('las coincidencias por sinónimo no cuentan para requireAll', () => {
+    expect(ids(index.search('app', { requireAll: true, expansions: [['aplicacion movil']] }))).toEqual(['ambas']);
+  });
+
+  test('las frases equivalentes no admiten erratas', () => {
+    expect(ids(index.search('app', { expansions: [['aplicasion movil']] }))).toEqual(['ambas']);
+  });
+});
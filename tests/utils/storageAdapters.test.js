@@ -0,0 +1,137 @@
+/**
+ * Comportamiento común de los adaptadores de almacenamiento
+ *
+ * Las mismas pruebas se ejecutan con jsonStore y con mongoStore sobre una
+ * base de datos temporal del servidor de MONGODB_TEST_URI (el MongoDB en
+ * memoria de tests/globalSetup.js o uno indicado al lanzar las pruebas)
+ */
+
+const { INDEXES } = require('../../src/config/storageConfig');
+const { DuplicateKeyError } = require('../../src/utils/errors');
+
+// Índice único propio de la colección de las pruebas
+INDEXES.notes = [{ fields: ['title'], unique: true }];
+
+const adapters = [['jsonStore', () => require('../../src/utils/jsonStore')]];
+if (process.env.MONGODB_TEST_URI) {
+  process.env.MONGODB_DB_NAME = `marketplace_test_${process.pid}`;
+  adapters.push(['mongoStore', () => require('../../src/utils/mongoStore')]);
+}
+
+describe.each(adapters)('%s', (name, load) => {
+  let store;
+
+  beforeAll(async () => {
+    store = load();
+    if (store.connect) await store.connect(process.env.MONGODB_TEST_URI);
+  });
+
+  afterAll(async () => {
+    if (store.disconnect) {
+      const mongoose = require('mongoose');
+      await mongoose.connection.db.dropDatabase();
+      await store.disconnect();
+    }
+  });
+
+  beforeEach(async () => {
+    await store.deleteMany('notes', {});
+    await store.deleteMany('schemaVersions', {});
+  });
+
+  test('inserta, busca con operadores y pagina', async () => {
+    await store.insertMany('notes', [
+      { title: 'logo', count: 5 },
+      { title: 'web', count: 2 },
+      { title: 'app', count: 9 }
+    ]);
+
+    const popular = await store.find('notes', { count: { $gte: 5 } }, { sort: '-count' });
+    expect(popular.map(item => item.title)).toEqual(['app', 'logo']);
+
+    const page = await store.find('notes', {}, { sort: { title: 1 }, skip: 1, limit: 1 });
+    expect(page.map(item => item.title)).toEqual(['logo']);
+    expect(await store.countDocuments('notes', { title: { $in: ['web', 'otra'] } })).toBe(1);
+  });
+
+  test('actualiza con operadores y upsert', async () => {
+    await store.updateOne('notes', { title: 'logo' }, { $inc: { count: 1 } }, { upsert: true });
+    const { updated, data } = await store.updateOne('notes', { title: 'logo' }, { $inc: { count: 2 } });
+
+    expect(updated).toBe(true);
+    expect(data).toMatchObject({ title: 'logo', count: 3 });
+    expect(await store.countDocuments('notes', {})).toBe(1);
+  });
+
+  test('rechaza claves únicas repetidas pero admite varios null', async () => {
+    await store.insertOne('notes', { title: 'logo' });
+    await expect(store.insertOne('notes', { title: 'logo' })).rejects.toBeInstanceOf(DuplicateKeyError);
+
+    await store.insertOne('notes', { title: null });
+    await store.insertOne('notes', { title: null });
+    await store.insertOne('notes', { count: 1 });
+    expect(await store.countDocuments('notes', {})).toBe(4);
+  });
+
+  test('valida los documentos con el modelo de la colección', async () => {
+    await expect(store.insertOne('services', { title: '' })).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  test('updateMany informa de los documentos encontrados y modificados', async () => {
+    await store.insertMany('notes', [
+      { title: 'logo', count: 1 },
+      { title: 'web', count: 0 },
+      { title: 'app', count: 0 }
+    ]);
+
+    const result = await store.updateMany('notes', { count: 0 }, { $set: { count: 0 } });
+    expect(result).toMatchObject({ matchedCount: 2, modifiedCount: 0, upsertedCount: 0 });
+
+    const changed = await store.updateMany('notes', { count: { $lt: 1 } }, { $inc: { count: 2 } });
+    expect(changed).toMatchObject({ matchedCount: 2, modifiedCount: 2 });
+    expect(await store.countDocuments('notes', { count: 2 })).toBe(2);
+  });
+
+  test('los upserts simultáneos de la misma clave crean un solo documento', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => (
+      store.updateOne('notes', { title: 'logo' }, { $inc: { count: 1 } }, { upsert: true })
+    )));
+
+    const saved = await store.find('notes', { title: 'logo' });
+    expect(saved).toHaveLength(1);
+    expect(saved[0].count).toBe(5);
+  });
+
+  test('replaceOne conserva el id y la fecha de creación', async () => {
+    const original = await store.insertOne('notes', { title: 'logo', count: 1 });
+
+    const { replaced, data } = await store.replaceOne('notes', { id: original.id }, { title: 'marca' });
+
+    expect(replaced).toBe(true);
+    expect(data).toMatchObject({ id: original.id, title: 'marca', createdAt: original.createdAt });
+    expect(await store.findById('notes', original.id)).not.toHaveProperty('count');
+  });
+
+  test('borra uno o todos los documentos que cumplen la consulta', async () => {
+    await store.insertMany('notes', [{ title: 'a', count: 1 }, { title: 'b', count: 1 }, { title: 'c' }]);
+
+    expect(await store.deleteOne('notes', { count: 1 })).toEqual({ deleted: true });
+    expect(await store.deleteMany('notes', {})).toEqual({ deletedCount: 2 });
+    expect(await store.deleteOne('notes', {})).toEqual({ deleted: false });
+  });
+
+  test('una transacción confirma todas sus escrituras o ninguna', async () => {
+    await store.transaction(async (tx) => {
+      await tx.insertOne('notes', { title: 'logo' });
+      await tx.insertOne('schemaVersions', { collection: 'notes', version: 1 });
+    });
+    expect(await store.countDocuments('notes', {})).toBe(1);
+    expect(await store.countDocuments('schemaVersions', {})).toBe(1);
+
+    await expect(store.transaction(async (tx) => {
+      await tx.insertOne('notes', { title: 'web' });
+      await tx.insertOne('notes', { title: 'logo' });
+    })).rejects.toBeInstanceOf(DuplicateKeyError);
+    expect((await store.find('notes', {})).map(item => item.title)).toEqual(['logo']);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Conversión entre documentos y CSV/NDJSON
+ */
+
+const { serialize, parse, FORMATS } = require('../../src/utils/tabularFormat');
+
+const documents = [
+  { id: 'a', title: 'Logo, "premium"', tags: ['logo', 'marca'], budget: { amount: 10 } },
+  { id: 'b', title: 'Varias\nlíneas', price: -5 }
+];
+
+describe('CSV', () => {
+  test('escapa comas, comillas y saltos de línea y vuelve a leerlos', () => {
+    const csv = serialize(documents, { format: FORMATS.CSV, fields: ['id', 'title', 'tags', 'budget.amount', 'price'] });
+    const { fields, rows } = parse(csv, { format: FORMATS.CSV });
+
+    expect(fields).toEqual(['id', 'title', 'tags', 'budget.amount', 'price']);
+    expect(rows.map(row => row.values)).toEqual([
+      { id: 'a', title: 'Logo, "premium"', tags: '["logo","marca"]', 'budget.amount': '10', price: '' },
+      { id: 'b', title: 'Varias\nlíneas', tags: '', 'budget.amount': '', price: '-5' }
+    ]);
+  });
+
+  test.each(['=HYPERLINK("http://x","y")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', "'=ya protegido"])(
+    'protege el texto %j para que no se evalúe como fórmula',
+    (title) => {
+      const csv = serialize([{ title }], { format: FORMATS.CSV });
+      const [, cell] = csv.trim().split('\r\n');
+
+      expect(cell.replace(/^"/, '').startsWith("'")).toBe(true);
+      expect(parse(csv, { format: FORMATS.CSV }).rows[0].values.title).toBe(title);
+    }
+  );
+
+  test('no protege los números negativos ni los textos normales', () => {
+    const csv = serialize([{ price: -5, title: "l'atelier" }], { format: FORMATS.CSV });
+    expect(csv).toBe("price,title\r\n-5,l'atelier\r\n");
+  });
+
+  test('devuelve el error de cada fila sin detener el análisis', () => {
+    const { rows } = parse('a,b\n1,2\n3\n4,5\n', { format: FORMATS.CSV });
+
+    expect(rows.map(row => row.error)).toEqual([null, 'Se esperaban 2 columnas y hay 1', null]);
+    expect(rows.map(row => row.line)).toEqual([2, 3, 4]);
+  });
+
+  test('rechaza comillas sin cerrar', () => {
+    expect(() => parse('a\n"abierta\n', { format: FORMATS.CSV })).toThrow(/Comillas sin cerrar/);
+  });
+});
+
+describe('NDJSON', () => {
+  test('un documento por línea y errores por línea', () => {
+    const ndjson = serialize(documents, { format: FORMATS.NDJSON, fields: ['id', 'budget.amount'] });
+    expect(ndjson).toBe('{"id":"a","budget":{"amount":10}}\n{"id":"b"}\n');
+
+    const { rows } = parse(`${ndjson}[1]\n{roto\n`, { format: FORMATS.NDJSON });
+    expect(rows.map(row => row.error)).toEqual([null, null, 'La línea no es un objeto JSON', expect.stringMatching(/^JSON inválido/)]);
+  });
+});